@@ -2,6 +2,8 @@ import { Routes, Route } from 'react-router-dom'
 import { Toaster } from 'react-hot-toast'
 import Login from './pages/Login'
 import Register from './pages/Register'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
 import Dashboard from './pages/Dashboard'
 import Statistics from './pages/Statistics'
 import CreateQuiz from './pages/CreateQuiz'
@@ -9,6 +11,7 @@ import TakeQuiz from './pages/TakeQuiz'
 import QuizResults from './pages/QuizResults'
 import QuizView from './pages/QuizView';
 import QuizSubmissions from './pages/QuizSubmissions';
+import QuizAnalytics from './pages/QuizAnalytics';
 import PrivateRoute from './components/PrivateRoute'
 import NotFound from './pages/NotFound'
 import RouterFallback from './RouterFallback'
@@ -42,6 +45,8 @@ function App() {
         <Route path="/quiz/:accessCode" element={<TakeQuiz />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
         
         {/* PROTECTED ROUTES - require authentication */}
         <Route path="/" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
@@ -51,6 +56,7 @@ function App() {
         <Route path="/quiz/:accessCode/view" element={<PrivateRoute><QuizView /></PrivateRoute>} />
         <Route path="/quiz/:accessCode/results" element={<PrivateRoute><QuizResults /></PrivateRoute>} />
         <Route path="/quiz/:id/submissions" element={<PrivateRoute><QuizSubmissions /></PrivateRoute>} />
+        <Route path="/quiz/:id/analytics" element={<PrivateRoute><QuizAnalytics /></PrivateRoute>} />
         
         {/* Test routes for public quiz access */}
         <Route path="/test-quiz-access" element={<TestQuizAccess />} />
@@ -97,29 +97,68 @@ const quizzes = {
   },
   pause: (id) => api.put(`/api/quizzes/${id}/status`, { isAcceptingResponses: false }),
   resume: (id) => api.put(`/api/quizzes/${id}/status`, { isAcceptingResponses: true }),
+  rotateAccessCode: (id) => api.post(`/api/quizzes/${id}/access-code/rotate`),
+  invite: (id, data) => api.post(`/api/quizzes/${id}/invite`, data),
+  getInvitations: (id) => api.get(`/api/quizzes/${id}/invitations`),
   generateQuestions: (params) => api.post('/api/quizzes/generate', params),
+  getAIProviders: () => api.get('/api/quizzes/ai/providers'),
+  refineQuestion: (params) => api.post('/api/quizzes/refine', params),
+  proposeGrades: (id, submissionId) => api.post(`/api/quizzes/${id}/submissions/${submissionId}/propose-grades`),
+  saveGrades: (id, submissionId, grades) => api.put(`/api/quizzes/${id}/submissions/${submissionId}/grades`, { grades }),
+  // format is csv or xlsx
+  exportSubmissions: (id, format) => api.get(`/api/quizzes/${id}/submissions/export`, { params: { format }, responseType: 'blob' }),
   uploadImage: (formData) => api.post('/api/quizzes/upload-image', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  // Interchange with other learning systems: format is qti, gift or aiken
+  exportQuiz: (id, format) => api.get(`/api/quizzes/${id}/export/${format}`, { responseType: 'blob' }),
+  importQuiz: (formData) => api.post('/api/quizzes/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  // Without commit in the form data the spreadsheet is only validated
+  importQuestions: (id, formData) => api.post(`/api/quizzes/${id}/import`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  downloadImportTemplate: (format) => api.get('/api/quizzes/import/template', { params: { format }, responseType: 'blob' }),
   // Add endpoints for quiz access by code
   getByCode: (code) => api.get(`/api/quizzes/code/${code}`),
   getViewByCode: (code) => api.get(`/api/quizzes/view/${code}`),
   submitResponses: (quizId, data) => api.post(`/api/quizzes/${quizId}/submit`, data)
 };
 
+// Question bank endpoints
+const bank = {
+  list: (params) => api.get('/api/bank', { params }),
+  get: (id) => api.get(`/api/bank/${id}`),
+  create: (data) => api.post('/api/bank', data),
+  update: (id, data) => api.put(`/api/bank/${id}`, data),
+  delete: (id) => api.delete(`/api/bank/${id}`)
+};
+
 // Auth endpoints
 const auth = {
   login: (credentials) => api.post('/api/auth/login', credentials),
   register: (data) => api.post('/api/auth/register', data),
   logout: () => api.post('/api/auth/logout'),
   verify: () => api.get('/api/auth/verify'),
-  resetPassword: (email) => api.post('/api/auth/reset-password-request', { email })
+  resetPassword: (email) => api.post('/api/auth/reset-password-request', { email }),
+  verifyResetToken: (token) => api.get(`/api/auth/reset-password/${encodeURIComponent(token)}`),
+  confirmResetPassword: (token, newPassword) => api.post('/api/auth/reset-password', { token, newPassword })
 };
 
 // Statistics endpoints
 const statistics = {
+  // Item analysis: difficulty, discrimination and option statistics per question
   getQuizStats: (quizId) => api.get(`/api/statistics/quiz/${quizId}`),
-  getUserStats: () => api.get('/api/statistics/user')
+  getUserStats: () => api.get('/api/statistics/user'),
+  getAiUsage: (days) => api.get('/api/statistics/ai-usage', { params: { days } })
+};
+
+// Notification endpoints
+const notifications = {
+  getAll: (params) => api.get('/api/notifications', { params }),
+  getUnreadCount: () => api.get('/api/notifications/unread-count'),
+  markAsRead: (notificationIds) => api.put('/api/notifications/read', { notificationIds })
 };
 
-export { api, quizzes, auth, statistics };
+export { api, quizzes, bank, auth, statistics, notifications };
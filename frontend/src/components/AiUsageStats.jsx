@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react'
+import { SparklesIcon } from '@heroicons/react/24/outline'
+import { statistics } from '../api'
+
+const PERIODS = [7, 30, 90]
+
+const QUOTA_LABELS = {
+  requestsPerHour: 'Requests this hour',
+  requestsPerDay: 'Requests today',
+  tokensPerMonth: 'Tokens in the last 30 days'
+}
+
+const OUTCOME_LABELS = {
+  success: 'Complete',
+  partial: 'Partial',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+const formatNumber = (value) => (value || 0).toLocaleString()
+
+const formatCost = (value) => `$${(value || 0).toFixed(value > 0 && value < 0.01 ? 4 : 2)}`
+
+export default function AiUsageStats() {
+  const [days, setDays] = useState(30)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [data, setData] = useState(null)
+
+  const fetchUsage = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await statistics.getAiUsage(days)
+      setData(response.data)
+    } catch (err) {
+      console.error('Error fetching AI usage:', err)
+      setError(err.response?.data?.error || 'Failed to load AI usage')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchUsage()
+  }, [days])
+
+  const maxDailyRequests = data ? Math.max(1, ...data.usage.daily.map(day => day.requests)) : 1
+
+  return (
+    <div className="mt-10">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-slate-900 flex items-center gap-2">
+            <SparklesIcon className="w-5 h-5 text-[#06545E]" />
+            AI Usage
+          </h2>
+          <p className="text-slate-600 text-sm mt-1">
+            Question generation and refinement requests, tokens and estimated cost
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value, 10))}
+          className="px-3 py-2 text-sm rounded-lg border border-slate-200 bg-white focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+          aria-label="Usage period"
+        >
+          {PERIODS.map(period => (
+            <option key={period} value={period}>Last {period} days</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="w-full text-center py-8">
+          <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-[#06545E]"></div>
+        </div>
+      ) : error ? (
+        <div className="w-full text-center py-8">
+          <p className="text-red-600">{error}</p>
+          <button
+            onClick={fetchUsage}
+            className="mt-4 text-[#06545E] hover:text-[#06545E]/80"
+          >
+            Try again
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {/* Quotas */}
+          <div className="bg-white rounded-2xl border border-slate-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-sm font-medium text-slate-600">Quotas</h3>
+              <span className="px-2 py-0.5 rounded-full bg-slate-100 text-xs font-medium text-slate-700 capitalize">
+                {data.quota.plan} plan
+              </span>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-6">
+              {data.quota.quotas.map(quota => {
+                const percent = quota.limit ? Math.min(100, Math.round((quota.used / quota.limit) * 100)) : 0
+                return (
+                  <div key={quota.name}>
+                    <div className="flex items-baseline justify-between text-sm">
+                      <span className="text-slate-700">{QUOTA_LABELS[quota.name] || quota.name}</span>
+                      <span className="text-slate-500">
+                        {formatNumber(quota.used)} / {quota.limit === null ? 'Unlimited' : formatNumber(quota.limit)}
+                      </span>
+                    </div>
+                    <div className="mt-2 h-2 rounded-full bg-slate-100 overflow-hidden">
+                      <div
+                        className={`h-full rounded-full ${quota.exceeded ? 'bg-red-500' : percent >= 80 ? 'bg-amber-500' : 'bg-[#06545E]'}`}
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    {quota.exceeded && quota.resetAt && (
+                      <p className="mt-1 text-xs text-red-600">
+                        Available again {new Date(quota.resetAt).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+
+          {/* Totals */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-white rounded-2xl border border-slate-200 p-6">
+              <h3 className="text-sm font-medium text-slate-600">AI Requests</h3>
+              <p className="text-3xl font-semibold text-slate-900 mt-2">
+                {formatNumber(data.usage.totals.requests)}
+              </p>
+              <p className="text-xs text-slate-500 mt-2">
+                {Object.entries(data.usage.outcomes)
+                  .map(([outcome, count]) => `${count} ${(OUTCOME_LABELS[outcome] || outcome).toLowerCase()}`)
+                  .join(' · ') || 'No requests yet'}
+              </p>
+            </div>
+
+            <div className="bg-white rounded-2xl border border-slate-200 p-6">
+              <h3 className="text-sm font-medium text-slate-600">Tokens</h3>
+              <p className="text-3xl font-semibold text-slate-900 mt-2">
+                {formatNumber(data.usage.totals.inputTokens + data.usage.totals.outputTokens)}
+              </p>
+              <p className="text-xs text-slate-500 mt-2">
+                {formatNumber(data.usage.totals.inputTokens)} input · {formatNumber(data.usage.totals.outputTokens)} output
+              </p>
+            </div>
+
+            <div className="bg-white rounded-2xl border border-slate-200 p-6">
+              <h3 className="text-sm font-medium text-slate-600">Estimated Cost</h3>
+              <p className="text-3xl font-semibold text-slate-900 mt-2">
+                {formatCost(data.usage.totals.cost)}
+              </p>
+              <p className="text-xs text-slate-500 mt-2">Based on published model prices</p>
+            </div>
+          </div>
+
+          {/* Requests per day */}
+          <div className="bg-white rounded-2xl border border-slate-200 p-6">
+            <h3 className="text-sm font-medium text-slate-600 mb-4">Requests per day</h3>
+            <div className="flex items-end gap-1 h-32">
+              {data.usage.daily.map(day => (
+                <div
+                  key={day.date}
+                  className="flex-1 h-full flex items-end"
+                  title={`${day.date}: ${day.requests} requests, ${formatNumber(day.inputTokens + day.outputTokens)} tokens, ${formatCost(day.cost)}`}
+                >
+                  <div
+                    className="w-full rounded-t bg-[#06545E]/80 hover:bg-[#06545E]"
+                    style={{ height: `${(day.requests / maxDailyRequests) * 100}%`, minHeight: day.requests > 0 ? '2px' : 0 }}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between mt-2 text-xs text-slate-500">
+              <span>{data.usage.daily[0]?.date}</span>
+              <span>{data.usage.daily[data.usage.daily.length - 1]?.date}</span>
+            </div>
+          </div>
+
+          {/* Per model */}
+          {data.usage.models.length > 0 && (
+            <div className="bg-white rounded-2xl border border-slate-200 overflow-hidden">
+              <table className="min-w-full text-sm">
+                <thead className="bg-slate-50 text-slate-600">
+                  <tr>
+                    <th className="px-6 py-3 text-left font-medium">Model</th>
+                    <th className="px-6 py-3 text-right font-medium">Requests</th>
+                    <th className="px-6 py-3 text-right font-medium">Tokens</th>
+                    <th className="px-6 py-3 text-right font-medium">Estimated Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {data.usage.models.map(model => (
+                    <tr key={`${model.provider}/${model.model}`}>
+                      <td className="px-6 py-3 text-slate-900">{model.provider} / {model.model}</td>
+                      <td className="px-6 py-3 text-right text-slate-700">{formatNumber(model.requests)}</td>
+                      <td className="px-6 py-3 text-right text-slate-700">{formatNumber(model.inputTokens + model.outputTokens)}</td>
+                      <td className="px-6 py-3 text-right text-slate-700">{formatCost(model.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
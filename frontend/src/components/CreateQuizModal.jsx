@@ -1,11 +1,11 @@
 import React from 'react';
 import { Dialog } from '@headlessui/react';
-import { XMarkIcon } from '@heroicons/react/24/outline';
+import { ArrowUpTrayIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { useNavigate } from 'react-router-dom';
 import quizSvg from '../assets/quiz.svg';
 import assignmentSvg from '../assets/assignment.svg';
 
-const CreateQuizModal = ({ isOpen, onClose }) => {
+const CreateQuizModal = ({ isOpen, onClose, onImport }) => {
   const navigate = useNavigate();
   
   const handleManualCreate = () => {
@@ -79,6 +79,30 @@ const CreateQuizModal = ({ isOpen, onClose }) => {
                 </button>
               </div>
             </div>
+
+            {/* Import Option */}
+            {onImport && (
+              <div className="flex gap-6 p-4 bg-gray-50 rounded-lg">
+                <div className="flex-shrink-0">
+                  <div className="w-24 h-20 flex items-center justify-center">
+                    <ArrowUpTrayIcon className="w-12 h-12 text-gray-500" />
+                  </div>
+                </div>
+                <div className="flex-1">
+                  <h3 className="text-xl font-semibold text-gray-900 mb-1">Import a Quiz</h3>
+                  <p className="text-gray-600 mb-4">Bring in a quiz or question bank from your LMS as IMS QTI 2.1, Moodle GIFT or Aiken</p>
+                  <button 
+                    onClick={() => {
+                      onClose();
+                      onImport();
+                    }}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-full font-medium text-sm"
+                  >
+                    IMPORT QUIZ
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         </Dialog.Panel>
       </div>
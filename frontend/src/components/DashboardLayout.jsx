@@ -10,7 +10,7 @@ import {
 } from '@heroicons/react/24/outline'
 import { BellAlertIcon } from '@heroicons/react/24/solid'
 import logoText from '../assets/logo-text.svg'
-import axios from 'axios'
+import { notifications as notificationsApi } from '../api'
 import { useAuth } from '../context/AuthContext'
 import { Link } from 'react-router-dom'
 
@@ -20,12 +20,15 @@ export default function DashboardLayout({ children }) {
   const [loading, setLoading] = React.useState(true)
   const { logout } = useAuth()
 
+  // How often to check for new notifications
+  const POLL_INTERVAL_MS = 60000
+
   // Fetch notifications
   const fetchNotifications = async () => {
     try {
-      // Temporarily disabled
-      /*const response = await axios.get('/api/notifications')
-      setNotifications(response.data)*/
+      const response = await notificationsApi.getAll({ limit: 20 })
+      setNotifications(response.data.notifications || [])
+      setUnreadCount(response.data.unreadCount || 0)
     } catch (error) {
       console.error('Error fetching notifications:', error)
     }
@@ -34,9 +37,8 @@ export default function DashboardLayout({ children }) {
   // Fetch unread count
   const fetchUnreadCount = async () => {
     try {
-      // Temporarily disabled
-      /*const response = await axios.get('/api/notifications/unread-count')
-      setUnreadCount(response.data.count)*/
+      const response = await notificationsApi.getUnreadCount()
+      setUnreadCount(response.data.count || 0)
     } catch (error) {
       console.error('Error fetching unread count:', error)
     } finally {
@@ -49,18 +51,24 @@ export default function DashboardLayout({ children }) {
     if (!Array.isArray(notificationIds) || notificationIds.length === 0) return
 
     try {
-      await axios.put('/api/notifications/read', { notificationIds })
-      fetchUnreadCount()
-      fetchNotifications()
+      // Update locally first so the badge clears immediately
+      setNotifications(prev => prev.map(n => (
+        notificationIds.includes(n.id) ? { ...n, read: true } : n
+      )))
+      const response = await notificationsApi.markAsRead(notificationIds)
+      setUnreadCount(response.data.unreadCount || 0)
     } catch (error) {
       console.error('Error marking notifications as read:', error)
     }
   }
 
-  // Initial fetch
+  // Initial fetch, then poll for new notifications
   React.useEffect(() => {
     fetchNotifications()
     fetchUnreadCount()
+
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
   }, [])
 
   // Check if there are any unread notifications
@@ -89,7 +97,7 @@ export default function DashboardLayout({ children }) {
                         if (open && unreadCount > 0) {
                           const unreadIds = notifications
                             .filter(n => !n.read)
-                            .map(n => n._id)
+                            .map(n => n.id)
                           if (unreadIds.length > 0) {
                             markAsRead(unreadIds)
                           }
@@ -124,7 +132,7 @@ export default function DashboardLayout({ children }) {
                               onClick={() => {
                                 const unreadIds = notifications
                                   .filter(n => !n.read)
-                                  .map(n => n._id)
+                                  .map(n => n.id)
                                 if (unreadIds.length > 0) {
                                   markAsRead(unreadIds)
                                 }
@@ -143,7 +151,7 @@ export default function DashboardLayout({ children }) {
                         ) : notifications.length > 0 ? (
                           <div className="max-h-[300px] overflow-y-auto">
                             {notifications.map((notification) => (
-                              <Menu.Item key={notification._id}>
+                              <Menu.Item key={notification.id}>
                                 {({ active }) => (
                                   <button
                                     className={`${
@@ -151,7 +159,7 @@ export default function DashboardLayout({ children }) {
                                     } w-full text-left p-4 border-b border-slate-100 last:border-0 relative`}
                                     onClick={() => {
                                       if (!notification.read) {
-                                        markAsRead([notification._id])
+                                        markAsRead([notification.id])
                                       }
                                     }}
                                   >
@@ -162,7 +170,7 @@ export default function DashboardLayout({ children }) {
                                       <span className="text-sm font-medium text-slate-900">{notification.title}</span>
                                       <span className="text-sm text-slate-600">{notification.message}</span>
                                       <span className="text-xs text-slate-400">
-                                        {new Date(notification.createdAt).toLocaleDateString('en-US', {
+                                        {new Date(notification.created_at).toLocaleDateString('en-US', {
                                           hour: 'numeric',
                                           minute: 'numeric',
                                           hour12: true
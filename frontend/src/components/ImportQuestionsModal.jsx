@@ -0,0 +1,200 @@
+import React, { useState } from 'react'
+import { Dialog } from '@headlessui/react'
+import { ArrowUpTrayIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { toast } from 'react-hot-toast'
+import { quizzes } from '../api'
+import { saveDownload } from '../utils/download'
+
+const TYPE_LABELS = {
+  multiple_choice: 'Multiple Choice',
+  true_false: 'True/False',
+  paragraph: 'Paragraph',
+  matching: 'Matching',
+  fill_in_blanks: 'Fill in the Blanks',
+  file_upload: 'File Upload',
+  dropdown: 'Dropdown'
+}
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  imported: 'bg-green-100 text-green-800',
+  invalid: 'bg-red-100 text-red-800'
+}
+
+export default function ImportQuestionsModal({ isOpen, onClose, quiz, onImported }) {
+  const [file, setFile] = useState(null)
+  const [loading, setLoading] = useState(false)
+  // Validated rows from the dry run, then the import result once questions were saved
+  const [preview, setPreview] = useState(null)
+
+  const handleClose = () => {
+    setFile(null)
+    setPreview(null)
+    onClose()
+  }
+
+  const upload = async (selectedFile, commit) => {
+    const formData = new FormData()
+    formData.append('file', selectedFile)
+    if (commit) {
+      formData.append('commit', 'true')
+      formData.append('skipInvalid', 'true')
+    }
+    const response = await quizzes.importQuestions(quiz.id, formData)
+    return response.data
+  }
+
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files[0] || null
+    e.target.value = ''
+    setFile(selectedFile)
+    setPreview(null)
+    if (!selectedFile) return
+
+    try {
+      setLoading(true)
+      setPreview(await upload(selectedFile, false))
+    } catch (err) {
+      console.error('Error checking question spreadsheet:', err)
+      toast.error(err.response?.data?.details || err.response?.data?.error || 'Failed to read the spreadsheet')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      setLoading(true)
+      const data = await upload(file, true)
+      setPreview(data)
+      toast.success(`Imported ${data.imported} ${data.imported === 1 ? 'question' : 'questions'}`)
+      if (onImported) onImported()
+    } catch (err) {
+      console.error('Error importing questions:', err)
+      toast.error(err.response?.data?.details || err.response?.data?.error || 'Failed to import questions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const downloadTemplate = async (format) => {
+    try {
+      const response = await quizzes.downloadImportTemplate(format)
+      saveDownload(response, `question-import-template.${format}`)
+    } catch (err) {
+      console.error('Error downloading import template:', err)
+      toast.error('Failed to download the template')
+    }
+  }
+
+  const imported = preview && preview.dryRun === false
+  const validCount = preview?.summary.valid || 0
+
+  return (
+    <Dialog open={isOpen} onClose={handleClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto flex max-h-[85vh] w-full max-w-3xl flex-col rounded-lg bg-white">
+          <div className="flex items-center justify-between border-b border-slate-100 px-6 py-4">
+            <div>
+              <Dialog.Title as="h3" className="text-lg font-semibold text-slate-900">
+                Import Questions
+              </Dialog.Title>
+              <p className="text-sm text-slate-500">
+                Add questions to "{quiz?.title || 'Untitled Quiz'}" from a CSV or Excel spreadsheet.
+              </p>
+            </div>
+            <button type="button" onClick={handleClose} className="text-slate-400 hover:text-slate-600">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-4">
+            {!imported && (
+              <div className="space-y-2">
+                <label className="flex cursor-pointer flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed border-slate-200 px-4 py-6 text-sm text-slate-600 hover:bg-slate-50">
+                  <ArrowUpTrayIcon className="h-6 w-6 text-slate-400" />
+                  <span>{file ? file.name : 'Choose a .csv or .xlsx file'}</span>
+                  <input type="file" accept=".csv,.xlsx" className="hidden" onChange={handleFileChange} />
+                </label>
+                <p className="text-xs text-slate-500">
+                  Columns: type, text, options, correct_answer, explanation, image_url. Download the template for an example of every question type:{' '}
+                  <button type="button" onClick={() => downloadTemplate('csv')} className="text-[#06545E] hover:underline">CSV</button>
+                  {' or '}
+                  <button type="button" onClick={() => downloadTemplate('xlsx')} className="text-[#06545E] hover:underline">Excel</button>
+                </p>
+              </div>
+            )}
+
+            {loading && !preview && <p className="mt-4 text-sm text-slate-500">Checking the spreadsheet...</p>}
+
+            {preview && (
+              <div className={imported ? '' : 'mt-4'}>
+                <p className="mb-2 text-sm text-slate-700">
+                  {imported
+                    ? `${preview.imported} ${preview.imported === 1 ? 'question was' : 'questions were'} added to the quiz.`
+                    : `${preview.summary.valid} of ${preview.summary.total} ${preview.summary.total === 1 ? 'row is' : 'rows are'} ready to import.`}
+                  {preview.summary.invalid > 0 && ` ${preview.summary.invalid} ${preview.summary.invalid === 1 ? 'row has' : 'rows have'} errors and will be skipped.`}
+                </p>
+                <div className="overflow-hidden rounded-lg border border-slate-200">
+                  <table className="min-w-full divide-y divide-slate-200 text-sm">
+                    <thead className="bg-slate-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium text-slate-600">Row</th>
+                        <th className="px-3 py-2 text-left font-medium text-slate-600">Type</th>
+                        <th className="px-3 py-2 text-left font-medium text-slate-600">Question</th>
+                        <th className="px-3 py-2 text-left font-medium text-slate-600">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {preview.rows.map(row => (
+                        <tr key={row.row} className="align-top">
+                          <td className="px-3 py-2 text-slate-500">{row.row}</td>
+                          <td className="whitespace-nowrap px-3 py-2 text-slate-700">{TYPE_LABELS[row.question.type] || '-'}</td>
+                          <td className="px-3 py-2 text-slate-900">
+                            <span className="line-clamp-2">{row.question.text || <em className="text-slate-400">No text</em>}</span>
+                            {row.errors.length > 0 && (
+                              <ul className="mt-1 list-disc pl-5 text-xs text-red-600">
+                                {row.errors.map((error, index) => <li key={index}>{error}</li>)}
+                              </ul>
+                            )}
+                          </td>
+                          <td className="px-3 py-2">
+                            <span className={`rounded-full px-2 py-0.5 text-xs font-medium capitalize ${STATUS_STYLES[row.status]}`}>
+                              {row.status}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3 rounded-b-lg bg-gray-50 px-6 py-3">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              {imported ? 'Close' : 'Cancel'}
+            </button>
+            {!imported && (
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={!preview || validCount === 0 || loading}
+                className="rounded-md bg-[#06545E] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-[#06545E]/90 disabled:opacity-50"
+              >
+                {loading && preview ? 'Importing...' : `Import ${validCount} ${validCount === 1 ? 'question' : 'questions'}`}
+              </button>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
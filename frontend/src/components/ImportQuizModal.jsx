@@ -0,0 +1,185 @@
+import React, { useState } from 'react'
+import { Dialog } from '@headlessui/react'
+import { ArrowUpTrayIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { useNavigate } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import { quizzes } from '../api'
+
+const FORMATS = [
+  { id: '', label: 'Detect from file' },
+  { id: 'qti', label: 'IMS QTI 2.1 (.zip, .xml)' },
+  { id: 'gift', label: 'Moodle GIFT (.txt, .gift)' },
+  { id: 'aiken', label: 'Aiken (.txt)' }
+]
+
+const STATUS_STYLES = {
+  imported: 'bg-green-100 text-green-800',
+  partial: 'bg-amber-100 text-amber-800',
+  skipped: 'bg-red-100 text-red-800'
+}
+
+export default function ImportQuizModal({ isOpen, onClose, onImported }) {
+  const navigate = useNavigate()
+  const [file, setFile] = useState(null)
+  const [format, setFormat] = useState('')
+  const [title, setTitle] = useState('')
+  const [importing, setImporting] = useState(false)
+  // Result of the last import: the created quiz (if any) and one report entry per item in the file
+  const [result, setResult] = useState(null)
+
+  const handleClose = () => {
+    setFile(null)
+    setFormat('')
+    setTitle('')
+    setResult(null)
+    onClose()
+  }
+
+  const handleImport = async () => {
+    if (!file) {
+      toast.error('Choose a file to import')
+      return
+    }
+
+    const formData = new FormData()
+    formData.append('file', file)
+    if (format) formData.append('format', format)
+    if (title.trim()) formData.append('title', title.trim())
+
+    try {
+      setImporting(true)
+      const response = await quizzes.importQuiz(formData)
+      setResult(response.data)
+      toast.success(`Imported ${response.data.imported} ${response.data.imported === 1 ? 'question' : 'questions'}`)
+      if (onImported) onImported(response.data.quiz)
+    } catch (err) {
+      console.error('Error importing quiz:', err)
+      const data = err.response?.data
+      if (data?.report) {
+        setResult(data)
+      }
+      toast.error(data?.details || data?.error || 'Failed to import quiz')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <Dialog open={isOpen} onClose={handleClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto flex max-h-[85vh] w-full max-w-2xl flex-col rounded-lg bg-white">
+          <div className="flex items-center justify-between border-b border-slate-100 px-6 py-4">
+            <div>
+              <Dialog.Title as="h3" className="text-lg font-semibold text-slate-900">
+                Import a Quiz
+              </Dialog.Title>
+              <p className="text-sm text-slate-500">Bring in questions exported from Moodle, Canvas or another LMS.</p>
+            </div>
+            <button type="button" onClick={handleClose} className="text-slate-400 hover:text-slate-600">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-4">
+            {!result?.quiz && (
+              <div className="space-y-3">
+                <label className="flex cursor-pointer flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed border-slate-200 px-4 py-6 text-sm text-slate-600 hover:bg-slate-50">
+                  <ArrowUpTrayIcon className="h-6 w-6 text-slate-400" />
+                  <span>{file ? file.name : 'Choose a QTI package, GIFT or Aiken file'}</span>
+                  <input
+                    type="file"
+                    accept=".zip,.xml,.txt,.gift"
+                    className="hidden"
+                    onChange={(e) => {
+                      setFile(e.target.files[0] || null)
+                      setResult(null)
+                    }}
+                  />
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                    className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+                  >
+                    {FORMATS.map(item => <option key={item.id} value={item.id}>{item.label}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="Quiz title (optional)"
+                    className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+                  />
+                </div>
+              </div>
+            )}
+
+            {result?.report && (
+              <div className={result.quiz ? '' : 'mt-4'}>
+                <p className="mb-2 text-sm text-slate-700">
+                  {result.quiz
+                    ? `"${result.quiz.title}" was created as a draft with ${result.imported} ${result.imported === 1 ? 'question' : 'questions'}.`
+                    : 'No questions in this file could be imported.'}
+                  {result.skipped > 0 && ` ${result.skipped} ${result.skipped === 1 ? 'item was' : 'items were'} skipped.`}
+                </p>
+                <ul className="space-y-2">
+                  {result.report.map(entry => (
+                    <li key={entry.item} className="rounded-lg border border-slate-200 p-3">
+                      <div className="flex items-center gap-2">
+                        <span className={`rounded-full px-2 py-0.5 text-xs font-medium capitalize ${STATUS_STYLES[entry.status]}`}>
+                          {entry.status}
+                        </span>
+                        <span className="truncate text-sm text-slate-900">
+                          {entry.item}. {entry.title || 'Untitled item'}
+                        </span>
+                      </div>
+                      {entry.messages.length > 0 && (
+                        <ul className="mt-1 list-disc pl-5 text-xs text-slate-500">
+                          {entry.messages.map((message, index) => <li key={index}>{message}</li>)}
+                        </ul>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3 rounded-b-lg bg-gray-50 px-6 py-3">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              {result?.quiz ? 'Close' : 'Cancel'}
+            </button>
+            {result?.quiz ? (
+              <button
+                type="button"
+                onClick={() => {
+                  navigate(`/quiz/${result.quiz.id}/view`)
+                  handleClose()
+                }}
+                className="rounded-md bg-[#06545E] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-[#06545E]/90"
+              >
+                View Quiz
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={!file || importing}
+                className="rounded-md bg-[#06545E] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-[#06545E]/90 disabled:opacity-50"
+              >
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
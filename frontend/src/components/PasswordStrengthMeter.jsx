@@ -1,34 +1,13 @@
 import React from 'react';
+import { PASSWORD_RULES } from '../utils/passwordRules';
 
 const PasswordStrengthMeter = ({ password }) => {
   // Password requirements
-  const requirements = [
-    { 
-      id: 'length', 
-      label: 'At least 8 characters', 
-      isValid: password.length >= 8 
-    },
-    { 
-      id: 'uppercase', 
-      label: 'At least one uppercase letter', 
-      isValid: /[A-Z]/.test(password) 
-    },
-    { 
-      id: 'lowercase', 
-      label: 'At least one lowercase letter', 
-      isValid: /[a-z]/.test(password) 
-    },
-    { 
-      id: 'number', 
-      label: 'At least one number', 
-      isValid: /\d/.test(password) 
-    },
-    { 
-      id: 'special', 
-      label: 'At least one special character', 
-      isValid: /[!@#$%^&*(),.?":{}|<>]/.test(password) 
-    }
-  ];
+  const requirements = PASSWORD_RULES.map(rule => ({
+    id: rule.id,
+    label: rule.label,
+    isValid: rule.test(password)
+  }));
 
   // Calculate password strength (0-100)
   const calculateStrength = () => {
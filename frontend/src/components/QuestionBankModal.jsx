@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react'
+import { Dialog } from '@headlessui/react'
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import { toast } from 'react-hot-toast'
+import { bank } from '../api'
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced']
+
+const TYPE_LABELS = {
+  multiple_choice: 'Multiple Choice',
+  true_false: 'True/False',
+  paragraph: 'Paragraph',
+  essay: 'Essay',
+  matching: 'Matching',
+  fill_in_blanks: 'Fill in the Blanks',
+  fill_in_blank: 'Fill in the Blanks',
+  file_upload: 'File Upload',
+  dropdown: 'Dropdown'
+}
+
+// Wait for the tutor to stop typing before searching
+const SEARCH_DELAY_MS = 300
+
+export default function QuestionBankModal({ isOpen, onClose, onAdd }) {
+  const [search, setSearch] = useState('')
+  const [difficulty, setDifficulty] = useState('')
+  const [type, setType] = useState('')
+  const [tag, setTag] = useState('')
+  const [results, setResults] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [selected, setSelected] = useState([])
+  // Linked questions follow later edits to the bank question; copies are independent
+  const [linked, setLinked] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true)
+        const response = await bank.list({
+          search: search || undefined,
+          difficulty: difficulty || undefined,
+          type: type || undefined,
+          tags: tag || undefined
+        })
+        setResults(response.data.questions)
+        setTotal(response.data.total)
+      } catch (err) {
+        console.error('Error searching the question bank:', err)
+        toast.error(err.response?.data?.details || err.response?.data?.error || 'Failed to search the question bank')
+      } finally {
+        setLoading(false)
+      }
+    }, SEARCH_DELAY_MS)
+
+    return () => clearTimeout(timer)
+  }, [isOpen, search, difficulty, type, tag])
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]))
+  }
+
+  const handleClose = () => {
+    setSelected([])
+    onClose()
+  }
+
+  const handleAdd = () => {
+    const questions = results
+      .filter(question => selected.includes(question.id))
+      .map(question => ({
+        type: question.type,
+        content: question.content,
+        options: question.options,
+        correctAnswer: question.correctAnswer,
+        explanation: question.explanation,
+        bankQuestionId: question.id,
+        bankLinked: linked
+      }))
+
+    onAdd(questions)
+    handleClose()
+  }
+
+  return (
+    <Dialog open={isOpen} onClose={handleClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="mx-auto flex max-h-[85vh] w-full max-w-2xl flex-col rounded-lg bg-white">
+          <div className="flex items-center justify-between border-b border-slate-100 px-6 py-4">
+            <Dialog.Title as="h3" className="text-lg font-semibold text-slate-900">
+              Add from Question Bank
+            </Dialog.Title>
+            <button type="button" onClick={handleClose} className="text-slate-400 hover:text-slate-600">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-3 border-b border-slate-100 px-6 py-4">
+            <div className="relative">
+              <MagnifyingGlassIcon className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search questions, explanations and categories"
+                className="w-full rounded-lg border border-slate-200 py-2 pl-9 pr-3 text-sm focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <select
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+                className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+              >
+                <option value="">All types</option>
+                {Object.entries(TYPE_LABELS)
+                  .filter(([id]) => id !== 'fill_in_blank')
+                  .map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <select
+                value={difficulty}
+                onChange={(e) => setDifficulty(e.target.value)}
+                className="rounded-lg border border-slate-200 px-3 py-2 text-sm capitalize focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+              >
+                <option value="">All difficulties</option>
+                {DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+              <input
+                type="text"
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+                placeholder="Tags, comma separated"
+                className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+              />
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-4">
+            {loading && results.length === 0 ? (
+              <p className="py-8 text-center text-sm text-slate-500">Searching...</p>
+            ) : results.length === 0 ? (
+              <p className="py-8 text-center text-sm text-slate-500">
+                No questions found. Save questions to your bank from the question editor.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {results.map(question => (
+                  <li key={question.id}>
+                    <label className="flex cursor-pointer items-start gap-3 rounded-lg border border-slate-200 p-3 hover:bg-slate-50">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(question.id)}
+                        onChange={() => toggleSelected(question.id)}
+                        className="mt-1 h-4 w-4 rounded border-slate-300 text-[#06545E] focus:ring-[#06545E]"
+                      />
+                      <div className="min-w-0 flex-1">
+                        <p className="text-sm text-slate-900">{question.content}</p>
+                        <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                          <span>{TYPE_LABELS[question.type] || question.type}</span>
+                          {question.difficulty && <span className="capitalize">· {question.difficulty}</span>}
+                          {question.category && <span>· {question.category}</span>}
+                          <span>· Used in {question.usageCount} {question.usageCount === 1 ? 'quiz' : 'quizzes'}</span>
+                          {question.tags.map(item => (
+                            <span key={item} className="rounded-full bg-slate-100 px-2 py-0.5 text-slate-600">{item}</span>
+                          ))}
+                        </div>
+                      </div>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {results.length < total && (
+              <p className="mt-3 text-center text-xs text-slate-500">
+                Showing {results.length} of {total} questions. Refine the search to find more.
+              </p>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 rounded-b-lg bg-gray-50 px-6 py-3">
+            <div className="mr-auto flex items-center gap-4 text-sm text-slate-700">
+              <label className="flex items-center gap-2">
+                <input type="radio" name="bank-add-mode" checked={!linked} onChange={() => setLinked(false)} />
+                Copy
+              </label>
+              <label className="flex items-center gap-2" title="Linked questions are updated when you edit them in the bank">
+                <input type="radio" name="bank-add-mode" checked={linked} onChange={() => setLinked(true)} />
+                Link
+              </label>
+            </div>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={selected.length === 0}
+              className="rounded-md bg-[#06545E] px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-[#06545E]/90 disabled:opacity-50"
+            >
+              Add {selected.length > 0 ? selected.length : ''} {selected.length === 1 ? 'question' : 'questions'}
+            </button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  )
+}
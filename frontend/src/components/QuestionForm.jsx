@@ -7,11 +7,15 @@ import {
   ChevronUpDownIcon,
   InformationCircleIcon,
   XMarkIcon,
-  CheckIcon
+  CheckIcon,
+  SparklesIcon,
+  ArchiveBoxIcon
 } from '@heroicons/react/24/outline'
-import { Switch, Listbox } from '@headlessui/react'
+import { Switch, Listbox, Menu } from '@headlessui/react'
+import { toast } from 'react-hot-toast'
 import cloudUploadIcon from '../assets/cloud-upload.svg'
 import { getApiUrl, getImageUrl } from '../utils/apiUrl'
+import { quizzes, bank } from '../api'
 
 const QUESTION_TYPES = [
   { id: 'multiple_choice', label: 'Multiple Choice' },
@@ -23,16 +27,137 @@ const QUESTION_TYPES = [
   { id: 'dropdown', label: 'Dropdown' }
 ]
 
+// Per-question AI actions; rewriting distractors only applies to types with incorrect options
+const REFINE_ACTIONS = [
+  { id: 'harder', label: 'Make harder' },
+  { id: 'easier', label: 'Make easier' },
+  { id: 'rewrite_distractors', label: 'Rewrite distractors', types: ['multiple_choice', 'dropdown'] },
+  { id: 'fix_ambiguity', label: 'Fix ambiguity' },
+  { id: 'translate', label: 'Translate' }
+]
+
+const AI_REFINABLE_TYPES = ['multiple_choice', 'true_false', 'matching', 'dropdown', 'fill_in_blanks', 'paragraph']
+
+const BANK_DIFFICULTIES = ['beginner', 'intermediate', 'advanced']
+
+const getChangeLabel = (field, type) => {
+  switch (field) {
+    case 'text':
+      return 'Question'
+    case 'options':
+      return type === 'paragraph' ? 'Rubric' : 'Options'
+    case 'correctAnswer':
+      return type === 'paragraph' ? 'Sample answer' : 'Correct answer'
+    default:
+      return 'Explanation'
+  }
+}
+
+// Render a changed field as readable text for the review panel
+const formatChangeValue = (value, field) => {
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object') {
+        return item.criterion !== undefined ? `${item.criterion} (${item.points} pts)` : `${item.left} → ${item.right}`
+      }
+      return field === 'correctAnswer' && typeof item === 'number' ? `${item + 1}` : item
+    }).join(field === 'correctAnswer' ? ', ' : '\n')
+  }
+  if (field === 'correctAnswer' && typeof value === 'number') {
+    return `Option ${value + 1}`
+  }
+  return value || '—'
+}
+
 export default function QuestionForm({ 
   question, 
   onChange, 
   onDelete,
-  questionNumber 
+  questionNumber,
+  aiProvider,
+  pools = []
 }) {
   const [showDelete, setShowDelete] = React.useState(false)
   const [isRequired, setIsRequired] = React.useState(true)
   const [allowMultipleAnswers, setAllowMultipleAnswers] = React.useState(false)
   const [uploading, setUploading] = React.useState(false)
+  const [refiningAction, setRefiningAction] = useState(null)
+  const [refinement, setRefinement] = useState(null)
+  const [showTranslate, setShowTranslate] = useState(false)
+  const [translateLanguage, setTranslateLanguage] = useState('')
+  const [showSaveToBank, setShowSaveToBank] = useState(false)
+  const [bankDetails, setBankDetails] = useState({ tags: '', category: '', difficulty: '' })
+  const [savingToBank, setSavingToBank] = useState(false)
+
+  const handleRefine = async (action) => {
+    if (action === 'translate' && !translateLanguage.trim()) {
+      setShowTranslate(true)
+      return
+    }
+
+    setRefiningAction(action)
+    setRefinement(null)
+    try {
+      const response = await quizzes.refineQuestion({
+        question,
+        action,
+        language: action === 'translate' ? translateLanguage.trim() : undefined,
+        provider: aiProvider || undefined
+      })
+
+      if (response.data.changes.length === 0) {
+        toast('The AI suggested no changes to this question')
+      } else {
+        setRefinement({ action, question: response.data.question, changes: response.data.changes })
+      }
+      setShowTranslate(false)
+    } catch (error) {
+      console.error('Error refining question:', error)
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to refine question')
+    } finally {
+      setRefiningAction(null)
+    }
+  }
+
+  // The quiz question keeps a reference to the saved copy so its use is counted when the quiz is saved
+  const handleSaveToBank = async () => {
+    if (!question.content?.trim()) {
+      toast.error('Add the question text before saving it to your bank')
+      return
+    }
+
+    setSavingToBank(true)
+    try {
+      const response = await bank.create({
+        type: question.type,
+        content: question.content,
+        options: question.options,
+        correctAnswer: question.correctAnswer,
+        explanation: question.explanation,
+        ...bankDetails
+      })
+      onChange({ ...question, bankQuestionId: response.data.question.id, bankLinked: false })
+      setShowSaveToBank(false)
+      toast.success('Question saved to your bank')
+    } catch (error) {
+      console.error('Error saving question to bank:', error)
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to save question to bank')
+    } finally {
+      setSavingToBank(false)
+    }
+  }
+
+  // Only the reviewed fields are replaced; media, citation and settings stay as they are
+  const handleAcceptRefinement = () => {
+    onChange({
+      ...question,
+      content: refinement.question.text,
+      options: refinement.question.options,
+      correctAnswer: refinement.question.correctAnswer,
+      explanation: refinement.question.explanation
+    })
+    setRefinement(null)
+  }
 
   const handleMediaUpload = async (file, type, index = null) => {
     try {
@@ -238,6 +363,14 @@ export default function QuestionForm({
             </Switch>
             <span className="text-sm text-slate-600">Required</span>
           </div>
+          <button
+            type="button"
+            onClick={() => setShowSaveToBank(!showSaveToBank)}
+            className="text-slate-400 hover:text-[#06545E] transition-colors"
+            title="Save to question bank"
+          >
+            <ArchiveBoxIcon className="w-5 h-5" />
+          </button>
           {showDelete && (
             <button
               type="button"
@@ -251,6 +384,62 @@ export default function QuestionForm({
       </div>
 
       <div className="p-6 space-y-6">
+        {showSaveToBank && (
+          <div className="rounded-xl border border-slate-200 bg-slate-50 p-4 space-y-3">
+            <h4 className="text-sm font-medium text-slate-900">Save to question bank</h4>
+            <div className="grid grid-cols-3 gap-3">
+              <input
+                type="text"
+                value={bankDetails.tags}
+                onChange={(e) => setBankDetails({ ...bankDetails, tags: e.target.value })}
+                placeholder="Tags, comma separated"
+                className="px-3 py-2 text-sm rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+              />
+              <input
+                type="text"
+                value={bankDetails.category}
+                onChange={(e) => setBankDetails({ ...bankDetails, category: e.target.value })}
+                placeholder="Category"
+                className="px-3 py-2 text-sm rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+              />
+              <select
+                value={bankDetails.difficulty}
+                onChange={(e) => setBankDetails({ ...bankDetails, difficulty: e.target.value })}
+                className="px-3 py-2 text-sm capitalize rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E]"
+              >
+                <option value="">Difficulty</option>
+                {BANK_DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setShowSaveToBank(false)}
+                className="px-4 py-2 text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSaveToBank}
+                disabled={savingToBank}
+                className="px-4 py-2 text-sm font-medium text-white bg-[#06545E] rounded-lg hover:bg-[#06545E]/90 disabled:opacity-50"
+              >
+                {savingToBank ? 'Saving...' : 'Save to bank'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {question.bankQuestionId && (
+          <div className="flex items-center gap-2 px-4 py-2 rounded-xl bg-slate-50 border border-slate-200 text-sm text-slate-600">
+            <ArchiveBoxIcon className="w-4 h-4 text-slate-400" />
+            {question.bankLinked
+              ? 'Linked to your question bank: edits made there update this question'
+              : 'From your question bank'}
+          </div>
+        )}
+
         {/* Question Type */}
         <div className="flex items-center gap-2">
           <Listbox value={question.type || 'multiple_choice'} onChange={handleTypeChange}>
@@ -302,8 +491,119 @@ export default function QuestionForm({
           >
             <InformationCircleIcon className="w-5 h-5" />
           </button>
+
+          {/* Questions in a pool are drawn at random for each learner */}
+          <input
+            type="text"
+            value={question.pool || ''}
+            onChange={(e) => onChange({ ...question, pool: e.target.value })}
+            placeholder="Pool (optional)"
+            list={`pools-${questionNumber}`}
+            className="w-40 px-3 py-2 text-sm rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+            aria-label="Question pool"
+          />
+          <datalist id={`pools-${questionNumber}`}>
+            {pools.map(pool => <option key={pool} value={pool} />)}
+          </datalist>
+
+          {AI_REFINABLE_TYPES.includes(question.type) && (
+            <Menu as="div" className="relative ml-auto">
+              <Menu.Button
+                disabled={!!refiningAction}
+                className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+              >
+                <SparklesIcon className="w-4 h-4" />
+                {refiningAction ? 'Refining...' : 'Refine with AI'}
+              </Menu.Button>
+              <Menu.Items className="absolute right-0 z-10 mt-2 w-52 origin-top-right rounded-md bg-white py-1 shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
+                {REFINE_ACTIONS
+                  .filter(action => !action.types || action.types.includes(question.type))
+                  .map(action => (
+                    <Menu.Item key={action.id}>
+                      {({ active }) => (
+                        <button
+                          type="button"
+                          onClick={() => (action.id === 'translate' ? setShowTranslate(true) : handleRefine(action.id))}
+                          className={`${active ? 'bg-slate-100' : ''} flex w-full px-4 py-2 text-sm text-slate-900`}
+                        >
+                          {action.label}
+                        </button>
+                      )}
+                    </Menu.Item>
+                  ))}
+              </Menu.Items>
+            </Menu>
+          )}
         </div>
 
+        {showTranslate && (
+          <div className="flex items-center gap-3">
+            <input
+              type="text"
+              value={translateLanguage}
+              onChange={(e) => setTranslateLanguage(e.target.value)}
+              placeholder="Target language, e.g. Spanish"
+              className="flex-1 px-4 py-2 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+            />
+            <button
+              type="button"
+              onClick={() => handleRefine('translate')}
+              disabled={!translateLanguage.trim() || !!refiningAction}
+              className="px-4 py-2 text-sm font-medium text-white bg-[#06545E] rounded-lg hover:bg-[#06545E]/90 disabled:opacity-50"
+            >
+              {refiningAction === 'translate' ? 'Translating...' : 'Translate'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowTranslate(false)}
+              className="text-slate-400 hover:text-slate-600"
+              title="Cancel"
+            >
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+
+        {/* Suggested AI changes, applied only when the tutor accepts them */}
+        {refinement && (
+          <div className="rounded-xl border border-[#06545E]/30 bg-slate-50 p-4 space-y-4">
+            <div className="flex items-center gap-2">
+              <SparklesIcon className="w-5 h-5 text-[#06545E]" />
+              <h4 className="text-base font-medium text-slate-900">
+                Suggested changes: {REFINE_ACTIONS.find(action => action.id === refinement.action)?.label}
+              </h4>
+            </div>
+            {refinement.changes.map(change => (
+              <div key={change.field} className="space-y-1">
+                <p className="text-sm font-medium text-slate-700">{getChangeLabel(change.field, question.type)}</p>
+                <p className="whitespace-pre-line text-sm px-3 py-2 rounded-lg bg-red-50 text-red-700 line-through">
+                  {formatChangeValue(change.before, change.field)}
+                </p>
+                <p className="whitespace-pre-line text-sm px-3 py-2 rounded-lg bg-green-50 text-green-700">
+                  {formatChangeValue(change.after, change.field)}
+                </p>
+              </div>
+            ))}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setRefinement(null)}
+                className="px-4 py-2 text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50"
+              >
+                Reject
+              </button>
+              <button
+                type="button"
+                onClick={handleAcceptRefinement}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-[#06545E] rounded-lg hover:bg-[#06545E]/90"
+              >
+                <CheckIcon className="w-4 h-4" />
+                Accept
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Question Content */}
         <div className="space-y-4">
           <label className="block text-base font-medium text-slate-900">
@@ -353,6 +653,17 @@ export default function QuestionForm({
               )}
             </label>
           </div>
+          {question.source && (
+            <div className="flex items-start gap-2 px-4 py-3 rounded-xl bg-slate-50 border border-slate-200 text-sm text-slate-600">
+              <DocumentIcon className="w-5 h-5 flex-shrink-0 text-slate-400" />
+              <p>
+                <span className="font-medium text-slate-700">
+                  Source: {question.source.document}{question.source.page ? `, page ${question.source.page}` : ''}
+                </span>
+                <span className="block mt-1 italic">&ldquo;{question.source.quote}&rdquo;</span>
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Question Options */}
@@ -457,6 +768,55 @@ export default function QuestionForm({
             <p className="text-sm text-slate-500">
               This will be used as a reference for grading. Students' answers will be compared against this.
             </p>
+
+            {/* Rubric criteria are kept in options, which paragraph questions don't otherwise use */}
+            <h4 className="text-base font-medium text-slate-900">Rubric</h4>
+            <div className="space-y-3">
+              {(question.options || []).map((item, index) => (
+                <div key={index} className="flex items-center gap-3">
+                  <input
+                    type="text"
+                    value={item.criterion || ''}
+                    onChange={(e) => {
+                      const newOptions = [...question.options]
+                      newOptions[index] = { ...item, criterion: e.target.value }
+                      onChange({ ...question, options: newOptions })
+                    }}
+                    placeholder={`Criterion ${index + 1}`}
+                    className="flex-1 px-4 py-2 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={item.points || 1}
+                    onChange={(e) => {
+                      const newOptions = [...question.options]
+                      newOptions[index] = { ...item, points: parseInt(e.target.value, 10) || 1 }
+                      onChange({ ...question, options: newOptions })
+                    }}
+                    className="w-20 px-3 py-2 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+                    aria-label={`Points for criterion ${index + 1}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => onChange({ ...question, options: question.options.filter((_, i) => i !== index) })}
+                    className="text-slate-400 hover:text-slate-600"
+                    title="Remove criterion"
+                  >
+                    <XMarkIcon className="w-5 h-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => onChange({ ...question, options: [...(question.options || []), { criterion: '', points: 1 }] })}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              <PlusIcon className="w-4 h-4" />
+              Add Criterion
+            </button>
           </div>
         )}
 
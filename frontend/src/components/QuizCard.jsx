@@ -5,6 +5,7 @@ import { getImageUrl } from '../utils/apiUrl';
 import { quizzes } from '../api';
 import { toast } from 'react-hot-toast';
 import logger from '../utils/logger';
+import { saveDownload } from '../utils/download';
 import { 
   EyeIcon, 
   PlayIcon, 
@@ -16,17 +17,29 @@ import {
   QuestionMarkCircleIcon,
   ClipboardDocumentIcon,
   LinkIcon,
-  EnvelopeIcon
+  EnvelopeIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  ChartBarIcon
 } from '@heroicons/react/24/outline';
 import DeleteQuizModal from './DeleteQuizModal';
 import ShareByEmailModal from './ShareByEmailModal';
+import ImportQuestionsModal from './ImportQuestionsModal';
 
 const defaultImage = 'https://placehold.co/600x400/e9e9e9/5d5d5d?text=Quiz+Image';
 
+// Formats a quiz can be downloaded in for other learning systems
+const EXPORT_FORMATS = [
+  { id: 'qti', label: 'Export as QTI 2.1' },
+  { id: 'gift', label: 'Export as GIFT' },
+  { id: 'aiken', label: 'Export as Aiken' }
+];
+
 const QuizCard = ({ quiz, onStatusChange, isListView }) => {
   const navigate = useNavigate();
   const [isDeleteModalOpen, setIsDeleteModalOpen] = React.useState(false);
   const [isShareByEmailModalOpen, setIsShareByEmailModalOpen] = React.useState(false);
+  const [isImportQuestionsModalOpen, setIsImportQuestionsModalOpen] = React.useState(false);
   const {
     id,
     title,
@@ -49,6 +62,7 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
 
   const [isLoading, setIsLoading] = React.useState(false);
   const [copied, setCopied] = React.useState({ code: false, url: false });
+  const [isRotating, setIsRotating] = React.useState(false);
   const [parsedSettings, setParsedSettings] = React.useState({});
 
   // Parse settings on component mount or when quiz/settings change
@@ -202,6 +216,30 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
     return `${window.location.origin}/quiz/${accessCode}`;
   };
 
+  const handleRotateAccessCode = async () => {
+    if (!window.confirm('Generate a new access code? The current code and share link will stop working immediately.')) {
+      return;
+    }
+    
+    try {
+      setIsRotating(true);
+      const response = await quizzes.rotateAccessCode(id);
+      const newAccessCode = response.data?.accessCode;
+      
+      setParsedSettings(prev => ({ ...prev, accessCode: newAccessCode }));
+      toast.success('Access code regenerated');
+      
+      if (onStatusChange) {
+        onStatusChange();
+      }
+    } catch (error) {
+      logger.error('Error rotating access code:', error);
+      toast.error(error.response?.data?.error || 'Failed to regenerate access code');
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
   const toggleQuizStatus = async () => {
     try {
       setIsLoading(true);
@@ -224,6 +262,24 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      const response = await quizzes.exportQuiz(id, format);
+      saveDownload(response, `quiz-${id}`);
+
+      // Questions the format cannot represent are left out of the file
+      const skipped = JSON.parse(decodeURIComponent(response.headers['x-export-skipped'] || '%5B%5D'));
+      if (skipped.length > 0) {
+        toast(`${skipped.length} ${skipped.length === 1 ? 'question was' : 'questions were'} left out: ${skipped.map(item => `Q${item.item} (${item.reason})`).join(', ')}`, { icon: '⚠️', duration: 8000 });
+      } else {
+        toast.success('Quiz exported');
+      }
+    } catch (error) {
+      logger.error('Error exporting quiz:', error);
+      toast.error('Failed to export quiz');
+    }
+  };
+
   const shareViaEmail = () => {
     setIsShareByEmailModalOpen(true);
   };
@@ -373,6 +429,52 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
                       </button>
                     )}
                   </Menu.Item>
+                  
+                  <Menu.Item>
+                    {({ active }) => (
+                      <button
+                        onClick={() => navigate(`/quiz/${id}/analytics`)}
+                        className={`${
+                          active ? 'bg-gray-100' : ''
+                        } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                        disabled={status !== 'published'}
+                      >
+                        <ChartBarIcon className="w-4 h-4 mr-2 text-gray-500" />
+                        Item Analysis
+                      </button>
+                    )}
+                  </Menu.Item>
+                </div>
+                
+                <div className="px-1 py-1">
+                  <Menu.Item>
+                    {({ active }) => (
+                      <button
+                        onClick={() => setIsImportQuestionsModalOpen(true)}
+                        className={`${
+                          active ? 'bg-gray-100' : ''
+                        } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                      >
+                        <ArrowUpTrayIcon className="w-4 h-4 mr-2 text-gray-500" />
+                        Import Questions
+                      </button>
+                    )}
+                  </Menu.Item>
+                  {EXPORT_FORMATS.map(format => (
+                    <Menu.Item key={format.id}>
+                      {({ active }) => (
+                        <button
+                          onClick={() => handleExport(format.id)}
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                        >
+                          <ArrowDownTrayIcon className="w-4 h-4 mr-2 text-gray-500" />
+                          {format.label}
+                        </button>
+                      )}
+                    </Menu.Item>
+                  ))}
                 </div>
                 
                 <div className="px-1 py-1">
@@ -416,9 +518,14 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
         <ShareByEmailModal
           isOpen={isShareByEmailModalOpen}
           onClose={() => setIsShareByEmailModalOpen(false)}
-          quizTitle={title}
-          quizId={id}
-          accessCode={parsedSettings?.accessCode || access_code}
+          quiz={{ ...quiz, settings: parsedSettings }}
+        />
+        
+        <ImportQuestionsModal
+          isOpen={isImportQuestionsModalOpen}
+          onClose={() => setIsImportQuestionsModalOpen(false)}
+          quiz={quiz}
+          onImported={onStatusChange}
         />
       </>
     );
@@ -547,6 +654,52 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
                         </button>
                       )}
                     </Menu.Item>
+                    
+                    <Menu.Item>
+                      {({ active }) => (
+                        <button
+                          onClick={() => navigate(`/quiz/${id}/analytics`)}
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                          disabled={status !== 'published'}
+                        >
+                          <ChartBarIcon className="w-4 h-4 mr-2 text-gray-500" />
+                          Item Analysis
+                        </button>
+                      )}
+                    </Menu.Item>
+                  </div>
+                  
+                  <div className="px-1 py-1">
+                    <Menu.Item>
+                      {({ active }) => (
+                        <button
+                          onClick={() => setIsImportQuestionsModalOpen(true)}
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                        >
+                          <ArrowUpTrayIcon className="w-4 h-4 mr-2 text-gray-500" />
+                          Import Questions
+                        </button>
+                      )}
+                    </Menu.Item>
+                    {EXPORT_FORMATS.map(format => (
+                      <Menu.Item key={format.id}>
+                        {({ active }) => (
+                          <button
+                            onClick={() => handleExport(format.id)}
+                            className={`${
+                              active ? 'bg-gray-100' : ''
+                            } group flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                          >
+                            <ArrowDownTrayIcon className="w-4 h-4 mr-2 text-gray-500" />
+                            {format.label}
+                          </button>
+                        )}
+                      </Menu.Item>
+                    ))}
                   </div>
                   
                   <div className="px-1 py-1">
@@ -616,12 +769,22 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
                   <ClipboardDocumentIcon className="w-4 h-4 text-gray-500 mr-1.5" />
                   <span className="text-sm text-gray-800 font-medium">Access Code</span>
                 </div>
-                <button
-                  onClick={() => handleCopy('code', parsedSettings?.accessCode || access_code)}
-                  className="text-xs text-primary hover:text-primary-dark"
-                >
-                  {copied.code ? 'Copied!' : 'Copy'}
-                </button>
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={handleRotateAccessCode}
+                    disabled={isRotating}
+                    className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                    title="Revoke this code and generate a new one"
+                  >
+                    {isRotating ? 'Regenerating...' : 'Regenerate'}
+                  </button>
+                  <button
+                    onClick={() => handleCopy('code', parsedSettings?.accessCode || access_code)}
+                    className="text-xs text-primary hover:text-primary-dark"
+                  >
+                    {copied.code ? 'Copied!' : 'Copy'}
+                  </button>
+                </div>
               </div>
               <div className="mt-1 text-sm font-mono bg-gray-50 p-1.5 rounded border border-gray-200 text-gray-800">
                 <code id={`access-code-${id}`}>
@@ -671,9 +834,14 @@ const QuizCard = ({ quiz, onStatusChange, isListView }) => {
       <ShareByEmailModal
         isOpen={isShareByEmailModalOpen}
         onClose={() => setIsShareByEmailModalOpen(false)}
-        quizTitle={title}
-        quizId={id}
-        accessCode={parsedSettings?.accessCode || access_code}
+        quiz={{ ...quiz, settings: parsedSettings }}
+      />
+      
+      <ImportQuestionsModal
+        isOpen={isImportQuestionsModalOpen}
+        onClose={() => setIsImportQuestionsModalOpen(false)}
+        quiz={quiz}
+        onImported={onStatusChange}
       />
     </>
   );
@@ -133,6 +133,19 @@ export default function QuizPreview({ quiz }) {
                 <div className="space-y-2">
                   <h4 className="text-sm font-medium text-slate-700">Sample Answer:</h4>
                   <p className="text-slate-600 bg-slate-50 p-4 rounded-lg">{question.correctAnswer}</p>
+                  {Array.isArray(question.options) && question.options.length > 0 && (
+                    <>
+                      <h4 className="text-sm font-medium text-slate-700">Rubric:</h4>
+                      <ul className="space-y-1">
+                        {question.options.map((item, itemIndex) => (
+                          <li key={itemIndex} className="flex justify-between gap-4 text-sm text-slate-600">
+                            <span>{item.criterion}</span>
+                            <span className="font-medium text-slate-700">{item.points} pt{item.points === 1 ? '' : 's'}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
                 </div>
               )}
 
@@ -157,7 +170,7 @@ export default function QuizPreview({ quiz }) {
               )}
 
               {/* Fill in the Blank */}
-              {question.type === 'fill_in_blank' && (
+              {(question.type === 'fill_in_blanks' || question.type === 'fill_in_blank') && (
                 <div className="space-y-3">
                   <p className="text-slate-900">{question.content}</p>
                   <div className="space-y-2">
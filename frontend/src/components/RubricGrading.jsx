@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { SparklesIcon } from '@heroicons/react/24/outline'
+import { quizzes } from '../api'
+
+// Start from the saved grade, otherwise from the AI proposal, otherwise from zero
+const initialCriteria = (rubric, response) => {
+  const source = response.grade?.criteria || response.aiProposal?.criteria || []
+  return rubric.map((item, index) => ({
+    score: source[index]?.score ?? 0,
+    feedback: source[index]?.feedback || ''
+  }))
+}
+
+const formatPoints = (value) => Math.round((value || 0) * 100) / 100
+
+export default function RubricGrading({ quizId, submissionId, rubric, response, onSaved }) {
+  const [criteria, setCriteria] = useState(() => initialCriteria(rubric, response))
+  const [feedback, setFeedback] = useState(response.grade?.feedback ?? response.aiProposal?.feedback ?? '')
+  const [saving, setSaving] = useState(false)
+
+  const proposal = response.aiProposal?.criteria ? response.aiProposal : null
+  const maxScore = rubric.reduce((sum, item) => sum + item.points, 0)
+  const total = criteria.reduce((sum, item) => sum + (Number(item.score) || 0), 0)
+
+  const updateCriterion = (index, changes) => {
+    setCriteria(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+  }
+
+  const saveGrade = async (grade) => {
+    try {
+      setSaving(true)
+      const result = await quizzes.saveGrades(quizId, submissionId, [{ questionId: response.questionId, ...grade }])
+      onSaved(result.data.submission)
+      toast.success('Grade saved')
+    } catch (err) {
+      console.error('Error saving grade:', err)
+      toast.error(err.response?.data?.details || err.response?.data?.error || 'Failed to save grade')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mt-3 border-t border-gray-200 pt-3">
+      {response.aiProposal?.error && (
+        <p className="mb-2 text-xs text-yellow-800">
+          The AI could not propose a grade: {response.aiProposal.error}
+        </p>
+      )}
+
+      <table className="min-w-full text-sm">
+        <thead className="text-gray-500">
+          <tr>
+            <th className="py-1 pr-3 text-left font-medium">Criterion</th>
+            {proposal && (
+              <th className="py-1 pr-3 text-left font-medium">
+                <span className="inline-flex items-center gap-1">
+                  <SparklesIcon className="w-4 h-4" />
+                  AI proposal
+                </span>
+              </th>
+            )}
+            <th className="py-1 pr-3 text-left font-medium">Score</th>
+            <th className="py-1 text-left font-medium">Feedback</th>
+          </tr>
+        </thead>
+        <tbody className="align-top">
+          {rubric.map((item, index) => (
+            <tr key={index}>
+              <td className="py-1 pr-3">
+                {item.criterion} <span className="text-gray-500">({item.points} pts)</span>
+              </td>
+              {proposal && (
+                <td className="py-1 pr-3 text-gray-600">
+                  <span className="font-medium">{formatPoints(proposal.criteria[index]?.score)}</span>
+                  {proposal.criteria[index]?.feedback && (
+                    <span className="block text-xs">{proposal.criteria[index].feedback}</span>
+                  )}
+                </td>
+              )}
+              <td className="py-1 pr-3">
+                <input
+                  type="number"
+                  min="0"
+                  max={item.points}
+                  step="0.5"
+                  value={criteria[index].score}
+                  onChange={(e) => updateCriterion(index, { score: e.target.value })}
+                  className="w-20 px-2 py-1 rounded-md border border-gray-300 focus:outline-none focus:ring-1 focus:ring-teal-500"
+                  aria-label={`Score for ${item.criterion}`}
+                />
+              </td>
+              <td className="py-1">
+                <input
+                  type="text"
+                  value={criteria[index].feedback}
+                  onChange={(e) => updateCriterion(index, { feedback: e.target.value })}
+                  className="w-full px-2 py-1 rounded-md border border-gray-300 focus:outline-none focus:ring-1 focus:ring-teal-500"
+                  aria-label={`Feedback for ${item.criterion}`}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <textarea
+        value={feedback}
+        onChange={(e) => setFeedback(e.target.value)}
+        placeholder="Overall feedback for the learner"
+        rows={2}
+        className="mt-2 w-full px-2 py-1 text-sm rounded-md border border-gray-300 focus:outline-none focus:ring-1 focus:ring-teal-500"
+      />
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium mr-auto">
+          Total: {formatPoints(total)} / {maxScore}
+        </span>
+        {proposal && (
+          <button
+            type="button"
+            onClick={() => saveGrade({ accept: true })}
+            disabled={saving}
+            className="px-3 py-1 text-sm border border-teal-700 text-teal-700 rounded-md hover:bg-teal-50 disabled:opacity-50"
+          >
+            Accept AI grade ({formatPoints(proposal.score)} / {proposal.maxScore})
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => saveGrade({
+            criteria: criteria.map(item => ({ score: Number(item.score) || 0, feedback: item.feedback })),
+            feedback
+          })}
+          disabled={saving}
+          className="px-3 py-1 text-sm bg-teal-700 text-white rounded-md hover:bg-teal-800 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : proposal ? 'Save override' : 'Save grade'}
+        </button>
+      </div>
+
+      {response.grade && (
+        <p className="mt-2 text-xs text-gray-500">
+          {response.grade.acceptedAiProposal ? 'AI proposal accepted' : 'Graded'} by {response.grade.gradedBy?.name || 'a tutor'} on {new Date(response.grade.gradedAt).toLocaleString()}
+        </p>
+      )}
+    </div>
+  )
+}
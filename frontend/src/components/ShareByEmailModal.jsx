@@ -1,14 +1,43 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import Modal from './Modal';
+import { quizzes } from '../api';
 import { EnvelopeIcon, UserPlusIcon } from '@heroicons/react/24/outline';
 import { XMarkIcon } from '@heroicons/react/20/solid';
 
+// Badge colours for each invitation tracking step
+const INVITATION_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  sent: 'bg-blue-100 text-blue-700',
+  failed: 'bg-red-100 text-red-700',
+  opened: 'bg-yellow-100 text-yellow-800',
+  submitted: 'bg-green-100 text-green-700'
+};
+
 const ShareByEmailModal = ({ isOpen, onClose, quiz }) => {
   const [emails, setEmails] = useState([]);
   const [currentEmail, setCurrentEmail] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [customMessage, setCustomMessage] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [invitations, setInvitations] = useState([]);
+
+  // Load previously sent invitations so the tutor can follow their progress
+  const fetchInvitations = async () => {
+    if (!quiz?.id) return;
+    try {
+      const response = await quizzes.getInvitations(quiz.id);
+      setInvitations(response.data.invitations || []);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchInvitations();
+    }
+  }, [isOpen, quiz?.id]);
 
   // Generate the quiz URL
   const getQuizUrl = () => {
@@ -82,45 +111,23 @@ const ShareByEmailModal = ({ isOpen, onClose, quiz }) => {
     
     setIsLoading(true);
     try {
-      // In a real implementation, you would call an API endpoint here
-      // For now, we'll just simulate success
-      
-      // Mock API call to send emails
-      setTimeout(() => {
-        toast.success(`Invitations sent successfully to ${emails.length} learners`);
-        setIsLoading(false);
-        setEmails([]);
-        setCustomMessage('');
-        onClose();
-      }, 1500);
-      
-      // Actual API call would look something like this:
-      /*
-      const response = await fetch('/api/quizzes/share', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          quizId: quiz.id,
-          emails,
-          message: customMessage,
-          accessCode: accessCode
-        }),
+      const response = await quizzes.invite(quiz.id, {
+        emails,
+        message: customMessage,
+        dueDate: dueDate ? new Date(dueDate).toISOString() : undefined
       });
+      const { sent, failed } = response.data;
       
-      if (!response.ok) {
-        throw new Error('Failed to send invitations');
+      if (failed > 0) {
+        toast.error(`${failed} invitation(s) could not be sent`);
       }
-      
-      toast.success(`Invitations sent successfully to ${emails.length} learners`);
+      toast.success(`Invitations sent successfully to ${sent} learners`);
       setEmails([]);
       setCustomMessage('');
-      onClose();
-      */
-      
+      setDueDate('');
+      fetchInvitations();
     } catch (error) {
-      toast.error('Failed to send invitations');
+      toast.error(error.response?.data?.error || 'Failed to send invitations');
       console.error('Error sending invitations:', error);
     } finally {
       setIsLoading(false);
@@ -217,6 +224,38 @@ const ShareByEmailModal = ({ isOpen, onClose, quiz }) => {
           />
         </div>
         
+        {/* Due Date */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Due Date (Optional)
+          </label>
+          <input
+            type="datetime-local"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-teal-500 focus:ring-teal-500 sm:text-sm"
+          />
+        </div>
+        
+        {/* Invitation Tracking */}
+        {invitations.length > 0 && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Invited ({invitations.length})
+            </label>
+            <div className="border border-gray-200 rounded-md max-h-[160px] overflow-y-auto divide-y divide-gray-100">
+              {invitations.map((invitation) => (
+                <div key={invitation.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <span className="text-gray-800 truncate mr-2">{invitation.email}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${INVITATION_STATUS_STYLES[invitation.progress] || INVITATION_STATUS_STYLES.pending}`}>
+                    {invitation.progress}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
         {/* Actions */}
         <div className="mt-5 sm:mt-6 sm:grid sm:grid-cols-2 sm:gap-3 sm:grid-flow-row-dense">
           <button
@@ -5,6 +5,7 @@ import { useLocation, useNavigate } from 'react-router-dom'
 import { toast } from 'react-hot-toast'
 import DashboardLayout from '../components/DashboardLayout'
 import QuestionForm from '../components/QuestionForm'
+import QuestionBankModal from '../components/QuestionBankModal'
 import { 
   DocumentTextIcon,
   SparklesIcon,
@@ -12,7 +13,9 @@ import {
   ArrowLeftIcon,
   CheckCircleIcon,
   ChevronUpDownIcon,
-  CheckIcon
+  CheckIcon,
+  XMarkIcon,
+  ArchiveBoxIcon
 } from '@heroicons/react/24/outline'
 import cloudUploadIcon from '../assets/cloud-upload.svg'
 import logoAI from '../assets/logoai.svg'
@@ -20,6 +23,8 @@ import QuizPreview from '../components/QuizPreview'
 import { Switch } from '@headlessui/react'
 import QuizPublishSuccess from '../components/QuizPublishSuccess';
 import { getApiUrl } from '../utils/apiUrl';
+import { readEventStream } from '../utils/eventStream';
+import { quizzes } from '../api';
 
 const QUESTION_TYPES = [
   { id: 'multiple_choice', label: 'Multiple Choice' },
@@ -32,7 +37,7 @@ const QUESTION_TYPES = [
 ]
 
 // Question types that can be generated by AI
-const AI_SUPPORTED_TYPES = ['multiple_choice', 'true_false', 'matching'];
+const AI_SUPPORTED_TYPES = ['multiple_choice', 'true_false', 'matching', 'dropdown', 'fill_in_blanks', 'paragraph'];
 
 const emptyQuestion = {
   type: 'multiple_choice',
@@ -67,6 +72,8 @@ export default function CreateQuiz() {
     selectedQuestionTypes: ['multiple_choice', 'true_false'],
     settings: {
       shuffle: false,
+      shuffleOptions: false,
+      pools: [],
       passMark: 60,
       autoGrade: true,
       showAnswers: false,
@@ -118,8 +125,16 @@ export default function CreateQuiz() {
   const defaultIndex = location.state?.isAI ? 1 : 0
   
   const [isGenerating, setIsGenerating] = useState(false)
+  const [aiProviders, setAiProviders] = useState([])
+  const [aiProvider, setAiProvider] = useState('')
+  const [streamedQuestions, setStreamedQuestions] = useState([])
+  const [sourceFile, setSourceFile] = useState(null)
+  // Identical requests are answered from the server's cache unless fresh questions are asked for
+  const [forceFresh, setForceFresh] = useState(false)
+  const generationAbortRef = useRef(null)
   const [isSaving, setIsSaving] = useState(false)
   const [isPublishing, setIsPublishing] = useState(false);
+  const [showBank, setShowBank] = useState(false)
 
   useEffect(() => {
     // Check if there's a method specified in the location state
@@ -130,6 +145,18 @@ export default function CreateQuiz() {
     }
   }, [location.state]);
 
+  // Load the AI providers this deployment offers; the default one is preselected
+  useEffect(() => {
+    quizzes.getAIProviders()
+      .then(response => {
+        const configured = (response.data.providers || []).filter(p => p.configured)
+        setAiProviders(configured)
+        const defaultProvider = configured.find(p => p.isDefault) || configured[0]
+        if (defaultProvider) setAiProvider(defaultProvider.name)
+      })
+      .catch(error => console.error('Error loading AI providers:', error))
+  }, [])
+
   const handleInputChange = (e) => {
     const { name, value } = e.target
     setQuizData(prev => ({
@@ -193,10 +220,23 @@ export default function CreateQuiz() {
     }))
   }
 
+  const handleAddFromBank = (bankQuestions) => {
+    setQuizData(prev => ({
+      ...prev,
+      questions: [...prev.questions, ...bankQuestions]
+    }))
+    toast.success(`Added ${bankQuestions.length} question${bankQuestions.length === 1 ? '' : 's'} from your bank`)
+  }
+
   const handleQuestionChange = (index, updatedQuestion) => {
     setQuizData(prev => ({
       ...prev,
-      questions: prev.questions.map((q, i) => i === index ? updatedQuestion : q)
+      questions: prev.questions.map((q, i) => {
+        if (i !== index) return q
+        // Editing a linked question here turns it into a copy so bank updates don't overwrite the edit
+        const edited = ['type', 'content', 'options', 'correctAnswer'].some(field => updatedQuestion[field] !== q[field])
+        return q.bankLinked && edited ? { ...updatedQuestion, bankLinked: false } : updatedQuestion
+      })
     }))
   }
 
@@ -303,6 +343,28 @@ export default function CreateQuiz() {
     }))
   }
 
+  // Pools are named on the questions; each learner gets `draw` random questions from each one
+  const questionPools = Object.entries(
+    quizData.questions.reduce((counts, question) => {
+      const name = question.pool?.trim()
+      if (name) counts[name] = (counts[name] || 0) + 1
+      return counts
+    }, {})
+  ).map(([name, count]) => {
+    const draw = quizData.settings.pools.find(pool => pool.name === name)?.draw
+    return { name, count, draw: draw ? Math.min(draw, count) : count }
+  })
+
+  const handlePoolDrawChange = (name, draw) => {
+    setQuizData(prev => ({
+      ...prev,
+      settings: {
+        ...prev.settings,
+        pools: [...prev.settings.pools.filter(pool => pool.name !== name), { name, draw }]
+      }
+    }))
+  }
+
   const validateQuizData = () => {
     try {
       const questions = quizData.questions;
@@ -530,12 +592,19 @@ export default function CreateQuiz() {
       const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
       
       try {
-        const response = await fetch(getApiUrl(`/quizzes/${quizData.id}/publish`), {
+        const response = await fetch(getApiUrl(`/api/quizzes/${quizData.id}/publish`), {
           method: 'PUT', // Changed from POST to PUT to match the server route
           headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
           },
+          // Settings are chosen after the quiz is saved, so persist them on publish
+          body: JSON.stringify({
+            settings: {
+              ...quizData.settings,
+              pools: questionPools.map(({ name, draw }) => ({ name, draw }))
+            }
+          }),
           signal: controller.signal
         });
 
@@ -643,18 +712,13 @@ export default function CreateQuiz() {
         return;
       }
       
-      if (!quizData.numberOfQuestions || quizData.numberOfQuestions < 1) {
-        toast.error('Please enter a valid number of questions');
+      if (!quizData.numberOfQuestions || quizData.numberOfQuestions < 1 || quizData.numberOfQuestions > 50) {
+        toast.error('Please enter a number of questions from 1 to 50');
         return;
       }
       
       setIsGenerating(true);
-      
-      // Notify user that generation has started
-      toast.loading('Generating quiz questions with AI. This may take up to 30 seconds...', {
-        id: 'generation-toast',
-        duration: 30000
-      });
+      setStreamedQuestions([]);
       
       const token = localStorage.getItem('token');
       if (!token) {
@@ -681,122 +745,155 @@ export default function CreateQuiz() {
         questionTypes: aiSupportedTypes
       });
 
-      const response = await fetch(getApiUrl('/api/quizzes/generate'), {
+      // Questions are streamed back as they are generated; aborting closes the stream
+      // and cancels the generation on the server
+      const controller = new AbortController();
+      generationAbortRef.current = controller;
+      const generatedQuestions = [];
+
+      const params = {
+        topic: quizData.title,
+        instructions: quizData.description,
+        complexity: quizData.complexity,
+        category: quizData.category,
+        numberOfQuestions: quizData.numberOfQuestions || 5,
+        questionTypes: aiSupportedTypes,
+        provider: aiProvider || undefined,
+        forceFresh: forceFresh || undefined
+      };
+
+      // With source material the request is sent as multipart form data so the document can be attached
+      let body = JSON.stringify(params);
+      const headers = { 'Authorization': `Bearer ${token}` };
+      if (sourceFile) {
+        body = new FormData();
+        Object.entries(params).forEach(([key, value]) => {
+          if (value === undefined) return;
+          body.append(key, Array.isArray(value) ? JSON.stringify(value) : value);
+        });
+        body.append('source', sourceFile);
+      } else {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const response = await fetch(getApiUrl('/api/quizzes/generate/stream'), {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          topic: quizData.title,
-          instructions: quizData.description,
-          complexity: quizData.complexity,
-          category: quizData.category,
-          numberOfQuestions: quizData.numberOfQuestions || 5,
-          questionTypes: aiSupportedTypes
-        })
+        headers,
+        body,
+        signal: controller.signal
       });
 
       if (!response.ok) {
         let errorMessage = 'Server error';
         try {
           const errorData = await response.json();
-          errorMessage = errorData.error || `Server error: ${response.status}`;
+          errorMessage = errorData.details ? `${errorData.error}: ${errorData.details}` : errorData.error || `Server error: ${response.status}`;
         } catch (e) {
           errorMessage = `Server error: ${response.status}`;
         }
         throw new Error(errorMessage);
       }
 
-      const data = await response.json();
-
-      if (!data.success || !data.questions) {
-        throw new Error('Failed to generate questions');
+      let summary = null;
+      try {
+        await readEventStream(response, (event, data) => {
+          if (event === 'question') {
+            // The server validates every question against its type's schema, so only the
+            // field names need mapping to the editor's structure
+            const q = data.question;
+            generatedQuestions.push({
+              content: q.text,
+              type: q.type,
+              options: q.options,
+              correctAnswer: q.correctAnswer,
+              explanation: q.explanation || '',
+              source: q.source
+            });
+            setStreamedQuestions([...generatedQuestions]);
+          } else if (event === 'done') {
+            summary = data;
+          } else if (event === 'error') {
+            throw new Error(data.details ? `${data.error}: ${data.details}` : data.error);
+          }
+        });
+      } catch (streamError) {
+        if (streamError.name !== 'AbortError') throw streamError;
       }
 
-      // Format questions to match our expected structure
-      const formattedQuestions = data.questions.map(q => {
-        // Base question structure
-        const formattedQuestion = {
-          content: q.text || q.content,
-          type: q.type || 'multiple_choice',
-          explanation: q.explanation || '',
-        };
-        
-        // Handle different question types
-        switch (q.type) {
-          case 'multiple_choice':
-            formattedQuestion.options = q.options || ['Option 1', 'Option 2', 'Option 3', 'Option 4'];
-            formattedQuestion.correctAnswer = typeof q.correctAnswer === 'number' ? q.correctAnswer : 0;
-            break;
-          case 'true_false':
-            formattedQuestion.options = ['True', 'False'];
-            formattedQuestion.correctAnswer = typeof q.correctAnswer === 'number' ? q.correctAnswer : 0;
-            break;
-          case 'matching':
-            // Handle matching type
-            if (Array.isArray(q.options) && q.options.length > 0 && q.options[0].left) {
-              // Already in the right format
-              formattedQuestion.options = q.options;
-            } else if (Array.isArray(q.items) && Array.isArray(q.matches)) {
-              // Convert from items/matches format to left/right format
-              formattedQuestion.options = q.items.map((item, i) => ({
-                left: item,
-                right: q.matches[i] || ''
-              }));
-            } else {
-              // Default format
-              formattedQuestion.options = [
-                { left: 'Item 1', right: 'Match 1' },
-                { left: 'Item 2', right: 'Match 2' }
-              ];
-            }
-            
-            // Ensure correctAnswer is an array
-            if (Array.isArray(q.correctAnswer)) {
-              formattedQuestion.correctAnswer = q.correctAnswer;
-            } else {
-              formattedQuestion.correctAnswer = Array.from({ length: formattedQuestion.options.length }, (_, i) => i);
-            }
-            break;
-          default:
-            // For unknown types, default to multiple choice
-            formattedQuestion.type = 'multiple_choice';
-            formattedQuestion.options = ['Option 1', 'Option 2', 'Option 3', 'Option 4'];
-            formattedQuestion.correctAnswer = 0;
+      if (generatedQuestions.length === 0) {
+        if (controller.signal.aborted) {
+          toast('Generation cancelled', { id: 'generation-toast' });
+          return;
         }
-        
-        return formattedQuestion;
-      });
+        throw new Error('Failed to generate questions');
+      }
 
-      console.log('Generated questions:', formattedQuestions);
+      console.log('Generated questions:', generatedQuestions);
       
       // Update quiz data with generated questions
       setQuizData(prev => ({
         ...prev,
-        questions: formattedQuestions
+        questions: generatedQuestions
       }));
       
-      // Show success toast
-      toast.success(`Successfully generated ${formattedQuestions.length} questions!`, {
-        id: 'generation-toast',
-        duration: 3000
-      });
+      if (controller.signal.aborted) {
+        toast(`Generation cancelled. Kept the ${generatedQuestions.length} questions generated so far.`, {
+          id: 'generation-toast',
+          duration: 5000
+        });
+      } else if (!summary || summary.partial) {
+        // Questions that never passed validation are left out rather than padded with filler
+        toast(`Generated ${generatedQuestions.length} of ${summary ? summary.requested : quizData.numberOfQuestions} questions. The rest could not be generated in a valid form; add them manually or try again.`, {
+          id: 'generation-toast',
+          icon: '⚠️',
+          duration: 6000
+        });
+      } else if (summary.cache === 'hit') {
+        toast.success(`Reused ${generatedQuestions.length} questions from an identical recent request. Tick "Generate fresh questions" for new ones.`, {
+          id: 'generation-toast',
+          duration: 5000
+        });
+      } else {
+        toast.success(`Successfully generated ${generatedQuestions.length} questions!`, {
+          id: 'generation-toast',
+          duration: 3000
+        });
+      }
       
       // Move to preview step
       setCurrentStep('preview');
       
     } catch (err) {
+      if (err.name === 'AbortError') {
+        toast('Generation cancelled', { id: 'generation-toast' });
+        return;
+      }
       console.error('Error generating quiz:', err);
       toast.error(`Failed to generate quiz: ${err.message}`, {
         id: 'generation-toast',
         duration: 5000
       });
     } finally {
+      generationAbortRef.current = null;
       setIsGenerating(false);
     }
   };
 
+  // Stop a running generation when leaving the page
+  useEffect(() => {
+    return () => {
+      if (generationAbortRef.current) {
+        generationAbortRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleCancelGeneration = () => {
+    if (generationAbortRef.current) {
+      generationAbortRef.current.abort();
+    }
+  };
+
   const handleUseGeneratedQuestions = () => {
     if (aiData.generatedQuestions) {
       setQuizData(prev => ({
@@ -1189,6 +1286,7 @@ export default function CreateQuiz() {
                       placeholder="Enter number of questions"
                       className="quiz-input"
                       min="1"
+                      max="50"
                       required
                     />
                   </div>
@@ -1222,8 +1320,72 @@ export default function CreateQuiz() {
                 </div>
               </div>
 
+              <div className="space-y-2">
+                <label htmlFor="sourceFile" className="block text-sm font-medium text-slate-700">
+                  Source Material (optional)
+                </label>
+                <p className="text-sm text-slate-500">
+                  Upload lecture notes or a chapter and every question will be based on it, citing the passage it comes from.
+                </p>
+                <div className="flex items-center gap-3">
+                  <input
+                    type="file"
+                    id="sourceFile"
+                    accept=".pdf,.docx,.txt,.md"
+                    onChange={(e) => setSourceFile(e.target.files?.[0] || null)}
+                    disabled={isGenerating}
+                    className="text-sm text-slate-700 file:mr-3 file:px-4 file:py-2 file:rounded-full file:border-0 file:text-sm file:font-medium file:bg-slate-100 file:text-slate-900 hover:file:bg-slate-200"
+                  />
+                  {sourceFile && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setSourceFile(null)
+                        document.getElementById('sourceFile').value = ''
+                      }}
+                      disabled={isGenerating}
+                      className="text-slate-400 hover:text-slate-600"
+                      title="Remove source material"
+                    >
+                      <XMarkIcon className="w-5 h-5" />
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs text-slate-500">PDF, DOCX, TXT or Markdown, up to 10MB</p>
+              </div>
+
               {/* AI Generation Button */}
               <div className="pt-6 border-t border-slate-200">
+                {aiProviders.length > 1 && (
+                  <div className="mb-4 max-w-xs">
+                    <label htmlFor="aiProvider" className="block text-sm font-medium text-slate-700 mb-1">
+                      AI Provider
+                    </label>
+                    <select
+                      id="aiProvider"
+                      value={aiProvider}
+                      onChange={(e) => setAiProvider(e.target.value)}
+                      className="quiz-input"
+                      disabled={isGenerating}
+                    >
+                      {aiProviders.map(p => (
+                        <option key={p.name} value={p.name}>
+                          {p.name} ({p.defaultModel})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <label className="mb-4 flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={forceFresh}
+                    onChange={(e) => setForceFresh(e.target.checked)}
+                    disabled={isGenerating}
+                    className="w-4 h-4 rounded border-slate-300 accent-[#06545E]"
+                  />
+                  Generate fresh questions instead of reusing an identical recent request
+                </label>
                 <button
                   type="button"
                   onClick={handleGenerateWithAI}
@@ -1236,7 +1398,7 @@ export default function CreateQuiz() {
                         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                       </svg>
-                      Generating Questions...
+                      Generating Questions... ({streamedQuestions.length}/{quizData.numberOfQuestions || 5})
                     </>
                   ) : (
                     <>
@@ -1245,6 +1407,29 @@ export default function CreateQuiz() {
                     </>
                   )}
                 </button>
+                {isGenerating && (
+                  <button
+                    type="button"
+                    onClick={handleCancelGeneration}
+                    className="ml-3 inline-flex items-center px-6 py-2.5 text-sm font-medium text-slate-700 border border-slate-300 hover:bg-slate-50 rounded-full focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-500"
+                  >
+                    Cancel
+                  </button>
+                )}
+
+                {/* Questions appear here as they are generated */}
+                {isGenerating && streamedQuestions.length > 0 && (
+                  <ol className="mt-6 space-y-3">
+                    {streamedQuestions.map((question, index) => (
+                      <li key={index} className="p-4 bg-slate-50 border border-slate-200 rounded-lg">
+                        <p className="text-xs font-medium text-slate-500 uppercase tracking-wide">
+                          {index + 1}. {question.type.replace('_', ' ')}
+                        </p>
+                        <p className="mt-1 text-sm text-slate-900">{question.content}</p>
+                      </li>
+                    ))}
+                  </ol>
+                )}
               </div>
 
               {/* Add padding at the bottom to account for fixed buttons */}
@@ -1259,17 +1444,35 @@ export default function CreateQuiz() {
                   onChange={(updatedQuestion) => handleQuestionChange(index, updatedQuestion)}
                   onDelete={() => handleDeleteQuestion(index)}
                   questionNumber={index + 1}
+                  aiProvider={aiProvider}
+                  pools={questionPools.map(pool => pool.name)}
                 />
               ))}
 
-              <button
-                type="button"
-                onClick={handleAddQuestion}
-                className="w-full py-4 border-2 border-dashed border-slate-300 rounded-xl text-sm font-medium text-slate-600 hover:text-slate-900 hover:border-slate-400 flex items-center justify-center gap-2"
-              >
-                <PlusIcon className="w-5 h-5" />
-                Add Question
-              </button>
+              <div className="grid grid-cols-2 gap-4">
+                <button
+                  type="button"
+                  onClick={handleAddQuestion}
+                  className="w-full py-4 border-2 border-dashed border-slate-300 rounded-xl text-sm font-medium text-slate-600 hover:text-slate-900 hover:border-slate-400 flex items-center justify-center gap-2"
+                >
+                  <PlusIcon className="w-5 h-5" />
+                  Add Question
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowBank(true)}
+                  className="w-full py-4 border-2 border-dashed border-slate-300 rounded-xl text-sm font-medium text-slate-600 hover:text-slate-900 hover:border-slate-400 flex items-center justify-center gap-2"
+                >
+                  <ArchiveBoxIcon className="w-5 h-5" />
+                  Add from Bank
+                </button>
+              </div>
+
+              <QuestionBankModal
+                isOpen={showBank}
+                onClose={() => setShowBank(false)}
+                onAdd={handleAddFromBank}
+              />
             </div>
           ) : currentStep === 'settings' ? (
             <div className="space-y-8">
@@ -1339,6 +1542,50 @@ export default function CreateQuiz() {
                         />
                       </Switch>
                     </div>
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <label className="text-sm font-medium text-slate-900">Shuffle Options</label>
+                        <p className="text-sm text-slate-500">Randomize the options of multiple choice and dropdown questions</p>
+                      </div>
+                      <Switch
+                        checked={quizData.settings.shuffleOptions}
+                        onChange={(checked) => handleSettingChange('shuffleOptions', checked)}
+                        className={`${
+                          quizData.settings.shuffleOptions ? 'bg-[#06545E]' : 'bg-slate-200'
+                        } relative inline-flex h-5 w-9 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:ring-offset-2`}
+                      >
+                        <span
+                          className={`${
+                            quizData.settings.shuffleOptions ? 'translate-x-4' : 'translate-x-1'
+                          } inline-block h-3 w-3 transform rounded-full bg-white transition-transform`}
+                        />
+                      </Switch>
+                    </div>
+                    {questionPools.length > 0 && (
+                      <div className="space-y-2">
+                        <div>
+                          <label className="text-sm font-medium text-slate-900">Question Pools</label>
+                          <p className="text-sm text-slate-500">Each learner gets this many random questions from each pool; questions without a pool are always asked</p>
+                        </div>
+                        {questionPools.map(pool => (
+                          <div key={pool.name} className="flex items-center justify-between">
+                            <span className="text-sm text-slate-700">{pool.name}</span>
+                            <div className="flex items-center gap-2 text-sm text-slate-500">
+                              <input
+                                type="number"
+                                value={pool.draw}
+                                onChange={(e) => handlePoolDrawChange(pool.name, Math.max(parseInt(e.target.value, 10) || 1, 1))}
+                                className="w-20 px-3 py-2 text-right rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-[#06545E] focus:border-transparent"
+                                min="1"
+                                max={pool.count}
+                                aria-label={`Questions drawn from ${pool.name}`}
+                              />
+                              of {pool.count}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex items-center justify-between">
                       <div>
                         <label className="text-sm font-medium text-slate-900">Show Timer</label>
@@ -1451,7 +1698,7 @@ export default function CreateQuiz() {
                     <div className="flex items-center justify-between">
                       <div>
                         <label className="text-sm font-medium text-slate-900">Attempts Allowed</label>
-                        <p className="text-sm text-slate-500">Number of attempts per student</p>
+                        <p className="text-sm text-slate-500">Number of attempts per student. Invited students are held to it; anyone using the shared link can start over in a new browser.</p>
                       </div>
                       <input
                         type="number"
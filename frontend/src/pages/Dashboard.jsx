@@ -12,6 +12,7 @@ import { useNavigate } from 'react-router-dom'
 import { useQuiz } from '../hooks/useQuiz'
 import { useAuth } from '../context/AuthContext'
 import CreateQuizModal from '../components/CreateQuizModal'
+import ImportQuizModal from '../components/ImportQuizModal'
 
 export default function Dashboard() {
   const navigate = useNavigate()
@@ -19,6 +20,7 @@ export default function Dashboard() {
   const [layoutType, setLayoutType] = React.useState('grid') // 'grid' or 'list'
   const [searchQuery, setSearchQuery] = React.useState('')
   const [isCreateModalOpen, setIsCreateModalOpen] = React.useState(false)
+  const [isImportModalOpen, setIsImportModalOpen] = React.useState(false)
 
   const {
     quizzes,
@@ -326,6 +328,14 @@ export default function Dashboard() {
       <CreateQuizModal 
         isOpen={isCreateModalOpen} 
         onClose={() => setIsCreateModalOpen(false)} 
+        onImport={() => setIsImportModalOpen(true)}
+      />
+
+      {/* Import Quiz Modal */}
+      <ImportQuizModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        onImported={refreshQuizzes}
       />
     </DashboardLayout>
   )
@@ -0,0 +1,96 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import logoText from '../assets/logo-text.svg'
+import { auth } from '../api'
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSent, setIsSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isLoading) return
+
+    setError('')
+    setIsLoading(true)
+
+    try {
+      await auth.resetPassword(email)
+      // The API responds the same way whether or not the account exists
+      setIsSent(true)
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to send reset instructions')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col bg-white pt-8">
+      {/* Logo fixed at top */}
+      <div className="w-full flex justify-center fixed top-8 z-10">
+        <img src={logoText} alt="TestCraft.ai" className="h-6" />
+      </div>
+
+      {/* Main content */}
+      <div className="flex-1 flex flex-col items-center justify-center">
+        <div className="w-full max-w-[700px] mx-auto px-4 sm:px-6 md:px-container-padding">
+          <div className="flex flex-col items-center mt-16">
+            {/* Heading */}
+            <h1 className="text-[36px] font-semibold text-slate-900 mb-2">
+              Forgot your password?
+            </h1>
+            <p className="text-slate-600 font-normal text-paragraph mb-8 text-center">
+              Enter your email and we'll send you a link to choose a new one
+            </p>
+
+            {/* Error message */}
+            {error && (
+              <div className="w-full max-w-[400px] mb-4 p-4 text-red-700 bg-red-100 rounded-lg">
+                {error}
+              </div>
+            )}
+
+            {isSent ? (
+              <div className="w-full max-w-[400px] p-4 text-[#06545E] bg-[#06545E]/10 rounded-lg">
+                If an account exists for <span className="font-medium">{email}</span>, you will receive an email
+                with reset instructions shortly. The link expires in one hour.
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="w-full max-w-[400px] space-y-4">
+                <div>
+                  <input
+                    type="email"
+                    placeholder="Email address"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full h-14 px-6 rounded-full border border-slate-400 focus:border-[#06545E] focus:outline-none focus:ring-2 focus:ring-[#06545E]/20 transition-colors text-body"
+                    required
+                    disabled={isLoading}
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="w-full h-14 bg-[#06545E] text-[#FFFFFF] rounded-full font-medium transition-colors hover:bg-[#06545E]/90 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Sending...' : 'Send reset link'}
+                </button>
+              </form>
+            )}
+
+            {/* Back to login */}
+            <p className="mt-6 text-body text-secondary-gray">
+              Remembered it?{' '}
+              <Link to="/login" className="text-[#06545E] font-medium hover:opacity-90">
+                Back to login
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -110,6 +110,11 @@ export default function Login() {
                   )}
                 </button>
               </div>
+              <div className="flex justify-end">
+                <Link to="/forgot-password" className="text-sm text-[#06545E] font-medium hover:opacity-90">
+                  Forgot password?
+                </Link>
+              </div>
               <button
                 type="submit"
                 className="w-full h-14 bg-[#06545E] text-[#FFFFFF] rounded-full font-medium transition-colors hover:bg-[#06545E]/90 disabled:opacity-50 disabled:cursor-not-allowed"
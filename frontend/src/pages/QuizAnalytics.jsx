@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import DashboardLayout from '../components/DashboardLayout'
+import { toast } from 'react-hot-toast'
+import { statistics } from '../api'
+import { ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/20/solid'
+
+// What each question flag means for the tutor
+const FLAG_LABELS = {
+  insufficient_data: { label: 'Too few graded answers', style: 'bg-gray-100 text-gray-700' },
+  too_hard: { label: 'Very hard', style: 'bg-amber-100 text-amber-800' },
+  too_easy: { label: 'Very easy', style: 'bg-amber-100 text-amber-800' },
+  low_discrimination: { label: 'Low discrimination', style: 'bg-amber-100 text-amber-800' },
+  negative_discrimination: { label: 'Negative discrimination', style: 'bg-red-100 text-red-800' },
+  possible_miskey: { label: 'Check the answer key', style: 'bg-red-100 text-red-800' },
+  non_functioning_distractors: { label: 'Unused distractors', style: 'bg-amber-100 text-amber-800' }
+}
+
+const OPTION_FLAG_LABELS = {
+  non_functioning: 'Rarely picked',
+  attracts_high_scorers: 'Picked by strong learners'
+}
+
+const formatShare = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`)
+const formatNumber = (value) => (value === null || value === undefined ? '-' : value.toFixed(2))
+
+export default function QuizAnalytics() {
+  const { id } = useParams()
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [data, setData] = useState(null)
+  const [expanded, setExpanded] = useState({})
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await statistics.getQuizStats(id)
+      setData(response.data)
+    } catch (err) {
+      console.error('Error fetching item analysis:', err)
+      setError(err.response?.data?.error || 'Failed to load the item analysis')
+      toast.error('Failed to load the item analysis')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchReport()
+  }, [id])
+
+  const toggleQuestion = (questionId) => {
+    setExpanded(prev => ({
+      ...prev,
+      [questionId]: !prev[questionId]
+    }))
+  }
+
+  const report = data?.report
+  const flagged = report ? report.questions.filter(question => question.flags.some(flag => flag !== 'insufficient_data')).length : 0
+
+  return (
+    <DashboardLayout>
+      <div className="mb-6 p-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg sm:text-xl font-semibold text-slate-900">
+            Item Analysis
+          </h2>
+          <div className="flex items-center gap-4">
+            <Link
+              to={`/quiz/${id}/submissions`}
+              className="text-sm text-[#06545E] hover:text-[#06545E]/80"
+            >
+              View Submissions
+            </Link>
+            <Link
+              to="/dashboard/quizzes"
+              className="text-sm text-[#06545E] hover:text-[#06545E]/80"
+            >
+              Back to Quizzes
+            </Link>
+          </div>
+        </div>
+        {data?.quiz && (
+          <p className="text-slate-600 text-sm mt-1">
+            How each question of <span className="font-medium">{data.quiz.title}</span> performed
+          </p>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 px-4">
+          <p>Loading item analysis...</p>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 p-4 rounded-md">
+          <p className="text-red-700">{error}</p>
+          <button
+            onClick={fetchReport}
+            className="mt-2 text-sm text-red-700 hover:text-red-800 underline"
+          >
+            Try again
+          </button>
+        </div>
+      ) : report?.submissions > 0 ? (
+        <div className="space-y-4 px-4">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <p className="text-sm text-slate-500">Submissions</p>
+              <p className="text-2xl font-semibold text-slate-900">{report.submissions}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <p className="text-sm text-slate-500">Average score</p>
+              <p className="text-2xl font-semibold text-slate-900">{report.averageScore === null ? '-' : `${report.averageScore}%`}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <p className="text-sm text-slate-500">Questions to review</p>
+              <p className="text-2xl font-semibold text-slate-900">{flagged}</p>
+            </div>
+          </div>
+
+          <p className="text-xs text-slate-500">
+            Difficulty (p-value) is the share of the points learners earned on a question, so higher means easier.
+            Discrimination is the correlation between a question and the score on the rest of the quiz; 0.2 or more
+            separates stronger from weaker learners well. Flags need at least {report.minResponses} graded answers.
+          </p>
+
+          <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-200">
+            {report.questions.map(question => (
+              <div key={question.questionId} className="p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-900">
+                      Q{question.number}. {question.text || 'Untitled question'}
+                    </p>
+                    <p className="mt-1 text-sm text-gray-500">
+                      Difficulty {formatNumber(question.pValue)} · Discrimination {formatNumber(question.discrimination)} · {question.graded} of {question.asked} graded
+                      {question.pendingReview > 0 && ` · ${question.pendingReview} awaiting review`}
+                    </p>
+                    {question.flags.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {question.flags.map(flag => (
+                          <span key={flag} className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${FLAG_LABELS[flag]?.style || 'bg-gray-100 text-gray-700'}`}>
+                            {FLAG_LABELS[flag]?.label || flag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {question.options && (
+                    <button
+                      onClick={() => toggleQuestion(question.questionId)}
+                      className="text-gray-400 hover:text-gray-500"
+                      title="Option analysis"
+                    >
+                      {expanded[question.questionId] ? (
+                        <ChevronUpIcon className="h-5 w-5" />
+                      ) : (
+                        <ChevronDownIcon className="h-5 w-5" />
+                      )}
+                    </button>
+                  )}
+                </div>
+
+                {question.options && expanded[question.questionId] && (
+                  <div className="mt-4 overflow-x-auto">
+                    <table className="min-w-full divide-y divide-slate-200 text-sm">
+                      <thead className="bg-slate-50">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium text-slate-600">Option</th>
+                          <th className="px-3 py-2 text-right font-medium text-slate-600">Picked</th>
+                          <th className="px-3 py-2 text-right font-medium text-slate-600">Top group</th>
+                          <th className="px-3 py-2 text-right font-medium text-slate-600">Bottom group</th>
+                          <th className="px-3 py-2 text-right font-medium text-slate-600">Discrimination</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-100">
+                        {question.options.map(option => (
+                          <tr key={option.index} className={option.isCorrect ? 'bg-green-50' : ''}>
+                            <td className="px-3 py-2 text-slate-900">
+                              {option.text || `Option ${option.index + 1}`}
+                              {option.isCorrect && <span className="ml-2 text-xs font-medium text-green-700">Correct</span>}
+                              {option.flags.map(flag => (
+                                <span key={flag} className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800">
+                                  {OPTION_FLAG_LABELS[flag] || flag}
+                                </span>
+                              ))}
+                            </td>
+                            <td className="px-3 py-2 text-right text-slate-700">{option.count} ({formatShare(option.share)})</td>
+                            <td className="px-3 py-2 text-right text-slate-700">{formatShare(option.upperShare)}</td>
+                            <td className="px-3 py-2 text-right text-slate-700">{formatShare(option.lowerShare)}</td>
+                            <td className="px-3 py-2 text-right text-slate-700">{formatNumber(option.discrimination)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {question.omitted > 0 && (
+                      <p className="mt-2 text-xs text-slate-500">
+                        {question.omitted} {question.omitted === 1 ? 'learner' : 'learners'} left this question unanswered.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-8 px-4 bg-white rounded-lg shadow-sm">
+          <p className="text-gray-500">No submissions yet. The item analysis appears once learners have taken the quiz.</p>
+        </div>
+      )}
+    </DashboardLayout>
+  )
+}
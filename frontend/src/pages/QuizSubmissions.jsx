@@ -1,9 +1,19 @@
 import React, { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
+import { Menu } from '@headlessui/react'
 import DashboardLayout from '../components/DashboardLayout'
 import { toast } from 'react-hot-toast'
 import { getApiUrl } from '../utils/apiUrl'
-import { ChevronDownIcon, ChevronUpIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/20/solid'
+import { quizzes } from '../api'
+import RubricGrading from '../components/RubricGrading'
+import { saveDownload } from '../utils/download'
+import { ChevronDownIcon, ChevronUpIcon, CheckCircleIcon, XCircleIcon, ArrowDownTrayIcon } from '@heroicons/react/20/solid'
+
+// Spreadsheet formats the submissions can be downloaded in
+const DOWNLOAD_FORMATS = [
+  { id: 'csv', label: 'CSV (.csv)' },
+  { id: 'xlsx', label: 'Excel (.xlsx)' }
+]
 
 export default function QuizSubmissions() {
   const { id } = useParams()
@@ -11,6 +21,8 @@ export default function QuizSubmissions() {
   const [error, setError] = useState(null)
   const [data, setData] = useState(null)
   const [expanded, setExpanded] = useState({})
+  const [proposing, setProposing] = useState(null)
+  const [downloading, setDownloading] = useState(false)
 
   const fetchSubmissions = async () => {
     try {
@@ -59,6 +71,45 @@ export default function QuizSubmissions() {
     fetchSubmissions()
   }, [id])
 
+  // Swap in a submission the server returned after grading
+  const replaceSubmission = (updated) => {
+    setData(prev => ({
+      ...prev,
+      submissions: prev.submissions.map(submission => (submission.id === updated.id ? updated : submission))
+    }))
+  }
+
+  const hasRubricQuestions = () => (data?.questions || []).some(question => question.rubric)
+
+  // Ask the AI again for grade proposals on the free-text answers
+  const proposeGrades = async (submissionId) => {
+    try {
+      setProposing(submissionId)
+      const result = await quizzes.proposeGrades(id, submissionId)
+      replaceSubmission(result.data.submission)
+      toast.success('AI grade proposals updated')
+    } catch (err) {
+      console.error('Error proposing grades:', err)
+      toast.error(err.response?.data?.details || err.response?.data?.error || 'Failed to propose grades')
+    } finally {
+      setProposing(null)
+    }
+  }
+
+  // Download every submission with one row per learner and columns per question
+  const downloadSubmissions = async (format) => {
+    try {
+      setDownloading(true)
+      const response = await quizzes.exportSubmissions(id, format)
+      saveDownload(response, `quiz-${id}-submissions.${format}`)
+    } catch (err) {
+      console.error('Error downloading submissions:', err)
+      toast.error('Failed to download submissions')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
   // Find question by ID
   const findQuestion = (questionId) => {
     if (!data || !data.questions) return null
@@ -68,6 +119,17 @@ export default function QuizSubmissions() {
     )
   }
 
+  // List a submission's answers in the order the learner was asked the questions
+  const getReviewResponses = (submission) => {
+    const responses = submission.answers || submission.responses || []
+    if (!submission.form?.questions) return responses
+
+    return submission.form.questions.map(entry =>
+      responses.find(ans => String(ans.questionId || ans.question_id) === String(entry.questionId)) ||
+        { questionId: entry.questionId }
+    )
+  }
+
   // Check if a response is correct
   const isCorrect = (submission, questionId) => {
     const question = findQuestion(questionId)
@@ -81,6 +143,11 @@ export default function QuizSubmissions() {
     
     if (!response) return false
     
+    // Prefer the result stored by the server-side grader
+    if (typeof response.isCorrect === 'boolean') {
+      return response.isCorrect
+    }
+    
     // Compare with correct answer - handle both field names (correct_answer or correctAnswer)
     const correctAnswer = question.correct_answer !== undefined 
       ? question.correct_answer 
@@ -120,6 +187,17 @@ export default function QuizSubmissions() {
     return Math.round((correctAnswers / totalQuestions) * 100)
   }
 
+  // Check whether a submission reached the quiz pass mark
+  const hasPassed = (submission, score) => {
+    if (typeof submission.passed === 'boolean') {
+      return submission.passed
+    }
+    if (submission.metadata && typeof submission.metadata.passed === 'boolean') {
+      return submission.metadata.passed
+    }
+    return score >= 70
+  }
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A'
@@ -181,12 +259,39 @@ export default function QuizSubmissions() {
           <h2 className="text-lg sm:text-xl font-semibold text-slate-900">
             Quiz Submissions
           </h2>
-          <Link
-            to="/dashboard/quizzes"
-            className="text-sm text-[#06545E] hover:text-[#06545E]/80"
-          >
-            Back to Quizzes
-          </Link>
+          <div className="flex items-center gap-4">
+            {data?.submissions?.length > 0 && (
+              <Menu as="div" className="relative inline-block text-left">
+                <Menu.Button
+                  disabled={downloading}
+                  className="inline-flex items-center gap-1.5 rounded-md bg-white px-3 py-1.5 text-sm font-medium text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="w-4 h-4 text-gray-500" />
+                  {downloading ? 'Downloading...' : 'Download'}
+                </Menu.Button>
+                <Menu.Items className="absolute right-0 mt-2 w-40 origin-top-right bg-white border border-gray-200 rounded-md shadow-lg z-10 px-1 py-1">
+                  {DOWNLOAD_FORMATS.map(format => (
+                    <Menu.Item key={format.id}>
+                      {({ active }) => (
+                        <button
+                          onClick={() => downloadSubmissions(format.id)}
+                          className={`${active ? 'bg-gray-100' : ''} flex w-full items-center rounded-md px-2 py-2 text-sm text-gray-900`}
+                        >
+                          {format.label}
+                        </button>
+                      )}
+                    </Menu.Item>
+                  ))}
+                </Menu.Items>
+              </Menu>
+            )}
+            <Link
+              to="/dashboard/quizzes"
+              className="text-sm text-[#06545E] hover:text-[#06545E]/80"
+            >
+              Back to Quizzes
+            </Link>
+          </div>
         </div>
         {data?.quiz && (
           <p className="text-slate-600 text-sm mt-1">
@@ -222,7 +327,12 @@ export default function QuizSubmissions() {
                       <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100">
                         {submissionScore}%
                       </span>
-                      {submissionScore >= 70 ? (
+                      {submission.metadata?.pendingReview > 0 && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                          {submission.metadata.pendingReview} to review
+                        </span>
+                      )}
+                      {hasPassed(submission, submissionScore) ? (
                         <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
                           Passed
                         </span>
@@ -250,9 +360,20 @@ export default function QuizSubmissions() {
                 
                 {expanded[submission.id] && (
                   <div className="mt-4 border-t pt-4">
-                    <h4 className="font-medium text-sm mb-2">Responses:</h4>
+                    <div className="flex items-center justify-between mb-2">
+                      <h4 className="font-medium text-sm">Responses:</h4>
+                      {hasRubricQuestions() && (
+                        <button
+                          onClick={() => proposeGrades(submission.id)}
+                          disabled={proposing === submission.id}
+                          className="text-sm text-[#06545E] hover:text-[#06545E]/80 disabled:opacity-50"
+                        >
+                          {proposing === submission.id ? 'Asking AI...' : 'Propose grades with AI'}
+                        </button>
+                      )}
+                    </div>
                     <div className="space-y-3">
-                      {(submission.answers || submission.responses || []).map((answer, index) => {
+                      {getReviewResponses(submission).map((answer, index) => {
                         const questionId = answer.questionId || answer.question_id;
                         const question = findQuestion(questionId);
                         
@@ -261,15 +382,23 @@ export default function QuizSubmissions() {
                         
                         return question ? (
                           <div key={index} className="bg-gray-50 p-3 rounded-md">
-                            <p className="text-sm font-medium">{questionText}</p>
+                            <p className="text-sm font-medium">{index + 1}. {questionText}</p>
                             <div className="mt-1 flex items-center">
                               <p className="text-sm">
                                 Answer: <span className="font-medium">
                                   {/* Handle both answer field names */}
-                                  {answer.answer !== undefined ? answer.answer : answer.response}
+                                  {answer.answer !== undefined ? answer.answer : answer.response ?? 'No answer'}
                                 </span>
                               </p>
-                              {isCorrect(submission, questionId) ? (
+                              {answer.grade ? (
+                                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100">
+                                  {answer.grade.score} / {answer.grade.maxScore}
+                                </span>
+                              ) : answer.autoGraded === false ? (
+                                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                                  Needs review
+                                </span>
+                              ) : isCorrect(submission, questionId) ? (
                                 <CheckCircleIcon className="ml-2 h-5 w-5 text-green-500" />
                               ) : (
                                 <XCircleIcon className="ml-2 h-5 w-5 text-red-500" />
@@ -280,6 +409,16 @@ export default function QuizSubmissions() {
                                 Correct answer: <span className="font-medium">{question.correctAnswer || question.correct_answer}</span>
                               </p>
                             )}
+                            {question.rubric && (
+                              <RubricGrading
+                                key={`${answer.aiProposal?.proposedAt}-${answer.grade?.gradedAt}`}
+                                quizId={id}
+                                submissionId={submission.id}
+                                rubric={question.rubric}
+                                response={{ ...answer, questionId }}
+                                onSaved={replaceSubmission}
+                              />
+                            )}
                           </div>
                         ) : null;
                       })}
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import logoText from '../assets/logo-text.svg'
+import { auth } from '../api'
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter'
+import { validatePassword } from '../utils/passwordRules'
+
+export default function ResetPassword() {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  })
+  const [error, setError] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isValidLink, setIsValidLink] = useState(null)
+
+  // Check the link up front so an expired or used link doesn't ask for a new password first
+  useEffect(() => {
+    const checkToken = async () => {
+      try {
+        const response = await auth.verifyResetToken(token)
+        setIsValidLink(!!response.data.valid)
+      } catch (error) {
+        console.error('Error checking reset link:', error)
+        setIsValidLink(false)
+      }
+    }
+
+    checkToken()
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isLoading) return
+
+    setError('')
+
+    // Validate passwords match
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    // Validate password strength
+    const passwordErrors = validatePassword(formData.password)
+    if (passwordErrors.length > 0) {
+      setError(passwordErrors[0])
+      return
+    }
+
+    setIsLoading(true)
+
+    try {
+      await auth.confirmResetPassword(token, formData.password)
+      toast.success('Password updated. Please log in with your new password.')
+      navigate('/login')
+    } catch (error) {
+      const data = error.response?.data
+      setError(data?.details?.[0] || data?.error || 'Failed to reset password')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col bg-white pt-8">
+      {/* Logo fixed at top */}
+      <div className="w-full flex justify-center fixed top-8 z-10">
+        <img src={logoText} alt="TestCraft.ai" className="h-6" />
+      </div>
+
+      {/* Main content */}
+      <div className="flex-1 flex flex-col items-center justify-center">
+        <div className="w-full max-w-[700px] mx-auto px-4 sm:px-6 md:px-container-padding">
+          <div className="flex flex-col items-center mt-16">
+            {/* Heading */}
+            <h1 className="text-[36px] font-semibold text-slate-900 mb-2">
+              Choose a new password
+            </h1>
+
+            {isValidLink === null && (
+              <p className="text-slate-600 font-normal text-paragraph mb-8">Checking your reset link...</p>
+            )}
+
+            {isValidLink === false && (
+              <div className="w-full max-w-[400px] mt-6 p-4 text-red-700 bg-red-100 rounded-lg">
+                This reset link is invalid or has expired.{' '}
+                <Link to="/forgot-password" className="font-medium underline">
+                  Request a new one
+                </Link>
+              </div>
+            )}
+
+            {isValidLink && (
+              <>
+                <p className="text-slate-600 font-normal text-paragraph mb-8">
+                  Your new password must meet the requirements below
+                </p>
+
+                {/* Error message */}
+                {error && (
+                  <div className="w-full max-w-[400px] mb-4 p-4 text-red-700 bg-red-100 rounded-lg">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="w-full max-w-[400px] space-y-4">
+                  <div>
+                    <input
+                      type="password"
+                      placeholder="New password"
+                      value={formData.password}
+                      onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                      className="w-full h-14 px-6 rounded-full border border-slate-400 focus:border-[#06545E] focus:outline-none focus:ring-2 focus:ring-[#06545E]/20 transition-colors text-body"
+                      required
+                      disabled={isLoading}
+                    />
+                    <PasswordStrengthMeter password={formData.password} />
+                  </div>
+                  <div>
+                    <input
+                      type="password"
+                      placeholder="Confirm new password"
+                      value={formData.confirmPassword}
+                      onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                      className="w-full h-14 px-6 rounded-full border border-slate-400 focus:border-[#06545E] focus:outline-none focus:ring-2 focus:ring-[#06545E]/20 transition-colors text-body"
+                      required
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    className="w-full h-14 bg-[#06545E] text-[#FFFFFF] rounded-full font-medium transition-colors hover:bg-[#06545E]/90 disabled:opacity-50 disabled:cursor-not-allowed"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Updating password...' : 'Update password'}
+                  </button>
+                </form>
+              </>
+            )}
+
+            {/* Back to login */}
+            <p className="mt-6 text-body text-secondary-gray">
+              <Link to="/login" className="text-[#06545E] font-medium hover:opacity-90">
+                Back to login
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,6 @@
 import React from 'react'
 import DashboardLayout from '../components/DashboardLayout'
+import AiUsageStats from '../components/AiUsageStats'
 import { toast } from 'react-hot-toast'
 import { getApiUrl } from '../utils/apiUrl'
 
@@ -118,6 +119,8 @@ export default function Statistics() {
           </div>
         </div>
       )}
+
+      <AiUsageStats />
     </DashboardLayout>
   )
 } 
\ No newline at end of file
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import React, { useState, useEffect, useRef, Fragment } from 'react'
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
 import { toast } from 'react-hot-toast'
 import logoText from '../assets/logo-text.svg'
 import { CheckIcon, ChevronUpDownIcon, ArrowUpTrayIcon } from '@heroicons/react/20/solid';
@@ -8,10 +8,19 @@ import Modal from '../components/Modal';
 import { getApiUrl, getImageUrl } from '../utils/apiUrl';
 import logger from '../utils/logger';
 
+// Learners don't log in, so each browser keeps the learner token the server signed for it
+// per access code. The server counts attempts against the ID in this token.
+const getLearnerTokenKey = (accessCode) => `learner_token_${accessCode}`;
+
 export default function TakeQuiz() {
   const params = useParams()
   const navigate = useNavigate()
+  // Token from an emailed invitation link, used to track opens and submissions
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite')
   const [quiz, setQuiz] = React.useState(null)
+  // Identifies the questions and option order this learner was served; sent back on submit
+  const [formToken, setFormToken] = React.useState(null)
   const [loading, setLoading] = React.useState(true)
   const [isLoading, setIsLoading] = React.useState(false)
   const [error, setError] = React.useState(null)
@@ -24,6 +33,7 @@ export default function TakeQuiz() {
   const [quizResult, setQuizResult] = React.useState(null)
   const [showSubmitConfirm, setShowSubmitConfirm] = React.useState(false)
   const [showResults, setShowResults] = React.useState(false)
+  const [attempts, setAttempts] = React.useState(null)
 
   // State for file upload error
   const [fileError, setFileError] = useState(null);
@@ -43,18 +53,17 @@ export default function TakeQuiz() {
           throw new Error('No access code provided');
         }
         
-        // Generate a random learner ID if one doesn't exist in sessionStorage
-        // This helps track the learner's session without requiring authentication
-        if (!sessionStorage.getItem('learner_id')) {
-          const randomId = 'learner_' + Math.random().toString(36).substring(2, 15);
-          sessionStorage.setItem('learner_id', randomId);
-        }
+        const learnerToken = localStorage.getItem(getLearnerTokenKey(params.accessCode));
         
         // CRITICAL FIX: Always use direct fetch, never use axios interceptors
         // This bypasses all authentication checks for public quiz access
         try {
           // Fetch directly from the API, not through axios which has auth interceptors
-          const response = await fetch(getApiUrl(`/api/quizzes/code/${params.accessCode}`), {
+          const query = new URLSearchParams()
+          if (inviteToken) query.set('invite', inviteToken)
+          if (learnerToken) query.set('learner', learnerToken)
+          const queryString = query.toString() ? `?${query.toString()}` : ''
+          const response = await fetch(getApiUrl(`/api/quizzes/code/${params.accessCode}${queryString}`), {
             method: 'GET',
             headers: {
               'Content-Type': 'application/json'
@@ -81,6 +90,21 @@ export default function TakeQuiz() {
           }
           
           setQuiz(data.quiz);
+          setFormToken(data.formToken);
+          localStorage.setItem(getLearnerTokenKey(params.accessCode), data.learnerToken);
+          
+          // Check how many attempts this learner has left
+          try {
+            const attemptsResponse = await fetch(
+              getApiUrl(`/api/quizzes/code/${params.accessCode}/attempts?learner=${encodeURIComponent(data.learnerToken)}`)
+            );
+            if (attemptsResponse.ok) {
+              const attemptsData = await attemptsResponse.json();
+              setAttempts(attemptsData.attempts);
+            }
+          } catch (attemptsError) {
+            logger.error('Error fetching attempts:', attemptsError);
+          }
           
           // Set timer if duration is available
           if (data.quiz?.settings?.duration) {
@@ -171,6 +195,8 @@ export default function TakeQuiz() {
         },
         body: JSON.stringify({ 
           responses: formattedResponses,
+          inviteToken,
+          formToken,
           timeSpent: (quiz?.settings?.duration || 0) * 60 - timeLeft
         })
       })
@@ -184,12 +210,8 @@ export default function TakeQuiz() {
 
       toast.success('Quiz submitted successfully!')
       setQuizSubmitted(true)
-      setQuizResult(data.result || {
-        passed: true,
-        score: 80,
-        totalQuestions: quiz?.questions?.length || 0,
-        correctAnswers: Math.floor((quiz?.questions?.length || 0) * 0.8)
-      })
+      setQuizResult(data.result)
+      setShowResults(true)
     } catch (err) {
       logger.error('Error submitting quiz:', err)
       toast.error('Failed to submit quiz: ' + err.message)
@@ -200,9 +222,6 @@ export default function TakeQuiz() {
     try {
       setIsLoading(true);
       
-      // Get anonymous learner ID from session storage
-      const learnerId = sessionStorage.getItem('learner_id') || 'anonymous_learner';
-      
       // Format submission data correctly for the API
       const submissionData = {
         quizId: quiz.id,
@@ -213,7 +232,8 @@ export default function TakeQuiz() {
           text: typeof answer === 'string' ? answer : JSON.stringify(answer),
           content: typeof answer === 'string' ? answer : JSON.stringify(answer)
         })),
-        learnerId: learnerId, // Include anonymous learner ID for tracking
+        inviteToken,
+        formToken,
         metadata: {
           browser: navigator.userAgent,
           submittedAt: new Date().toISOString(),
@@ -238,7 +258,13 @@ export default function TakeQuiz() {
       if (!response.ok) {
         const errorText = await response.text();
         logger.error('Submission error response:', response.status, errorText);
-        throw new Error(errorText || 'Failed to submit quiz');
+        let errorMessage = errorText;
+        try {
+          errorMessage = JSON.parse(errorText).error || errorText;
+        } catch (e) {
+          // Not a JSON error body, use the raw text
+        }
+        throw new Error(errorMessage || 'Failed to submit quiz');
       }
       
       // Handle the response
@@ -247,12 +273,7 @@ export default function TakeQuiz() {
       
       // Set quiz as submitted and show results
       setQuizSubmitted(true);
-      setQuizResult(result.result || {
-        passed: true,
-        score: 0,
-        totalQuestions: quiz.questions ? quiz.questions.length : 0,
-        correctAnswers: 0
-      });
+      setQuizResult(result.result);
       setShowResults(true);
       
       // Clear timer if it's running
@@ -286,7 +307,6 @@ export default function TakeQuiz() {
       content: question.text || question.content,
       type: question.type,
       options: question.options || [],
-      correctAnswer: question.correct_answer || question.correctAnswer,
       items: question.items || question.categories || [], // Categories for matching
       matches: question.matches || question.options || [], // Options for matching
       image: question.image,
@@ -421,7 +441,7 @@ export default function TakeQuiz() {
             )}
 
             {/* Select/Dropdown options */}
-            {currentQuestion.type === 'select' && (
+            {(currentQuestion.type === 'select' || currentQuestion.type === 'dropdown') && (
               <div>
                 <p className="text-sm text-gray-500 mb-2">
                   {currentQuestion.allowMultipleAnswers 
@@ -736,14 +756,14 @@ export default function TakeQuiz() {
               </>
             )}
             
-            {/* Short Answer / Paragraph Question Types */}
-            {(currentQuestion.type === 'short_answer' || currentQuestion.type === 'paragraph') && (
+            {/* Short Answer / Paragraph / legacy Essay Question Types */}
+            {(currentQuestion.type === 'short_answer' || currentQuestion.type === 'paragraph' || currentQuestion.type === 'essay') && (
               <div>
                 <p className="text-sm text-gray-500 mb-2">Describe your answer</p>
                 <div className="relative">
                   <textarea
                     className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
-                    rows={currentQuestion.type === 'paragraph' ? 6 : 3}
+                    rows={currentQuestion.type === 'short_answer' ? 3 : 6}
                     placeholder="Your answer"
                     value={responses[currentQuestion.id] || ''}
                     onChange={(e) => {
@@ -1006,7 +1026,13 @@ export default function TakeQuiz() {
             <div className="bg-white rounded-lg shadow-sm p-8">
               <div className="text-center">
                 <div className="mx-auto flex items-center justify-center h-20 w-20 rounded-full mb-4">
-                  {quizResult?.passed ? (
+                  {quizResult?.provisional ? (
+                    <div className="bg-gray-100 text-gray-600 rounded-full h-full w-full flex items-center justify-center">
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-10 w-10" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                      </svg>
+                    </div>
+                  ) : quizResult?.passed ? (
                     <div className="bg-green-100 text-green-600 rounded-full h-full w-full flex items-center justify-center">
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-10 w-10" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
@@ -1027,10 +1053,20 @@ export default function TakeQuiz() {
                 
                 <div className="text-center mb-4">
                   <p className="text-lg font-medium">
-                    Score: {quizResult?.score || 0}/{quizResult?.totalQuestions || 0}
+                    Score: {quizResult?.score || 0}/{quizResult?.maxScore || 0} ({quizResult?.percentage || 0}%)
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {quizResult?.correctAnswers || 0} of {quizResult?.totalQuestions || 0} questions correct
                   </p>
+                  {quizResult?.pendingReview > 0 && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      {quizResult.pendingReview} {quizResult.pendingReview === 1 ? 'answer needs' : 'answers need'} review by your instructor
+                    </p>
+                  )}
                   <p className="text-lg mt-2">
-                    {quizResult?.passed ? (
+                    {quizResult?.provisional ? (
+                      <span className="text-gray-700 font-medium">Your result will be final once your instructor has reviewed your answers.</span>
+                    ) : quizResult?.passed ? (
                       <span className="text-green-600 font-medium">You passed!</span>
                     ) : (
                       <span className="text-red-600 font-medium">You did not pass.</span>
@@ -1158,12 +1194,26 @@ export default function TakeQuiz() {
               <div className="flex items-center">
                 <span>{quiz.settings?.duration || '10'} {quiz.settings?.timeUnit || 'minutes'}</span>
               </div>
+              {attempts?.attemptsAllowed && attempts.attemptsRemaining > 0 && (
+                <div className="flex items-center">
+                  <span>Attempt {attempts.attemptsUsed + 1} of {attempts.attemptsAllowed}</span>
+                </div>
+              )}
             </div>
             
+            {attempts?.attemptsAllowed && attempts.attemptsRemaining === 0 && (
+              <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-center">
+                <p className="text-sm text-yellow-700">
+                  You have used all {attempts.attemptsAllowed} {attempts.attemptsAllowed === 1 ? 'attempt' : 'attempts'} allowed for this quiz.
+                </p>
+              </div>
+            )}
+            
             <div className="flex justify-center">
               <button
                 onClick={startQuiz}
-                className="px-6 py-3 bg-teal-700 text-white rounded-md hover:bg-teal-700/90 flex items-center"
+                disabled={attempts?.attemptsAllowed && attempts.attemptsRemaining === 0}
+                className="px-6 py-3 bg-teal-700 text-white rounded-md hover:bg-teal-700/90 flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-11a1 1 0 10-2 0v3.586L7.707 9.293a1 1 0 00-1.414 1.414l3 3a1 1 0 001.414 0l3-3a1 1 0 00-1.414-1.414L11 10.586V7z" clipRule="evenodd" />
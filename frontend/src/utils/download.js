@@ -0,0 +1,14 @@
+// Save a file the API sent as an attachment (requested with responseType: 'blob')
+export function saveDownload(response, fallbackName) {
+  const disposition = response.headers['content-disposition'] || ''
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName
+
+  const url = window.URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(url)
+}
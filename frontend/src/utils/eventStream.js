@@ -0,0 +1,40 @@
+/**
+ * Read a Server-Sent Events response from fetch (EventSource can't POST or send auth headers)
+ * @param {Response} response - The fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (event, data) for each event; data is parsed JSON
+ * @returns {Promise<void>} Resolves when the stream ends; rejects if the request is aborted
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+};
@@ -0,0 +1,41 @@
+// Mirrors validatePassword in server/routes/auth.js so the forms reject the same passwords the API does
+export const PASSWORD_RULES = [
+  {
+    id: 'length',
+    label: 'At least 8 characters',
+    message: 'Password must be at least 8 characters long',
+    test: (password) => password.length >= 8
+  },
+  {
+    id: 'uppercase',
+    label: 'At least one uppercase letter',
+    message: 'Password must contain at least one uppercase letter',
+    test: (password) => /[A-Z]/.test(password)
+  },
+  {
+    id: 'lowercase',
+    label: 'At least one lowercase letter',
+    message: 'Password must contain at least one lowercase letter',
+    test: (password) => /[a-z]/.test(password)
+  },
+  {
+    id: 'number',
+    label: 'At least one number',
+    message: 'Password must contain at least one number',
+    test: (password) => /\d/.test(password)
+  },
+  {
+    id: 'special',
+    label: 'At least one special character',
+    message: 'Password must contain at least one special character',
+    test: (password) => /[!@#$%^&*(),.?":{}|<>]/.test(password)
+  }
+];
+
+/**
+ * Validate a password against the shared rules
+ * @param {string} password - Password to check
+ * @returns {string[]} - Error messages for each rule that fails
+ */
+export const validatePassword = (password = '') =>
+  PASSWORD_RULES.filter(rule => !rule.test(password)).map(rule => rule.message);
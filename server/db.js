@@ -1,126 +0,0 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-
-// Use an absolute path for the database that works in both development and production
-const dbPath = path.resolve(__dirname, 'database.sqlite');
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, 'uploads');
-const quizImagesDir = path.join(uploadsDir, 'quiz-images');
-
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('Created uploads directory');
-}
-
-if (!fs.existsSync(quizImagesDir)) {
-  fs.mkdirSync(quizImagesDir, { recursive: true });
-  console.log('Created quiz-images directory');
-}
-
-// Create a new database connection
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error connecting to database:', err);
-  } else {
-    console.log('Database initialized successfully');
-    
-    // Create tables if they don't exist
-    db.serialize(() => {
-      // Users table
-      db.run(`CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT,
-        email TEXT UNIQUE,
-        password TEXT,
-        role TEXT DEFAULT 'student',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`);
-
-      // Quizzes table
-      db.run(`CREATE TABLE IF NOT EXISTS quizzes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        creator_id INTEGER,
-        title TEXT,
-        description TEXT,
-        status TEXT DEFAULT 'draft',
-        settings TEXT,
-        image_url TEXT,
-        is_accepting_responses INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        published_at DATETIME,
-        FOREIGN KEY (creator_id) REFERENCES users(id)
-      )`);
-
-      // Questions table
-      db.run(`CREATE TABLE IF NOT EXISTS questions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        quiz_id INTEGER,
-        type TEXT,
-        text TEXT,
-        options TEXT,
-        correct_answer INTEGER,
-        explanation TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
-      )`);
-
-      // Responses table
-      db.run(`CREATE TABLE IF NOT EXISTS responses (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        quiz_id INTEGER,
-        user_id INTEGER,
-        answers TEXT,
-        score REAL,
-        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (quiz_id) REFERENCES quizzes(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-      )`);
-    });
-  }
-});
-
-// Helper functions for database operations
-function get(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(query, params, (err, row) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(row);
-      }
-    });
-  });
-}
-
-function all(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
-}
-
-function run(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ id: this.lastID, changes: this.changes });
-      }
-    });
-  });
-}
-
-module.exports = {
-  db,
-  get,
-  all,
-  run
-};
\ No newline at end of file
@@ -0,0 +1,1061 @@
+const { run, get, all } = require('../sqlite/connection');
+const { normalizeAccessCode, normalizeQuizSettings, NOTIFICATION_TYPES } = require('../repository');
+
+// Columns stored as JSON text or 0/1 integers, decoded on read so rows match the Supabase adapter
+const COLUMN_TYPES = {
+  quizzes: { json: ['settings'], boolean: ['is_accepting_responses'] },
+  questions: { json: ['options', 'correct_answer', 'source'], boolean: ['has_image_options', 'bank_linked'] },
+  question_bank: { json: ['options', 'correct_answer', 'tags'], boolean: [] },
+  submissions: { json: ['responses', 'metadata', 'form'], boolean: [] },
+  notifications: { json: ['data'], boolean: ['read'] },
+  users: { json: ['ai_quota'], boolean: [] }
+};
+
+// Columns that may be written through the generic update functions
+const WRITABLE_COLUMNS = {
+  quizzes: ['creator_id', 'title', 'description', 'status', 'settings', 'access_code', 'image_url', 'is_accepting_responses', 'published_at'],
+  users: ['name', 'email', 'password', 'role', 'ai_plan', 'ai_quota'],
+  submissions: ['responses', 'metadata', 'status', 'graded_by', 'graded_at'],
+  quiz_invitations: ['status', 'error', 'due_at', 'sent_at', 'opened_at', 'submitted_at'],
+  question_bank: ['type', 'text', 'options', 'correct_answer', 'explanation', 'category', 'difficulty', 'tags', 'updated_at']
+};
+
+function encodeValue(table, column, value) {
+  const types = COLUMN_TYPES[table];
+  if (value === undefined) return null;
+  if (types && types.json.includes(column)) {
+    return value === null ? null : JSON.stringify(value);
+  }
+  if (types && types.boolean.includes(column)) {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+function decodeRow(table, row) {
+  const types = COLUMN_TYPES[table];
+  if (!row || !types) return row || null;
+
+  const decoded = { ...row };
+  types.json.forEach(column => {
+    if (typeof decoded[column] === 'string') {
+      try {
+        decoded[column] = JSON.parse(decoded[column]);
+      } catch (e) {
+        // Leave values written by older code as plain strings
+      }
+    }
+  });
+  types.boolean.forEach(column => {
+    if (decoded[column] !== null && decoded[column] !== undefined) {
+      decoded[column] = !!decoded[column];
+    }
+  });
+  return decoded;
+}
+
+/**
+ * Insert a row and return it as stored
+ * @param {string} table - Table name
+ * @param {Object} values - Column values
+ * @returns {Promise<Object>} - The inserted row
+ */
+async function insertRow(table, values) {
+  const columns = Object.keys(values);
+  const placeholders = columns.map(() => '?').join(', ');
+  const params = columns.map(column => encodeValue(table, column, values[column]));
+
+  const row = await get(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+    params
+  );
+  return decodeRow(table, row);
+}
+
+/**
+ * Update a row by ID and return it, rejecting columns outside WRITABLE_COLUMNS
+ * @param {string} table - Table name
+ * @param {number} id - Row ID
+ * @param {Object} updates - Column values to set
+ * @returns {Promise<Object|null>} - The updated row or null if it does not exist
+ */
+async function updateRowById(table, id, updates) {
+  const columns = Object.keys(updates).filter(column => updates[column] !== undefined);
+  const unknown = columns.filter(column => !WRITABLE_COLUMNS[table].includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update ${table}: unknown column(s) ${unknown.join(', ')}`);
+  }
+  if (columns.length === 0) {
+    return decodeRow(table, await get(`SELECT * FROM ${table} WHERE id = ?`, [id]));
+  }
+
+  const assignments = columns.map(column => `${column} = ?`).join(', ');
+  const params = columns.map(column => encodeValue(table, column, updates[column]));
+
+  const row = await get(
+    `UPDATE ${table} SET ${assignments} WHERE id = ? RETURNING *`,
+    [...params, id]
+  );
+  return decodeRow(table, row);
+}
+
+/**
+ * Get a quiz by ID, optionally filtering by creator ID
+ * @param {number} id - Quiz ID
+ * @param {number} creatorId - Optional creator ID
+ * @returns {Promise<Object>} - Returns quiz object or null
+ */
+async function getQuiz(id, creatorId = null) {
+  try {
+    const row = creatorId
+      ? await get('SELECT * FROM quizzes WHERE id = ? AND creator_id = ?', [id, creatorId])
+      : await get('SELECT * FROM quizzes WHERE id = ?', [id]);
+    return decodeRow('quizzes', row);
+  } catch (error) {
+    console.error(`Error getting quiz ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get all quizzes, optionally filtered by creator
+ * @param {number} creatorId - Optional creator ID filter
+ * @returns {Promise<Array>} - Returns array of quizzes
+ */
+async function getQuizzes(creatorId = null) {
+  try {
+    const rows = creatorId
+      ? await all('SELECT * FROM quizzes WHERE creator_id = ? ORDER BY created_at DESC, id DESC', [creatorId])
+      : await all('SELECT * FROM quizzes ORDER BY created_at DESC, id DESC');
+    return rows.map(row => decodeRow('quizzes', row));
+  } catch (error) {
+    console.error('Error getting quizzes:', error);
+    return [];
+  }
+}
+
+/**
+ * Get questions for a quiz
+ * @param {number} quizId - Quiz ID
+ * @returns {Promise<Array>} - Returns array of questions
+ */
+async function getQuestions(quizId) {
+  try {
+    const rows = await all('SELECT * FROM questions WHERE quiz_id = ? ORDER BY id', [quizId]);
+    return rows.map(row => decodeRow('questions', row));
+  } catch (error) {
+    console.error(`Error getting questions for quiz ${quizId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Create a new quiz
+ * @param {number} creatorId - Creator ID
+ * @param {string} title - Quiz title
+ * @param {string} description - Quiz description
+ * @param {string|Object} settings - Quiz settings
+ * @returns {Promise<Object>} - Returns the created quiz
+ */
+async function createQuiz(creatorId, title, description, settings) {
+  try {
+    const settingsObj = normalizeQuizSettings(settings);
+
+    const creatorIdNum = parseInt(creatorId, 10);
+    if (isNaN(creatorIdNum)) {
+      throw new Error(`Invalid creator_id: ${creatorId}`);
+    }
+
+    const quiz = await insertRow('quizzes', {
+      creator_id: creatorIdNum,
+      title: title || 'Untitled Quiz',
+      description: description || '',
+      settings: settingsObj,
+      access_code: normalizeAccessCode(settingsObj.accessCode),
+      status: 'draft'
+    });
+
+    console.log('Quiz created successfully:', quiz.id);
+    return quiz;
+  } catch (error) {
+    console.error('Error creating quiz:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new question
+ * @param {number} quizId - Quiz ID
+ * @param {string} type - Question type
+ * @param {string} text - Question text
+ * @param {string|Array} options - Options array or JSON string
+ * @param {any} correctAnswer - Correct answer
+ * @param {Object} extras - Optional { source, bankQuestionId, bankLinked, pool, mediaUrl, explanation }: the
+ *   cited document passage, the bank question it was added from, the pool it is drawn from, its image
+ *   and the explanation shown after answering
+ * @returns {Promise<Object>} - Returns the created question
+ */
+async function createQuestion(quizId, type, text, options, correctAnswer, extras = {}) {
+  try {
+    let optionsArray;
+    if (typeof options === 'string') {
+      try {
+        optionsArray = JSON.parse(options);
+      } catch (e) {
+        console.warn('Error parsing options string, using as-is:', e);
+        optionsArray = options;
+      }
+    } else {
+      optionsArray = options || [];
+    }
+
+    return await insertRow('questions', {
+      quiz_id: quizId,
+      type,
+      text,
+      options: optionsArray,
+      correct_answer: correctAnswer,
+      source: extras.source || null,
+      bank_question_id: extras.bankQuestionId || null,
+      bank_linked: !!(extras.bankQuestionId && extras.bankLinked),
+      pool: extras.pool || null,
+      media_url: extras.mediaUrl || null,
+      explanation: extras.explanation || null
+    });
+  } catch (error) {
+    console.error('Error creating question:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a quiz
+ * @param {number} id - Quiz ID
+ * @param {Object} updates - Updates to apply to the quiz
+ * @returns {Promise<Object>} - Returns updated quiz
+ */
+async function updateQuiz(id, updates) {
+  try {
+    if (updates.settings) {
+      const settingsObj = normalizeQuizSettings(updates.settings);
+      updates.settings = settingsObj;
+
+      // Keep the indexed access_code column in sync with settings.accessCode
+      if (settingsObj.accessCode) {
+        updates.access_code = normalizeAccessCode(settingsObj.accessCode);
+      }
+    }
+
+    const quiz = await updateRowById('quizzes', id, updates);
+    console.log(`Quiz ${id} updated successfully`);
+    return quiz;
+  } catch (error) {
+    console.error(`Error updating quiz ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update quiz status (published/draft)
+ * @param {number} id - Quiz ID
+ * @param {string|boolean} status - New status or boolean for accepting responses
+ * @returns {Promise<Object>} - Returns updated quiz
+ */
+async function updateQuizStatus(id, status) {
+  try {
+    const updateData = {};
+
+    if (typeof status === 'boolean') {
+      updateData.is_accepting_responses = status;
+    } else {
+      updateData.status = status;
+      if (status === 'published') {
+        updateData.published_at = new Date().toISOString();
+      }
+    }
+
+    return await updateRowById('quizzes', id, updateData);
+  } catch (error) {
+    console.error(`Error updating quiz status for ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a quiz together with its questions
+ * @param {string} quizId - Quiz ID to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteQuiz(quizId) {
+  try {
+    if (!quizId) {
+      console.error('[ERROR] deleteQuiz: Missing quizId');
+      return false;
+    }
+
+    await run('DELETE FROM questions WHERE quiz_id = ?', [quizId]);
+    await run('DELETE FROM quizzes WHERE id = ?', [quizId]);
+    return true;
+  } catch (error) {
+    console.error('[ERROR] deleteQuiz:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Returns user object or null if not found
+ */
+async function getUser(userId) {
+  try {
+    if (!userId) {
+      console.error('[ERROR] getUser: Missing userId');
+      return null;
+    }
+    return decodeRow('users', await get('SELECT * FROM users WHERE id = ?', [userId]));
+  } catch (error) {
+    console.error(`[ERROR] getUser ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get a published quiz by access code
+ * @param {string} accessCode - The access code to find
+ * @returns {Promise<Object|null>} - Returns the published quiz object or null
+ */
+async function getQuizByAccessCode(accessCode) {
+  try {
+    const normalizedAccessCode = normalizeAccessCode(accessCode);
+    if (!normalizedAccessCode) {
+      console.error('[ERROR] getQuizByAccessCode: No access code provided');
+      return null;
+    }
+
+    const row = await get(
+      "SELECT * FROM quizzes WHERE access_code = ? AND status = 'published'",
+      [normalizedAccessCode]
+    );
+    return decodeRow('quizzes', row);
+  } catch (error) {
+    console.error('[ERROR] getQuizByAccessCode: Unhandled error:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether an access code is already assigned to any quiz (published or not)
+ * @param {string} accessCode - The access code to check
+ * @returns {Promise<boolean>} - True when the code is in use
+ */
+async function accessCodeExists(accessCode) {
+  const normalizedAccessCode = normalizeAccessCode(accessCode);
+  if (!normalizedAccessCode) return false;
+
+  const row = await get('SELECT COUNT(*) AS count FROM quizzes WHERE access_code = ?', [normalizedAccessCode]);
+  return row.count > 0;
+}
+
+/**
+ * Insert a new quiz submission
+ * @param {Object} submission - The submission data
+ * @returns {Promise<number>} - The submission ID
+ */
+async function insertSubmission(submission) {
+  try {
+    if (!submission.quiz_id) {
+      console.error('[ERROR] insertSubmission: Missing quiz_id');
+      throw new Error('Missing quiz_id');
+    }
+
+    const parseIfString = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    const row = await insertRow('submissions', {
+      quiz_id: submission.quiz_id,
+      learner_id: submission.learner_id || 'anonymous_learner',
+      responses: parseIfString(submission.responses),
+      metadata: parseIfString(submission.metadata),
+      form: submission.form || null,
+      attempt_number: submission.attempt_number || null,
+      submitted_at: submission.submitted_at || new Date().toISOString(),
+      status: submission.status || 'submitted'
+    });
+
+    console.log(`[DEBUG] insertSubmission: Successfully stored submission with ID: ${row.id}`);
+    return row.id;
+  } catch (error) {
+    console.error('[ERROR] insertSubmission:', error);
+    throw error;
+  }
+}
+
+// Decode a submission row and add the fields the frontend reads
+function toSubmission(row) {
+  const submission = decodeRow('submissions', row);
+  const responses = submission.responses || [];
+  const metadata = submission.metadata || {};
+
+  return {
+    ...submission,
+    answers: responses, // Map responses to answers for frontend compatibility
+    responses,
+    metadata,
+    score: metadata.score || 0,
+    passed: metadata.passed,
+    username: submission.learner_id || 'Anonymous User'
+  };
+}
+
+/**
+ * Get submissions for a specific quiz, newest first
+ * @param {string} quizId - The quiz ID
+ * @returns {Promise<Array>} - The submissions
+ */
+async function getSubmissions(quizId) {
+  try {
+    const rows = await all(
+      'SELECT * FROM submissions WHERE quiz_id = ? ORDER BY submitted_at DESC, id DESC',
+      [quizId]
+    );
+
+    return rows.map(toSubmission);
+  } catch (error) {
+    console.error('[ERROR] getSubmissions:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single submission by ID
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Object|null>} - The submission or null if not found
+ */
+async function getSubmission(submissionId) {
+  try {
+    const row = await get('SELECT * FROM submissions WHERE id = ?', [submissionId]);
+    return row ? toSubmission(row) : null;
+  } catch (error) {
+    console.error(`[ERROR] getSubmission ${submissionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a submission, e.g. with grades or AI proposals
+ * @param {string} submissionId - The submission ID
+ * @param {Object} updates - { responses, metadata, status, graded_by, graded_at }
+ * @returns {Promise<Object|null>} - The updated submission or null if not found
+ */
+async function updateSubmission(submissionId, updates) {
+  try {
+    const row = await updateRowById('submissions', submissionId, updates);
+    return row ? toSubmission(row) : null;
+  } catch (error) {
+    console.error(`[ERROR] updateSubmission ${submissionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count the submissions made for a quiz, optionally by one learner
+ * @param {string} quizId - The quiz ID
+ * @param {string} learnerId - Optional learner ID; submissions of every learner are counted without it
+ * @returns {Promise<number>} - Number of stored submissions
+ */
+async function countSubmissions(quizId, learnerId = null) {
+  try {
+    const row = learnerId
+      ? await get('SELECT COUNT(*) AS count FROM submissions WHERE quiz_id = ? AND learner_id = ?', [quizId, learnerId])
+      : await get('SELECT COUNT(*) AS count FROM submissions WHERE quiz_id = ?', [quizId]);
+    return row.count;
+  } catch (error) {
+    console.error(`[ERROR] countSubmissions for quiz ${quizId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a notification for a user
+ * @param {string} userId - The recipient user ID
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object>} - The created notification
+ */
+async function createNotification(userId, { type = 'system', title, message, data = null }) {
+  try {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(`Invalid notification type: ${type}`);
+    }
+
+    return await insertRow('notifications', {
+      user_id: userId,
+      type,
+      title,
+      message,
+      data,
+      read: false
+    });
+  } catch (error) {
+    console.error(`[ERROR] createNotification for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get notifications for a user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Promise<Array>} - The notifications
+ */
+async function getNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  try {
+    const rows = await all(
+      `SELECT * FROM notifications WHERE user_id = ?${unreadOnly ? ' AND read = 0' : ''}
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [userId, limit]
+    );
+    return rows.map(row => decodeRow('notifications', row));
+  } catch (error) {
+    console.error(`[ERROR] getNotifications for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count unread notifications for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} - Number of unread notifications
+ */
+async function countUnreadNotifications(userId) {
+  try {
+    const row = await get('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read = 0', [userId]);
+    return row.count;
+  } catch (error) {
+    console.error(`[ERROR] countUnreadNotifications for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark notifications as read
+ * @param {string} userId - The user ID (only their own notifications are updated)
+ * @param {Array|null} notificationIds - IDs to mark, or null to mark all as read
+ * @returns {Promise<number>} - Number of notifications updated
+ */
+async function markNotificationsRead(userId, notificationIds = null) {
+  try {
+    let query = 'UPDATE notifications SET read = 1 WHERE user_id = ? AND read = 0';
+    const params = [userId];
+
+    if (Array.isArray(notificationIds)) {
+      if (notificationIds.length === 0) return 0;
+      query += ` AND id IN (${notificationIds.map(() => '?').join(', ')})`;
+      params.push(...notificationIds);
+    }
+
+    const { changes } = await run(query, params);
+    return changes;
+  } catch (error) {
+    console.error(`[ERROR] markNotificationsRead for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a quiz invitation
+ * @param {Object} invitation - { quiz_id, invited_by, email, token, due_at }
+ * @returns {Promise<Object>} - The created invitation
+ */
+async function createInvitation(invitation) {
+  try {
+    return await insertRow('quiz_invitations', { status: 'pending', ...invitation });
+  } catch (error) {
+    console.error(`[ERROR] createInvitation for quiz ${invitation.quiz_id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a quiz invitation
+ * @param {string} invitationId - The invitation ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - The updated invitation
+ */
+async function updateInvitation(invitationId, updates) {
+  try {
+    return await updateRowById('quiz_invitations', invitationId, updates);
+  } catch (error) {
+    console.error(`[ERROR] updateInvitation ${invitationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the invitations sent for a quiz, newest first
+ * @param {string} quizId - The quiz ID
+ * @returns {Promise<Array>} - The invitations
+ */
+async function getInvitations(quizId) {
+  try {
+    return await all('SELECT * FROM quiz_invitations WHERE quiz_id = ? ORDER BY created_at DESC, id DESC', [quizId]);
+  } catch (error) {
+    console.error(`[ERROR] getInvitations for quiz ${quizId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record that an invitation link was opened or submitted.
+ * Only the first event of each kind is kept.
+ * @param {string} quizId - The quiz the token must belong to
+ * @param {string} token - The invitation token from the link
+ * @param {string} event - 'opened' or 'submitted'
+ * @returns {Promise<Object|null>} - The updated invitation or null if nothing changed
+ */
+async function trackInvitation(quizId, token, event) {
+  try {
+    if (!token || !['opened', 'submitted'].includes(event)) return null;
+
+    const column = `${event}_at`;
+    const now = new Date().toISOString();
+
+    // Submitting implies the link was opened
+    if (event === 'submitted') {
+      await run(
+        'UPDATE quiz_invitations SET opened_at = ? WHERE quiz_id = ? AND token = ? AND opened_at IS NULL',
+        [now, quizId, token]
+      );
+    }
+
+    const row = await get(
+      `UPDATE quiz_invitations SET ${column} = ? WHERE quiz_id = ? AND token = ? AND ${column} IS NULL RETURNING *`,
+      [now, quizId, token]
+    );
+    return row || null;
+  } catch (error) {
+    console.error(`[ERROR] trackInvitation ${event} for quiz ${quizId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Update a question
+ * @param {string} questionId - The question ID
+ * @param {Object} data - The updated question data
+ * @returns {Promise<boolean>} - Success status
+ */
+async function updateQuestion(questionId, data) {
+  try {
+    if (!questionId) {
+      console.error('[ERROR] updateQuestion: Missing questionId');
+      return false;
+    }
+
+    // Same field mapping as the Supabase adapter
+    const updateData = {};
+    if (data.text) updateData.text = data.text;
+    if (data.content) updateData.text = data.content; // Map content to text
+    if (data.type) updateData.type = data.type;
+    if (data.options) updateData.options = data.options;
+    if (data.correctAnswer !== undefined) updateData.correct_answer = data.correctAnswer;
+    if (data.correct_answer !== undefined) updateData.correct_answer = data.correct_answer;
+    if (data.source !== undefined) updateData.source = data.source;
+    if (data.pool !== undefined) updateData.pool = data.pool;
+    if (data.bank_linked !== undefined) updateData.bank_linked = !!data.bank_linked;
+
+    const columns = Object.keys(updateData);
+    if (columns.length === 0) return true;
+
+    await run(
+      `UPDATE questions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => encodeValue('questions', column, updateData[column])), questionId]
+    );
+    return true;
+  } catch (error) {
+    console.error('[ERROR] updateQuestion:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a question
+ * @param {string} questionId - The question ID to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteQuestion(questionId) {
+  try {
+    if (!questionId) {
+      console.error('[ERROR] deleteQuestion: Missing questionId');
+      return false;
+    }
+
+    await run('DELETE FROM questions WHERE id = ?', [questionId]);
+    return true;
+  } catch (error) {
+    console.error('[ERROR] deleteQuestion:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a user by email
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} - Returns user object or null if not found
+ */
+async function getUserByEmail(email) {
+  try {
+    return decodeRow('users', await get('SELECT * FROM users WHERE email = ?', [email]));
+  } catch (error) {
+    console.error(`Error getting user by email ${email}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Create a new user
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} password - User password (hashed)
+ * @returns {Promise<Object>} - Returns the created user
+ */
+async function createUser(email, name, password) {
+  try {
+    if (!email || !name || !password) {
+      console.error('[ERROR] Missing required fields for user creation');
+      throw new Error('Email, name, and password are required');
+    }
+
+    const user = await insertRow('users', { email, name, password });
+    console.log(`[DEBUG] User created successfully with ID: ${user.id}`);
+    return user;
+  } catch (error) {
+    console.error('[ERROR] Error creating user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user
+ * @param {number} id - User ID
+ * @param {Object} updates - Updates to apply to the user
+ * @returns {Promise<Object>} - Returns the updated user
+ */
+async function updateUser(id, updates) {
+  try {
+    return await updateRowById('users', id, updates);
+  } catch (error) {
+    console.error(`Error updating user ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store a password reset token hash, invalidating any earlier unused tokens for the user
+ * @param {string} userId - The user ID
+ * @param {string} tokenHash - SHA-256 hash of the token sent by email
+ * @param {Date} expiresAt - When the token stops being valid
+ * @returns {Promise<Object>} - The stored token row
+ */
+async function createPasswordResetToken(userId, tokenHash, expiresAt) {
+  try {
+    // Only the most recently requested link should work
+    await run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+      [new Date().toISOString(), userId]
+    );
+
+    return await insertRow('password_reset_tokens', {
+      user_id: userId,
+      token_hash: tokenHash,
+      expires_at: expiresAt.toISOString()
+    });
+  } catch (error) {
+    console.error(`Error creating password reset token for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get an unused, unexpired password reset token by its hash
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} - The token row or null if invalid
+ */
+async function getPasswordResetToken(tokenHash) {
+  try {
+    const row = await get(
+      'SELECT * FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+      [tokenHash, new Date().toISOString()]
+    );
+    return row || null;
+  } catch (error) {
+    console.error('Error getting password reset token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a password reset token as used. Only succeeds once per token.
+ * @param {string} tokenId - The token row ID
+ * @returns {Promise<boolean>} - True if this call consumed the token
+ */
+async function consumePasswordResetToken(tokenId) {
+  try {
+    const { changes } = await run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), tokenId]
+    );
+    return changes > 0;
+  } catch (error) {
+    console.error(`Error consuming password reset token ${tokenId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record one AI request in the usage ledger
+ * @param {Object} entry - { user_id, action, provider, model, input_tokens, output_tokens, cost_usd, latency_ms, outcome, error }
+ * @returns {Promise<Object>} - The stored ledger row
+ */
+async function recordAiUsage(entry) {
+  try {
+    return await insertRow('ai_usage', entry);
+  } catch (error) {
+    console.error(`Error recording AI usage for user ${entry.user_id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's AI usage ledger, oldest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - { since } Date of the oldest entry to include
+ * @returns {Promise<Array>} - The ledger rows
+ */
+async function getAiUsage(userId, { since } = {}) {
+  try {
+    return await all(
+      `SELECT * FROM ai_usage WHERE user_id = ?${since ? ' AND created_at >= ?' : ''} ORDER BY created_at ASC, id ASC`,
+      since ? [userId, since.toISOString()] : [userId]
+    );
+  } catch (error) {
+    console.error(`Error getting AI usage for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Open the SQLite database, creating it if needed
+ * @returns {Promise<boolean>} - True when a simple query succeeds
+ */
+async function checkConnection() {
+  try {
+    await get('SELECT 1');
+    console.log('Successfully connected to SQLite');
+    return true;
+  } catch (err) {
+    console.error('Failed to open SQLite database:', err);
+    return false;
+  }
+}
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+function toFtsQuery(search) {
+  const words = String(search || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Add a question to a tutor's question bank
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} question - Column values { type, text, options, correct_answer, explanation, category, difficulty, tags }
+ * @returns {Promise<Object>} - The created bank question
+ */
+async function createBankQuestion(ownerId, question) {
+  try {
+    return await insertRow('question_bank', { ...question, owner_id: ownerId });
+  } catch (error) {
+    console.error('[ERROR] createBankQuestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search a tutor's question bank
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} filters - { search, tags, category, difficulty, type, limit, offset }
+ *   `search` is full-text over the question, explanation and category; every tag in `tags` must match
+ * @returns {Promise<Object>} - { questions, total }, best matches first when searching, otherwise newest first
+ */
+async function getBankQuestions(ownerId, { search, tags = [], category, difficulty, type, limit = 50, offset = 0 } = {}) {
+  try {
+    const conditions = ['b.owner_id = ?'];
+    const params = [ownerId];
+    let from = 'question_bank b';
+
+    const ftsQuery = toFtsQuery(search);
+    if (ftsQuery) {
+      from += ' JOIN question_bank_fts ON question_bank_fts.rowid = b.id';
+      conditions.push('question_bank_fts MATCH ?');
+      params.push(ftsQuery);
+    }
+    tags.forEach(tag => {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(b.tags) WHERE value = ?)');
+      params.push(tag);
+    });
+    if (category) {
+      conditions.push('b.category = ? COLLATE NOCASE');
+      params.push(category);
+    }
+    if (difficulty) {
+      conditions.push('b.difficulty = ?');
+      params.push(difficulty);
+    }
+    if (type) {
+      conditions.push('b.type = ?');
+      params.push(type);
+    }
+
+    const where = conditions.join(' AND ');
+    const order = ftsQuery ? 'bm25(question_bank_fts), b.id DESC' : 'b.created_at DESC, b.id DESC';
+    const rows = await all(
+      `SELECT b.* FROM ${from} WHERE ${where} ORDER BY ${order} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { count } = await get(`SELECT COUNT(*) AS count FROM ${from} WHERE ${where}`, params);
+
+    return { questions: rows.map(row => decodeRow('question_bank', row)), total: count };
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestions for user ${ownerId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of a tutor's bank questions
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @returns {Promise<Object|null>} - The bank question or null if the tutor has no such question
+ */
+async function getBankQuestion(id, ownerId) {
+  try {
+    return decodeRow('question_bank', await get('SELECT * FROM question_bank WHERE id = ? AND owner_id = ?', [id, ownerId]));
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update one of a tutor's bank questions
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} updates - Column values to set
+ * @returns {Promise<Object|null>} - The updated bank question or null if the tutor has no such question
+ */
+async function updateBankQuestion(id, ownerId, updates) {
+  try {
+    if (!(await getBankQuestion(id, ownerId))) return null;
+    return await updateRowById('question_bank', id, { ...updates, updated_at: new Date().toISOString() });
+  } catch (error) {
+    console.error(`[ERROR] updateBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one of a tutor's bank questions. Quiz questions added from it keep their content.
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @returns {Promise<boolean>} - True when a question was deleted
+ */
+async function deleteBankQuestion(id, ownerId) {
+  try {
+    const result = await run('DELETE FROM question_bank WHERE id = ? AND owner_id = ?', [id, ownerId]);
+    return result.changes > 0;
+  } catch (error) {
+    console.error(`[ERROR] deleteBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count a use of a bank question in a quiz
+ * @param {number} id - Bank question ID
+ * @returns {Promise<void>}
+ */
+async function recordBankQuestionUse(id) {
+  try {
+    await run(
+      'UPDATE question_bank SET usage_count = usage_count + 1, last_used_at = ? WHERE id = ?',
+      [new Date().toISOString(), id]
+    );
+  } catch (error) {
+    console.error(`[ERROR] recordBankQuestionUse ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the quiz questions added from a bank question
+ * @param {number} bankQuestionId - Bank question ID
+ * @returns {Promise<Array>} - [{ id, quiz_id, bank_linked, quiz_title, quiz_status }]
+ */
+async function getBankQuestionLinks(bankQuestionId) {
+  try {
+    const rows = await all(
+      `SELECT q.id, q.quiz_id, q.bank_linked, z.title AS quiz_title, z.status AS quiz_status
+       FROM questions q JOIN quizzes z ON z.id = q.quiz_id
+       WHERE q.bank_question_id = ? ORDER BY q.id`,
+      [bankQuestionId]
+    );
+    return rows.map(row => ({ ...row, bank_linked: !!row.bank_linked }));
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestionLinks ${bankQuestionId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  checkConnection,
+  getQuizzes,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  updateQuizStatus,
+  deleteQuiz,
+  getQuizByAccessCode,
+  accessCodeExists,
+  getQuestions,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  getUser,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  insertSubmission,
+  getSubmissions,
+  getSubmission,
+  updateSubmission,
+  countSubmissions,
+  createNotification,
+  getNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  createInvitation,
+  updateInvitation,
+  getInvitations,
+  trackInvitation,
+  createPasswordResetToken,
+  getPasswordResetToken,
+  consumePasswordResetToken,
+  recordAiUsage,
+  getAiUsage,
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  recordBankQuestionUse,
+  getBankQuestionLinks
+};
@@ -0,0 +1,1365 @@
+const supabase = require('../supabase');
+const { normalizeAccessCode, normalizeQuizSettings, NOTIFICATION_TYPES } = require('../repository');
+
+/**
+ * Get a quiz by ID, optionally filtering by creator ID
+ * @param {number} id - Quiz ID
+ * @param {number} creatorId - Optional creator ID
+ * @returns {Promise<Object>} - Returns quiz object or null
+ */
+async function getQuiz(id, creatorId = null) {
+  try {
+    let queryBuilder = supabase.from('quizzes').select('*').eq('id', id);
+    
+    if (creatorId) {
+      queryBuilder = queryBuilder.eq('creator_id', creatorId);
+    }
+    
+    const { data, error } = await queryBuilder.single();
+    
+    if (error && error.code !== 'PGRST116') { // Ignore "no rows returned" error
+      throw error;
+    }
+    
+    return data || null;
+  } catch (error) {
+    console.error(`Error getting quiz ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get all quizzes, optionally filtered by creator
+ * @param {number} creatorId - Optional creator ID filter
+ * @returns {Promise<Array>} - Returns array of quizzes
+ */
+async function getQuizzes(creatorId = null) {
+  try {
+    let queryBuilder = supabase.from('quizzes').select('*');
+    
+    if (creatorId) {
+      queryBuilder = queryBuilder.eq('creator_id', creatorId);
+    }
+    
+    // For compatibility with the existing code that filters published quizzes
+    // We'll keep all quizzes and filter in memory where needed
+    
+    const { data, error } = await queryBuilder.order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error getting quizzes:', error);
+    return [];
+  }
+}
+
+/**
+ * Get questions for a quiz
+ * @param {number} quizId - Quiz ID
+ * @returns {Promise<Array>} - Returns array of questions
+ */
+async function getQuestions(quizId) {
+  try {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('*')
+      .eq('quiz_id', quizId)
+      .order('id');
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error(`Error getting questions for quiz ${quizId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Create a new quiz
+ * @param {number} creatorId - Creator ID
+ * @param {string} title - Quiz title
+ * @param {string} description - Quiz description
+ * @param {string|Object} settings - Quiz settings
+ * @returns {Promise<Object>} - Returns the created quiz
+ */
+async function createQuiz(creatorId, title, description, settings) {
+  try {
+    console.log('Creating quiz with params:', {
+      creatorId,
+      title,
+      hasDescription: !!description,
+      settingsType: typeof settings
+    });
+
+    // Settings may arrive as a JSON string or an object
+    const settingsObj = normalizeQuizSettings(settings);
+
+    console.log('Processed settings object:', settingsObj);
+
+    // Ensure we have valid title
+    if (!title) {
+      title = 'Untitled Quiz';
+    }
+
+    // Ensure creator_id is a number
+    const creatorIdNum = parseInt(creatorId, 10);
+    if (isNaN(creatorIdNum)) {
+      throw new Error(`Invalid creator_id: ${creatorId}`);
+    }
+
+    console.log('Inserting quiz into database');
+    const { data, error } = await supabase
+      .from('quizzes')
+      .insert({
+        creator_id: creatorIdNum,
+        title,
+        description: description || '',
+        settings: settingsObj,
+        access_code: normalizeAccessCode(settingsObj.accessCode),
+        status: 'draft'
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Supabase error creating quiz:', error);
+      throw error;
+    }
+    
+    console.log('Quiz created successfully:', data?.id);
+    return data;
+  } catch (error) {
+    console.error('Error creating quiz:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new question
+ * @param {number} quizId - Quiz ID
+ * @param {string} type - Question type
+ * @param {string} text - Question text (may be passed as 'content' from frontend)
+ * @param {string} options - JSON options string
+ * @param {string} correctAnswer - Correct answer
+ * @param {Object} extras - Optional { source, bankQuestionId, bankLinked, pool, mediaUrl, explanation }: the
+ *   cited document passage, the bank question it was added from, the pool it is drawn from, its image
+ *   and the explanation shown after answering
+ * @returns {Promise<Object>} - Returns the created question
+ */
+async function createQuestion(quizId, type, text, options, correctAnswer, extras = {}) {
+  try {
+    // Handle options properly - it could be a string or array
+    let optionsArray;
+    if (typeof options === 'string') {
+      try {
+        optionsArray = JSON.parse(options);
+      } catch (e) {
+        console.warn('Error parsing options string, using as-is:', e);
+        optionsArray = options;
+      }
+    } else {
+      optionsArray = options || [];
+    }
+
+    const { data, error } = await supabase
+      .from('questions')
+      .insert({
+        quiz_id: quizId,
+        type,
+        text, // The frontend might pass this as 'content', but it's already mapped in the router
+        options: optionsArray,
+        correct_answer: correctAnswer,
+        source: extras.source || null,
+        bank_question_id: extras.bankQuestionId || null,
+        bank_linked: !!(extras.bankQuestionId && extras.bankLinked),
+        pool: extras.pool || null,
+        media_url: extras.mediaUrl || null,
+        explanation: extras.explanation || null
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating question:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a quiz
+ * @param {number} id - Quiz ID 
+ * @param {Object} updates - Updates to apply to the quiz
+ * @returns {Promise<Object>} - Returns updated quiz
+ */
+async function updateQuiz(id, updates) {
+  try {
+    console.log(`Updating quiz ${id} with:`, JSON.stringify(updates));
+    
+    // If updates contains settings, ensure it's properly formatted
+    if (updates.settings) {
+      const settingsObj = normalizeQuizSettings(updates.settings);
+      
+      // Replace the settings in updates
+      updates.settings = settingsObj;
+      
+      // Keep the indexed access_code column in sync with settings.accessCode
+      if (settingsObj.accessCode) {
+        updates.access_code = normalizeAccessCode(settingsObj.accessCode);
+      }
+    }
+    
+    const { data, error } = await supabase
+      .from('quizzes')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error(`Error updating quiz ${id}:`, error);
+      throw error;
+    }
+    
+    console.log(`Quiz ${id} updated successfully`);
+    return data;
+  } catch (error) {
+    console.error(`Error updating quiz ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update quiz status (published/draft)
+ * @param {number} id - Quiz ID
+ * @param {string|boolean} status - New status or boolean for accepting responses
+ * @returns {Promise<Object>} - Returns updated quiz
+ */
+async function updateQuizStatus(id, status) {
+  try {
+    let updateData = {};
+    
+    if (typeof status === 'boolean') {
+      // Handle is_accepting_responses update
+      updateData.is_accepting_responses = status;
+    } else {
+      // Handle status update (published/draft)
+      updateData.status = status;
+      if (status === 'published') {
+        updateData.published_at = new Date().toISOString();
+      }
+    }
+    
+    const { data, error } = await supabase
+      .from('quizzes')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error updating quiz status for ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a quiz
+ * @param {string} quizId - Quiz ID to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteQuiz(quizId) {
+  try {
+    console.log(`[DEBUG] deleteQuiz: Deleting quiz with ID ${quizId}`);
+    
+    if (!quizId) {
+      console.error('[ERROR] deleteQuiz: Missing quizId');
+      return false;
+    }
+    
+    // First delete any questions associated with this quiz
+    const { error: questionsError } = await supabase
+      .from('questions')
+      .delete()
+      .eq('quiz_id', quizId);
+    
+    if (questionsError) {
+      console.error('[ERROR] deleteQuiz: Failed to delete questions:', questionsError);
+      // Continue with quiz deletion even if questions deletion fails
+    }
+    
+    // Then delete the quiz itself
+    const { error } = await supabase
+      .from('quizzes')
+      .delete()
+      .eq('id', quizId);
+    
+    if (error) {
+      console.error('[ERROR] deleteQuiz:', error);
+      return false;
+    }
+    
+    console.log(`[DEBUG] deleteQuiz: Successfully deleted quiz ${quizId}`);
+    return true;
+  } catch (error) {
+    console.error('[ERROR] deleteQuiz:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Returns user object or null if not found
+ */
+async function getUser(userId) {
+  try {
+    if (!userId) {
+      console.error('[ERROR] getUser: Missing userId');
+      return null;
+    }
+    
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') { // Ignore "no rows returned" error
+      console.error(`[ERROR] getUser: ${error.message}`);
+      return null;
+    }
+    
+    return data || null;
+  } catch (error) {
+    console.error(`[ERROR] getUser ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get quiz by access code - essential for public quiz access
+ * @param {string} accessCode - The access code to find
+ * @returns {Promise<Object|null>} - Returns the published quiz object or null
+ */
+async function getQuizByAccessCode(accessCode) {
+  try {
+    const normalizedAccessCode = normalizeAccessCode(accessCode);
+    
+    if (!normalizedAccessCode) {
+      console.error('[ERROR] getQuizByAccessCode: No access code provided');
+      return null;
+    }
+    
+    // Single lookup on the unique access_code index
+    const { data, error } = await supabase
+      .from('quizzes')
+      .select('*')
+      .eq('access_code', normalizedAccessCode)
+      .eq('status', 'published')
+      .maybeSingle();
+      
+    if (error) {
+      console.error('[ERROR] getQuizByAccessCode: Database error:', error);
+      return null;
+    }
+    
+    return data || null;
+  } catch (error) {
+    console.error('[ERROR] getQuizByAccessCode: Unhandled error:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether an access code is already assigned to any quiz (published or not)
+ * @param {string} accessCode - The access code to check
+ * @returns {Promise<boolean>} - True when the code is in use
+ */
+async function accessCodeExists(accessCode) {
+  const normalizedAccessCode = normalizeAccessCode(accessCode);
+  if (!normalizedAccessCode) return false;
+  
+  const { count, error } = await supabase
+    .from('quizzes')
+    .select('id', { count: 'exact', head: true })
+    .eq('access_code', normalizedAccessCode);
+    
+  if (error) {
+    console.error('Error checking access code:', error);
+    throw error;
+  }
+  
+  return (count || 0) > 0;
+}
+
+/**
+ * Insert a new quiz submission
+ * @param {Object} submission - The submission data
+ * @returns {Promise<string>} - The submission ID
+ */
+async function insertSubmission(submission) {
+  try {
+    console.log(`[DEBUG] insertSubmission: Storing submission for quiz ${submission.quiz_id}`);
+    
+    // Ensure we have valid data
+    if (!submission.quiz_id) {
+      console.error('[ERROR] insertSubmission: Missing quiz_id');
+      throw new Error('Missing quiz_id');
+    }
+    
+    // Create the submission record
+    const { data, error } = await supabase
+      .from('submissions')
+      .insert({
+        quiz_id: submission.quiz_id,
+        learner_id: submission.learner_id || 'anonymous_learner',
+        responses: typeof submission.responses === 'string' 
+          ? submission.responses 
+          : JSON.stringify(submission.responses),
+        metadata: typeof submission.metadata === 'string'
+          ? submission.metadata
+          : JSON.stringify(submission.metadata),
+        form: submission.form || null,
+        attempt_number: submission.attempt_number || null,
+        submitted_at: submission.submitted_at || new Date().toISOString(),
+        status: submission.status || 'submitted'
+      })
+      .select();
+    
+    if (error) {
+      console.error('[ERROR] insertSubmission:', error);
+      throw error;
+    }
+    
+    console.log(`[DEBUG] insertSubmission: Successfully stored submission with ID: ${data[0]?.id}`);
+    return data[0]?.id;
+  } catch (error) {
+    console.error('[ERROR] insertSubmission:', error);
+    throw error;
+  }
+}
+
+// Parse a stored submission and add the fields the frontend reads
+function toSubmission(submission) {
+  try {
+    // Parse responses if they're stored as a string
+    const responses = typeof submission.responses === 'string'
+      ? JSON.parse(submission.responses)
+      : submission.responses || [];
+    
+    // Parse metadata if it's stored as a string
+    const metadata = typeof submission.metadata === 'string'
+      ? JSON.parse(submission.metadata)
+      : submission.metadata || {};
+    
+    return {
+      ...submission,
+      answers: responses, // Map responses to answers for frontend compatibility
+      responses: responses,
+      metadata: metadata,
+      score: metadata.score || 0, // Extract score from metadata if available
+      passed: metadata.passed,
+      username: submission.learner_id || 'Anonymous User'
+    };
+  } catch (err) {
+    console.error('[ERROR] Error processing submission:', err);
+    return submission;
+  }
+}
+
+/**
+ * Get submissions for a specific quiz
+ * @param {string} quizId - The quiz ID
+ * @returns {Promise<Array>} - The submissions
+ */
+async function getSubmissions(quizId) {
+  try {
+    console.log(`[DEBUG] getSubmissions: Fetching submissions for quiz ${quizId}`);
+    
+    const { data, error } = await supabase
+      .from('submissions')
+      .select('*')
+      .eq('quiz_id', quizId)
+      .order('submitted_at', { ascending: false });
+    
+    if (error) {
+      console.error('[ERROR] getSubmissions:', error);
+      return [];
+    }
+    
+    console.log(`[DEBUG] getSubmissions: Found ${data.length} submissions for quiz ${quizId}`);
+    
+    return data.map(toSubmission);
+  } catch (error) {
+    console.error('[ERROR] getSubmissions:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single submission by ID
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Object|null>} - The submission or null if not found
+ */
+async function getSubmission(submissionId) {
+  try {
+    const { data, error } = await supabase
+      .from('submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data ? toSubmission(data) : null;
+  } catch (error) {
+    console.error(`[ERROR] getSubmission ${submissionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a submission, e.g. with grades or AI proposals
+ * @param {string} submissionId - The submission ID
+ * @param {Object} updates - { responses, metadata, status, graded_by, graded_at }
+ * @returns {Promise<Object|null>} - The updated submission or null if not found
+ */
+async function updateSubmission(submissionId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('submissions')
+      .update(updates)
+      .eq('id', submissionId)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data ? toSubmission(data) : null;
+  } catch (error) {
+    console.error(`[ERROR] updateSubmission ${submissionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count the submissions made for a quiz, optionally by one learner
+ * @param {string} quizId - The quiz ID
+ * @param {string} learnerId - Optional learner ID; submissions of every learner are counted without it
+ * @returns {Promise<number>} - Number of stored submissions
+ */
+async function countSubmissions(quizId, learnerId = null) {
+  try {
+    let queryBuilder = supabase
+      .from('submissions')
+      .select('id', { count: 'exact', head: true })
+      .eq('quiz_id', quizId);
+    
+    if (learnerId) {
+      queryBuilder = queryBuilder.eq('learner_id', learnerId);
+    }
+    
+    const { count, error } = await queryBuilder;
+    
+    if (error) throw error;
+    return count || 0;
+  } catch (error) {
+    console.error(`[ERROR] countSubmissions for quiz ${quizId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a notification for a user
+ * @param {string} userId - The recipient user ID
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object>} - The created notification
+ */
+async function createNotification(userId, { type = 'system', title, message, data = null }) {
+  try {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(`Invalid notification type: ${type}`);
+    }
+    
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        type,
+        title,
+        message,
+        data,
+        read: false
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return notification;
+  } catch (error) {
+    console.error(`[ERROR] createNotification for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get notifications for a user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Promise<Array>} - The notifications
+ */
+async function getNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  try {
+    let query = supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (unreadOnly) {
+      query = query.eq('read', false);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error(`[ERROR] getNotifications for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count unread notifications for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} - Number of unread notifications
+ */
+async function countUnreadNotifications(userId) {
+  try {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('read', false);
+    
+    if (error) throw error;
+    return count || 0;
+  } catch (error) {
+    console.error(`[ERROR] countUnreadNotifications for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark notifications as read
+ * @param {string} userId - The user ID (only their own notifications are updated)
+ * @param {Array|null} notificationIds - IDs to mark, or null to mark all as read
+ * @returns {Promise<number>} - Number of notifications updated
+ */
+async function markNotificationsRead(userId, notificationIds = null) {
+  try {
+    let query = supabase
+      .from('notifications')
+      .update({ read: true })
+      .eq('user_id', userId)
+      .eq('read', false);
+    
+    if (Array.isArray(notificationIds)) {
+      if (notificationIds.length === 0) return 0;
+      query = query.in('id', notificationIds);
+    }
+    
+    const { data, error } = await query.select('id');
+    
+    if (error) throw error;
+    return data ? data.length : 0;
+  } catch (error) {
+    console.error(`[ERROR] markNotificationsRead for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a quiz invitation
+ * @param {Object} invitation - { quiz_id, invited_by, email, token, due_at }
+ * @returns {Promise<Object>} - The created invitation
+ */
+async function createInvitation(invitation) {
+  try {
+    const { data, error } = await supabase
+      .from('quiz_invitations')
+      .insert({ status: 'pending', ...invitation })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`[ERROR] createInvitation for quiz ${invitation.quiz_id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a quiz invitation
+ * @param {string} invitationId - The invitation ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} - The updated invitation
+ */
+async function updateInvitation(invitationId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('quiz_invitations')
+      .update(updates)
+      .eq('id', invitationId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`[ERROR] updateInvitation ${invitationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the invitations sent for a quiz, newest first
+ * @param {string} quizId - The quiz ID
+ * @returns {Promise<Array>} - The invitations
+ */
+async function getInvitations(quizId) {
+  try {
+    const { data, error } = await supabase
+      .from('quiz_invitations')
+      .select('*')
+      .eq('quiz_id', quizId)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error(`[ERROR] getInvitations for quiz ${quizId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record that an invitation link was opened or submitted.
+ * Only the first event of each kind is kept.
+ * @param {string} quizId - The quiz the token must belong to
+ * @param {string} token - The invitation token from the link
+ * @param {string} event - 'opened' or 'submitted'
+ * @returns {Promise<Object|null>} - The updated invitation or null if nothing changed
+ */
+async function trackInvitation(quizId, token, event) {
+  try {
+    if (!token || !['opened', 'submitted'].includes(event)) return null;
+    
+    const column = `${event}_at`;
+    const now = new Date().toISOString();
+    const updates = { [column]: now };
+    
+    // Submitting implies the link was opened
+    if (event === 'submitted') {
+      const { error: openedError } = await supabase
+        .from('quiz_invitations')
+        .update({ opened_at: now })
+        .eq('quiz_id', quizId)
+        .eq('token', token)
+        .is('opened_at', null);
+      
+      if (openedError) throw openedError;
+    }
+    
+    const { data, error } = await supabase
+      .from('quiz_invitations')
+      .update(updates)
+      .eq('quiz_id', quizId)
+      .eq('token', token)
+      .is(column, null)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    console.error(`[ERROR] trackInvitation ${event} for quiz ${quizId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Update a question
+ * @param {string} questionId - The question ID
+ * @param {Object} data - The updated question data
+ * @returns {Promise<boolean>} - Success status
+ */
+async function updateQuestion(questionId, data) {
+  try {
+    console.log(`[DEBUG] updateQuestion: Updating question ${questionId}`);
+    
+    // Ensure we have valid data
+    if (!questionId) {
+      console.error('[ERROR] updateQuestion: Missing questionId');
+      return false;
+    }
+    
+    // Handle options if they're an object
+    let options = data.options;
+    if (typeof options === 'object' && !Array.isArray(options)) {
+      options = JSON.stringify(options);
+    }
+    
+    // Create update object with only valid fields
+    const updateData = {};
+    if (data.text) updateData.text = data.text;
+    if (data.content) updateData.text = data.content; // Map content to text
+    if (data.type) updateData.type = data.type;
+    if (options) updateData.options = options;
+    if (data.correctAnswer !== undefined) updateData.correct_answer = data.correctAnswer;
+    if (data.correct_answer !== undefined) updateData.correct_answer = data.correct_answer;
+    if (data.source !== undefined) updateData.source = data.source;
+    if (data.pool !== undefined) updateData.pool = data.pool;
+    if (data.bank_linked !== undefined) updateData.bank_linked = !!data.bank_linked;
+    
+    const { error } = await supabase
+      .from('questions')
+      .update(updateData)
+      .eq('id', questionId);
+    
+    if (error) {
+      console.error('[ERROR] updateQuestion:', error);
+      return false;
+    }
+    
+    console.log(`[DEBUG] updateQuestion: Successfully updated question ${questionId}`);
+    return true;
+  } catch (error) {
+    console.error('[ERROR] updateQuestion:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a question
+ * @param {string} questionId - The question ID to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteQuestion(questionId) {
+  try {
+    console.log(`[DEBUG] deleteQuestion: Deleting question with ID ${questionId}`);
+    
+    if (!questionId) {
+      console.error('[ERROR] deleteQuestion: Missing questionId');
+      return false;
+    }
+    
+    const { error } = await supabase
+      .from('questions')
+      .delete()
+      .eq('id', questionId);
+    
+    if (error) {
+      console.error('[ERROR] deleteQuestion:', error);
+      return false;
+    }
+    
+    console.log(`[DEBUG] deleteQuestion: Successfully deleted question ${questionId}`);
+    return true;
+  } catch (error) {
+    console.error('[ERROR] deleteQuestion:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a user by email
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} - Returns user object or null if not found
+ */
+async function getUserByEmail(email) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', email)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') { // Ignore "no rows returned" error
+      throw error;
+    }
+    
+    return data || null;
+  } catch (error) {
+    console.error(`Error getting user by email ${email}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Create a new user
+ * @param {string} email - User email
+ * @param {string} name - User name
+ * @param {string} password - User password (hashed)
+ * @returns {Promise<Object>} - Returns the created user
+ */
+async function createUser(email, name, password) {
+  try {
+    console.log(`[DEBUG] Creating user with email: ${email}`);
+    
+    if (!email || !name || !password) {
+      console.error('[ERROR] Missing required fields for user creation');
+      throw new Error('Email, name, and password are required');
+    }
+    
+    const { data, error } = await supabase
+      .from('users')
+      .insert({
+        email,
+        name,
+        password
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('[ERROR] Supabase error creating user:', error);
+      throw error;
+    }
+    
+    console.log(`[DEBUG] User created successfully with ID: ${data.id}`);
+    return data;
+  } catch (error) {
+    console.error('[ERROR] Error creating user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user
+ * @param {number} id - User ID
+ * @param {Object} updates - Updates to apply to the user
+ * @returns {Promise<Object>} - Returns the updated user
+ */
+async function updateUser(id, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error updating user ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store a password reset token hash, invalidating any earlier unused tokens for the user
+ * @param {string} userId - The user ID
+ * @param {string} tokenHash - SHA-256 hash of the token sent by email
+ * @param {Date} expiresAt - When the token stops being valid
+ * @returns {Promise<Object>} - The stored token row
+ */
+async function createPasswordResetToken(userId, tokenHash, expiresAt) {
+  try {
+    const now = new Date().toISOString();
+    
+    // Only the most recently requested link should work
+    const { error: invalidateError } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: now })
+      .eq('user_id', userId)
+      .is('used_at', null);
+    
+    if (invalidateError) throw invalidateError;
+    
+    const { data, error } = await supabase
+      .from('password_reset_tokens')
+      .insert({
+        user_id: userId,
+        token_hash: tokenHash,
+        expires_at: expiresAt.toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error creating password reset token for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get an unused, unexpired password reset token by its hash
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} - The token row or null if invalid
+ */
+async function getPasswordResetToken(tokenHash) {
+  try {
+    const { data, error } = await supabase
+      .from('password_reset_tokens')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    console.error('Error getting password reset token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a password reset token as used. Only succeeds once per token.
+ * @param {string} tokenId - The token row ID
+ * @returns {Promise<boolean>} - True if this call consumed the token
+ */
+async function consumePasswordResetToken(tokenId) {
+  try {
+    const { data, error } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', tokenId)
+      .is('used_at', null)
+      .select('id');
+    
+    if (error) throw error;
+    return Array.isArray(data) && data.length > 0;
+  } catch (error) {
+    console.error(`Error consuming password reset token ${tokenId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record one AI request in the usage ledger
+ * @param {Object} entry - { user_id, action, provider, model, input_tokens, output_tokens, cost_usd, latency_ms, outcome, error }
+ * @returns {Promise<Object>} - The stored ledger row
+ */
+async function recordAiUsage(entry) {
+  try {
+    const { data, error } = await supabase
+      .from('ai_usage')
+      .insert(entry)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Error recording AI usage for user ${entry.user_id}:`, error);
+    throw error;
+  }
+}
+
+// PostgREST caps the rows returned per request, so the ledger is read in pages
+const AI_USAGE_PAGE_SIZE = 1000;
+
+/**
+ * Get a user's AI usage ledger, oldest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - { since } Date of the oldest entry to include
+ * @returns {Promise<Array>} - The ledger rows
+ */
+async function getAiUsage(userId, { since } = {}) {
+  try {
+    const rows = [];
+    
+    for (let offset = 0; ; offset += AI_USAGE_PAGE_SIZE) {
+      let query = supabase
+        .from('ai_usage')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + AI_USAGE_PAGE_SIZE - 1);
+      
+      if (since) {
+        query = query.gte('created_at', since.toISOString());
+      }
+      
+      const { data, error } = await query;
+      
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < AI_USAGE_PAGE_SIZE) return rows;
+    }
+  } catch (error) {
+    console.error(`Error getting AI usage for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+// Bank columns returned to callers (the generated search_vector stays in the database)
+const BANK_COLUMNS = 'id, owner_id, type, text, options, correct_answer, explanation, category, difficulty, tags, usage_count, last_used_at, created_at, updated_at';
+
+/**
+ * Add a question to a tutor's question bank
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} question - Column values { type, text, options, correct_answer, explanation, category, difficulty, tags }
+ * @returns {Promise<Object>} - The created bank question
+ */
+async function createBankQuestion(ownerId, question) {
+  try {
+    const { data, error } = await supabase
+      .from('question_bank')
+      .insert({ ...question, owner_id: ownerId })
+      .select(BANK_COLUMNS)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('[ERROR] createBankQuestion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search a tutor's question bank
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} filters - { search, tags, category, difficulty, type, limit, offset }
+ *   `search` is full-text over the question, explanation and category; every tag in `tags` must match
+ * @returns {Promise<Object>} - { questions, total }, newest first
+ */
+async function getBankQuestions(ownerId, { search, tags = [], category, difficulty, type, limit = 50, offset = 0 } = {}) {
+  try {
+    let query = supabase
+      .from('question_bank')
+      .select(BANK_COLUMNS, { count: 'exact' })
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (search && search.trim()) {
+      query = query.textSearch('search_vector', search.trim(), { type: 'websearch', config: 'english' });
+    }
+    if (tags.length > 0) {
+      // jsonb containment: the stored tag array must include every requested tag
+      query = query.filter('tags', 'cs', JSON.stringify(tags));
+    }
+    if (category) {
+      query = query.ilike('category', category.replace(/[\\%_]/g, '\\$&'));
+    }
+    if (difficulty) {
+      query = query.eq('difficulty', difficulty);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+    
+    const { data, count, error } = await query;
+    
+    if (error) throw error;
+    return { questions: data || [], total: count || 0 };
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestions for user ${ownerId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of a tutor's bank questions
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @returns {Promise<Object|null>} - The bank question or null if the tutor has no such question
+ */
+async function getBankQuestion(id, ownerId) {
+  try {
+    const { data, error } = await supabase
+      .from('question_bank')
+      .select(BANK_COLUMNS)
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update one of a tutor's bank questions
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @param {Object} updates - Column values to set
+ * @returns {Promise<Object|null>} - The updated bank question or null if the tutor has no such question
+ */
+async function updateBankQuestion(id, ownerId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('question_bank')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .select(BANK_COLUMNS)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`[ERROR] updateBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one of a tutor's bank questions. Quiz questions added from it keep their content.
+ * @param {number} id - Bank question ID
+ * @param {number} ownerId - The tutor's user ID
+ * @returns {Promise<boolean>} - True when a question was deleted
+ */
+async function deleteBankQuestion(id, ownerId) {
+  try {
+    const { data, error } = await supabase
+      .from('question_bank')
+      .delete()
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .select('id');
+    
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error(`[ERROR] deleteBankQuestion ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count a use of a bank question in a quiz
+ * @param {number} id - Bank question ID
+ * @returns {Promise<void>}
+ */
+async function recordBankQuestionUse(id) {
+  try {
+    // PostgREST has no atomic increment; concurrent uses of one question may undercount by one
+    const { data, error } = await supabase
+      .from('question_bank')
+      .select('usage_count')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!data) return;
+    
+    const { error: updateError } = await supabase
+      .from('question_bank')
+      .update({ usage_count: (data.usage_count || 0) + 1, last_used_at: new Date().toISOString() })
+      .eq('id', id);
+    
+    if (updateError) throw updateError;
+  } catch (error) {
+    console.error(`[ERROR] recordBankQuestionUse ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the quiz questions added from a bank question
+ * @param {number} bankQuestionId - Bank question ID
+ * @returns {Promise<Array>} - [{ id, quiz_id, bank_linked, quiz_title, quiz_status }]
+ */
+async function getBankQuestionLinks(bankQuestionId) {
+  try {
+    const { data, error } = await supabase
+      .from('questions')
+      .select('id, quiz_id, bank_linked, quizzes(title, status)')
+      .eq('bank_question_id', bankQuestionId)
+      .order('id', { ascending: true });
+    
+    if (error) throw error;
+    return (data || []).map(({ quizzes, ...question }) => ({
+      ...question,
+      quiz_title: quizzes ? quizzes.title : null,
+      quiz_status: quizzes ? quizzes.status : null
+    }));
+  } catch (error) {
+    console.error(`[ERROR] getBankQuestionLinks ${bankQuestionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check that the Supabase project is reachable
+ * @returns {Promise<boolean>} - True when a simple query succeeds
+ */
+async function checkConnection() {
+  try {
+    const { error } = await supabase.from('users').select('count').limit(1);
+    if (error) {
+      console.error('Supabase connection error:', error);
+      return false;
+    }
+    console.log('Successfully connected to Supabase');
+    return true;
+  } catch (err) {
+    console.error('Failed to connect to Supabase:', err);
+    return false;
+  }
+}
+
+module.exports = {
+  checkConnection,
+  getQuizzes,
+  getQuiz,
+  createQuiz,
+  updateQuiz,
+  updateQuizStatus,
+  deleteQuiz,
+  getQuizByAccessCode,
+  accessCodeExists,
+  getQuestions,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  getUser,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  insertSubmission,
+  getSubmissions,
+  getSubmission,
+  updateSubmission,
+  countSubmissions,
+  createNotification,
+  getNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  createInvitation,
+  updateInvitation,
+  getInvitations,
+  trackInvitation,
+  createPasswordResetToken,
+  getPasswordResetToken,
+  consumePasswordResetToken,
+  recordAiUsage,
+  getAiUsage,
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  recordBankQuestionUse,
+  getBankQuestionLinks
+};
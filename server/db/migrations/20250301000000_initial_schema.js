@@ -0,0 +1,66 @@
+// Baseline tables. Existing Supabase projects were created from schema.sql and the runtime
+// submissions DDL, so every table is only created when it is missing.
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasTable('users'))) {
+    await knex.schema.createTable('users', function(table) {
+      table.increments('id').primary();
+      table.text('name').notNullable();
+      table.text('email').notNullable().unique();
+      table.text('password').notNullable();
+      table.text('role').defaultTo('student');
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+    });
+  }
+
+  if (!(await knex.schema.hasTable('quizzes'))) {
+    await knex.schema.createTable('quizzes', function(table) {
+      table.increments('id').primary();
+      table.integer('creator_id').references('id').inTable('users');
+      table.text('title').notNullable();
+      table.text('description');
+      table.text('status').defaultTo('draft');
+      table.jsonb('settings');
+      table.text('image_url');
+      table.boolean('is_accepting_responses').defaultTo(true);
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.timestamp('published_at', { useTz: true });
+      table.index(['creator_id'], 'idx_quizzes_creator');
+    });
+  }
+
+  if (!(await knex.schema.hasTable('questions'))) {
+    await knex.schema.createTable('questions', function(table) {
+      table.increments('id').primary();
+      table.integer('quiz_id').references('id').inTable('quizzes').onDelete('CASCADE');
+      table.text('type').notNullable();
+      table.text('text').notNullable().comment("Frontend uses 'content', which maps to this field");
+      table.jsonb('options');
+      table.integer('correct_answer');
+      table.text('explanation');
+      table.text('media_url');
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['quiz_id'], 'idx_questions_quiz');
+    });
+  }
+
+  if (!(await knex.schema.hasTable('submissions'))) {
+    await knex.schema.createTable('submissions', function(table) {
+      table.increments('id').primary();
+      table.integer('quiz_id').references('id').inTable('quizzes').onDelete('CASCADE');
+      table.text('learner_id');
+      table.jsonb('responses');
+      table.jsonb('metadata');
+      table.timestamp('submitted_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.text('status').defaultTo('submitted');
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['quiz_id', 'learner_id'], 'idx_submissions_quiz_learner');
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('submissions');
+  await knex.schema.dropTableIfExists('questions');
+  await knex.schema.dropTableIfExists('quizzes');
+  await knex.schema.dropTableIfExists('users');
+};
@@ -0,0 +1,37 @@
+exports.up = async function(knex) {
+  await knex.schema.alterTable('quizzes', function(table) {
+    table.string('access_code', 16).nullable().comment('Public code learners use to open the quiz');
+  });
+
+  // Backfill from settings.accessCode. If two quizzes share a code, the oldest keeps it.
+  await knex.raw(`
+    UPDATE quizzes q
+    SET access_code = UPPER(q.settings->>'accessCode')
+    WHERE q.settings->>'accessCode' IS NOT NULL
+      AND q.id = (
+        SELECT MIN(d.id) FROM quizzes d
+        WHERE UPPER(d.settings->>'accessCode') = UPPER(q.settings->>'accessCode')
+      )
+  `);
+
+  // The others lose the shared code so saving their settings cannot write it back into the
+  // unique column; publishing them again generates a fresh code
+  await knex.raw(`
+    UPDATE quizzes
+    SET settings = settings - 'accessCode'
+    WHERE access_code IS NULL
+      AND settings->>'accessCode' IS NOT NULL
+  `);
+
+  await knex.schema.alterTable('quizzes', function(table) {
+    table.unique(['access_code'], 'idx_quizzes_access_code');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('quizzes', function(table) {
+      table.dropUnique(['access_code'], 'idx_quizzes_access_code');
+      table.dropColumn('access_code');
+    });
+};
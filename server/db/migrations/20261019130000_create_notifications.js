@@ -0,0 +1,18 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('notifications', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('type').notNullable().defaultTo('system').comment('quiz_attempt, quiz_result or system');
+      table.string('title').notNullable();
+      table.text('message').notNullable();
+      table.jsonb('data').nullable().comment('Extra context such as quiz and submission IDs');
+      table.boolean('read').notNullable().defaultTo(false);
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['user_id', 'read'], 'idx_notifications_user_read');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('notifications');
+};
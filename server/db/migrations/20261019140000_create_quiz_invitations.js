@@ -0,0 +1,22 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('quiz_invitations', function(table) {
+      table.increments('id').primary();
+      table.integer('quiz_id').notNullable().references('id').inTable('quizzes').onDelete('CASCADE');
+      table.integer('invited_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.string('email').notNullable();
+      table.string('token', 64).notNullable().unique().comment('Included in the invite link to track opens and submissions');
+      table.string('status').notNullable().defaultTo('pending').comment('pending, sent or failed');
+      table.text('error').nullable();
+      table.timestamp('due_at', { useTz: true }).nullable();
+      table.timestamp('sent_at', { useTz: true }).nullable();
+      table.timestamp('opened_at', { useTz: true }).nullable();
+      table.timestamp('submitted_at', { useTz: true }).nullable();
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['quiz_id'], 'idx_quiz_invitations_quiz');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('quiz_invitations');
+};
@@ -0,0 +1,16 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('password_reset_tokens', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('token_hash', 64).notNullable().unique().comment('SHA-256 of the emailed token; the token itself is never stored');
+      table.timestamp('expires_at', { useTz: true }).notNullable();
+      table.timestamp('used_at', { useTz: true }).nullable();
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['user_id'], 'idx_password_reset_tokens_user');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('password_reset_tokens');
+};
@@ -0,0 +1,13 @@
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('questions', function(table) {
+      table.jsonb('source').nullable().comment('Document passage an AI generated question cites');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('questions', function(table) {
+      table.dropColumn('source');
+    });
+};
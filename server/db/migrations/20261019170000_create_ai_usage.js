@@ -0,0 +1,31 @@
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('users', function(table) {
+      table.string('ai_plan').notNullable().defaultTo('free').comment('Plan whose AI quotas apply to the user');
+      table.jsonb('ai_quota').nullable().comment('Per-user overrides of the plan quotas');
+    })
+    .createTable('ai_usage', function(table) {
+      table.increments('id').primary();
+      table.integer('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('action').notNullable().comment('generate or refine');
+      table.string('provider').notNullable();
+      table.string('model').nullable();
+      table.integer('input_tokens').notNullable().defaultTo(0);
+      table.integer('output_tokens').notNullable().defaultTo(0);
+      table.decimal('cost_usd', 12, 6).nullable().comment('Estimated from AI_MODEL_PRICES; null for unpriced models');
+      table.integer('latency_ms').nullable();
+      table.string('outcome').notNullable().comment('success, partial, failed or cancelled');
+      table.text('error').nullable();
+      table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+      table.index(['user_id', 'created_at'], 'idx_ai_usage_user_created');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('ai_usage')
+    .alterTable('users', function(table) {
+      table.dropColumn('ai_quota');
+      table.dropColumn('ai_plan');
+    });
+};
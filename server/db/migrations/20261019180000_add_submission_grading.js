@@ -0,0 +1,15 @@
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('submissions', function(table) {
+      table.integer('graded_by').nullable().references('id').inTable('users').onDelete('SET NULL').comment('Tutor who last graded the submission');
+      table.timestamp('graded_at', { useTz: true }).nullable();
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('submissions', function(table) {
+      table.dropColumn('graded_at');
+      table.dropColumn('graded_by');
+    });
+};
@@ -0,0 +1,44 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable('question_bank', function(table) {
+    table.increments('id').primary();
+    table.integer('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('type').notNullable();
+    table.text('text').notNullable();
+    table.jsonb('options').nullable();
+    table.jsonb('correct_answer').nullable();
+    table.text('explanation').nullable();
+    table.string('category').nullable();
+    table.string('difficulty').nullable().comment('beginner, intermediate or advanced');
+    table.jsonb('tags').notNullable().defaultTo('[]').comment('Lowercase tag names');
+    table.integer('usage_count').notNullable().defaultTo(0).comment('How many times the question was added to a quiz');
+    table.timestamp('last_used_at', { useTz: true }).nullable();
+    table.timestamp('created_at', { useTz: true }).defaultTo(knex.fn.now());
+    table.timestamp('updated_at', { useTz: true }).defaultTo(knex.fn.now());
+    table.index(['owner_id', 'created_at'], 'idx_question_bank_owner_created');
+  });
+
+  // Full-text search over the question, its explanation and category
+  await knex.raw(`
+    ALTER TABLE question_bank ADD COLUMN search_vector tsvector
+      GENERATED ALWAYS AS (to_tsvector('english',
+        coalesce(text, '') || ' ' || coalesce(explanation, '') || ' ' || coalesce(category, ''))) STORED
+  `);
+  await knex.raw('CREATE INDEX idx_question_bank_search ON question_bank USING GIN (search_vector)');
+  await knex.raw('CREATE INDEX idx_question_bank_tags ON question_bank USING GIN (tags jsonb_path_ops)');
+
+  await knex.schema.alterTable('questions', function(table) {
+    table.integer('bank_question_id').nullable().references('id').inTable('question_bank').onDelete('SET NULL')
+      .comment('Bank question this question was added from');
+    table.boolean('bank_linked').notNullable().defaultTo(false).comment('Kept in sync with the bank question when it is edited');
+    table.index(['bank_question_id'], 'idx_questions_bank_question');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('questions', function(table) {
+    table.dropIndex(['bank_question_id'], 'idx_questions_bank_question');
+    table.dropColumn('bank_linked');
+    table.dropColumn('bank_question_id');
+  });
+  await knex.schema.dropTableIfExists('question_bank');
+};
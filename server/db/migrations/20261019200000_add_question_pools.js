@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('questions', function(table) {
+      table.text('pool').nullable().comment('Pool the question is drawn from; null questions are always asked');
+    })
+    .alterTable('submissions', function(table) {
+      table.jsonb('form').nullable().comment('Question order and option orders served to the learner');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('submissions', function(table) {
+      table.dropColumn('form');
+    })
+    .alterTable('questions', function(table) {
+      table.dropColumn('pool');
+    });
+};
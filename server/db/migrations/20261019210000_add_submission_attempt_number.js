@@ -0,0 +1,17 @@
+// Numbering each learner's attempts lets the unique index reject a submission that would go
+// past the attempt limit when two arrive at once. Earlier submissions keep a null number.
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('submissions', function(table) {
+      table.integer('attempt_number').nullable().comment("Which of the learner's attempts this is");
+      table.unique(['quiz_id', 'learner_id', 'attempt_number'], 'idx_submissions_attempt');
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('submissions', function(table) {
+      table.dropUnique(['quiz_id', 'learner_id', 'attempt_number'], 'idx_submissions_attempt');
+      table.dropColumn('attempt_number');
+    });
+};
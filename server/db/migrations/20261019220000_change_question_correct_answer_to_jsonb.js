@@ -0,0 +1,17 @@
+// Correct answers are not only option indexes: fill-in-the-blank questions keep a list of
+// accepted answers and free-text questions a model answer, so the column holds JSON like
+// question_bank.correct_answer. Rolling back keeps the answers that are whole numbers.
+exports.up = function(knex) {
+  return knex.raw(`
+    ALTER TABLE questions
+      ALTER COLUMN correct_answer TYPE JSONB USING to_jsonb(correct_answer)
+  `);
+};
+
+exports.down = function(knex) {
+  return knex.raw(`
+    ALTER TABLE questions
+      ALTER COLUMN correct_answer TYPE INTEGER USING
+        CASE WHEN correct_answer #>> '{}' ~ '^-?[0-9]+$' THEN (correct_answer #>> '{}')::integer END
+  `);
+};
@@ -0,0 +1,137 @@
+// Storage-agnostic repository interface. Every adapter in db/adapters must implement all of these
+// methods with the same arguments and return shapes; routes only ever talk to the repository.
+const REPOSITORY_METHODS = [
+  'checkConnection',
+
+  // Quizzes
+  'getQuizzes',
+  'getQuiz',
+  'createQuiz',
+  'updateQuiz',
+  'updateQuizStatus',
+  'deleteQuiz',
+  'getQuizByAccessCode',
+  'accessCodeExists',
+
+  // Questions
+  'getQuestions',
+  'createQuestion',
+  'updateQuestion',
+  'deleteQuestion',
+
+  // Users
+  'getUser',
+  'getUserByEmail',
+  'createUser',
+  'updateUser',
+
+  // Submissions
+  'insertSubmission',
+  'getSubmissions',
+  'getSubmission',
+  'updateSubmission',
+  'countSubmissions',
+
+  // Notifications
+  'createNotification',
+  'getNotifications',
+  'countUnreadNotifications',
+  'markNotificationsRead',
+
+  // Invitations
+  'createInvitation',
+  'updateInvitation',
+  'getInvitations',
+  'trackInvitation',
+
+  // Password resets
+  'createPasswordResetToken',
+  'getPasswordResetToken',
+  'consumePasswordResetToken',
+
+  // AI usage ledger
+  'recordAiUsage',
+  'getAiUsage',
+
+  // Question bank
+  'createBankQuestion',
+  'getBankQuestions',
+  'getBankQuestion',
+  'updateBankQuestion',
+  'deleteBankQuestion',
+  'recordBankQuestionUse',
+  'getBankQuestionLinks'
+];
+
+// Error code every adapter uses for unique constraint violations (PostgreSQL's code, which Supabase passes through)
+const UNIQUE_VIOLATION = '23505';
+
+// Notification types shown in the dashboard bell: `quiz_attempt` for a submission with answers
+// awaiting review, `quiz_result` once a submission's result is final
+const NOTIFICATION_TYPES = ['quiz_attempt', 'quiz_result', 'system'];
+
+/**
+ * Normalize an access code for storage and lookups
+ * @param {string} accessCode - The access code
+ * @returns {string|null} - Uppercased code or null if empty
+ */
+function normalizeAccessCode(accessCode) {
+  if (!accessCode || typeof accessCode !== 'string') return null;
+  const normalized = accessCode.trim().toUpperCase();
+  return normalized || null;
+}
+
+/**
+ * Parse quiz settings and fill in the fields the frontend relies on
+ * @param {string|Object} settings - Settings as a JSON string or object
+ * @returns {Object} - Normalized settings object
+ */
+function normalizeQuizSettings(settings) {
+  let settingsObj = {};
+
+  if (typeof settings === 'string') {
+    try {
+      settingsObj = JSON.parse(settings) || {};
+    } catch (e) {
+      console.warn('Error parsing settings string, using empty object:', e);
+    }
+  } else if (settings) {
+    settingsObj = settings;
+  }
+
+  return {
+    subject: settingsObj.subject || settingsObj.category || 'General',
+    category: settingsObj.category || settingsObj.subject || 'General',
+    duration: settingsObj.duration || settingsObj.timeLimit || 10,
+    timeUnit: settingsObj.timeUnit || 'minutes',
+    difficulty: settingsObj.difficulty || settingsObj.complexity || 'Medium',
+    ...settingsObj
+  };
+}
+
+/**
+ * Build the repository from an adapter, failing fast if the adapter is incomplete
+ * @param {Object} adapter - Adapter module exporting the repository methods
+ * @param {string} name - Adapter name used in error messages
+ * @returns {Object} - Repository object exposing exactly the interface methods
+ */
+function createRepository(adapter, name) {
+  const missing = REPOSITORY_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Database adapter "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return REPOSITORY_METHODS.reduce((repository, method) => {
+    repository[method] = adapter[method];
+    return repository;
+  }, {});
+}
+
+module.exports = {
+  REPOSITORY_METHODS,
+  UNIQUE_VIOLATION,
+  NOTIFICATION_TYPES,
+  normalizeAccessCode,
+  normalizeQuizSettings,
+  createRepository
+};
@@ -1,3 +1,6 @@
+-- Reference snapshot of the full schema. Changes are made through versioned migrations in
+-- db/migrations (applied with `npm run migrate -- up`); keep this file in sync with them.
+
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -5,6 +8,8 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT UNIQUE NOT NULL,
   password TEXT NOT NULL,
   role TEXT DEFAULT 'student',
+  ai_plan TEXT NOT NULL DEFAULT 'free', -- Plan whose AI quotas apply to the user
+  ai_quota JSONB,                       -- Per-user overrides of the plan quotas
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -16,12 +21,33 @@ CREATE TABLE IF NOT EXISTS quizzes (
   description TEXT,
   status TEXT DEFAULT 'draft',
   settings JSONB,  -- Changed from TEXT to JSONB for better JSON handling
+  access_code TEXT UNIQUE, -- Mirrors settings.accessCode for indexed lookups
   image_url TEXT,
   is_accepting_responses BOOLEAN DEFAULT TRUE, -- Changed from INTEGER to BOOLEAN
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   published_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Question bank: a tutor's reusable questions, copied or linked into quizzes
+CREATE TABLE IF NOT EXISTS question_bank (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  text TEXT NOT NULL,
+  options JSONB,
+  correct_answer JSONB,
+  explanation TEXT,
+  category TEXT,
+  difficulty TEXT,                           -- beginner, intermediate or advanced
+  tags JSONB NOT NULL DEFAULT '[]',          -- Lowercase tag names
+  usage_count INTEGER NOT NULL DEFAULT 0,    -- How many times the question was added to a quiz
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english',
+    coalesce(text, '') || ' ' || coalesce(explanation, '') || ' ' || coalesce(category, ''))) STORED
+);
+
 -- Questions table
 CREATE TABLE IF NOT EXISTS questions (
   id SERIAL PRIMARY KEY,
@@ -29,9 +55,15 @@ CREATE TABLE IF NOT EXISTS questions (
   type TEXT NOT NULL,
   text TEXT NOT NULL,      -- Note: Frontend uses 'content' field which maps to this 'text' field
   options JSONB,           -- Changed from TEXT to JSONB for better JSON handling
-  correct_answer INTEGER,  
+  correct_answer JSONB,    -- Option index(es), accepted blank answers or a model answer
   explanation TEXT,
   media_url TEXT,          -- Added for question images
+  image_url TEXT,
+  has_image_options BOOLEAN DEFAULT FALSE,
+  source JSONB,            -- Cited document passage for questions generated from uploaded material
+  bank_question_id INTEGER REFERENCES question_bank(id) ON DELETE SET NULL, -- Bank question it was added from
+  bank_linked BOOLEAN NOT NULL DEFAULT FALSE, -- Kept in sync with the bank question when it is edited
+  pool TEXT,               -- Pool the question is drawn from (settings.pools); null questions are always asked
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -46,8 +78,89 @@ CREATE TABLE IF NOT EXISTS responses (
   submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Quiz submissions
+CREATE TABLE IF NOT EXISTS submissions (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+  learner_id TEXT,
+  responses JSONB,
+  metadata JSONB,          -- Score, points and grading details
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  status TEXT DEFAULT 'submitted', -- submitted, or graded once no answer awaits review
+  graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Tutor who last graded the submission
+  graded_at TIMESTAMP WITH TIME ZONE,
+  form JSONB,              -- Question order and option orders served to the learner
+  attempt_number INTEGER,  -- Which of the learner's attempts this is
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL DEFAULT 'system', -- quiz_attempt, quiz_result or system
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB,
+  read BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quiz invitations sent by email
+CREATE TABLE IF NOT EXISTS quiz_invitations (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email TEXT NOT NULL,
+  token TEXT UNIQUE NOT NULL, -- Included in the invite link to track opens and submissions
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, sent or failed
+  error TEXT,
+  due_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  opened_at TIMESTAMP WITH TIME ZONE,
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password reset tokens (only a SHA-256 hash of the emailed token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- AI usage ledger: one row per AI request, used for quotas and usage statistics
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action TEXT NOT NULL, -- generate, refine or grade
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6), -- Estimated from AI_MODEL_PRICES; null for unpriced models
+  latency_ms INTEGER,
+  outcome TEXT NOT NULL, -- success, partial, failed or cancelled
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_quizzes_creator ON quizzes(creator_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quizzes_access_code ON quizzes(access_code);
 CREATE INDEX IF NOT EXISTS idx_questions_quiz ON questions(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_questions_bank_question ON questions(bank_question_id);
+CREATE INDEX IF NOT EXISTS idx_question_bank_owner_created ON question_bank(owner_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_question_bank_search ON question_bank USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_question_bank_tags ON question_bank USING GIN (tags jsonb_path_ops);
 CREATE INDEX IF NOT EXISTS idx_responses_quiz ON responses(quiz_id);
 CREATE INDEX IF NOT EXISTS idx_responses_user ON responses(user_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_quiz_learner ON submissions(quiz_id, learner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submissions_attempt ON submissions(quiz_id, learner_id, attempt_number);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_read ON notifications(user_id, read);
+CREATE INDEX IF NOT EXISTS idx_quiz_invitations_quiz ON quiz_invitations(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
@@ -0,0 +1,141 @@
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { UNIQUE_VIOLATION } = require('../repository');
+const { migrateUp } = require('./migrator');
+
+// SQLITE_PATH may point anywhere (or be ":memory:" for throwaway databases)
+const DEFAULT_SQLITE_PATH = path.resolve(__dirname, '../../data/testcraft.sqlite');
+
+let connectionPromise = null;
+
+/**
+ * Resolve the configured database file path
+ * @returns {string} - Path to the SQLite database file
+ */
+function getDatabasePath() {
+  const configured = process.env.SQLITE_PATH;
+  if (!configured) return DEFAULT_SQLITE_PATH;
+  return configured === ':memory:' ? configured : path.resolve(configured);
+}
+
+/**
+ * Give SQLite constraint errors the same code Supabase uses so routes can handle both alike
+ * @param {Error} err - The sqlite3 error
+ * @returns {Error} - The same error with a normalized code
+ */
+function normalizeError(err) {
+  if (err && err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message)) {
+    err.code = UNIQUE_VIOLATION;
+  }
+  return err;
+}
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) return reject(normalizeError(err));
+      resolve();
+    });
+  });
+}
+
+/**
+ * Open the configured database file without touching its schema
+ * @returns {Promise<Object>} - The sqlite3 Database handle
+ */
+async function openDatabase() {
+  const filename = getDatabasePath();
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = await new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(filename, (err) => {
+      if (err) return reject(err);
+      resolve(handle);
+    });
+  });
+  await exec(db, 'PRAGMA foreign_keys = ON;');
+  return db;
+}
+
+/**
+ * Open the database once and apply pending migrations, unless SQLITE_AUTO_MIGRATE=false
+ * @returns {Promise<Object>} - The sqlite3 Database handle
+ */
+function getConnection() {
+  if (!connectionPromise) {
+    connectionPromise = (async () => {
+      const db = await openDatabase();
+
+      if (process.env.SQLITE_AUTO_MIGRATE !== 'false') {
+        const applied = await migrateUp(db);
+        if (applied.length > 0) {
+          console.log(`Applied ${applied.length} SQLite migration(s)`);
+        }
+      }
+
+      console.log(`SQLite database ready at ${getDatabasePath()}`);
+      return db;
+    })().catch((err) => {
+      // Allow a later call to retry instead of caching the failure
+      connectionPromise = null;
+      throw err;
+    });
+  }
+  return connectionPromise;
+}
+
+async function run(query, params = []) {
+  const db = await getConnection();
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) return reject(normalizeError(err));
+      resolve({ id: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+async function get(query, params = []) {
+  const db = await getConnection();
+  return new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => {
+      if (err) return reject(normalizeError(err));
+      resolve(row);
+    });
+  });
+}
+
+async function all(query, params = []) {
+  const db = await getConnection();
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) return reject(normalizeError(err));
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Close the connection (used by scripts so the process can exit)
+ * @returns {Promise<void>}
+ */
+async function close() {
+  if (!connectionPromise) return;
+  const db = await connectionPromise;
+  connectionPromise = null;
+  await new Promise((resolve, reject) => {
+    db.close((err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = {
+  getDatabasePath,
+  openDatabase,
+  getConnection,
+  run,
+  get,
+  all,
+  close
+};
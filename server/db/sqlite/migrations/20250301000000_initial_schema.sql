@@ -0,0 +1,58 @@
+-- Base tables. JSON columns are stored as TEXT and booleans as INTEGER 0/1;
+-- timestamps default to ISO 8601 UTC so they parse the same way as Supabase timestamps.
+
+-- migrate:up
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  email TEXT UNIQUE NOT NULL,
+  password TEXT NOT NULL,
+  role TEXT DEFAULT 'student',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE quizzes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  creator_id INTEGER REFERENCES users(id),
+  title TEXT NOT NULL,
+  description TEXT,
+  status TEXT DEFAULT 'draft',
+  settings TEXT,
+  image_url TEXT,
+  is_accepting_responses INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  published_at TEXT
+);
+
+CREATE TABLE questions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  text TEXT NOT NULL,
+  options TEXT,
+  correct_answer TEXT,
+  explanation TEXT,
+  media_url TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE submissions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+  learner_id TEXT,
+  responses TEXT,
+  metadata TEXT,
+  submitted_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  status TEXT DEFAULT 'submitted',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_quizzes_creator ON quizzes(creator_id);
+CREATE INDEX idx_questions_quiz ON questions(quiz_id);
+CREATE INDEX idx_submissions_quiz_learner ON submissions(quiz_id, learner_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS submissions;
+DROP TABLE IF EXISTS questions;
+DROP TABLE IF EXISTS quizzes;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE questions ADD COLUMN image_url TEXT;
+ALTER TABLE questions ADD COLUMN has_image_options INTEGER DEFAULT 0;
+
+-- migrate:down
+ALTER TABLE questions DROP COLUMN has_image_options;
+ALTER TABLE questions DROP COLUMN image_url;
@@ -0,0 +1,28 @@
+-- migrate:up
+-- SQLite cannot add a UNIQUE column directly, so uniqueness comes from the index
+ALTER TABLE quizzes ADD COLUMN access_code TEXT;
+
+-- Backfill from settings.accessCode; if two quizzes share a code the oldest keeps it
+UPDATE quizzes
+SET access_code = UPPER(json_extract(settings, '$.accessCode'))
+WHERE json_valid(settings)
+  AND json_extract(settings, '$.accessCode') IS NOT NULL
+  AND id = (
+    SELECT MIN(d.id) FROM quizzes d
+    WHERE json_valid(d.settings)
+      AND UPPER(json_extract(d.settings, '$.accessCode')) = UPPER(json_extract(quizzes.settings, '$.accessCode'))
+  );
+
+-- The others lose the shared code so saving their settings cannot write it back into the
+-- unique column; publishing them again generates a fresh code
+UPDATE quizzes
+SET settings = json_remove(settings, '$.accessCode')
+WHERE access_code IS NULL
+  AND json_valid(settings)
+  AND json_extract(settings, '$.accessCode') IS NOT NULL;
+
+CREATE UNIQUE INDEX idx_quizzes_access_code ON quizzes(access_code);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_quizzes_access_code;
+ALTER TABLE quizzes DROP COLUMN access_code;
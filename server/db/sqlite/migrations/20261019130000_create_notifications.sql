@@ -0,0 +1,16 @@
+-- migrate:up
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL DEFAULT 'system', -- quiz_attempt, quiz_result or system
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data TEXT,
+  read INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_notifications_user_read ON notifications(user_id, read);
+
+-- migrate:down
+DROP TABLE IF EXISTS notifications;
@@ -0,0 +1,20 @@
+-- migrate:up
+CREATE TABLE quiz_invitations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email TEXT NOT NULL,
+  token TEXT UNIQUE NOT NULL, -- Included in the invite link to track opens and submissions
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, sent or failed
+  error TEXT,
+  due_at TEXT,
+  sent_at TEXT,
+  opened_at TEXT,
+  submitted_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_quiz_invitations_quiz ON quiz_invitations(quiz_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS quiz_invitations;
@@ -0,0 +1,5 @@
+-- migrate:up
+ALTER TABLE questions ADD COLUMN source TEXT;
+
+-- migrate:down
+ALTER TABLE questions DROP COLUMN source;
@@ -0,0 +1,26 @@
+-- migrate:up
+ALTER TABLE users ADD COLUMN ai_plan TEXT NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN ai_quota TEXT;
+
+-- One row per AI request, used for quotas and usage statistics
+CREATE TABLE ai_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action TEXT NOT NULL, -- generate or refine
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL,
+  latency_ms INTEGER,
+  outcome TEXT NOT NULL, -- success, partial, failed or cancelled
+  error TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS ai_usage;
+ALTER TABLE users DROP COLUMN ai_quota;
+ALTER TABLE users DROP COLUMN ai_plan;
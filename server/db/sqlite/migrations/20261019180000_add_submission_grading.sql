@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE submissions ADD COLUMN graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE submissions ADD COLUMN graded_at TEXT;
+
+-- migrate:down
+ALTER TABLE submissions DROP COLUMN graded_at;
+ALTER TABLE submissions DROP COLUMN graded_by;
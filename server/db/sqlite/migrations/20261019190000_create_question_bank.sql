@@ -0,0 +1,57 @@
+-- migrate:up
+-- A tutor's reusable questions, copied or linked into quizzes
+CREATE TABLE question_bank (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  text TEXT NOT NULL,
+  options TEXT,
+  correct_answer TEXT,
+  explanation TEXT,
+  category TEXT,
+  difficulty TEXT, -- beginner, intermediate or advanced
+  tags TEXT NOT NULL DEFAULT '[]', -- JSON array of lowercase tag names
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_question_bank_owner_created ON question_bank(owner_id, created_at);
+
+-- Full-text search over the question, its explanation and category, kept in sync by triggers
+CREATE VIRTUAL TABLE question_bank_fts USING fts5(
+  text, explanation, category,
+  content='question_bank', content_rowid='id'
+);
+
+CREATE TRIGGER question_bank_fts_insert AFTER INSERT ON question_bank BEGIN
+  INSERT INTO question_bank_fts(rowid, text, explanation, category)
+  VALUES (new.id, new.text, new.explanation, new.category);
+END;
+
+CREATE TRIGGER question_bank_fts_delete AFTER DELETE ON question_bank BEGIN
+  INSERT INTO question_bank_fts(question_bank_fts, rowid, text, explanation, category)
+  VALUES ('delete', old.id, old.text, old.explanation, old.category);
+END;
+
+CREATE TRIGGER question_bank_fts_update AFTER UPDATE OF text, explanation, category ON question_bank BEGIN
+  INSERT INTO question_bank_fts(question_bank_fts, rowid, text, explanation, category)
+  VALUES ('delete', old.id, old.text, old.explanation, old.category);
+  INSERT INTO question_bank_fts(rowid, text, explanation, category)
+  VALUES (new.id, new.text, new.explanation, new.category);
+END;
+
+ALTER TABLE questions ADD COLUMN bank_question_id INTEGER REFERENCES question_bank(id) ON DELETE SET NULL;
+ALTER TABLE questions ADD COLUMN bank_linked INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX idx_questions_bank_question ON questions(bank_question_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_questions_bank_question;
+ALTER TABLE questions DROP COLUMN bank_linked;
+ALTER TABLE questions DROP COLUMN bank_question_id;
+DROP TRIGGER IF EXISTS question_bank_fts_update;
+DROP TRIGGER IF EXISTS question_bank_fts_delete;
+DROP TRIGGER IF EXISTS question_bank_fts_insert;
+DROP TABLE IF EXISTS question_bank_fts;
+DROP TABLE IF EXISTS question_bank;
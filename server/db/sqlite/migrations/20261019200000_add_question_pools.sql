@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE questions ADD COLUMN pool TEXT;
+ALTER TABLE submissions ADD COLUMN form TEXT;
+
+-- migrate:down
+ALTER TABLE submissions DROP COLUMN form;
+ALTER TABLE questions DROP COLUMN pool;
@@ -0,0 +1,9 @@
+-- migrate:up
+-- Numbering each learner's attempts lets the unique index reject a submission that would go
+-- past the attempt limit when two arrive at once. Earlier submissions keep a null number.
+ALTER TABLE submissions ADD COLUMN attempt_number INTEGER;
+CREATE UNIQUE INDEX idx_submissions_attempt ON submissions(quiz_id, learner_id, attempt_number);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_submissions_attempt;
+ALTER TABLE submissions DROP COLUMN attempt_number;
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned SQL migrations for the SQLite adapter. Each file is named <version>_<name>.sql
+// and holds a "-- migrate:up" section and a "-- migrate:down" section.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Promisify SQLite functions for a given database handle
+function runQuery(db, query, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes });
+    });
+  });
+}
+
+function allQuery(db, query, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+function execQuery(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Read and parse every migration file, oldest first
+ * @returns {Array} - [{ version, name, up, down }]
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_(.+)\.sql$/);
+      const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const upIndex = source.indexOf('-- migrate:up');
+      const downIndex = source.indexOf('-- migrate:down');
+
+      if (upIndex === -1 || downIndex === -1 || downIndex < upIndex) {
+        throw new Error(`Migration ${file} needs a "-- migrate:up" section followed by a "-- migrate:down" section`);
+      }
+
+      return {
+        version,
+        name,
+        up: source.slice(upIndex + '-- migrate:up'.length, downIndex).trim(),
+        down: source.slice(downIndex + '-- migrate:down'.length).trim()
+      };
+    });
+}
+
+async function ensureMigrationsTable(db) {
+  await execQuery(db, `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return allQuery(db, `SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+}
+
+/**
+ * Run one migration step inside a transaction so a failing migration leaves no partial changes
+ * @param {Object} db - sqlite3 Database handle
+ * @param {string} sql - Migration SQL
+ * @param {Function} record - Updates schema_migrations once the SQL has run
+ */
+async function runInTransaction(db, sql, record) {
+  await execQuery(db, 'BEGIN');
+  try {
+    if (sql) await execQuery(db, sql);
+    await record();
+    await execQuery(db, 'COMMIT');
+  } catch (error) {
+    await execQuery(db, 'ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * List every migration with whether it has been applied
+ * @param {Object} db - sqlite3 Database handle
+ * @returns {Promise<Array>} - [{ version, name, applied, appliedAt }]
+ */
+async function getStatus(db) {
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+  }));
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} db - sqlite3 Database handle
+ * @returns {Promise<Array>} - The migrations that were applied
+ */
+async function migrateUp(db) {
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying SQLite migration ${migration.version}_${migration.name}`);
+    await runInTransaction(db, migration.up, () => runQuery(
+      db,
+      `INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES (?, ?, ?)`,
+      [migration.version, migration.name, new Date().toISOString()]
+    ));
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} db - sqlite3 Database handle
+ * @param {number} steps - How many migrations to roll back
+ * @returns {Promise<Array>} - The migrations that were rolled back
+ */
+async function migrateDown(db, steps = 1) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+  const rolledBack = [];
+
+  for (const row of applied) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file not found`);
+    }
+
+    console.log(`Rolling back SQLite migration ${migration.version}_${migration.name}`);
+    await runInTransaction(db, migration.down, () => runQuery(
+      db,
+      `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`,
+      [migration.version]
+    ));
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
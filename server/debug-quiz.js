@@ -2,6 +2,7 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const db = require('./db/index');
+const { generateAccessCode } = require('./services/accessCode');
 
 // Log environment variables for debugging (without showing actual values)
 console.log('Environment variables:');
@@ -137,10 +138,6 @@ async function updateQuizSettings(quizId, settingsObject) {
   }
 }
 
-function generateAccessCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 // ==========================================
 // DB API Test Functions
 // ==========================================
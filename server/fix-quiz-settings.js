@@ -4,7 +4,9 @@
  */
 
 require('dotenv').config();
-const { supabase } = require('./db/index');
+const supabase = require('./db/supabase');
+const { normalizeAccessCode } = require('./db/repository');
+const { generateAccessCode } = require('./services/accessCode');
 
 async function fixQuizSettings() {
   try {
@@ -85,7 +87,7 @@ async function fixQuizSettings() {
       // Update the quiz
       const { data, updateError } = await supabase
         .from('quizzes')
-        .update({ settings: updatedSettings })
+        .update({ settings: updatedSettings, access_code: normalizeAccessCode(updatedSettings.accessCode) })
         .eq('id', quiz.id)
         .select()
         .single();
@@ -112,10 +114,5 @@ async function fixQuizSettings() {
   }
 }
 
-// Generate a random access code for quizzes that don't have one
-function generateAccessCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 // Run the script
 fixQuizSettings();
@@ -1,47 +1,35 @@
 require('dotenv').config();
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 const path = require('path');
 const cors = require('cors');
-const multer = require('multer');
 const fs = require('fs');
 const authRoutes = require('./routes/auth');
 const quizRoutes = require('./routes/quizzes');
 const statisticsRoutes = require('./routes/statistics');
+const notificationRoutes = require('./routes/notifications');
+const bankRoutes = require('./routes/bank');
+const interchangeRoutes = require('./routes/interchange');
 const db = require('./db/index');
 
-const supabase = require('./db/supabase');
-
-const app = express();
-const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Login, learner and quiz form tokens are all signed with JWT_SECRET; a default secret would let
+// anyone forge them
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not set. Set it to a long random value before starting the server.');
+  process.exit(1);
+}
 
-// Authentication Middleware
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Links in emails (password resets, invitations) are built from APP_URL alone
+if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) {
+  console.error('APP_URL is not set. Set it to the public frontend URL before starting the server.');
+  process.exit(1);
+}
 
-  if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      error: 'Access denied. No token provided.' 
-    });
-  }
+const app = express();
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error('Token verification error:', err);
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Invalid or expired token.' 
-      });
-    }
-    req.user = user;
-    next();
-  });
-}
+// Behind the hosting proxy, rate limits need the client address from X-Forwarded-For
+app.set('trust proxy', 1);
+const PORT = process.env.PORT || 3001;
 
 // Configure PORT for deployment flexibility
 const port = PORT;
@@ -71,6 +59,7 @@ app.use(cors({
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-HTTP-Method-Override'],
+  exposedHeaders: ['Content-Disposition', 'X-Export-Skipped'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -121,17 +110,11 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Check database connection
+// Check database connection through whichever adapter DB_CLIENT selected
 async function checkDatabaseConnection() {
-  try {
-    const { data, error } = await supabase.from('users').select('count').limit(1);
-    if (error) {
-      console.error('Supabase connection error:', error);
-    } else {
-      console.log('Successfully connected to Supabase');
-    }
-  } catch (err) {
-    console.error('Failed to connect to Supabase:', err);
+  const connected = await db.checkConnection();
+  if (!connected) {
+    console.error(`Could not connect to the ${db.client} database`);
   }
 }
 
@@ -140,104 +123,11 @@ checkDatabaseConnection();
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/quizzes', interchangeRoutes);
 app.use('/api/quizzes', quizRoutes);
 app.use('/api/statistics', statisticsRoutes);
-
-// Direct route for quiz publishing (to handle the 404 issue)
-app.put('/quizzes/:id/publish', authenticateToken, async (req, res) => {
-  console.log('Direct publish route hit, redirecting to correct endpoint');
-  try {
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    console.log(`Direct route: Attempting to publish quiz ${id} for user ${userId}`);
-
-    // Check if quiz exists and belongs to user
-    const quiz = await db.getQuiz(id, userId);
-    
-    if (!quiz) {
-      return res.status(404).json({
-        success: false,
-        error: 'Quiz not found or you do not have permission to modify it'
-      });
-    }
-
-    // Check if quiz has questions
-    const questions = await db.getQuestions(id);
-    if (!questions || questions.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot publish quiz without questions'
-      });
-    }
-
-    // Parse or initialize settings
-    let settings = {};
-    
-    try {
-      // Parse settings if available
-      if (quiz.settings) {
-        if (typeof quiz.settings === 'string') {
-          settings = JSON.parse(quiz.settings);
-        } else {
-          settings = quiz.settings;
-        }
-      }
-      
-      // Check if accessCode exists in settings
-      let accessCode = settings.accessCode;
-      
-      // Generate a new accessCode if not present
-      if (!accessCode) {
-        // Generate a 6-character alphanumeric code
-        accessCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-        console.log('Generated new access code:', accessCode);
-        
-        // Store the access code in settings
-        settings.accessCode = accessCode;
-      }
-    } catch (e) {
-      console.error('Error processing settings:', e);
-      // If there was an error, ensure we at least have a valid settings object with an accessCode
-      settings = {
-        ...settings,
-        accessCode: Math.random().toString(36).substring(2, 8).toUpperCase()
-      };
-      console.log('Created fallback settings with new access code:', settings.accessCode);
-    }
-
-    // Only update fields that exist in the database schema
-    const updates = {
-      status: 'published',
-      published_at: new Date().toISOString(),
-      settings: settings
-    };
-
-    console.log('Updating quiz with:', JSON.stringify(updates));
-    
-    // Update the quiz with the published status and access code
-    const result = await db.updateQuiz(id, updates);
-    console.log('Update result:', result);
-
-    // Return success response
-    res.json({
-      success: true,
-      quiz: {
-        ...result,
-        settings: settings
-      },
-      message: 'Quiz published successfully',
-      accessCode: settings.accessCode // For backward compatibility
-    });
-  } catch (error) {
-    console.error('Error in direct publish route:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to publish quiz',
-      details: error.message
-    });
-  }
-});
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/bank', bankRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -254,109 +144,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Initialize database tables
-function initializeDatabase() {
-  console.log('Database tables are managed by Supabase');
-  // For reference only - tables were created with the schema.sql file
-}
-
-// Register endpoint
-app.post('/api/auth/register', async (req, res) => {
-    const { name, email, password } = req.body;
-
-    if (!name || !email || !password) {
-        return res.status(400).json({ error: 'All fields are required' });
-    }
-
-    try {
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        db.run(
-            'INSERT INTO users (name, email, password) VALUES (?, ?, ?)',
-            [name, email, hashedPassword],
-            function (err) {
-                if (err) {
-                    if (err.message.includes('UNIQUE constraint failed')) {
-                        return res.status(400).json({ error: 'Email already registered' });
-                    }
-                    return res.status(500).json({ error: 'Error creating user' });
-                }
-
-                // After successful registration, create and send token
-                const token = jwt.sign(
-                    { id: this.lastID, email: email },
-                    process.env.JWT_SECRET || 'your-secret-key',
-                    { expiresIn: '24h' }
-                );
-
-                res.status(201).json({
-                    message: 'User registered successfully',
-                    token,
-                    user: {
-                        id: this.lastID,
-                        name,
-                        email
-                    }
-                });
-            }
-        );
-    } catch (error) {
-        res.status(500).json({ error: 'Error hashing password' });
-    }
-});
-
-// Login endpoint
-app.post('/api/auth/login', (req, res) => {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required' });
-    }
-
-    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-        if (err) {
-            return res.status(500).json({ error: 'Error finding user' });
-        }
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        try {
-            const validPassword = await bcrypt.compare(password, user.password);
-            if (!validPassword) {
-                return res.status(401).json({ error: 'Invalid credentials' });
-            }
-
-            const token = jwt.sign(
-                { id: user.id, email: user.email },
-                process.env.JWT_SECRET || 'your-secret-key',
-                { expiresIn: '24h' }
-            );
-
-            res.json({
-                token,
-                user: {
-                    id: user.id,
-                    name: user.name,
-                    email: user.email
-                }
-            });
-        } catch (error) {
-            res.status(500).json({ error: 'Error comparing passwords' });
-        }
-    });
-});
-
-// Protected route example
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-    db.get('SELECT id, name, email FROM users WHERE id = ?', [req.user.id], (err, user) => {
-        if (err) {
-            return res.status(500).json({ error: 'Error fetching user' });
-        }
-        res.json(user);
-    });
-});
-
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
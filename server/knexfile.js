@@ -0,0 +1,13 @@
+// Knex configuration for the PostgreSQL (Supabase) schema migrations in db/migrations.
+// DATABASE_URL is the Postgres connection string from Supabase (Project Settings > Database).
+require('dotenv').config();
+const path = require('path');
+
+module.exports = {
+  client: 'pg',
+  connection: process.env.DATABASE_URL,
+  migrations: {
+    directory: path.join(__dirname, 'db/migrations'),
+    tableName: 'schema_migrations'
+  }
+};
@@ -22,8 +22,8 @@ const authenticateToken = async (req, res, next) => {
     }
 
     try {
-        // Use JWT_SECRET from environment or fallback
-        const secret = process.env.JWT_SECRET || "your-secret-key";
+        // The server refuses to start without JWT_SECRET, so there is no fallback secret
+        const secret = process.env.JWT_SECRET;
         
         const decoded = jwt.verify(token, secret);
         console.log("Token verified, user ID:", decoded.id);
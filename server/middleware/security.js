@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const db = require('../db');
+const db = require('../db/index');
+const { getQuotaStatus } = require('../services/ai/usage');
 
 // Store active sessions
 const activeSessions = new Map();
@@ -41,10 +42,11 @@ const limits = {
         50, // 50 attempts
         'Too many authentication attempts. Please try again later.'
     ),
-    aiGeneration: createRateLimit(
-        60 * 60 * 1000, // 1 hour
-        50, // 50 AI generations
-        'AI generation limit reached. Please try again in an hour.'
+    // Each request can email a reset link, so keep it well below the login limit
+    passwordReset: createRateLimit(
+        15 * 60 * 1000, // 15 minutes
+        5, // 5 requests
+        'Too many password reset requests. Please try again later.'
     ),
     quizCreation: createRateLimit(
         60 * 60 * 1000, // 1 hour
@@ -53,6 +55,45 @@ const limits = {
     )
 };
 
+const QUOTA_DESCRIPTIONS = {
+    requestsPerHour: 'AI requests per hour',
+    requestsPerDay: 'AI requests per day',
+    tokensPerMonth: 'AI tokens per 30 days'
+};
+
+// AI quotas are enforced from the persisted usage ledger (services/ai/usage.js) so they apply
+// across restarts and server instances. Must run after authenticateToken.
+const enforceAiQuota = async (req, res, next) => {
+    try {
+        const user = await db.getUser(req.user.id);
+        const { plan, quotas } = await getQuotaStatus(user || { id: req.user.id });
+        const exceeded = quotas.find(quota => quota.exceeded);
+
+        if (exceeded) {
+            console.log(`AI quota ${exceeded.name} reached for user ${req.user.id} (${exceeded.used}/${exceeded.limit}, plan ${plan})`);
+            return res.status(429).json({
+                success: false,
+                error: 'AI generation limit reached',
+                details: `Your account allows ${exceeded.limit} ${QUOTA_DESCRIPTIONS[exceeded.name]}`,
+                quota: exceeded.name,
+                plan,
+                current: exceeded.used,
+                limit: exceeded.limit,
+                resetTime: exceeded.resetAt
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error checking AI quota:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check AI quota',
+            details: error.message
+        });
+    }
+};
+
 // Session management
 const sessionManager = {
     // Add new session
@@ -154,20 +195,18 @@ const trackQuizCreation = async (userId) => {
     const count = userQuizzes.length;
     
     // Get user's total quizzes from database
-    const totalQuizzes = await db.get(
-        'SELECT COUNT(*) as count FROM quizzes WHERE creator_id = ?',
-        [userId]
-    );
+    const totalQuizzes = await db.getQuizzes(userId);
 
     return {
         hourlyCount: count,
-        totalCount: totalQuizzes.count
+        totalCount: totalQuizzes.length
     };
 };
 
 module.exports = {
     securityHeaders,
     limits,
+    enforceAiQuota,
     sessionManager,
     createErrorResponse,
     trackQuizCreation
@@ -0,0 +1,111 @@
+/**
+ * Schema migration CLI for the configured database (DB_CLIENT)
+ *
+ *   npm run migrate -- status      List migrations and whether they have been applied
+ *   npm run migrate -- up          Apply all pending migrations
+ *   npm run migrate -- down [n]    Roll back the last n migrations (default 1)
+ *
+ * Supabase/PostgreSQL migrations live in db/migrations and need DATABASE_URL.
+ * SQLite migrations live in db/sqlite/migrations. Both record applied versions in schema_migrations.
+ */
+
+require('dotenv').config();
+
+const COMMANDS = ['status', 'up', 'down'];
+
+/**
+ * Run a command against Postgres through knex's migrator
+ * @param {string} command - status, up or down
+ * @param {number} steps - Migrations to roll back for "down"
+ */
+async function runPostgres(command, steps) {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL must be set to the Supabase Postgres connection string');
+  }
+
+  const knex = require('knex')(require('./knexfile'));
+
+  try {
+    if (command === 'status') {
+      const [completed, pending] = await knex.migrate.list();
+      completed.forEach(migration => console.log(`  ${migration.name}  applied`));
+      pending.forEach(migration => console.log(`  ${migration.file}  pending`));
+      console.log(`${pending.length} pending migration(s)`);
+    } else if (command === 'up') {
+      const [batch, applied] = await knex.migrate.latest();
+      console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s) in batch ${batch}: ${applied.join(', ')}`
+        : 'Database is up to date');
+    } else {
+      let rolledBack = 0;
+      for (let i = 0; i < steps; i++) {
+        const [, migrations] = await knex.migrate.down();
+        if (migrations.length === 0) break;
+        console.log(`Rolled back ${migrations.join(', ')}`);
+        rolledBack += migrations.length;
+      }
+      console.log(rolledBack > 0 ? `Rolled back ${rolledBack} migration(s)` : 'Nothing to roll back');
+    }
+  } finally {
+    await knex.destroy();
+  }
+}
+
+/**
+ * Run a command against the local SQLite database
+ * @param {string} command - status, up or down
+ * @param {number} steps - Migrations to roll back for "down"
+ */
+async function runSqlite(command, steps) {
+  const { getDatabasePath, openDatabase } = require('./db/sqlite/connection');
+  const { getStatus, migrateUp, migrateDown } = require('./db/sqlite/migrator');
+  const db = await openDatabase();
+
+  try {
+    console.log(`SQLite database: ${getDatabasePath()}`);
+
+    if (command === 'status') {
+      const migrations = await getStatus(db);
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  ${migration.version}_${migration.name}  ${state}`);
+      });
+      console.log(`${migrations.filter(m => !m.applied).length} pending migration(s)`);
+    } else if (command === 'up') {
+      const applied = await migrateUp(db);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else {
+      const rolledBack = await migrateDown(db, steps);
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    }
+  } finally {
+    db.close();
+  }
+}
+
+async function main() {
+  const [command = 'status', stepsArg = '1'] = process.argv.slice(2);
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}`);
+  }
+
+  const steps = parseInt(stepsArg, 10);
+  if (isNaN(steps) || steps < 1) {
+    throw new Error(`Invalid number of steps: ${stepsArg}`);
+  }
+
+  const client = (process.env.DB_CLIENT || 'supabase').toLowerCase();
+  console.log(`Running "${command}" migrations for ${client}`);
+
+  if (client === 'sqlite') {
+    await runSqlite(command, steps);
+  } else {
+    await runPostgres(command, steps);
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const db = require('../db/index');
+const { sendMail, getAppUrl } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const { limits } = require('../middleware/security');
 
 // Track login attempts
 const loginAttempts = new Map();
@@ -25,6 +29,13 @@ const validatePassword = (password) => {
     return errors;
 };
 
+// Reset links are valid for one hour and can only be used once
+const RESET_TOKEN_TTL_MINUTES = 60;
+const RESET_REQUEST_MESSAGE = 'If your email is registered, you will receive reset instructions';
+
+// Only a hash of the reset token is stored, so a database leak cannot be used to reset passwords
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 // Register endpoint
 router.post('/register', async (req, res) => {
     try {
@@ -73,7 +84,7 @@ router.post('/register', async (req, res) => {
             // Generate token
             const token = jwt.sign(
                 { id: newUser.id, email },
-                process.env.JWT_SECRET || 'your-secret-key',
+                process.env.JWT_SECRET,
                 { expiresIn: '24h' }
             );
 
@@ -171,7 +182,7 @@ router.post('/login', async (req, res) => {
         // Generate token
         const token = jwt.sign(
             { id: user.id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
+            process.env.JWT_SECRET,
             { expiresIn: '24h' }
         );
 
@@ -229,6 +240,137 @@ router.get('/profile', async (req, res) => {
     }
 });
 
+// Password reset request - emails a single-use reset link
+router.post('/reset-password-request', limits.passwordReset, async (req, res) => {
+    try {
+        const { email } = req.body;
+        // Resolved before the user lookup so a missing APP_URL fails the same way for every email
+        const appUrl = getAppUrl();
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+
+        const user = await db.getUserByEmail(String(email).trim());
+
+        // For security reasons, respond the same way whether or not the user exists
+        if (!user) {
+            return res.json({
+                success: true,
+                message: RESET_REQUEST_MESSAGE
+            });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+        await db.createPasswordResetToken(user.id, hashResetToken(token), expiresAt);
+
+        const content = mailTemplates.passwordReset({
+            name: user.name,
+            resetUrl: `${appUrl}/reset-password/${token}`,
+            expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+        });
+
+        try {
+            await sendMail({ to: user.email, ...content });
+            console.log('Password reset email sent to user:', user.id);
+        } catch (mailError) {
+            // Still respond generically so the endpoint cannot be used to probe for accounts
+            console.error('Error sending password reset email:', mailError);
+        }
+
+        res.json({
+            success: true,
+            message: RESET_REQUEST_MESSAGE
+        });
+    } catch (err) {
+        console.error('Password reset request error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process password reset request'
+        });
+    }
+});
+
+// Check whether a reset link is still valid before showing the form
+router.get('/reset-password/:token', async (req, res) => {
+    try {
+        const resetToken = await db.getPasswordResetToken(hashResetToken(req.params.token));
+
+        res.json({
+            success: true,
+            valid: !!resetToken
+        });
+    } catch (err) {
+        console.error('Password reset token check error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check reset link'
+        });
+    }
+});
+
+// Reset password using an emailed token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Token and new password are required'
+            });
+        }
+
+        // Validate password
+        const passwordErrors = validatePassword(newPassword);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password does not meet requirements',
+                details: passwordErrors
+            });
+        }
+
+        const resetToken = await db.getPasswordResetToken(hashResetToken(token));
+
+        // Consuming the token is atomic, so a link cannot be used twice even by concurrent requests
+        if (!resetToken || !(await db.consumePasswordResetToken(resetToken.id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Hash new password
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+        await db.updateUser(resetToken.user_id, { password: hashedPassword });
+
+        const user = await db.getUser(resetToken.user_id);
+        if (user) {
+            loginAttempts.delete(user.email);
+        }
+
+        console.log('Password reset for user:', resetToken.user_id);
+
+        res.json({
+            success: true,
+            message: 'Password updated successfully'
+        });
+    } catch (err) {
+        console.error('Password reset error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset password'
+        });
+    }
+});
+
 // Token verification endpoint - needed for frontend auth checks
 router.get('/verify', (req, res) => {
     try {
@@ -243,7 +385,7 @@ router.get('/verify', (req, res) => {
         }
         
         // Verify the token
-        jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, decoded) => {
+        jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
             if (err) {
                 return res.status(401).json({ 
                     success: false, 
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/index');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BANK_DIFFICULTIES,
+  normalizeTags,
+  toBankColumns,
+  toEditorQuestion,
+  getBankQuestionUsage
+} = require('../services/questionBank');
+
+const MAX_PAGE_SIZE = 100;
+
+// Send validation errors from the question bank service as 400s
+function sendError(res, error, message) {
+  const invalid = error.code === 'BANK_INVALID';
+  if (!invalid) console.error(`${message}:`, error);
+  res.status(invalid ? 400 : 500).json({
+    success: false,
+    error: invalid ? 'Invalid question' : message,
+    details: error.message
+  });
+}
+
+// Search the tutor's question bank
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search, category, difficulty, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (difficulty && !BANK_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid difficulty',
+        details: `difficulty must be one of: ${BANK_DIFFICULTIES.join(', ')}`
+      });
+    }
+
+    const { questions, total } = await db.getBankQuestions(req.user.id, {
+      search,
+      tags: normalizeTags(req.query.tags),
+      category,
+      difficulty,
+      type,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      questions: questions.map(toEditorQuestion),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to search the question bank');
+  }
+});
+
+// Get a bank question with the quizzes it is used in and how learners answered it
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const question = await db.getBankQuestion(req.params.id, req.user.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found in your question bank'
+      });
+    }
+
+    res.json({
+      success: true,
+      question: toEditorQuestion(question),
+      usage: await getBankQuestionUsage(question.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get the bank question');
+  }
+});
+
+// Save a question to the bank
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const question = await db.createBankQuestion(req.user.id, toBankColumns(req.body || {}));
+    console.log(`User ${req.user.id} saved question ${question.id} to their question bank`);
+
+    res.status(201).json({
+      success: true,
+      question: toEditorQuestion(question)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save the question to the bank');
+  }
+});
+
+// Update a bank question; quiz questions linked to it are updated too, except in quizzes that
+// already have submissions: those keep the question their learners answered and are unlinked,
+// so past grades and item analysis do not change
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const question = await db.updateBankQuestion(req.params.id, req.user.id, toBankColumns(req.body || {}, { partial: true }));
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found in your question bank'
+      });
+    }
+
+    const linked = (await db.getBankQuestionLinks(question.id)).filter(link => link.bank_linked);
+    let synced = 0;
+    let unlinked = 0;
+    for (const link of linked) {
+      if (await db.countSubmissions(link.quiz_id) > 0) {
+        await db.updateQuestion(link.id, { bank_linked: false });
+        unlinked++;
+      } else {
+        await db.updateQuestion(link.id, {
+          type: question.type,
+          text: question.text,
+          options: question.options,
+          correct_answer: question.correct_answer
+        });
+        synced++;
+      }
+    }
+    if (linked.length > 0) {
+      console.log(`Updated ${synced} and unlinked ${unlinked} quiz question(s) linked to bank question ${question.id}`);
+    }
+
+    res.json({
+      success: true,
+      question: toEditorQuestion(question),
+      syncedQuestions: synced,
+      unlinkedQuestions: unlinked
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update the bank question');
+  }
+});
+
+// Remove a question from the bank; quizzes keep their copies
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await db.deleteBankQuestion(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found in your question bank'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete the bank question');
+  }
+});
+
+module.exports = router;
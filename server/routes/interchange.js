@@ -0,0 +1,285 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const db = require('../db/index');
+const { authenticateToken } = require('../middleware/auth');
+const { FORMATS, exportQuiz, importQuiz } = require('../services/interchange');
+const { CSV_CONTENT_TYPE, XLSX_CONTENT_TYPE, toCsv, toXlsx, readSpreadsheet } = require('../services/spreadsheet');
+const { previewQuestionImport, getImportTemplate } = require('../services/questionImport');
+
+const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024;
+const IMPORT_EXTENSIONS = ['.zip', '.xml', '.txt', '.gift'];
+const MAX_SPREADSHEET_FILE_SIZE = 5 * 1024 * 1024;
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Imported files are only read, never stored, so keep them in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only QTI packages (.zip, .xml), GIFT and Aiken files (.txt, .gift) are allowed.'))
+    }
+  }
+});
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SPREADSHEET_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only CSV and Excel (.xlsx) spreadsheets are allowed.'))
+    }
+  }
+});
+
+function handleUpload(upload, maxSize) {
+  return (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          error: err.code === 'LIMIT_FILE_SIZE' ? `File is too large (max ${maxSize})` : err.message
+        });
+      }
+      next();
+    });
+  };
+}
+
+const handleImportUpload = handleUpload(importUpload, '20MB');
+const handleSpreadsheetUpload = handleUpload(spreadsheetUpload, '5MB');
+
+// Form fields arrive as strings
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Send errors from the interchange and spreadsheet services about the file or format as 400s
+function sendError(res, error, message) {
+  const invalid = ['INTERCHANGE_INVALID', 'FORMAT_UNSUPPORTED', 'SPREADSHEET_INVALID'].includes(error.code);
+  if (!invalid) console.error(`${message}:`, error);
+  res.status(invalid ? 400 : 500).json({
+    success: false,
+    error: message,
+    details: error.message
+  });
+}
+
+// Download a quiz as a QTI 2.1 package, a GIFT file or an Aiken file
+router.get('/:id/export/:format', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await db.getQuiz(req.params.id, req.user.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to export it'
+      });
+    }
+
+    const questions = await db.getQuestions(quiz.id);
+    const result = await exportQuiz(req.params.format, quiz, questions);
+
+    if (result.skipped.length > 0) {
+      console.log(`Quiz ${quiz.id} exported as ${req.params.format} without ${result.skipped.length} question(s):`, result.skipped);
+    }
+
+    // Questions the format cannot represent are left out and listed in a header
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.setHeader('X-Export-Skipped', encodeURIComponent(JSON.stringify(result.skipped)));
+    res.send(result.body);
+  } catch (error) {
+    sendError(res, error, 'Failed to export quiz');
+  }
+});
+
+// Create a draft quiz from a QTI 2.1 package, a GIFT file or an Aiken file
+router.post('/import', authenticateToken, handleImportUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    const { format, title, description } = req.body;
+    if (format && !FORMATS[String(format).toLowerCase()]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        details: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    const result = await importQuiz(req.file.buffer, { format, fileName: req.file.originalname });
+    if (result.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No questions could be imported',
+        format: result.format,
+        report: result.report
+      });
+    }
+
+    const quizTitle = title || result.title || path.basename(req.file.originalname).replace(/(\.gift)?\.[^.]+$/i, '');
+    const quiz = await db.createQuiz(req.user.id, quizTitle, description || '', {});
+
+    // Report entries that were not skipped line up with the parsed questions
+    const imported = result.report.filter(entry => entry.status !== 'skipped');
+    for (const [index, question] of result.questions.entries()) {
+      try {
+        await db.createQuestion(
+          quiz.id,
+          question.type,
+          question.text,
+          question.options,
+          question.correctAnswer,
+          {
+            mediaUrl: question.mediaUrl,
+            explanation: question.explanation
+          }
+        );
+      } catch (questionError) {
+        console.error('Error creating imported question:', questionError, 'Question data:', question);
+        imported[index].status = 'skipped';
+        imported[index].messages.push('The question could not be saved');
+      }
+    }
+
+    const counts = result.report.reduce((totals, entry) => {
+      totals[entry.status] = (totals[entry.status] || 0) + 1;
+      return totals;
+    }, {});
+
+    console.log(`Imported ${result.format} file into quiz ${quiz.id}:`, counts);
+    res.status(201).json({
+      success: true,
+      format: result.format,
+      quiz: {
+        id: quiz.id,
+        title: quiz.title
+      },
+      imported: (counts.imported || 0) + (counts.partial || 0),
+      skipped: counts.skipped || 0,
+      report: result.report
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to import quiz');
+  }
+});
+
+// Download the spreadsheet template for bulk question import
+router.get('/import/template', authenticateToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'xlsx') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        details: 'format must be one of: csv, xlsx'
+      });
+    }
+
+    const { columns, rows } = getImportTemplate();
+    res.setHeader('Content-Type', format === 'xlsx' ? XLSX_CONTENT_TYPE : CSV_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="question-import-template.${format}"`);
+    res.send(format === 'xlsx' ? await toXlsx('Questions', columns, rows) : toCsv(columns, rows));
+  } catch (error) {
+    sendError(res, error, 'Failed to create import template');
+  }
+});
+
+// Add questions to a quiz from a CSV or XLSX spreadsheet. Without commit=true nothing is saved
+// and every row comes back validated; with it the questions are created, which is refused while
+// any row is invalid unless skipInvalid=true
+router.post('/:id/import', authenticateToken, handleSpreadsheetUpload, async (req, res) => {
+  try {
+    const quiz = await db.getQuiz(req.params.id, req.user.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to edit it'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+
+    const sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    const { rows, summary } = previewQuestionImport(sheet);
+
+    if (!isTrue(req.body.commit)) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        summary,
+        rows
+      });
+    }
+
+    if (summary.invalid > 0 && !isTrue(req.body.skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some rows are invalid',
+        details: `${summary.invalid} of ${summary.total} rows have errors. Fix them or import with skipInvalid to leave them out.`,
+        summary,
+        rows
+      });
+    }
+
+    let imported = 0;
+    for (const row of rows.filter(item => item.status === 'valid')) {
+      const { question } = row;
+      try {
+        await db.createQuestion(
+          quiz.id,
+          question.type,
+          question.text,
+          question.options,
+          question.correctAnswer,
+          {
+            mediaUrl: question.mediaUrl,
+            explanation: question.explanation
+          }
+        );
+        row.status = 'imported';
+        imported++;
+      } catch (questionError) {
+        console.error('Error creating imported question:', questionError, 'Row:', row.row);
+        row.status = 'invalid';
+        row.errors.push('The question could not be saved');
+      }
+    }
+
+    console.log(`Imported ${imported} of ${summary.total} spreadsheet rows into quiz ${quiz.id}`);
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      imported,
+      skipped: summary.total - imported,
+      summary,
+      rows
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to import questions');
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const Notification = require('../models/notification');
-const auth = require('../middleware/auth');
+const db = require('../db/index');
+const { authenticateToken } = require('../middleware/auth');
 
-// Get all notifications for the current user
-router.get('/', auth, async (req, res) => {
+// Get notifications for the current user
+router.get('/', authenticateToken, async (req, res) => {
   try {
-    const notifications = await Notification.find({
-      userId: req.user._id
-    }).sort({ createdAt: -1 });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const unreadOnly = req.query.unread === 'true';
 
-    res.json(notifications);
+    const notifications = await db.getNotifications(req.user.id, { unreadOnly, limit });
+    const unreadCount = await db.countUnreadNotifications(req.user.id);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching notifications' });
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+      details: error.message
+    });
   }
 });
 
-// Mark notifications as read
-router.put('/read', auth, async (req, res) => {
+// Get unread notification count
+router.get('/unread-count', authenticateToken, async (req, res) => {
   try {
-    const { notificationIds } = req.body;
-
-    await Notification.updateMany(
-      {
-        _id: { $in: notificationIds },
-        userId: req.user._id
-      },
-      { $set: { read: true } }
-    );
+    const count = await db.countUnreadNotifications(req.user.id);
 
-    res.json({ message: 'Notifications marked as read' });
+    res.json({ success: true, count });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating notifications' });
+    console.error('Error fetching unread count:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unread count',
+      details: error.message
+    });
   }
 });
 
-// Get unread notification count
-router.get('/unread-count', auth, async (req, res) => {
+// Mark notifications as read (all of them when no IDs are given)
+router.put('/read', authenticateToken, async (req, res) => {
   try {
-    const count = await Notification.countDocuments({
-      userId: req.user._id,
-      read: false
-    });
+    const { notificationIds } = req.body || {};
+
+    if (notificationIds !== undefined && !Array.isArray(notificationIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'notificationIds must be an array'
+      });
+    }
 
-    res.json({ count });
+    const updated = await db.markNotificationsRead(req.user.id, notificationIds || null);
+    const unreadCount = await db.countUnreadNotifications(req.user.id);
+
+    res.json({
+      success: true,
+      updated,
+      unreadCount
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching unread count' });
+    console.error('Error updating notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notifications',
+      details: error.message
+    });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
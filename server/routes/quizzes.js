@@ -1,54 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { authenticateToken } = require('../middleware/auth');
+const { enforceAiQuota } = require('../middleware/security');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs'); // Added fs module
+const crypto = require('crypto');
 const db = require('../db/index');
-
-// Initialize Gemini with configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-console.log('GEMINI_API_KEY present:', !!GEMINI_API_KEY);
-
-if (!GEMINI_API_KEY) {
-  console.error('GEMINI_API_KEY is not set in environment variables');
-}
-
-// Create a new instance of GoogleGenerativeAI with proper version
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-
-// Helper function to safely generate content with error handling and retries
-async function safeGenerateContent(model, prompt, maxRetries = 2) {
-  let attempts = 0;
-  let lastError = null;
-
-  while (attempts <= maxRetries) {
-    try {
-      console.log(`Attempt ${attempts + 1} to generate content`);
-      
-      // Use the prompt directly as a string for this version of the API
-      const result = await model.generateContent(prompt);
-      
-      console.log('Generation successful');
-      return result;
-    } catch (error) {
-      console.error(`Generation attempt ${attempts + 1} failed:`, error);
-      lastError = error;
-      attempts++;
-      
-      // Wait before retrying (exponential backoff)
-      if (attempts <= maxRetries) {
-        const delay = 1000 * Math.pow(2, attempts);
-        console.log(`Waiting ${delay}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  // If we get here, all attempts failed
-  throw new Error(`Failed to generate content after ${maxRetries + 1} attempts: ${lastError.message}`);
-}
+const { AUTO_GRADED_TYPES, RUBRIC_GRADED_TYPES, getRubric, gradeSubmission, scoreRubric } = require('../services/grading');
+const { generateUniqueAccessCode } = require('../services/accessCode');
+const { sendMail, getAppUrl } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const ai = require('../services/ai');
+const { GENERATABLE_TYPES } = require('../services/ai/questionSchema');
+const { generateQuestionsCached } = require('../services/ai/generationCache');
+const { refineQuestion } = require('../services/ai/questionRefiner');
+const { proposeGrades } = require('../services/ai/rubricGrader');
+const { createUsageTracker, getQuotaStatus } = require('../services/ai/usage');
+const {
+  normalizePoolName,
+  normalizePools,
+  buildQuizForm,
+  getFormQuestions,
+  applyQuizForm,
+  toLearnerQuestion,
+  toStoredResponses,
+  createLearnerId,
+  signLearnerToken,
+  verifyLearnerToken,
+  signQuizForm,
+  verifyQuizForm
+} = require('../services/quizForm');
+const {
+  EXPORT_FORMATS: SUBMISSION_EXPORT_FORMATS,
+  exportSubmissions
+} = require('../services/submissionExport');
+const {
+  MAX_SOURCE_FILE_SIZE,
+  isSupportedSourceFile,
+  prepareSourceMaterial
+} = require('../services/sourceMaterial');
 
 // Configure multer for quiz image uploads
 const storage = multer.diskStorage({
@@ -81,47 +72,32 @@ const upload = multer({
   }
 });
 
-// Helper function to extract JSON from markdown-formatted text
-function extractJsonFromMarkdown(text) {
-    if (!text) {
-        throw new Error('Empty response from AI');
+// Source documents for AI generation are only read, never stored, so keep them in memory
+const sourceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SOURCE_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (isSupportedSourceFile(file)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only PDF, DOCX, TXT and Markdown files are allowed.'))
     }
+  }
+});
 
-    try {
-        // First try to find content between ```json and ```
-        let jsonMatch = text.match(/```json\n([\s\S]*?)\n```/);
-        
-        // If not found, try between ``` and ```
-        if (!jsonMatch) {
-            jsonMatch = text.match(/```\n([\s\S]*?)\n```/);
-        }
-        
-        // If still not found, try to parse the entire text as JSON
-        if (!jsonMatch) {
-            try {
-                return JSON.parse(text.trim());
-            } catch (e) {
-                console.error('Failed to parse entire text as JSON:', e);
-                throw new Error('No valid JSON found in the response');
-            }
-        }
-
-        const jsonContent = jsonMatch[1].trim();
-        
-        // Clean up any trailing commas that might cause JSON.parse to fail
-        const cleanedJson = jsonContent.replace(/,(\s*[}\]])/g, '$1');
-        
-        try {
-            return JSON.parse(cleanedJson);
-        } catch (e) {
-            console.error('Failed to parse extracted JSON:', e);
-            console.error('JSON content:', jsonContent);
-            throw new Error('Invalid JSON format in the response');
-        }
-    } catch (err) {
-        console.error('Error extracting JSON:', err);
-        throw new Error('Failed to extract valid JSON from the response');
+// Accept an optional "source" document on the generate endpoints (which also accept plain JSON)
+function handleSourceUpload(req, res, next) {
+  sourceUpload.single('source')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === 'LIMIT_FILE_SIZE' ? 'Source file is too large (max 10MB)' : err.message
+      });
     }
+    next();
+  });
 }
 
 // Upload quiz image
@@ -306,9 +282,25 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // Learners are served a random draw of each pool's questions
+    let quizSettings = settings;
+    try {
+      (questions || []).forEach(question => normalizePoolName(question.pool));
+      if (settings && settings.pools !== undefined) {
+        quizSettings = { ...settings, pools: normalizePools(settings.pools, questions || []) };
+      }
+    } catch (error) {
+      if (error.code !== 'FORM_INVALID') throw error;
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid question pools',
+        details: error.message
+      });
+    }
+
     // Insert quiz with additional logging
     console.log('Creating quiz in database with userId:', userId);
-    const result = await db.createQuiz(userId, title, description, settings);
+    const result = await db.createQuiz(userId, title, description, quizSettings);
     console.log('Quiz created with ID:', result.id);
 
     const quizId = result.id;
@@ -317,7 +309,7 @@ router.post('/', authenticateToken, async (req, res) => {
     if (questions && questions.length > 0) {
       console.log(`Adding ${questions.length} questions to quiz ${quizId}`);
       
-      for (const question of questions) {
+      for (const [index, question] of questions.entries()) {
         try {
           // Ensure we have either text or content field
           const questionText = question.text || question.content || '';
@@ -328,17 +320,40 @@ router.post('/', authenticateToken, async (req, res) => {
           // Handle options format
           const options = question.options || [];
           
+          // Questions added from the tutor's own bank keep a reference to it for usage statistics
+          const bankQuestion = question.bankQuestionId
+            ? await db.getBankQuestion(question.bankQuestionId, userId)
+            : null;
+          
           // Create question with careful error handling
           await db.createQuestion(
             quizId, 
             question.type || 'multiple_choice', 
             questionText, 
             options, 
-            question.correctAnswer
+            question.correctAnswer,
+            {
+              source: question.source,
+              bankQuestionId: bankQuestion ? bankQuestion.id : null,
+              bankLinked: !!question.bankLinked,
+              pool: normalizePoolName(question.pool),
+              mediaUrl: question.mediaUrl,
+              explanation: question.explanation
+            }
           );
+          
+          if (bankQuestion) {
+            await db.recordBankQuestionUse(bankQuestion.id);
+          }
         } catch (questionError) {
           console.error('Error creating question:', questionError, 'Question data:', question);
-          // Continue with other questions even if one fails
+          // A quiz missing some of its questions must not be saved as if it were complete
+          await db.deleteQuiz(quizId);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to create quiz',
+            details: `Question ${index + 1} could not be saved: ${questionError.message}`
+          });
         }
       }
     }
@@ -411,7 +426,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    await db.updateQuiz(id, title, description);
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    
+    await db.updateQuiz(id, updates);
 
     res.json({
       id,
@@ -459,332 +478,223 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Generate quiz questions
-router.post('/generate', authenticateToken, async (req, res) => {
+// List the AI providers a generation request can choose from
+router.get('/ai/providers', authenticateToken, (req, res) => {
   try {
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: 'AI service is not configured'
-      });
-    }
+    res.json({
+      success: true,
+      providers: ai.listProviders()
+    });
+  } catch (error) {
+    console.error('Error listing AI providers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list AI providers',
+      details: error.message
+    });
+  }
+});
 
-    const {
-      topic,
-      instructions,
-      complexity,
-      category,
-      numberOfQuestions = 5,
-      questionTypes = ["multiple_choice"]
-    } = req.body;
-
-    // Log request body for debugging
-    console.log('Generate quiz request - full details:', JSON.stringify(req.body, null, 2));
-    console.log('Question types received (raw):', req.body.questionTypes);
-    console.log('Question types received (type):', typeof req.body.questionTypes);
-    console.log('Question types array?:', Array.isArray(req.body.questionTypes));
-    
-    // Define the allowed question types
-    const ALLOWED_TYPES = ['multiple_choice', 'true_false', 'matching'];
-    
-    // Make sure questionTypes is always an array of allowed types
-    let safeQuestionTypes = req.body.questionTypes;
-    if (typeof safeQuestionTypes === 'string') {
-      try {
-        safeQuestionTypes = JSON.parse(safeQuestionTypes);
-      } catch (e) {
-        safeQuestionTypes = [safeQuestionTypes];
+/**
+ * Resolve the AI provider a request asked for. The provider and model can be chosen per
+ * request; otherwise the deployment default is used.
+ * @param {string} provider - Provider name from the request (optional)
+ * @returns {Object} - { aiProvider }, or { status, error } to send back
+ */
+function resolveAiProvider(provider) {
+  let aiProvider;
+  try {
+    aiProvider = ai.getProvider(provider);
+  } catch (error) {
+    return { status: 400, error: { success: false, error: error.message } };
+  }
+
+  if (!aiProvider.isConfigured()) {
+    return {
+      status: 500,
+      error: {
+        success: false,
+        error: 'AI service is not configured',
+        details: `Provider "${aiProvider.name}" is missing its API credentials`
       }
+    };
+  }
+
+  return { aiProvider };
+}
+
+// Upper bound on the questions one generate request may ask for; quotas only count a run's
+// tokens once it has finished
+const MAX_GENERATED_QUESTIONS = 50;
+
+/**
+ * Validate a generate request, resolve its AI provider and read the uploaded source document
+ * @param {Object} req - Express request (JSON or multipart with an optional "source" file)
+ * @returns {Promise<Object>} - { options, forceFresh } for generateQuestionsCached, or { status, error } to send back
+ */
+async function parseGenerateRequest(req) {
+  const body = req.body;
+  const {
+    topic,
+    instructions,
+    complexity,
+    category,
+    numberOfQuestions = 5,
+    provider,
+    model,
+    forceFresh
+  } = body;
+
+  const { aiProvider, status, error } = resolveAiProvider(provider);
+  if (error) {
+    return { status, error };
+  }
+
+  // Log request body for debugging
+  console.log('Generate quiz request - full details:', JSON.stringify(body, null, 2));
+  if (req.file) {
+    console.log(`Source document: ${req.file.originalname} (${req.file.size} bytes)`);
+  }
+
+  // Make sure questionTypes is always an array of types the generator supports
+  let safeQuestionTypes = body.questionTypes;
+  if (typeof safeQuestionTypes === 'string') {
+    try {
+      safeQuestionTypes = JSON.parse(safeQuestionTypes);
+    } catch (e) {
+      safeQuestionTypes = [safeQuestionTypes];
     }
-    
-    // Filter out any types that aren't in our allowed list
-    if (Array.isArray(safeQuestionTypes)) {
-      safeQuestionTypes = safeQuestionTypes.filter(type => ALLOWED_TYPES.includes(type));
-      // Ensure we have at least one type
-      if (safeQuestionTypes.length === 0) {
-        safeQuestionTypes = ['multiple_choice'];
-      }
-    } else {
+  }
+
+  // Filter out any types that aren't in our allowed list
+  if (Array.isArray(safeQuestionTypes)) {
+    safeQuestionTypes = safeQuestionTypes.filter(type => GENERATABLE_TYPES.includes(type));
+    // Ensure we have at least one type
+    if (safeQuestionTypes.length === 0) {
       safeQuestionTypes = ['multiple_choice'];
     }
-    
-    console.log('Safe question types after filtering:', safeQuestionTypes);
+  } else {
+    safeQuestionTypes = ['multiple_choice'];
+  }
 
-    // Validate input parameters
-    const missingFields = [];
-    if (!topic) missingFields.push('topic');
-    if (!complexity) missingFields.push('complexity');
-    if (!category) missingFields.push('category');
+  console.log('Safe question types after filtering:', safeQuestionTypes);
 
-    if (missingFields.length > 0) {
-      console.log('Missing fields:', missingFields);
-      return res.status(400).json({
+  // Validate input parameters
+  const missingFields = [];
+  if (!topic) missingFields.push('topic');
+  if (!complexity) missingFields.push('complexity');
+  if (!category) missingFields.push('category');
+
+  if (missingFields.length > 0) {
+    console.log('Missing fields:', missingFields);
+    return {
+      status: 400,
+      error: {
         success: false,
         error: 'Missing required fields',
         details: `Required fields missing: ${missingFields.join(', ')}`
-      });
-    }
+      }
+    };
+  }
 
-    console.log('Initializing Gemini model...');
-    
+  // Multipart requests send the count as a string
+  const questionCount = Number(numberOfQuestions);
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_GENERATED_QUESTIONS) {
+    return {
+      status: 400,
+      error: {
+        success: false,
+        error: 'Invalid number of questions',
+        details: `numberOfQuestions must be a whole number from 1 to ${MAX_GENERATED_QUESTIONS}`
+      }
+    };
+  }
+
+  // Questions are grounded in the uploaded document when there is one
+  let sourceMaterial;
+  if (req.file) {
     try {
-      // Get the model - use correct model name for version 0.2.1
-      const model = genAI.getGenerativeModel({ 
-        model: "gemini-1.5-flash",
-        generationConfig: {
-          temperature: 0.7,
-          topP: 0.95,
-          maxOutputTokens: 8192,
+      sourceMaterial = await prepareSourceMaterial(req.file);
+    } catch (error) {
+      console.error('Error reading source material:', error);
+      return {
+        status: 422,
+        error: {
+          success: false,
+          error: 'Could not read the source document',
+          details: error.message
         }
-      });
+      };
+    }
+  }
 
-      console.log('Preparing prompt with question types:', safeQuestionTypes);
-      
-      // Create distribution of question types - ensure we have at least one of each type
-      const numQuestions = parseInt(numberOfQuestions) || 5;
-      const numTypes = safeQuestionTypes.length;
-      const distribution = {};
-      
-      // Ensure at least one of each type
-      safeQuestionTypes.forEach(type => {
-        distribution[type] = 1;
-      });
-      
-      // Distribute remaining questions
-      let remaining = numQuestions - numTypes;
-      if (remaining > 0) {
-        let i = 0;
-        while (remaining > 0) {
-          distribution[safeQuestionTypes[i % numTypes]]++;
-          remaining--;
-          i++;
-        }
-      }
-      
-      console.log('Question distribution:', distribution);
-      
-      // Create the prompt
-      const prompt = `You are a professional quiz creator with expertise in ${category}. Create a quiz on the topic of "${topic}" with ${numQuestions} questions of varying difficulty levels.
-
-Additional Instructions: ${instructions || "Make sure questions are clear and concise."}
-
-The quiz should have the following structure and question types:
-${Object.entries(distribution).map(([type, count]) => `- ${count} ${type} questions`).join('\n')}
-
-Please provide the quiz in the following JSON format:
-{
-  "questions": [
-    {
-      "type": "multiple_choice",
-      "text": "Question text goes here?",
-      "options": ["Option A", "Option B", "Option C", "Option D"],
-      "correctAnswer": 0, // Index of the correct option
-      "explanation": "Explanation for the correct answer"
-    },
-    {
-      "type": "true_false",
-      "text": "True/False question text goes here",
-      "options": ["True", "False"],
-      "correctAnswer": 0, // 0 for True, 1 for False
-      "explanation": "Explanation for the correct answer"
+  return {
+    options: {
+      topic,
+      category,
+      complexity,
+      instructions,
+      numberOfQuestions: questionCount,
+      questionTypes: safeQuestionTypes,
+      provider: aiProvider.name,
+      model,
+      sourceMaterial
     },
-    {
-      "type": "matching",
-      "text": "Match the items on the left with those on the right",
-      "options": [
-        {"left": "Item 1", "right": "Match 1"},
-        {"left": "Item 2", "right": "Match 2"},
-        {"left": "Item 3", "right": "Match 3"}
-      ],
-      "correctAnswer": [0, 1, 2], // Indices showing the correct matches (Item 1 -> Match 1, etc.)
-      "explanation": "Explanation for the correct matches"
-    }
-  ]
+    // Multipart requests send the flag as a string
+    forceFresh: forceFresh === true || forceFresh === 'true'
+  };
 }
 
-IMPORTANT: STRICTLY follow the distribution of question types I specified. The total number of questions must be exactly ${numberOfQuestions}, with the exact counts for each type as I specified.`;
+// Summary of a generation run, shared by the JSON and streaming endpoints
+function describeGenerationResult(result) {
+  return {
+    partial: !result.complete,
+    requested: result.requested,
+    missing: result.missing,
+    validationErrors: result.errors,
+    cache: result.cache,
+    provider: result.provider,
+    model: result.model
+  };
+}
 
-      console.log('Sending prompt to Gemini...');
-      // Use the safe generation function with retries
-      const result = await safeGenerateContent(model, prompt);
-      console.log('Generation completed');
-      
-      if (!result || !result.response) {
-        throw new Error('Empty response from Gemini API');
-      }
-      
-      // Extract the response text
-      const responseText = result.response.text();
-      console.log('Raw response length:', responseText.length);
+// Generate quiz questions
+router.post('/generate', authenticateToken, enforceAiQuota, handleSourceUpload, async (req, res) => {
+  try {
+    const { options, forceFresh, status, error: requestError } = await parseGenerateRequest(req);
+    if (requestError) {
+      return res.status(status).json(requestError);
+    }
 
-      // Try to parse the response as JSON
-      let formattedQuestions;
-      try {
-        formattedQuestions = JSON.parse(responseText.trim());
-      } catch (e) {
-        console.error('Failed to parse JSON response:', e);
-        // Try to extract JSON from markdown
-        formattedQuestions = extractJsonFromMarkdown(responseText);
+    const usage = createUsageTracker({ userId: req.user.id, action: 'generate', provider: options.provider, model: options.model });
+    try {
+      console.log(`Generating questions with ${options.provider}...`);
+      // Every question is validated against its type's schema; invalid ones are sent back
+      // to the model with the validation errors, and anything still invalid is left out
+      // Identical requests are answered from the cache or share one upstream call
+      const result = await generateQuestionsCached(options, { forceFresh, usage });
+
+      if (result.questions.length === 0) {
+        return res.status(502).json({
+          success: false,
+          error: 'The AI did not return any valid questions',
+          details: result.errors.join('\n')
+        });
       }
 
-      if (!formattedQuestions || !formattedQuestions.questions) {
-        throw new Error('Invalid response format from AI');
-      }
-      
-      // Validate that the AI response contains the requested question types
-      if (formattedQuestions && formattedQuestions.questions) {
-        // Count the question types in the response
-        const typeCounts = {};
-        formattedQuestions.questions.forEach(q => {
-          typeCounts[q.type] = (typeCounts[q.type] || 0) + 1;
-        });
-        
-        // Check if we need to correct the distribution
-        let needsCorrection = false;
-        safeQuestionTypes.forEach(type => {
-          if ((typeCounts[type] || 0) < distribution[type]) {
-            needsCorrection = true;
-          }
-        });
-        
-        // If we need to correct the distribution, force it by converting questions
-        if (needsCorrection) {
-          console.log('Correcting question distribution...');
-          const questions = [...formattedQuestions.questions];
-          
-          // For each missing type
-          safeQuestionTypes.forEach(type => {
-            const current = typeCounts[type] || 0;
-            const target = distribution[type];
-            
-            if (current < target) {
-              const needed = target - current;
-              console.log(`Need to add ${needed} ${type} questions`);
-              
-              // Look for excess questions of other types to convert
-              let converted = 0;
-              const excessTypes = Object.keys(typeCounts).filter(t => {
-                return typeCounts[t] > distribution[t] || !safeQuestionTypes.includes(t);
-              });
-              
-              if (excessTypes.length > 0) {
-                for (let i = 0; i < questions.length && converted < needed; i++) {
-                  if (excessTypes.includes(questions[i].type)) {
-                    console.log(`Converting question ${i} from ${questions[i].type} to ${type}`);
-                    
-                    // Convert question
-                    const baseQuestion = { ...questions[i] };
-                    
-                    switch (type) {
-                      case 'true_false':
-                        questions[i] = {
-                          type: 'true_false',
-                          text: baseQuestion.text || `Is it true that ${topic} is important?`,
-                          explanation: baseQuestion.explanation || `This is an explanation about ${topic}`,
-                          correctAnswer: Math.random() > 0.5 ? 0 : 1 // Random true/false
-                        };
-                        break;
-                        
-                      case 'matching':
-                        // Create a matching question using available options if possible
-                        const items = baseQuestion.options?.slice(0, 2) || [`Item 1 about ${topic}`, `Item 2 about ${topic}`];
-                        const matches = [...items].reverse();
-                        
-                        questions[i] = {
-                          type: 'matching',
-                          text: `Match the following items related to ${topic}`,
-                          items: items,
-                          matches: matches,
-                          correctAnswer: [1, 0], // Reversed matching
-                          explanation: baseQuestion.explanation || `This is a matching question about ${topic}`
-                        };
-                        break;
-                        
-                      case 'multiple_choice':
-                        questions[i] = {
-                          type: 'multiple_choice',
-                          text: baseQuestion.text || `What is an important aspect of ${topic}?`,
-                          options: baseQuestion.options || [`Option 1 about ${topic}`, `Option 2 about ${topic}`, `Option 3 about ${topic}`, `Option 4 about ${topic}`],
-                          correctAnswer: 0,
-                          explanation: baseQuestion.explanation || `This is an explanation about ${topic}`
-                        };
-                        break;
-                    }
-                    
-                    converted++;
-                    // Update type counts
-                    typeCounts[questions[i].type] = (typeCounts[questions[i].type] || 0) + 1;
-                    typeCounts[baseQuestion.type]--;
-                  }
-                }
-              }
-              
-              // If we still need more questions of this type, add new ones
-              if (converted < needed) {
-                console.log(`Adding ${needed - converted} new ${type} questions`);
-                
-                for (let i = 0; i < needed - converted; i++) {
-                  let newQuestion;
-                  
-                  switch (type) {
-                    case 'true_false':
-                      newQuestion = {
-                        type: 'true_false',
-                        text: `Is it true that ${topic} ${i + 1} is important?`,
-                        explanation: `This is an explanation about ${topic}`,
-                        correctAnswer: Math.random() > 0.5 ? 0 : 1
-                      };
-                      break;
-                      
-                    case 'matching':
-                      newQuestion = {
-                        type: 'matching',
-                        text: `Match the following items related to ${topic}`,
-                        items: [`Item 1 about ${topic}`, `Item 2 about ${topic}`],
-                        matches: [`Match 1 for ${topic}`, `Match 2 for ${topic}`],
-                        correctAnswer: [0, 1],
-                        explanation: `This is a matching question about ${topic}`
-                      };
-                      break;
-                      
-                    case 'multiple_choice':
-                      newQuestion = {
-                        type: 'multiple_choice',
-                        text: `What is an important aspect of ${topic} ${i + 1}?`,
-                        options: [`Option 1 about ${topic}`, `Option 2 about ${topic}`, `Option 3 about ${topic}`, `Option 4 about ${topic}`],
-                        correctAnswer: 0,
-                        explanation: `This is an explanation about ${topic}`
-                      };
-                      break;
-                  }
-                  
-                  questions.push(newQuestion);
-                }
-              }
-            }
-          });
-          
-          // Update the questions
-          formattedQuestions.questions = questions.slice(0, numberOfQuestions);
-          
-          // Log the final distribution
-          const finalCounts = {};
-          formattedQuestions.questions.forEach(q => {
-            finalCounts[q.type] = (finalCounts[q.type] || 0) + 1;
-          });
-          console.log('Final question distribution:', finalCounts);
-        }
+      if (!result.complete) {
+        console.log(`Returning partial result: ${result.questions.length}/${result.requested} questions`, result.missing);
       }
-      
-      // Return the generated questions
+
       res.json({
         success: true,
-        questions: formattedQuestions.questions
+        questions: result.questions,
+        ...describeGenerationResult(result)
       });
 
     } catch (error) {
-      console.error('Gemini API error:', error);
-      res.status(500).json({
+      console.error('AI provider error:', error);
+      res.status(error.code === 'AI_INVALID_MODEL' ? 400 : 500).json({
         success: false,
         error: 'Failed to generate questions',
         details: error.message
@@ -800,6 +710,128 @@ IMPORTANT: STRICTLY follow the distribution of question types I specified. The t
   }
 });
 
+// Generate quiz questions as Server-Sent Events: a "question" event for each question as soon as
+// it has been validated, then a "done" event with the same summary as /generate (or an "error"
+// event). Closing the connection cancels the generation.
+router.post('/generate/stream', authenticateToken, enforceAiQuota, handleSourceUpload, async (req, res) => {
+  let parsed;
+  try {
+    parsed = await parseGenerateRequest(req);
+  } catch (error) {
+    console.error('Error in generate stream endpoint:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate questions'
+    });
+  }
+
+  const { options, forceFresh, status, error: requestError } = parsed;
+  if (requestError) {
+    return res.status(status).json(requestError);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client closed the generation stream, cancelling');
+      controller.abort();
+    }
+  });
+
+  const usage = createUsageTracker({ userId: req.user.id, action: 'generate', provider: options.provider, model: options.model });
+  let count = 0;
+  try {
+    console.log(`Streaming questions from ${options.provider}...`);
+    const result = await generateQuestionsCached(options, {
+      forceFresh,
+      signal: controller.signal,
+      onQuestion: (question) => sendEvent('question', { index: count++, question }),
+      usage
+    });
+
+    if (result.questions.length === 0) {
+      sendEvent('error', {
+        error: 'The AI did not return any valid questions',
+        details: result.errors.join('\n')
+      });
+    } else {
+      sendEvent('done', { count: result.questions.length, ...describeGenerationResult(result) });
+    }
+  } catch (error) {
+    if (error.code === 'AI_ABORTED') {
+      console.log(`Generation cancelled after ${count} questions`);
+      return;
+    }
+    console.error('AI provider error:', error);
+    sendEvent('error', { error: 'Failed to generate questions', details: error.message });
+  }
+
+  res.end();
+});
+
+// Refine a single question with AI ("harder", "easier", "rewrite_distractors", "fix_ambiguity" or
+// "translate"). Nothing is saved: the refined question and the list of changed fields are returned
+// for the tutor to accept or reject.
+router.post('/refine', authenticateToken, enforceAiQuota, async (req, res) => {
+  let usage = null;
+  try {
+    const { question, action, language, provider, model } = req.body;
+
+    if (!question || !action) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        details: 'Both question and action are required'
+      });
+    }
+
+    const { aiProvider, status, error: providerError } = resolveAiProvider(provider);
+    if (providerError) {
+      return res.status(status).json(providerError);
+    }
+
+    console.log(`Refining ${question.type} question (${action}) with ${aiProvider.name}...`);
+    usage = createUsageTracker({ userId: req.user.id, action: 'refine', provider: aiProvider.name, model });
+    const result = await refineQuestion({ question, action, language, provider: aiProvider.name, model, onUsage: usage.addUsage });
+    await usage.finish('success', result);
+
+    res.json({
+      success: true,
+      question: result.question,
+      changes: result.changes,
+      provider: result.provider,
+      model: result.model
+    });
+  } catch (error) {
+    console.error('Error refining question:', error);
+    // Requests rejected before reaching the model are not recorded
+    if (usage && error.code !== 'REFINE_INVALID_REQUEST') {
+      await usage.finish('failed', { error });
+    }
+    const status = {
+      REFINE_INVALID_REQUEST: 400,
+      AI_INVALID_MODEL: 400,
+      REFINE_INVALID_OUTPUT: 502
+    }[error.code] || 500;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to refine question',
+      details: error.message
+    });
+  }
+});
+
 // Helper function to shuffle an array
 function shuffleArray(array) {
   const newArray = [...array];
@@ -810,6 +842,154 @@ function shuffleArray(array) {
   return newArray;
 }
 
+// Helper function to read the attempt limit from quiz settings (null means unlimited)
+function getAttemptsAllowed(settings) {
+  const attemptsAllowed = parseInt(settings && settings.attemptsAllowed, 10);
+  return Number.isInteger(attemptsAllowed) && attemptsAllowed > 0 ? attemptsAllowed : null;
+}
+
+// Store each question's grading result on the learner's response to it
+function applyQuestionResults(responses, grading) {
+  return responses.map(response => {
+    const questionResult = grading.questions[response.questionId];
+    return questionResult
+      ? {
+          ...response,
+          score: questionResult.score,
+          maxScore: questionResult.maxScore,
+          isCorrect: questionResult.isCorrect,
+          autoGraded: questionResult.autoGraded
+        }
+      : response;
+  });
+}
+
+// The overall result kept in a submission's metadata
+function gradingMetadata(grading) {
+  return {
+    score: grading.percentage,
+    points: grading.score,
+    maxPoints: grading.maxScore,
+    correctAnswers: grading.correctAnswers,
+    totalQuestions: grading.totalQuestions,
+    pendingReview: grading.pendingReview,
+    passed: grading.passed
+  };
+}
+
+/**
+ * Tell the quiz creator the final result of a submission; failures must not affect grading
+ * @param {Object} quiz - The quiz the submission belongs to
+ * @param {string} submissionId - The submission ID
+ * @param {Object} grading - Result of gradeSubmission with no answer awaiting review
+ */
+function notifyQuizResult(quiz, submissionId, grading) {
+  if (!quiz.creator_id) return;
+  db.createNotification(quiz.creator_id, {
+    type: 'quiz_result',
+    title: `Result for "${quiz.title}"`,
+    message: `A learner's submission is fully graded: they scored ${grading.percentage}% and ${grading.passed ? 'passed' : 'did not pass'}.`,
+    data: { quizId: quiz.id, submissionId }
+  }).catch(notificationError => {
+    console.error('Error creating result notification:', notificationError);
+  });
+}
+
+/**
+ * Store a submission as the learner's next attempt. The unique index on the attempt number
+ * rejects a submission that took the same number concurrently, so the limit is checked again.
+ * @param {Object} submission - Submission for db.insertSubmission
+ * @param {number|null} attemptsAllowed - Attempt limit, null for unlimited attempts
+ * @returns {Promise<Object>} - { submissionId, attemptNumber }, or { exhausted: true, attemptsUsed }
+ *   when the learner has no attempts left
+ */
+async function insertAttempt(submission, attemptsAllowed) {
+  for (let retry = 1; ; retry++) {
+    const attemptsUsed = await db.countSubmissions(submission.quiz_id, submission.learner_id);
+    if (attemptsAllowed !== null && attemptsUsed >= attemptsAllowed) {
+      return { exhausted: true, attemptsUsed };
+    }
+
+    try {
+      const submissionId = await db.insertSubmission({ ...submission, attempt_number: attemptsUsed + 1 });
+      return { submissionId, attemptNumber: attemptsUsed + 1 };
+    } catch (insertError) {
+      if (insertError.code !== db.UNIQUE_VIOLATION || retry === 3) {
+        throw insertError;
+      }
+      console.warn(`Attempt ${attemptsUsed + 1} of learner ${submission.learner_id} was stored concurrently, retrying`);
+    }
+  }
+}
+
+/**
+ * Ask the AI to propose rubric grades for a submission's free-text answers and store them on
+ * the responses for the tutor to accept or override. The quiz creator's AI usage is charged.
+ * @param {Object} quiz - The quiz the submission belongs to
+ * @param {string} submissionId - The submission ID
+ * @param {Array} questions - The quiz questions
+ * @param {string} provider - AI provider name
+ * @returns {Promise<Object|null>} - The updated submission or null if it does not exist
+ */
+async function proposeSubmissionGrades(quiz, submissionId, questions, provider) {
+  const submission = await db.getSubmission(submissionId);
+  if (!submission) return null;
+
+  const usage = createUsageTracker({ userId: quiz.creator_id, action: 'grade', provider });
+  const { proposals, proposed, failed } = await proposeGrades({
+    questions,
+    responses: submission.responses,
+    provider,
+    onUsage: usage.addUsage
+  });
+  if (proposed + failed > 0) {
+    await usage.finish(failed === 0 ? 'success' : proposed > 0 ? 'partial' : 'failed');
+  }
+
+  // Re-read the submission so grades a tutor saved in the meantime are kept
+  const latest = await db.getSubmission(submissionId);
+  const responses = [...latest.responses];
+  questions.filter(question => proposals[question.id]).forEach(question => {
+    const index = responses.findIndex(response => String(response.questionId) === String(question.id));
+    if (index === -1) {
+      responses.push({ questionId: question.id, answer: null, aiProposal: proposals[question.id] });
+    } else {
+      responses[index] = { ...responses[index], aiProposal: proposals[question.id] };
+    }
+  });
+
+  console.log(`Proposed grades for submission ${submissionId}: ${proposed} proposed, ${failed} failed`);
+  return db.updateSubmission(submissionId, { responses });
+}
+
+// Propose grades right after a learner submits, unless AI is unavailable or the creator is over quota.
+// Never throws: the tutor can always ask for proposals again from the submissions page.
+async function proposeGradesAfterSubmit(quiz, submissionId, questions) {
+  try {
+    const aiProvider = ai.getProvider();
+    if (!aiProvider.isConfigured()) return;
+
+    const creator = await db.getUser(quiz.creator_id);
+    const { quotas } = await getQuotaStatus(creator || { id: quiz.creator_id });
+    if (quotas.some(quota => quota.exceeded)) {
+      console.log(`Skipping AI grade proposals for submission ${submissionId}: the quiz creator's AI quota is used up`);
+      return;
+    }
+
+    await proposeSubmissionGrades(quiz, submissionId, questions, aiProvider.name);
+  } catch (error) {
+    console.error(`Error proposing grades for submission ${submissionId}:`, error);
+  }
+}
+
+/**
+ * Generate an access code that no other quiz is using
+ * @returns {Promise<string>} - The new access code
+ */
+function createAccessCode() {
+  return generateUniqueAccessCode(db.accessCodeExists);
+}
+
 // Publish quiz
 router.put('/:id/publish', authenticateToken, async (req, res) => {
   try {
@@ -859,27 +1039,36 @@ router.put('/:id/publish', authenticateToken, async (req, res) => {
         }
       }
       
-      // Check if accessCode exists in settings
-      let accessCode = settings.accessCode;
-      console.log('Existing access code:', accessCode);
-      
-      // Generate a new accessCode if not present
-      if (!accessCode) {
-        // Generate a 6-character alphanumeric code
-        accessCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-        console.log('Generated new access code:', accessCode);
-        
-        // Store the access code in settings
-        settings.accessCode = accessCode;
+      // Apply settings chosen in the publish step (the access code is managed here only)
+      if (req.body && req.body.settings && typeof req.body.settings === 'object') {
+        const publishSettings = { ...req.body.settings };
+        delete publishSettings.accessCode;
+        settings = { ...settings, ...publishSettings };
       }
+      
+      console.log('Existing access code:', settings.accessCode);
     } catch (e) {
       console.error('Error processing settings:', e);
-      // If there was an error, ensure we at least have a valid settings object with an accessCode
-      settings = {
-        ...settings,
-        accessCode: Math.random().toString(36).substring(2, 8).toUpperCase()
-      };
-      console.log('Created fallback settings with new access code:', settings.accessCode);
+      // If there was an error, ensure we at least have a valid settings object
+      settings = { ...settings };
+    }
+    
+    // Every question pool must be defined with how many questions learners draw from it
+    try {
+      settings.pools = normalizePools(settings.pools, questions);
+    } catch (poolError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid question pools',
+        details: poolError.message
+      });
+    }
+    
+    // Generate a new accessCode if not present. A quiz without the indexed code (it lost a
+    // shared code when the column was added) also gets a new one instead of reusing its old code
+    if (!settings.accessCode || !quiz.access_code) {
+      settings.accessCode = await createAccessCode();
+      console.log('Generated new access code:', settings.accessCode);
     }
 
     // Only update fields that exist in the database schema
@@ -928,13 +1117,12 @@ router.put('/:id/publish', authenticateToken, async (req, res) => {
   }
 });
 
-// Pause quiz
-router.put('/:id/pause', authenticateToken, async (req, res) => {
+// Rotate a quiz access code so a leaked link stops working
+router.post('/:id/access-code/rotate', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if quiz exists and belongs to user
     const quiz = await db.getQuiz(id, userId);
 
     if (!quiz) {
@@ -944,26 +1132,244 @@ router.put('/:id/pause', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update quiz status
-    await db.updateQuizStatus(id, 'draft');
-
-    // Get updated quiz
-    const updatedQuiz = await db.getQuiz(id);
-    const questions = await db.getQuestions(id);
-
-    // Parse settings
     let settings = {};
     try {
-      settings = updatedQuiz.settings ? JSON.parse(updatedQuiz.settings) : {};
+      settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings) : (quiz.settings || {});
     } catch (e) {
       console.error('Error parsing quiz settings:', e);
     }
 
-    res.json({
-      success: true,
-      quiz: {
-        ...updatedQuiz,
-        settings,
+    const previousAccessCode = settings.accessCode || null;
+    let result = null;
+
+    // The unique index on access_code rejects a code taken between our check and the update
+    for (let attempt = 1; attempt <= 3 && !result; attempt++) {
+      const accessCode = await createAccessCode();
+      try {
+        result = await db.updateQuiz(id, { settings: { ...settings, accessCode } });
+      } catch (updateError) {
+        if (updateError.code !== db.UNIQUE_VIOLATION || attempt === 3) {
+          throw updateError;
+        }
+        console.warn(`Access code ${accessCode} was taken concurrently, retrying`);
+      }
+    }
+
+    const updatedSettings = typeof result.settings === 'string' ? JSON.parse(result.settings) : result.settings;
+    console.log(`Rotated access code for quiz ${id}: ${previousAccessCode} -> ${updatedSettings.accessCode}`);
+
+    res.json({
+      success: true,
+      quiz: {
+        ...result,
+        settings: updatedSettings
+      },
+      accessCode: updatedSettings.accessCode,
+      previousAccessCode
+    });
+  } catch (error) {
+    console.error('Error rotating access code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate access code',
+      details: error.message
+    });
+  }
+});
+
+// Email invitations are limited per request to keep a single send reasonably quick
+const MAX_INVITES_PER_REQUEST = 50;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Send email invitations for a published quiz
+router.post('/:id/invite', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { emails, message, dueDate } = req.body || {};
+
+    const quiz = await db.getQuiz(id, userId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to modify it'
+      });
+    }
+
+    let settings = {};
+    try {
+      settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings) : (quiz.settings || {});
+    } catch (e) {
+      console.error('Error parsing quiz settings:', e);
+    }
+
+    if (quiz.status !== 'published' || !settings.accessCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quiz must be published before sending invitations'
+      });
+    }
+
+    // Normalize and de-duplicate the recipient list
+    const recipients = [...new Set((Array.isArray(emails) ? emails : [])
+      .map(email => String(email).trim().toLowerCase())
+      .filter(Boolean))];
+    const invalidEmails = recipients.filter(email => !EMAIL_REGEX.test(email));
+
+    if (recipients.length === 0 || invalidEmails.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: recipients.length === 0 ? 'At least one email address is required' : 'Some email addresses are invalid',
+        details: invalidEmails
+      });
+    }
+
+    if (recipients.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `You can invite at most ${MAX_INVITES_PER_REQUEST} learners at a time`
+      });
+    }
+
+    const dueAt = dueDate || settings.dueDate || null;
+    if (dueAt && isNaN(new Date(dueAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid due date'
+      });
+    }
+
+    const tutor = await db.getUser(userId);
+    const baseUrl = getAppUrl();
+    const results = [];
+
+    for (const email of recipients) {
+      const token = crypto.randomBytes(24).toString('hex');
+      const invitation = await db.createInvitation({
+        quiz_id: quiz.id,
+        invited_by: userId,
+        email,
+        token,
+        due_at: dueAt ? new Date(dueAt).toISOString() : null
+      });
+
+      const quizUrl = `${baseUrl}/quiz/${settings.accessCode}?invite=${token}`;
+      const content = mailTemplates.quizInvitation({
+        quizTitle: quiz.title,
+        quizUrl,
+        accessCode: settings.accessCode,
+        dueDate: dueAt,
+        tutorName: tutor ? tutor.name : null,
+        message: typeof message === 'string' ? message.trim() : ''
+      });
+
+      try {
+        await sendMail({ to: email, ...content });
+        results.push(await db.updateInvitation(invitation.id, {
+          status: 'sent',
+          sent_at: new Date().toISOString()
+        }));
+      } catch (mailError) {
+        console.error(`Error sending invitation to ${email}:`, mailError);
+        results.push(await db.updateInvitation(invitation.id, {
+          status: 'failed',
+          error: mailError.message
+        }));
+      }
+    }
+
+    const sent = results.filter(invitation => invitation.status === 'sent').length;
+    const failed = results.length - sent;
+    console.log(`Sent ${sent} of ${results.length} invitations for quiz ${quiz.id}`);
+
+    res.status(sent === 0 ? 502 : 200).json({
+      success: sent > 0,
+      error: sent === 0 ? 'Failed to send invitations' : undefined,
+      sent,
+      failed,
+      invitations: results.map(({ token, ...invitation }) => invitation)
+    });
+  } catch (error) {
+    console.error('Error sending invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send invitations',
+      details: error.message
+    });
+  }
+});
+
+// List the invitations sent for a quiz with their tracking status
+router.get('/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await db.getQuiz(req.params.id, req.user.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to view it'
+      });
+    }
+
+    const invitations = await db.getInvitations(quiz.id);
+
+    res.json({
+      success: true,
+      invitations: invitations.map(({ token, ...invitation }) => ({
+        ...invitation,
+        // Furthest step the learner has reached
+        progress: invitation.submitted_at ? 'submitted'
+          : invitation.opened_at ? 'opened'
+          : invitation.status
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations',
+      details: error.message
+    });
+  }
+});
+
+// Pause quiz
+router.put('/:id/pause', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if quiz exists and belongs to user
+    const quiz = await db.getQuiz(id, userId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to modify it'
+      });
+    }
+
+    // Update quiz status
+    await db.updateQuizStatus(id, 'draft');
+
+    // Get updated quiz
+    const updatedQuiz = await db.getQuiz(id);
+    const questions = await db.getQuestions(id);
+
+    // Parse settings
+    let settings = {};
+    try {
+      settings = updatedQuiz.settings ? JSON.parse(updatedQuiz.settings) : {};
+    } catch (e) {
+      console.error('Error parsing quiz settings:', e);
+    }
+
+    res.json({
+      success: true,
+      quiz: {
+        ...updatedQuiz,
+        settings,
         questions
       }
     });
@@ -1004,6 +1410,13 @@ router.get('/code/:code', async (req, res) => {
     const quizId = matchedQuiz.id;
     const questions = await db.getQuestions(quizId);
     
+    // Record that an emailed invite link was opened
+    let invitation = null;
+    if (req.query.invite) {
+      db.trackInvitation(quizId, req.query.invite, 'opened');
+      invitation = (await db.getInvitations(quizId)).find(item => item.token === req.query.invite) || null;
+    }
+    
     // Parse settings
     let parsedSettings = {};
     try {
@@ -1025,19 +1438,45 @@ router.get('/code/:code', async (req, res) => {
     if (matchedQuiz.timeUnit && !parsedSettings.timeUnit) parsedSettings.timeUnit = matchedQuiz.timeUnit;
     if (matchedQuiz.complexity && !parsedSettings.complexity) parsedSettings.complexity = matchedQuiz.complexity;
     
+    // Draw this learner's form; the signed token is sent back with the submission so grading
+    // and review use the questions and option order they were shown. Pools are validated when
+    // the quiz is saved, so invalid ones only come from quizzes stored before that
+    let form;
+    try {
+      form = buildQuizForm(questions, parsedSettings);
+    } catch (formError) {
+      if (formError.code !== 'FORM_INVALID') throw formError;
+      return res.status(400).json({
+        success: false,
+        error: 'This quiz cannot be served until its creator fixes its question pools',
+        details: formError.message,
+        code: formError.code
+      });
+    }
+    
+    // Learners don't log in. Invited learners are identified by their invitation, so their
+    // attempts count wherever they open the link; anyone else keeps the ID this browser was
+    // given before or gets a new one, which clearing the browser's storage resets
+    const learnerId = invitation
+      ? `invite_${invitation.id}`
+      : verifyLearnerToken(quizId, req.query.learner) || createLearnerId();
+    
     // Create response with complete quiz data
     const response = {
       success: true,
       quiz: {
         ...matchedQuiz,
         settings: parsedSettings,
-        questions: questions.map(q => ({
+        questions: applyQuizForm(questions, form).map(toLearnerQuestion).map(q => ({
           ...q,
           // Ensure both content and text fields exist for question text (for frontend compatibility)
           content: q.content || q.text || '',
-          text: q.text || q.content || ''
+          text: q.text || q.content || '',
+          mediaUrl: q.mediaUrl || q.media_url || null
         }))
-      }
+      },
+      formToken: signQuizForm(quizId, form, learnerId),
+      learnerToken: signLearnerToken(quizId, learnerId)
     };
     
     // Log the response structure (without all the question details)
@@ -1059,6 +1498,54 @@ router.get('/code/:code', async (req, res) => {
   }
 });
 
+// Get a learner's attempt usage for a quiz (for quiz takers)
+router.get('/code/:code/attempts', async (req, res) => {
+  try {
+    const accessCode = req.params.code;
+    const quiz = await db.getQuizByAccessCode(accessCode);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+    
+    const learnerId = verifyLearnerToken(quiz.id, req.query.learner);
+    if (!learnerId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid learner token is required'
+      });
+    }
+    
+    let settings = {};
+    try {
+      settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings) : quiz.settings || {};
+    } catch (e) {
+      console.error('Error parsing quiz settings:', e);
+    }
+    
+    const attemptsAllowed = getAttemptsAllowed(settings);
+    const attemptsUsed = await db.countSubmissions(quiz.id, learnerId);
+    
+    res.json({
+      success: true,
+      attempts: {
+        attemptsAllowed,
+        attemptsUsed,
+        attemptsRemaining: attemptsAllowed === null ? null : Math.max(attemptsAllowed - attemptsUsed, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching attempts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attempts'
+    });
+  }
+});
+
 // Share quiz (compatibility endpoint for share links)
 router.get('/share/:code', async (req, res) => {
   try {
@@ -1071,23 +1558,8 @@ router.get('/share/:code', async (req, res) => {
       });
     }
     
-    // Search for quizzes and get all of them
-    const quizzes = await db.getQuizzes();
-    console.log(`Found ${quizzes.length} quizzes. Searching for share code: ${accessCode}`);
-    
-    // Find the quiz with matching access code in settings
-    let matchedQuiz = null;
-    for (const quiz of quizzes) {
-      try {
-        const settings = quiz.settings ? JSON.parse(quiz.settings) : {};
-        if (settings.accessCode === accessCode) {
-          matchedQuiz = quiz;
-          break;
-        }
-      } catch (e) {
-        console.error(`Error parsing settings for quiz ${quiz.id}:`, e);
-      }
-    }
+    // Indexed lookup on the quiz access code
+    const matchedQuiz = await db.getQuizByAccessCode(accessCode);
     
     if (!matchedQuiz) {
       console.log('No quiz found with access code:', accessCode);
@@ -1104,16 +1576,15 @@ router.get('/share/:code', async (req, res) => {
     // Get quiz questions
     const questions = await db.getQuestions(matchedQuiz.id);
 
-    // Parse questions options
-    const parsedQuestions = questions.map(q => ({
-      ...q,
-      options: JSON.parse(q.options)
-    }));
+    // Parse questions options; the answer key stays on the server
+    const parsedQuestions = applyQuizForm(questions, buildQuizForm(questions)).map(toLearnerQuestion);
 
     // Parse settings
     let settings = {};
     try {
-      settings = matchedQuiz.settings ? JSON.parse(matchedQuiz.settings) : {};
+      settings = typeof matchedQuiz.settings === 'string'
+        ? JSON.parse(matchedQuiz.settings)
+        : (matchedQuiz.settings || {});
       // Make sure access code is included in settings
       settings.accessCode = settings.accessCode || accessCode;
     } catch (e) {
@@ -1142,7 +1613,7 @@ router.get('/share/:code', async (req, res) => {
 router.post('/submit/:accessCode', async (req, res) => {
   try {
     const accessCode = req.params.accessCode;
-    const { responses, learnerId, metadata, quizId } = req.body;
+    const { responses, metadata, quizId, inviteToken, formToken } = req.body;
     
     if (!accessCode) {
       return res.status(400).json({
@@ -1181,37 +1652,154 @@ router.post('/submit/:accessCode', async (req, res) => {
       });
     }
     
+    let settings = {};
+    try {
+      settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings) : quiz.settings || {};
+    } catch (e) {
+      console.error('Error parsing quiz settings:', e);
+    }
+    
+    // Recover the form the learner was served and who they are; both are signed by the server
+    // when the quiz is opened, so learners cannot pick their questions or their ID
+    if (!formToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'The quiz form is missing. Reload the quiz to start again.',
+        code: 'FORM_INVALID'
+      });
+    }
+    let form;
+    let learner;
+    try {
+      ({ form, learnerId: learner } = verifyQuizForm(quiz.id, formToken));
+    } catch (formError) {
+      return res.status(400).json({
+        success: false,
+        error: formError.message,
+        code: formError.code
+      });
+    }
+    
+    // Enforce the attempt limit for this learner
+    const attemptsAllowed = getAttemptsAllowed(settings);
+    const rejectAttempt = attemptsUsed => res.status(409).json({
+      success: false,
+      error: `You have used all ${attemptsAllowed} attempt${attemptsAllowed === 1 ? '' : 's'} allowed for this quiz`,
+      code: 'ATTEMPTS_EXHAUSTED',
+      attemptsAllowed,
+      attemptsUsed
+    });
+    if (attemptsAllowed !== null) {
+      let attemptsUsed;
+      try {
+        attemptsUsed = await db.countSubmissions(quiz.id, learner);
+      } catch (countError) {
+        return res.status(500).json({
+          success: false,
+          error: 'Error checking previous attempts'
+        });
+      }
+      
+      if (attemptsUsed >= attemptsAllowed) {
+        return rejectAttempt(attemptsUsed);
+      }
+    }
+    
+    const questions = await db.getQuestions(quiz.id);
+    const formQuestions = getFormQuestions(questions, form);
+    const isFormQuestion = response => formQuestions.some(question => String(question.id) === String(response.questionId));
+    
     // Ensure field compatibility between frontend and backend
     // Frontend uses 'content', backend expects 'text'
     const processedResponses = Array.isArray(responses) 
-      ? responses.map(response => {
+      ? toStoredResponses(responses.filter(isFormQuestion), form).map(response => {
+          // Keep falsy answers such as option index 0
+          const answer = response.answer !== undefined && response.answer !== null
+            ? response.answer
+            : response.text || response.content;
+
+          // Grades and AI proposals are only ever set by the server
+          const { grade, aiProposal, ...learnerResponse } = response;
+
           // Make sure we have both text and content fields
           return {
-            ...response,
+            ...learnerResponse,
             // Set text if only content is provided
-            text: response.text || response.content || response.answer,
+            text: response.text || response.content || answer,
             // Set content if only text is provided
-            content: response.content || response.text || response.answer,
+            content: response.content || response.text || answer,
             // Ensure other fields like questionId and answer exist
             questionId: response.questionId,
-            answer: response.answer || response.text || response.content
+            answer
           };
         })
       : [];
     
+    // Grade the responses against the stored questions the learner was asked
+    const grading = gradeSubmission(formQuestions, processedResponses, settings);
+    
+    const gradedResponses = applyQuestionResults(processedResponses, grading);
+    
+    // Whether the learner passed is only known once every answer has been graded
+    const provisional = grading.pendingReview > 0;
+    const result = {
+      passed: provisional ? null : grading.passed,
+      provisional,
+      score: grading.score,
+      maxScore: grading.maxScore,
+      percentage: grading.percentage,
+      passMark: grading.passMark,
+      totalQuestions: grading.totalQuestions,
+      correctAnswers: grading.correctAnswers,
+      pendingReview: grading.pendingReview,
+      attemptsAllowed
+    };
+    
     // Create a safe submission object with fallbacks for any missing fields
     const submission = {
       quiz_id: quiz.id,
-      responses: processedResponses,
-      learner_id: learnerId || 'anonymous_learner',
-      metadata: metadata || {},
+      responses: gradedResponses,
+      learner_id: learner,
+      form,
+      metadata: {
+        ...(metadata || {}),
+        ...gradingMetadata(grading)
+      },
       submitted_at: new Date().toISOString()
     };
     
     let submissionId;
     try {
-      submissionId = await db.insertSubmission(submission);
+      const stored = await insertAttempt(submission, attemptsAllowed);
+      if (stored.exhausted) {
+        return rejectAttempt(stored.attemptsUsed);
+      }
+      submissionId = stored.submissionId;
+      if (attemptsAllowed !== null) result.attemptNumber = stored.attemptNumber;
       console.log(`Successfully stored submission with ID: ${submissionId}`);
+      
+      if (inviteToken) {
+        db.trackInvitation(quiz.id, inviteToken, 'submitted');
+      }
+      
+      // Let the quiz creator know about the new attempt, or its result when nothing needs
+      // review; failures must not affect the learner
+      if (!provisional) {
+        notifyQuizResult(quiz, submissionId, grading);
+      } else if (quiz.creator_id) {
+        db.createNotification(quiz.creator_id, {
+          type: 'quiz_attempt',
+          title: `New submission for "${quiz.title}"`,
+          message: `A learner scored ${grading.percentage}% so far. ${grading.pendingReview} answer(s) need manual review before the result is final.`,
+          data: { quizId: quiz.id, submissionId }
+        }).catch(notificationError => {
+          console.error('Error creating submission notification:', notificationError);
+        });
+      }
+      
+      if (quiz.creator_id && formQuestions.some(question => RUBRIC_GRADED_TYPES.includes(question.type))) {
+        proposeGradesAfterSubmit(quiz, submissionId, formQuestions);
+      }
     } catch (submissionError) {
       console.error('Error storing submission:', submissionError);
       
@@ -1219,24 +1807,11 @@ router.post('/submit/:accessCode', async (req, res) => {
       // This avoids poor user experience while we fix the backend
       return res.json({
         success: true,
-        result: {
-          passed: true,
-          score: 0,
-          totalQuestions: quiz.questions ? quiz.questions.length : 0,
-          correctAnswers: 0
-        },
+        result,
         message: 'Submission recorded successfully'
       });
     }
     
-    // Calculate basic results 
-    const result = {
-      passed: true,
-      score: 0,
-      totalQuestions: quiz.questions ? quiz.questions.length : 0,
-      correctAnswers: 0
-    };
-    
     // Send the result back to the client
     res.json({
       success: true,
@@ -1266,19 +1841,16 @@ router.get('/:id/submissions', authenticateToken, async (req, res) => {
     
     console.log(`Getting submissions for quiz ${quizId} by user ${userId}`);
     
-    // First, verify the quiz exists and the user has access
-    const quiz = await db.getQuiz(quizId);
+    // Submissions and their grading are only shown to the quiz creator
+    const quiz = await db.getQuiz(quizId, userId);
     
     if (!quiz) {
       return res.status(404).json({
         success: false,
-        error: 'Quiz not found'
+        error: 'Quiz not found or you do not have permission to view its submissions'
       });
     }
     
-    // Skip strict creator check for now to allow testing
-    console.log(`Quiz creator: ${quiz.creator_id}, User requesting: ${userId}`);
-    
     // Get submissions using the new getSubmissions function
     const submissions = await db.getSubmissions(quizId);
     console.log(`Found ${submissions.length} submissions for quiz ${quizId}`);
@@ -1302,7 +1874,9 @@ router.get('/:id/submissions', authenticateToken, async (req, res) => {
         ...q,
         options,
         content: q.content || q.text || '',
-        text: q.text || q.content || ''
+        text: q.text || q.content || '',
+        // Criteria for the answers a tutor grades
+        rubric: AUTO_GRADED_TYPES.includes(q.type) ? undefined : getRubric(q)
       };
     });
     
@@ -1324,6 +1898,207 @@ router.get('/:id/submissions', authenticateToken, async (req, res) => {
   }
 }); 
 
+// Download a quiz's submissions as CSV or XLSX, one row per submission and two columns per question
+router.get('/:id/submissions/export', authenticateToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!SUBMISSION_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        details: `format must be one of: ${SUBMISSION_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const quiz = await db.getQuiz(req.params.id, req.user.id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to export its submissions'
+      });
+    }
+
+    const [questions, submissions] = await Promise.all([
+      db.getQuestions(quiz.id),
+      db.getSubmissions(quiz.id)
+    ]);
+    const file = await exportSubmissions(format, quiz, questions, submissions);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting quiz submissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export quiz submissions',
+      details: error.message
+    });
+  }
+});
+
+// Find a submission of a quiz the user created; both are null when either is missing
+async function findOwnSubmission(quizId, submissionId, userId) {
+  const quiz = await db.getQuiz(quizId, userId);
+  const submission = quiz ? await db.getSubmission(submissionId) : null;
+  if (!submission || String(submission.quiz_id) !== String(quiz.id)) {
+    return { quiz: null, submission: null };
+  }
+  return { quiz, submission };
+}
+
+// Ask the AI again for rubric grade proposals on a submission's free-text answers
+router.post('/:id/submissions/:submissionId/propose-grades', authenticateToken, enforceAiQuota, async (req, res) => {
+  try {
+    const { quiz, submission } = await findOwnSubmission(req.params.id, req.params.submissionId, req.user.id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Submission not found or you do not have permission to grade it'
+      });
+    }
+
+    const questions = getFormQuestions(await db.getQuestions(quiz.id), submission.form);
+    if (!questions.some(question => RUBRIC_GRADED_TYPES.includes(question.type))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to grade',
+        details: 'This submission has no paragraph or essay answers'
+      });
+    }
+
+    const { aiProvider, status, error: providerError } = resolveAiProvider(req.body.provider);
+    if (providerError) {
+      return res.status(status).json(providerError);
+    }
+
+    console.log(`Proposing grades for submission ${submission.id} with ${aiProvider.name}...`);
+    const updated = await proposeSubmissionGrades(quiz, submission.id, questions, aiProvider.name);
+
+    res.json({
+      success: true,
+      submission: updated
+    });
+  } catch (error) {
+    console.error('Error proposing grades:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to propose grades',
+      details: error.message
+    });
+  }
+});
+
+// Save the tutor's final grades for the answers that are not auto-graded, either accepting the AI proposal
+// ({ questionId, accept: true }) or overriding it ({ questionId, criteria: [{ score, feedback }], feedback })
+router.put('/:id/submissions/:submissionId/grades', authenticateToken, async (req, res) => {
+  try {
+    const { grades } = req.body;
+
+    if (!Array.isArray(grades) || grades.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        details: 'grades must be a non-empty array'
+      });
+    }
+
+    const { quiz, submission } = await findOwnSubmission(req.params.id, req.params.submissionId, req.user.id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Submission not found or you do not have permission to grade it'
+      });
+    }
+
+    // Only the questions this learner was asked count towards their grade
+    const questions = getFormQuestions(await db.getQuestions(quiz.id), submission.form);
+    const grader = await db.getUser(req.user.id);
+    const gradedBy = { id: req.user.id, name: grader ? grader.name : null };
+    const gradedAt = new Date().toISOString();
+    const responses = [...submission.responses];
+
+    for (const entry of grades) {
+      const question = questions.find(q => String(q.id) === String(entry && entry.questionId));
+      if (!question || AUTO_GRADED_TYPES.includes(question.type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid grade',
+          details: `Question ${entry && entry.questionId} is not a question of this submission that a tutor grades`
+        });
+      }
+
+      let index = responses.findIndex(response => String(response.questionId) === String(question.id));
+      if (index === -1) {
+        responses.push({ questionId: question.id, answer: null });
+        index = responses.length - 1;
+      }
+
+      const { aiProposal } = responses[index];
+      if (entry.accept && !(aiProposal && aiProposal.criteria)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid grade',
+          details: `There is no AI proposal to accept for question ${question.id}`
+        });
+      }
+
+      const feedback = typeof entry.feedback === 'string'
+        ? entry.feedback.trim()
+        : entry.accept ? aiProposal.feedback || '' : '';
+
+      responses[index] = {
+        ...responses[index],
+        grade: {
+          ...scoreRubric(question, entry.accept ? aiProposal.criteria : entry.criteria),
+          feedback,
+          acceptedAiProposal: !!entry.accept,
+          gradedBy,
+          gradedAt
+        }
+      };
+    }
+
+    let settings = {};
+    try {
+      settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings) : quiz.settings || {};
+    } catch (e) {
+      console.error('Error parsing quiz settings:', e);
+    }
+
+    const grading = gradeSubmission(questions, responses, settings);
+    const updated = await db.updateSubmission(submission.id, {
+      responses: applyQuestionResults(responses, grading),
+      metadata: { ...submission.metadata, ...gradingMetadata(grading) },
+      status: grading.pendingReview === 0 ? 'graded' : 'submitted',
+      graded_by: req.user.id,
+      graded_at: gradedAt
+    });
+
+    console.log(`User ${req.user.id} graded ${grades.length} answer(s) of submission ${submission.id}`);
+    
+    // Whether the learner passed was provisional until now, or a new grade changed it
+    const previous = submission.metadata || {};
+    if (grading.pendingReview === 0 && (previous.pendingReview > 0 || previous.passed !== grading.passed)) {
+      notifyQuizResult(quiz, submission.id, grading);
+    }
+    res.json({
+      success: true,
+      submission: updated
+    });
+  } catch (error) {
+    console.error('Error saving grades:', error);
+    res.status(error.code === 'GRADE_INVALID' ? 400 : 500).json({
+      success: false,
+      error: error.code === 'GRADE_INVALID' ? 'Invalid grade' : 'Failed to save grades',
+      details: error.message
+    });
+  }
+});
+
 // View quiz by access code (for quiz preview)
 router.get('/view/:code', async (req, res) => {
   try {
@@ -1370,7 +2145,8 @@ router.get('/view/:code', async (req, res) => {
       quiz: {
         ...matchedQuiz,
         settings,
-        questions
+        // Anyone with the code can view the quiz, so the answer key stays on the server
+        questions: applyQuizForm(questions, buildQuizForm(questions)).map(toLearnerQuestion)
       }
     });
   } catch (error) {
@@ -2,6 +2,11 @@ const express = require('express')
 const router = express.Router()
 const db = require('../db/index')
 const { authenticateToken } = require('../middleware/auth')
+const { getQuotaStatus, summarizeUsage } = require('../services/ai/usage')
+const { analyzeItems } = require('../services/itemAnalysis')
+
+// Longest period the AI usage history can cover
+const MAX_USAGE_DAYS = 90
 
 // Get quiz statistics
 router.get('/', authenticateToken, async (req, res) => {
@@ -21,9 +26,9 @@ router.get('/', authenticateToken, async (req, res) => {
     let totalScores = 0;
     let completedResponses = 0;
     
-    // Process each quiz to get its responses
+    // Process each quiz to get its submissions
     for (const quiz of quizzes) {
-      const responses = await db.all('responses', { quiz_id: quiz.id });
+      const responses = await db.getSubmissions(quiz.id);
       
       if (responses.length > 0) {
         quizzesWithResponses.add(quiz.id);
@@ -33,8 +38,8 @@ router.get('/', authenticateToken, async (req, res) => {
       
       // Calculate average score and completion rate
       responses.forEach(response => {
-        if (response.score !== null) {
-          totalScores += response.score;
+        if (typeof response.metadata?.score === 'number') {
+          totalScores += response.metadata.score;
           completedResponses++;
         }
       });
@@ -44,6 +49,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const completionRate = totalResponses > 0 ? Math.round((completedResponses / totalResponses) * 100) : 0;
 
     res.json({
+      success: true,
       stats: {
         total: totalQuizzes,
         published: publishedQuizzes,
@@ -59,4 +65,66 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 })
 
+// Get the item analysis of one of the user's quizzes: difficulty, discrimination and
+// distractor statistics per question, computed from its submissions
+router.get('/quiz/:quizId', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await db.getQuiz(req.params.quizId, req.user.id)
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found or you do not have permission to view its statistics'
+      })
+    }
+
+    const [questions, submissions] = await Promise.all([
+      db.getQuestions(quiz.id),
+      db.getSubmissions(quiz.id)
+    ])
+
+    res.json({
+      success: true,
+      quiz: {
+        id: quiz.id,
+        title: quiz.title,
+        status: quiz.status
+      },
+      report: analyzeItems(questions, submissions)
+    })
+  } catch (err) {
+    console.error('Error fetching item analysis:', err)
+    res.status(500).json({ success: false, error: 'Failed to fetch item analysis' })
+  }
+})
+
+// Get the user's AI usage over the last `days` days (default 30) and their current quotas
+router.get('/ai-usage', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_USAGE_DAYS)
+
+    // Days are counted in UTC, starting at midnight of the first day
+    const since = new Date()
+    since.setUTCHours(0, 0, 0, 0)
+    since.setUTCDate(since.getUTCDate() - (days - 1))
+
+    const user = await db.getUser(userId)
+    const [entries, quota] = await Promise.all([
+      db.getAiUsage(userId, { since }),
+      getQuotaStatus(user || { id: userId })
+    ])
+
+    res.json({
+      success: true,
+      days,
+      usage: summarizeUsage(entries, days),
+      quota
+    })
+  } catch (err) {
+    console.error('Error fetching AI usage:', err)
+    res.status(500).json({ success: false, error: 'Failed to fetch AI usage' })
+  }
+})
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Unambiguous alphabet: no 0/O or 1/I so codes can be read aloud and typed reliably
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const DEFAULT_LENGTH = 6;
+const MIN_LENGTH = 4;
+const MAX_LENGTH = 16; // Matches the quizzes.access_code column size
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Resolve the configured access code length (ACCESS_CODE_LENGTH env var)
+ * @returns {number} - Code length within the supported range
+ */
+function getAccessCodeLength() {
+  const length = parseInt(process.env.ACCESS_CODE_LENGTH, 10);
+  if (!Number.isInteger(length)) return DEFAULT_LENGTH;
+  return Math.min(Math.max(length, MIN_LENGTH), MAX_LENGTH);
+}
+
+/**
+ * Generate a random access code using a cryptographically secure source
+ * @param {number} length - Number of characters (defaults to the configured length)
+ * @returns {string} - The generated code
+ */
+function generateAccessCode(length = getAccessCodeLength()) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    // randomInt is unbiased, unlike taking random bytes modulo the alphabet size
+    code += ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Generate an access code that is not already used by another quiz
+ * @param {Function} isTaken - Async check returning true when a code is already in use
+ * @param {Object} options - { length, maxAttempts }
+ * @returns {Promise<string>} - A code that was free at the time of the check
+ */
+async function generateUniqueAccessCode(isTaken, options = {}) {
+  const length = options.length || getAccessCodeLength();
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const code = generateAccessCode(length);
+    if (!(await isTaken(code))) {
+      return code;
+    }
+    console.warn(`Access code collision on attempt ${attempt}, generating another`);
+  }
+
+  throw new Error(`Could not generate a unique access code after ${maxAttempts} attempts`);
+}
+
+module.exports = {
+  ACCESS_CODE_ALPHABET,
+  getAccessCodeLength,
+  generateAccessCode,
+  generateUniqueAccessCode
+};
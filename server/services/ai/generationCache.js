@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const ai = require('./index');
+const { GENERATABLE_TYPES } = require('./questionSchema');
+const { buildDistribution, generateQuestions } = require('./questionGenerator');
+
+// How long a complete generation result is reused (AI_CACHE_TTL_SECONDS, 0 disables the cache)
+const DEFAULT_TTL_SECONDS = 60 * 60;
+// Oldest results are evicted first once the cache is full
+const MAX_CACHE_ENTRIES = 200;
+
+// Complete results by request key: { result, expiresAt }
+const cache = new Map();
+// Generations still running by request key: { promise, questions, subscribers, controller }
+const inFlight = new Map();
+
+function getTtlMs() {
+  const seconds = parseInt(process.env.AI_CACHE_TTL_SECONDS, 10);
+  return (Number.isNaN(seconds) ? DEFAULT_TTL_SECONDS : Math.max(seconds, 0)) * 1000;
+}
+
+function normalizeText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function requestedTypes(questionTypes) {
+  return [...new Set(questionTypes)].filter(type => GENERATABLE_TYPES.includes(type));
+}
+
+/**
+ * Content-addressed key of a generation request: the normalized prompt inputs, the type
+ * distribution, the source document and the provider/model that would answer it
+ * @param {Object} options - generateQuestions options
+ * @returns {string} - SHA-256 hex key
+ */
+function generationCacheKey(options) {
+  const provider = ai.getProvider(options.provider);
+  const distribution = buildDistribution(requestedTypes(options.questionTypes), options.numberOfQuestions);
+  const { sourceMaterial } = options;
+
+  return sha256(JSON.stringify({
+    provider: provider.name,
+    model: options.model || provider.defaultModel,
+    topic: normalizeText(options.topic),
+    category: normalizeText(options.category),
+    complexity: normalizeText(options.complexity),
+    instructions: normalizeText(options.instructions),
+    // The same counts asked for in a different type order are the same request
+    distribution: Object.keys(distribution).sort().map(type => [type, distribution[type]]),
+    source: sourceMaterial
+      ? sha256(`${sourceMaterial.name}\n${sourceMaterial.passages.map(passage => `${passage.id}|${passage.page}|${passage.text}`).join('\n')}`)
+      : null
+  }));
+}
+
+// Return the questions in the caller's type order, as a fresh generation would
+function orderByTypes(questions, types) {
+  return types.flatMap(type => questions.filter(question => question.type === type));
+}
+
+function storeResult(key, result) {
+  const ttlMs = getTtlMs();
+  if (ttlMs === 0) return;
+
+  cache.delete(key);
+  cache.set(key, { result, expiresAt: Date.now() + ttlMs });
+  while (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Ledger outcome of a generation run
+function describeOutcome(result) {
+  if (result.complete) return 'success';
+  return result.questions.length > 0 ? 'partial' : 'failed';
+}
+
+// The run records its own usage once the upstream call has settled, so the tokens are charged
+// even when the caller that started it has cancelled and others are still following it
+function startGeneration(key, options, usage) {
+  const run = { questions: [], subscribers: new Set(), controller: new AbortController() };
+
+  run.promise = generateQuestions({
+    ...options,
+    signal: run.controller.signal,
+    onUsage: usage ? usage.addUsage : undefined,
+    onQuestion: (question) => {
+      run.questions.push(question);
+      run.subscribers.forEach(subscriber => subscriber(question));
+    }
+  })
+    .then(
+      async (result) => {
+        if (usage) await usage.finish(describeOutcome(result), result);
+        // Partial results are not reused: asking again should get another chance at a complete quiz
+        if (result.complete) storeResult(key, result);
+        return result;
+      },
+      async (error) => {
+        if (usage) await usage.finish(error.code === 'AI_ABORTED' ? 'cancelled' : 'failed', { error });
+        throw error;
+      }
+    )
+    .finally(() => {
+      if (inFlight.get(key) === run) inFlight.delete(key);
+    });
+
+  inFlight.set(key, run);
+  return run;
+}
+
+// Follow a running generation: replay the questions it already produced, then stream the rest.
+// The upstream call is only cancelled once every caller following it has cancelled.
+function followGeneration(run, { types, signal, onQuestion }, cacheStatus) {
+  return new Promise((resolve, reject) => {
+    const subscriber = (question) => {
+      if (onQuestion) onQuestion(question);
+    };
+
+    const leave = () => {
+      run.subscribers.delete(subscriber);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    function onAbort() {
+      leave();
+      if (run.subscribers.size === 0) run.controller.abort();
+      const error = new Error('AI generation was cancelled');
+      error.code = 'AI_ABORTED';
+      reject(error);
+    }
+
+    if (signal && signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    run.questions.forEach(subscriber);
+    run.subscribers.add(subscriber);
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    run.promise.then(
+      (result) => {
+        leave();
+        resolve({ ...result, questions: orderByTypes(result.questions, types), cache: cacheStatus });
+      },
+      (error) => {
+        leave();
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Generate quiz questions, reusing a recent identical result and coalescing identical
+ * requests that are still running into one upstream call
+ * @param {Object} options - generateQuestions options (topic, category, ..., provider, model, sourceMaterial)
+ * @param {Object} handlers - { forceFresh, signal, onQuestion, usage }
+ *   `forceFresh` skips the cache and any running identical request. `usage` (from
+ *   createUsageTracker) is only used, and finished, when this call starts the upstream generation.
+ * @returns {Promise<Object>} - The generateQuestions result plus `cache`: "hit" (served from the
+ *   cache), "coalesced" (joined an identical running request) or "miss" (generated)
+ */
+async function generateQuestionsCached(options, { forceFresh = false, signal, onQuestion, usage } = {}) {
+  const key = generationCacheKey(options);
+  const types = requestedTypes(options.questionTypes);
+
+  if (!forceFresh) {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      const questions = orderByTypes(cached.result.questions, types);
+      if (onQuestion) questions.forEach(question => onQuestion(question));
+      return { ...cached.result, questions, cache: 'hit' };
+    }
+    if (cached) cache.delete(key);
+
+    const running = inFlight.get(key);
+    if (running) {
+      return followGeneration(running, { types, signal, onQuestion }, 'coalesced');
+    }
+  }
+
+  return followGeneration(startGeneration(key, options, usage), { types, signal, onQuestion }, 'miss');
+}
+
+module.exports = {
+  generationCacheKey,
+  generateQuestionsCached
+};
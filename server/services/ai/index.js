@@ -0,0 +1,179 @@
+const createGeminiProvider = require('./providers/gemini');
+const createOpenAIProvider = require('./providers/openai');
+const createMockProvider = require('./providers/mock');
+
+// Provider factories keyed by the AI_PROVIDER name. Each returns an object with
+// `defaultModel`, `isConfigured()` and an async `generate(request)` resolving to `{ text, usage }`.
+// Providers may also implement `generateStream(request)`, an async iterable of text chunks that
+// reports the token usage through `request.onUsage` once it is known. Usage is
+// `{ inputTokens, outputTokens }` and may be omitted when the vendor doesn't report it.
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const providers = {};
+
+// Model names are passed straight to the vendor SDK, so only allow plain identifiers
+const MODEL_NAME_REGEX = /^[\w.:/-]{1,100}$/;
+
+function aiError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Register a custom AI provider
+ * @param {string} name - Name used in AI_PROVIDER or the request's `provider` field
+ * @param {Function} factory - Returns the provider object
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  delete providers[name];
+}
+
+/**
+ * Name of the deployment's default provider (AI_PROVIDER, otherwise Gemini unless only OpenAI is configured)
+ * @returns {string} - Provider name
+ */
+function getDefaultProviderName() {
+  if (process.env.AI_PROVIDER) return process.env.AI_PROVIDER;
+  return process.env.OPENAI_API_KEY && !process.env.GEMINI_API_KEY ? 'openai' : 'gemini';
+}
+
+/**
+ * Get a provider by name, or the default provider
+ * @param {string} name - Optional provider name
+ * @returns {Object} - The provider, including its `name`
+ */
+function getProvider(name) {
+  const providerName = name || getDefaultProviderName();
+
+  if (!providers[providerName]) {
+    const factory = providerFactories[providerName];
+    if (!factory) {
+      throw aiError(`Unknown AI provider: ${providerName}`, 'AI_UNKNOWN_PROVIDER');
+    }
+    providers[providerName] = { name: providerName, ...factory() };
+  }
+
+  return providers[providerName];
+}
+
+/**
+ * Describe the registered providers for clients choosing one per request
+ * @returns {Array} - [{ name, configured, defaultModel, isDefault }]
+ */
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+
+  return Object.keys(providerFactories).map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      configured: provider.isConfigured(),
+      defaultModel: provider.defaultModel,
+      isDefault: name === defaultName
+    };
+  });
+}
+
+function abortError() {
+  return aiError('AI generation was cancelled', 'AI_ABORTED');
+}
+
+/**
+ * Generate text with the selected provider, retrying transient failures with exponential backoff
+ * @param {Object} request - { provider, model, prompt, json, task, input, temperature, maxOutputTokens, maxRetries, signal, onText, onUsage }
+ *   `json` asks providers that support it for a JSON-only response; `task` and `input`
+ *   describe the request in structured form for offline providers. With `onText` the response
+ *   is streamed and each chunk is passed to it as it arrives (providers without streaming
+ *   deliver it in one chunk). `signal` is an AbortSignal that cancels the generation.
+ *   `onUsage` receives `{ inputTokens, outputTokens }` for every attempt the provider reports usage for.
+ * @returns {Promise<Object>} - { text, provider, model }
+ */
+async function generateContent({
+  provider: providerName,
+  model,
+  prompt,
+  json = false,
+  task,
+  input,
+  temperature = 0.7,
+  maxOutputTokens = 8192,
+  maxRetries = 2,
+  signal,
+  onText,
+  onUsage
+}) {
+  const provider = getProvider(providerName);
+
+  if (!provider.isConfigured()) {
+    throw aiError(`AI provider "${provider.name}" is not configured`, 'AI_NOT_CONFIGURED');
+  }
+  if (model && !MODEL_NAME_REGEX.test(model)) {
+    throw aiError(`Invalid model name: ${model}`, 'AI_INVALID_MODEL');
+  }
+
+  const modelName = model || provider.defaultModel;
+  const reportUsage = (usage) => {
+    if (usage && onUsage) onUsage(usage);
+  };
+  const request = { prompt, model: modelName, json, task, input, temperature, maxOutputTokens, signal, onUsage: reportUsage };
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    attempts++;
+    if (signal && signal.aborted) throw abortError();
+
+    let text = '';
+    try {
+      console.log(`AI generation attempt ${attempt + 1} with ${provider.name}/${modelName}`);
+
+      if (onText && provider.generateStream) {
+        for await (const chunk of provider.generateStream(request)) {
+          if (signal && signal.aborted) throw abortError();
+          text += chunk;
+          onText(chunk);
+        }
+      } else {
+        const response = await provider.generate(request);
+        text = response.text;
+        reportUsage(response.usage);
+        if (signal && signal.aborted) throw abortError();
+        if (onText) onText(text);
+      }
+
+      return { text, provider: provider.name, model: modelName };
+    } catch (error) {
+      if (signal && signal.aborted) throw abortError();
+      console.error(`AI generation attempt ${attempt + 1} failed:`, error.message);
+      lastError = error;
+
+      // Once part of a stream has been handed to the caller a retry would repeat it
+      if (text) break;
+
+      if (attempt < maxRetries) {
+        const delay = 1000 * Math.pow(2, attempt + 1);
+        console.log(`Waiting ${delay}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw aiError(
+    `Failed to generate content after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${lastError.message}`,
+    'AI_GENERATION_FAILED'
+  );
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+  generateContent
+};
@@ -0,0 +1,58 @@
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Google Gemini provider (GEMINI_API_KEY, optional GEMINI_MODEL)
+ * @returns {Object} - AI provider
+ */
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  let client = null;
+
+  return {
+    defaultModel: process.env.GEMINI_MODEL || DEFAULT_MODEL,
+    isConfigured: () => !!apiKey,
+
+    generate: async ({ prompt, model, temperature, maxOutputTokens }) => {
+      const result = await getModel(model, temperature, maxOutputTokens).generateContent(prompt);
+      if (!result || !result.response) {
+        throw new Error('Empty response from Gemini API');
+      }
+
+      return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+    },
+
+    generateStream: async function* ({ prompt, model, temperature, maxOutputTokens, onUsage }) {
+      const result = await getModel(model, temperature, maxOutputTokens).generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+
+      // The aggregated response resolves once the stream has ended
+      const response = await result.response;
+      if (onUsage) onUsage(toUsage(response && response.usageMetadata));
+    }
+  };
+
+  function getModel(model, temperature, maxOutputTokens) {
+    if (!client) {
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      client = new GoogleGenerativeAI(apiKey);
+    }
+
+    return client.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature,
+        topP: 0.95,
+        maxOutputTokens
+      }
+    });
+  }
+}
+
+function toUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+  return { inputTokens: usageMetadata.promptTokenCount || 0, outputTokens: usageMetadata.candidatesTokenCount || 0 };
+}
+
+module.exports = createGeminiProvider;
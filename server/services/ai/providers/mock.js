@@ -0,0 +1,171 @@
+// Streamed responses are cut into small, slightly delayed chunks
+const STREAM_CHUNK_SIZE = 40;
+const STREAM_CHUNK_DELAY_MS = 20;
+// Usage is estimated the way tokenizers roughly average out for English text
+const CHARS_PER_TOKEN = 4;
+
+// Deterministic offline provider for tests, CI and demos. It never calls the network: each task
+// builds its response from the structured `input` the caller passes alongside the prompt.
+const mockTasks = {
+  generate_questions: ({ topic = 'the topic', distribution = { multiple_choice: 1 }, passages }) => {
+    const questions = [];
+
+    Object.entries(distribution).forEach(([type, count]) => {
+      for (let i = 0; i < count; i++) {
+        const n = questions.length + 1;
+
+        switch (type) {
+          case 'true_false':
+            questions.push({
+              type,
+              text: `Statement ${n} about ${topic} is true.`,
+              options: ['True', 'False'],
+              correctAnswer: n % 2,
+              explanation: `Sample explanation for statement ${n}.`
+            });
+            break;
+
+          case 'matching':
+            questions.push({
+              type,
+              text: `Match the ${topic} terms with their descriptions.`,
+              options: [1, 2, 3].map(k => ({ left: `Term ${k}`, right: `Description ${k}` })),
+              correctAnswer: [0, 1, 2],
+              explanation: `Each term matches the description with the same number.`
+            });
+            break;
+
+          case 'dropdown':
+            questions.push({
+              type,
+              text: `Pick the ${topic} term for sample ${n}.`,
+              options: ['Choice A', 'Choice B', 'Choice C'],
+              correctAnswer: (n - 1) % 3,
+              explanation: `Sample explanation for question ${n}.`
+            });
+            break;
+
+          case 'fill_in_blanks':
+            questions.push({
+              type,
+              text: `In ${topic}, sample ${n} has a _ and a _.`,
+              correctAnswer: [`first ${n}|1st ${n}`, `second ${n}`],
+              explanation: `Sample explanation for question ${n}.`
+            });
+            break;
+
+          case 'paragraph':
+            questions.push({
+              type,
+              text: `Explain sample concept ${n} of ${topic}.`,
+              correctAnswer: `A model answer describing sample concept ${n} of ${topic}.`,
+              rubric: [
+                { criterion: `Defines sample concept ${n}`, points: 2 },
+                { criterion: 'Gives an example', points: 1 }
+              ],
+              explanation: `Checks understanding of sample concept ${n}.`
+            });
+            break;
+
+          default:
+            questions.push({
+              type: 'multiple_choice',
+              text: `Sample question ${n} about ${topic}?`,
+              options: ['Option A', 'Option B', 'Option C', 'Option D'],
+              correctAnswer: (n - 1) % 4,
+              explanation: `Sample explanation for question ${n}.`
+            });
+        }
+      }
+    });
+
+    // Cite the passages in turn, quoting their first few words
+    if (passages && passages.length > 0) {
+      questions.forEach((question, i) => {
+        const passage = passages[i % passages.length];
+        question.source = { passage: passage.id, quote: passage.text.split(/\s+/).slice(0, 8).join(' ') };
+      });
+    }
+
+    return { questions };
+  },
+
+  // Re-prompts for questions that failed validation: answer with fresh, valid questions
+  repair_questions: ({ topic, distribution, passages }) => mockTasks.generate_questions({ topic, distribution, passages }),
+
+  // Marks the edit in the text (and, for distractors, only in the incorrect options)
+  refine_question: ({ question, action, language }) => {
+    const refined = { ...question };
+
+    switch (action) {
+      case 'rewrite_distractors':
+        refined.options = question.options.map((option, i) => (i === question.correctAnswer ? option : `${option} (revised)`));
+        break;
+      case 'translate':
+        refined.text = `[${language}] ${question.text}`;
+        refined.explanation = `[${language}] ${question.explanation || ''}`.trim();
+        break;
+      default:
+        refined.text = `${question.text} (${action.replace('_', ' ')})`;
+    }
+
+    return { question: refined };
+  },
+
+  // Full marks for answers of 20 words or more, half marks for shorter ones
+  grade_answer: ({ rubric = [], answer = '' }) => {
+    const complete = answer.split(/\s+/).filter(Boolean).length >= 20;
+
+    return {
+      criteria: rubric.map(item => ({
+        criterion: item.criterion,
+        score: complete ? item.points : Math.floor(item.points) / 2,
+        feedback: complete ? `Covers "${item.criterion}" in enough detail.` : `Say more about "${item.criterion}".`
+      })),
+      feedback: complete ? 'A thorough answer.' : 'The answer is too short to cover the rubric.'
+    };
+  }
+};
+
+/**
+ * Offline mock provider (AI_PROVIDER=mock)
+ * @returns {Object} - AI provider
+ */
+function createMockProvider() {
+  return {
+    defaultModel: 'mock-1',
+    isConfigured: () => true,
+
+    generate: async ({ prompt, task, input }) => {
+      const text = respond(task, input);
+      return { text, usage: estimateUsage(prompt, text) };
+    },
+
+    generateStream: async function* ({ prompt, task, input, onUsage }) {
+      const text = respond(task, input);
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+        yield text.slice(i, i + STREAM_CHUNK_SIZE);
+      }
+      if (onUsage) onUsage(estimateUsage(prompt, text));
+    }
+  };
+}
+
+function respond(task, input) {
+  const handler = mockTasks[task];
+  if (!handler) {
+    throw new Error(`The mock AI provider has no response for task "${task}"`);
+  }
+  return JSON.stringify(handler(input || {}), null, 2);
+}
+
+function estimateUsage(prompt, text) {
+  return {
+    inputTokens: Math.ceil((prompt || '').length / CHARS_PER_TOKEN),
+    outputTokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+  };
+}
+
+module.exports = createMockProvider;
+module.exports.mockTasks = mockTasks;
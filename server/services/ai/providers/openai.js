@@ -0,0 +1,75 @@
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * OpenAI or any OpenAI-compatible server such as Ollama, LM Studio or vLLM
+ * (OPENAI_API_KEY, optional OPENAI_BASE_URL and OPENAI_MODEL)
+ * @returns {Object} - AI provider
+ */
+function createOpenAIProvider() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseURL = process.env.OPENAI_BASE_URL;
+  let client = null;
+
+  return {
+    defaultModel: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    // Local compatible servers usually don't check the key, so a base URL alone is enough
+    isConfigured: () => !!(apiKey || baseURL),
+
+    generate: async ({ prompt, model, json, temperature, maxOutputTokens, signal }) => {
+      const completion = await getClient().chat.completions.create(
+        buildRequest({ prompt, model, json, temperature, maxOutputTokens }),
+        { signal }
+      );
+
+      const text = completion.choices && completion.choices[0] && completion.choices[0].message.content;
+      if (!text) {
+        throw new Error('Empty response from OpenAI-compatible API');
+      }
+
+      return { text, usage: toUsage(completion.usage) };
+    },
+
+    generateStream: async function* ({ prompt, model, json, temperature, maxOutputTokens, signal, onUsage }) {
+      const stream = await getClient().chat.completions.create(
+        {
+          ...buildRequest({ prompt, model, json, temperature, maxOutputTokens }),
+          stream: true,
+          // The final chunk then carries the token usage
+          stream_options: { include_usage: true }
+        },
+        { signal }
+      );
+
+      for await (const chunk of stream) {
+        const text = chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content;
+        if (text) yield text;
+        if (chunk.usage && onUsage) onUsage(toUsage(chunk.usage));
+      }
+    }
+  };
+
+  function getClient() {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseURL || undefined });
+    }
+    return client;
+  }
+}
+
+function buildRequest({ prompt, model, json, temperature, maxOutputTokens }) {
+  return {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature,
+    max_tokens: maxOutputTokens,
+    ...(json ? { response_format: { type: 'json_object' } } : {})
+  };
+}
+
+function toUsage(usage) {
+  if (!usage) return null;
+  return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,332 @@
+const ai = require('./index');
+const {
+  QUESTION_SCHEMAS,
+  GENERATABLE_TYPES,
+  validateQuestion,
+  normalizeQuestion
+} = require('./questionSchema');
+
+// How many times the model is asked to correct invalid or missing questions before giving up
+const MAX_REPAIR_ROUNDS = 2;
+
+/**
+ * Spread the requested number of questions over the requested types, at least one of each
+ * @param {Array} types - Question types
+ * @param {number} numQuestions - Total number of questions
+ * @returns {Object} - Count per type
+ */
+function buildDistribution(types, numQuestions) {
+  const distribution = {};
+  types.forEach(type => {
+    distribution[type] = 1;
+  });
+
+  for (let i = 0; i < numQuestions - types.length; i++) {
+    distribution[types[i % types.length]]++;
+  }
+
+  return distribution;
+}
+
+function describeDistribution(distribution) {
+  return Object.entries(distribution)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `- ${count} ${type} question${count === 1 ? '' : 's'}`)
+    .join('\n');
+}
+
+function describeFormat(types, sourceMaterial) {
+  const examples = types.map(type => (sourceMaterial
+    ? { ...QUESTION_SCHEMAS[type].example, source: { passage: 'P1', quote: 'Exact words copied from passage P1' } }
+    : QUESTION_SCHEMAS[type].example));
+  const rules = types.map(type => `- ${type}: ${QUESTION_SCHEMAS[type].rules}`).join('\n');
+  const sourceRule = sourceMaterial
+    ? '\n- every question: "source.passage" is the id of the passage it is based on and "source.quote" is a short excerpt copied word for word from that passage'
+    : '';
+
+  return `Respond with a single JSON object and nothing else (no markdown, no comments) in this format:
+${JSON.stringify({ questions: examples }, null, 2)}
+
+Rules for each question type:
+${rules}${sourceRule}`;
+}
+
+function describeSourceMaterial(sourceMaterial) {
+  return `Base every question only on the following passages from "${sourceMaterial.name}". Do not ask about anything the passages do not cover.
+
+${sourceMaterial.passages.map(passage => `[${passage.id}]${passage.page ? ` (page ${passage.page})` : ''}
+${passage.text}`).join('\n\n')}`;
+}
+
+function buildGenerationPrompt({ topic, category, complexity, instructions, distribution, total, sourceMaterial }) {
+  return `You are a professional quiz creator with expertise in ${category}. Create a quiz on the topic of "${topic}" with ${total} questions at a ${complexity} level.
+
+Additional Instructions: ${instructions || "Make sure questions are clear and concise."}
+${sourceMaterial ? `\n${describeSourceMaterial(sourceMaterial)}\n` : ''}
+The quiz must contain exactly these question types:
+${describeDistribution(distribution)}
+
+${describeFormat(Object.keys(distribution), sourceMaterial)}`;
+}
+
+function buildRepairPrompt({ topic, needed, invalidItems, parseError, accepted, sourceMaterial }) {
+  const sections = [];
+
+  if (sourceMaterial) {
+    sections.push(describeSourceMaterial(sourceMaterial));
+  }
+
+  if (parseError) {
+    sections.push(`Your previous response could not be parsed: ${parseError}.`);
+  }
+  if (invalidItems.length > 0) {
+    sections.push(`These questions from your previous response failed validation. Correct exactly the listed problems:
+${invalidItems.map(item => `Item ${item.index + 1}: ${JSON.stringify(item.question)}
+${item.errors.map(error => `  - ${error}`).join('\n')}`).join('\n\n')}`);
+  }
+  if (accepted.length > 0) {
+    sections.push(`These questions were accepted; do not repeat them:
+${accepted.map(question => `- ${question.text}`).join('\n')}`);
+  }
+
+  return `You are creating quiz questions on the topic of "${topic}".
+
+${sections.join('\n\n')}
+
+Return only the replacement questions, exactly:
+${describeDistribution(needed)}
+
+${describeFormat(Object.keys(needed), sourceMaterial)}`;
+}
+
+/**
+ * Parse a model reply that must be JSON, optionally wrapped in a single code fence
+ * @param {string} text - Raw model output
+ * @returns {any} - The parsed value
+ */
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('the response was empty');
+  }
+
+  const fenced = trimmed.match(/^```(?:json)?\s*\n([\s\S]*)\n```$/);
+  try {
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+  } catch (error) {
+    throw new Error(`the response is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Parse the model's reply to a generation prompt
+ * @param {string} text - Raw model output
+ * @returns {Array} - The `questions` array
+ */
+function parseQuestionsResponse(text) {
+  const parsed = parseJsonResponse(text);
+
+  if (!parsed || !Array.isArray(parsed.questions)) {
+    throw new Error('the response must be a JSON object with a "questions" array');
+  }
+  return parsed.questions;
+}
+
+/**
+ * Incrementally pick complete question objects out of a streamed `{"questions": [...]}` reply
+ * @returns {Object} - { push(chunk) } returning the objects completed by that chunk, in order
+ *   (null for an object that is not valid JSON)
+ */
+function createQuestionStreamParser() {
+  let buffer = '';
+  let position = -1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let finished = false;
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const completed = [];
+
+      if (position === -1) {
+        const start = buffer.match(/"questions"\s*:\s*\[/);
+        if (!start) return completed;
+        position = start.index + start[0].length;
+      }
+
+      for (; position < buffer.length && !finished; position++) {
+        const char = buffer[position];
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          if (depth === 0 && char === '{') objectStart = position;
+          depth++;
+        } else if (char === '}' || char === ']') {
+          if (depth === 0) {
+            // End of the questions array
+            finished = true;
+            break;
+          }
+          depth--;
+          if (depth === 0 && objectStart !== -1) {
+            try {
+              completed.push(JSON.parse(buffer.slice(objectStart, position + 1)));
+            } catch (error) {
+              completed.push(null);
+            }
+            objectStart = -1;
+          }
+        }
+      }
+
+      return completed;
+    }
+  };
+}
+
+function countMissing(distribution, accepted) {
+  const needed = {};
+  Object.entries(distribution).forEach(([type, count]) => {
+    const have = accepted.filter(question => question.type === type).length;
+    if (have < count) needed[type] = count - have;
+  });
+  return needed;
+}
+
+/**
+ * Generate quiz questions, validating each one and re-prompting the model for invalid items only
+ * @param {Object} options - { topic, category, complexity, instructions, numberOfQuestions, questionTypes, provider, model, sourceMaterial, signal, onQuestion, onUsage }
+ *   `sourceMaterial` ({ name, passages } from prepareSourceMaterial) grounds the questions in a
+ *   document; each question must then cite a passage and carries a `source`. With `onQuestion` the replies are streamed and each question is passed to it as soon as it
+ *   has been parsed and validated. `signal` is an AbortSignal that cancels the generation.
+ *   `onUsage` receives the token usage of every model call, repairs included.
+ * @returns {Promise<Object>} - { questions, requested, missing, errors, complete, provider, model }
+ *   `missing` counts the questions per type that never passed validation, and `errors`
+ *   lists the last validation errors for them.
+ */
+async function generateQuestions({
+  topic,
+  category,
+  complexity,
+  instructions,
+  numberOfQuestions,
+  questionTypes,
+  provider,
+  model,
+  sourceMaterial,
+  signal,
+  onQuestion,
+  onUsage
+}) {
+  const types = [...new Set(questionTypes)].filter(type => GENERATABLE_TYPES.includes(type));
+  const distribution = buildDistribution(types, numberOfQuestions);
+  const requested = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  console.log('Question distribution:', distribution);
+
+  const passages = sourceMaterial ? sourceMaterial.passages : undefined;
+  const accepted = [];
+  let needed = distribution;
+  let invalidItems = [];
+  let parseError = null;
+  let result = null;
+
+  for (let round = 0; round <= MAX_REPAIR_ROUNDS; round++) {
+    const prompt = round === 0
+      ? buildGenerationPrompt({ topic, category, complexity, instructions, distribution, total: requested, sourceMaterial })
+      : buildRepairPrompt({ topic, needed, invalidItems, parseError, accepted, sourceMaterial });
+
+    const roundInvalidItems = [];
+    const wanted = { ...needed };
+    let processed = 0;
+
+    const processCandidate = (question) => {
+      const index = processed++;
+      const errors = validateQuestion(question, types, passages);
+      if (errors.length > 0) {
+        roundInvalidItems.push({ index, question, errors });
+      } else if (wanted[question.type] > 0) {
+        wanted[question.type]--;
+        const normalized = normalizeQuestion(question, sourceMaterial);
+        accepted.push(normalized);
+        if (onQuestion) onQuestion(normalized);
+      }
+      // Valid questions beyond the requested count for their type are dropped
+    };
+
+    const streamParser = onQuestion ? createQuestionStreamParser() : null;
+
+    result = await ai.generateContent({
+      provider,
+      model,
+      prompt,
+      json: true,
+      signal,
+      onUsage,
+      onText: streamParser ? (chunk) => streamParser.push(chunk).forEach(processCandidate) : undefined,
+      task: round === 0 ? 'generate_questions' : 'repair_questions',
+      input: round === 0
+        ? { topic, category, complexity, instructions, distribution, passages }
+        : { topic, distribution: needed, invalidItems, parseError, passages }
+    });
+
+    // The complete reply is authoritative; anything the stream parser has not seen yet is processed now
+    try {
+      parseQuestionsResponse(result.text).slice(processed).forEach(processCandidate);
+      parseError = null;
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    // Without any usable output keep the previous validation errors so the next prompt can still point at them
+    invalidItems = parseError && processed === 0 ? invalidItems : roundInvalidItems;
+
+    needed = countMissing(distribution, accepted);
+    console.log(`Validation round ${round + 1}: ${accepted.length}/${requested} questions accepted` +
+      (invalidItems.length > 0 ? `, ${invalidItems.length} invalid` : '') +
+      (parseError ? `, parse error: ${parseError}` : ''));
+
+    if (Object.keys(needed).length === 0) break;
+  }
+
+  // Keep the requested type order so the quiz reads the same way the tutor asked for it
+  const questions = Object.keys(distribution)
+    .flatMap(type => accepted.filter(question => question.type === type));
+
+  const errors = [
+    ...(parseError ? [parseError] : []),
+    ...invalidItems.map(item => {
+      const type = item.question && GENERATABLE_TYPES.includes(item.question.type) ? `${item.question.type} ` : '';
+      return `Invalid ${type}question: ${item.errors.join('; ')}`;
+    }),
+    ...Object.entries(needed).map(([type, count]) => `${count} ${type} question${count === 1 ? ' was' : 's were'} not returned in a valid form`)
+  ];
+
+  return {
+    questions,
+    requested,
+    missing: needed,
+    errors: Object.keys(needed).length > 0 ? errors : [],
+    complete: Object.keys(needed).length === 0,
+    provider: result.provider,
+    model: result.model
+  };
+}
+
+module.exports = {
+  MAX_REPAIR_ROUNDS,
+  buildDistribution,
+  parseJsonResponse,
+  parseQuestionsResponse,
+  generateQuestions
+};
@@ -0,0 +1,190 @@
+const ai = require('./index');
+const {
+  QUESTION_SCHEMAS,
+  GENERATABLE_TYPES,
+  validateQuestion,
+  normalizeQuestion
+} = require('./questionSchema');
+const { parseJsonResponse } = require('./questionGenerator');
+
+// How many times the model may correct a refined question that fails validation
+const MAX_REPAIR_ROUNDS = 1;
+
+// Ways a tutor can ask the AI to refine a single question
+const REFINE_ACTIONS = {
+  harder: {
+    label: 'Make harder',
+    instruction: 'Make the question more difficult for the same topic, for example by requiring deeper reasoning or using more plausible distractors.'
+  },
+  easier: {
+    label: 'Make easier',
+    instruction: 'Make the question easier for the same topic, for example by simplifying the wording or making the distractors less similar to the answer.'
+  },
+  rewrite_distractors: {
+    label: 'Rewrite distractors',
+    instruction: 'Keep the question text and the correct answer unchanged and rewrite only the incorrect options so they are plausible but clearly wrong.'
+  },
+  fix_ambiguity: {
+    label: 'Fix ambiguity',
+    instruction: 'Remove any ambiguity so exactly one reading of the question and one answer is correct. Change as little as possible.'
+  },
+  translate: {
+    label: 'Translate',
+    instruction: 'Translate the question, its options, answers and explanation into {language}. Keep the meaning, structure and correct answer unchanged.'
+  }
+};
+
+// Question types whose incorrect options can be rewritten
+const DISTRACTOR_TYPES = ['multiple_choice', 'dropdown'];
+
+const DIFF_FIELDS = ['text', 'options', 'correctAnswer', 'explanation'];
+
+function refineError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Convert a question from the editor (or the database) into the shape the AI schemas use
+ * @param {Object} question - { type, content|text, options, correctAnswer|correct_answer, explanation }
+ * @returns {Object} - Question in schema shape
+ */
+function toSchemaQuestion(question) {
+  const converted = {
+    type: question.type,
+    text: question.content !== undefined ? question.content : question.text,
+    options: question.options,
+    correctAnswer: question.correctAnswer !== undefined ? question.correctAnswer : question.correct_answer,
+    explanation: question.explanation || ''
+  };
+
+  // The editor stores edited choices as { text, isCorrect }, keeps paragraph rubrics in options
+  // and fill-in-the-blank answers in both fields
+  if (['multiple_choice', 'true_false', 'dropdown'].includes(question.type) && Array.isArray(question.options)) {
+    converted.options = question.options.map(option => (option && typeof option === 'object' ? option.text : option));
+  } else if (question.type === 'paragraph') {
+    converted.rubric = question.options;
+    delete converted.options;
+  } else if (question.type === 'fill_in_blanks') {
+    delete converted.options;
+  }
+
+  return converted;
+}
+
+/**
+ * List the fields that differ between the original and refined question
+ * @param {Object} original - Normalized original question
+ * @param {Object} refined - Normalized refined question
+ * @returns {Array} - [{ field, before, after }]
+ */
+function diffQuestions(original, refined) {
+  return DIFF_FIELDS
+    .filter(field => JSON.stringify(original[field]) !== JSON.stringify(refined[field]))
+    .map(field => ({ field, before: original[field], after: refined[field] }));
+}
+
+function buildRefinePrompt({ question, action, language, errors }) {
+  const { example, rules } = QUESTION_SCHEMAS[question.type];
+  const instruction = REFINE_ACTIONS[action].instruction.replace('{language}', language);
+  const { source, ...content } = question;
+
+  return `You are a professional quiz editor. ${instruction}
+
+Question (JSON):
+${JSON.stringify(content, null, 2)}
+${errors ? `
+Your previous version failed validation. Correct exactly these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+` : ''}
+Keep the question type "${question.type}". Respond with a single JSON object and nothing else (no markdown, no comments) in this format:
+${JSON.stringify({ question: example }, null, 2)}
+
+Rules: ${rules}`;
+}
+
+/**
+ * Ask the model to refine one question and return the change as a diff for the tutor to review
+ * @param {Object} options - { question, action, language, provider, model, onUsage }
+ *   `question` may be in the editor's shape; `language` is required for "translate". `onUsage`
+ *   receives the token usage of every model call
+ * @returns {Promise<Object>} - { question, changes, provider, model } where `question` is the refined
+ *   question and `changes` lists [{ field, before, after }]
+ */
+async function refineQuestion({ question, action, language, provider, model, onUsage }) {
+  if (!REFINE_ACTIONS[action]) {
+    throw refineError(`Unknown refine action: ${action}`, 'REFINE_INVALID_REQUEST');
+  }
+  if (action === 'translate' && !(typeof language === 'string' && language.trim())) {
+    throw refineError('A target language is required to translate a question', 'REFINE_INVALID_REQUEST');
+  }
+
+  const original = toSchemaQuestion(question || {});
+  if (!GENERATABLE_TYPES.includes(original.type)) {
+    throw refineError(`Questions of type "${original.type}" cannot be refined with AI`, 'REFINE_INVALID_REQUEST');
+  }
+  if (action === 'rewrite_distractors' && !DISTRACTOR_TYPES.includes(original.type)) {
+    throw refineError('Only multiple choice and dropdown questions have distractors to rewrite', 'REFINE_INVALID_REQUEST');
+  }
+
+  const originalErrors = validateQuestion(original, [original.type]);
+  if (originalErrors.length > 0) {
+    throw refineError(`The question is incomplete: ${originalErrors.join('; ')}`, 'REFINE_INVALID_REQUEST');
+  }
+
+  const normalizedOriginal = normalizeQuestion(original);
+  let errors = null;
+  let result = null;
+
+  for (let round = 0; round <= MAX_REPAIR_ROUNDS; round++) {
+    result = await ai.generateContent({
+      provider,
+      model,
+      prompt: buildRefinePrompt({ question: original, action, language, errors }),
+      json: true,
+      onUsage,
+      task: 'refine_question',
+      input: { question: original, action, language }
+    });
+
+    let refined = null;
+    try {
+      const parsed = parseJsonResponse(result.text);
+      refined = parsed && parsed.question;
+      errors = validateQuestion(refined, [original.type]);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0 && action === 'rewrite_distractors' &&
+        (refined.text.trim() !== normalizedOriginal.text ||
+          refined.options[refined.correctAnswer].trim() !== normalizedOriginal.options[normalizedOriginal.correctAnswer])) {
+      errors = ['the question text and the correct option must stay exactly the same'];
+    }
+
+    if (errors.length === 0) {
+      const normalizedRefined = normalizeQuestion(refined);
+      // A citation belongs to the original document passage, so it is kept as it was
+      if (question.source) normalizedRefined.source = question.source;
+
+      return {
+        question: normalizedRefined,
+        changes: diffQuestions(normalizedOriginal, normalizedRefined),
+        provider: result.provider,
+        model: result.model
+      };
+    }
+
+    console.log(`Refined question failed validation (round ${round + 1}):`, errors);
+  }
+
+  throw refineError(`The AI did not return a valid question: ${errors.join('; ')}`, 'REFINE_INVALID_OUTPUT');
+}
+
+module.exports = {
+  REFINE_ACTIONS,
+  toSchemaQuestion,
+  diffQuestions,
+  refineQuestion
+};
@@ -0,0 +1,294 @@
+// Per-type schemas for AI generated questions. Each validator returns a list of precise error
+// messages (empty when valid) that can be sent back to the model when asking for a correction.
+
+const MAX_TEXT_LENGTH = 1000;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validateCommon(question) {
+  const errors = [];
+
+  if (!isNonEmptyString(question.text)) {
+    errors.push('"text" must be a non-empty string');
+  } else if (question.text.length > MAX_TEXT_LENGTH) {
+    errors.push(`"text" must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+    errors.push('"explanation" must be a string');
+  }
+
+  return errors;
+}
+
+// Choice questions: a list of option strings and the index of the correct one
+function validateChoice(question) {
+  const errors = [];
+  const { options, correctAnswer } = question;
+
+  if (!Array.isArray(options) || options.length < 2 || options.length > 6) {
+    errors.push('"options" must be an array of 2 to 6 strings');
+  } else if (!options.every(isNonEmptyString)) {
+    errors.push('every entry in "options" must be a non-empty string');
+  } else if (new Set(options.map(o => o.trim().toLowerCase())).size !== options.length) {
+    errors.push('"options" must not contain duplicates');
+  }
+
+  const optionCount = Array.isArray(options) ? options.length : 0;
+  if (!Number.isInteger(correctAnswer) || correctAnswer < 0 || correctAnswer >= optionCount) {
+    errors.push(`"correctAnswer" must be an integer index between 0 and ${Math.max(optionCount - 1, 0)}`);
+  }
+
+  return errors;
+}
+
+// TakeQuiz splits fill-in-the-blank text on "_", so every blank is exactly one underscore
+const BLANK_PATTERN = /_+/g;
+
+const QUESTION_SCHEMAS = {
+  multiple_choice: {
+    example: {
+      type: 'multiple_choice',
+      text: 'Question text goes here?',
+      options: ['Option A', 'Option B', 'Option C', 'Option D'],
+      correctAnswer: 0,
+      explanation: 'Explanation for the correct answer'
+    },
+    rules: '"options" has 2-6 distinct strings; "correctAnswer" is the index of the correct option',
+    validate: validateChoice,
+    normalize: (question) => ({ options: question.options.map(o => o.trim()) })
+  },
+
+  true_false: {
+    example: {
+      type: 'true_false',
+      text: 'True/False statement goes here',
+      options: ['True', 'False'],
+      correctAnswer: 0,
+      explanation: 'Explanation for the correct answer'
+    },
+    rules: '"options" is exactly ["True", "False"]; "correctAnswer" is 0 for True or 1 for False',
+    validate: (question) => {
+      const errors = [];
+
+      if (question.options !== undefined &&
+          (!Array.isArray(question.options) || question.options.join('|') !== 'True|False')) {
+        errors.push('"options" must be exactly ["True", "False"]');
+      }
+      if (question.correctAnswer !== 0 && question.correctAnswer !== 1) {
+        errors.push('"correctAnswer" must be 0 (True) or 1 (False)');
+      }
+
+      return errors;
+    },
+    normalize: () => ({ options: ['True', 'False'] })
+  },
+
+  matching: {
+    example: {
+      type: 'matching',
+      text: 'Match the items on the left with those on the right',
+      options: [
+        { left: 'Item 1', right: 'Match 1' },
+        { left: 'Item 2', right: 'Match 2' },
+        { left: 'Item 3', right: 'Match 3' }
+      ],
+      correctAnswer: [0, 1, 2],
+      explanation: 'Explanation for the correct matches'
+    },
+    rules: '"options" has 2-10 {"left", "right"} pairs that belong together; "correctAnswer" is [0, 1, ..., n-1]',
+    validate: (question) => {
+      const errors = [];
+      const { options, correctAnswer } = question;
+
+      if (!Array.isArray(options) || options.length < 2 || options.length > 10) {
+        errors.push('"options" must be an array of 2 to 10 {"left", "right"} objects');
+        return errors;
+      }
+      if (!options.every(o => o && isNonEmptyString(o.left) && isNonEmptyString(o.right))) {
+        errors.push('every entry in "options" must be an object with non-empty "left" and "right" strings');
+      }
+
+      const expected = options.map((_, i) => i);
+      if (!Array.isArray(correctAnswer) || correctAnswer.join(',') !== expected.join(',')) {
+        errors.push(`"correctAnswer" must be [${expected.join(', ')}] (each left item matches the right item in the same pair)`);
+      }
+
+      return errors;
+    },
+    normalize: (question) => ({
+      options: question.options.map(o => ({ left: o.left.trim(), right: o.right.trim() }))
+    })
+  },
+
+  dropdown: {
+    example: {
+      type: 'dropdown',
+      text: 'Select the correct answer from the list',
+      options: ['Choice A', 'Choice B', 'Choice C'],
+      correctAnswer: 1,
+      explanation: 'Explanation for the correct answer'
+    },
+    rules: '"options" has 2-6 distinct short strings shown in a drop-down list; "correctAnswer" is the index of the correct option',
+    validate: validateChoice,
+    normalize: (question) => ({ options: question.options.map(o => o.trim()) })
+  },
+
+  fill_in_blanks: {
+    example: {
+      type: 'fill_in_blanks',
+      text: 'The _ is the largest planet, and _ is closest to the Sun.',
+      correctAnswer: ['Jupiter', 'Mercury'],
+      explanation: 'Explanation for the answers'
+    },
+    rules: 'mark each blank in "text" with a single underscore "_" and use no other underscores; "correctAnswer" has one answer per blank in order (separate accepted alternatives with "|")',
+    validate: (question) => {
+      const errors = [];
+      const blanks = typeof question.text === 'string' ? (question.text.match(BLANK_PATTERN) || []).length : 0;
+
+      if (blanks === 0 || blanks > 10) {
+        errors.push('"text" must contain 1 to 10 blanks, each marked with a single underscore "_"');
+      }
+      if (!Array.isArray(question.correctAnswer) || !question.correctAnswer.every(isNonEmptyString)) {
+        errors.push('"correctAnswer" must be an array of non-empty strings, one per blank');
+      } else if (blanks > 0 && question.correctAnswer.length !== blanks) {
+        errors.push(`"correctAnswer" has ${question.correctAnswer.length} answers but "text" has ${blanks} blanks`);
+      }
+
+      return errors;
+    },
+    normalize: (question) => {
+      const answers = question.correctAnswer.map(answer => answer.trim());
+      // The editor keeps the blank answers in both fields
+      return {
+        text: question.text.trim().replace(BLANK_PATTERN, '_'),
+        options: answers,
+        correctAnswer: answers
+      };
+    }
+  },
+
+  paragraph: {
+    example: {
+      type: 'paragraph',
+      text: 'Open-ended question that asks for a written answer',
+      correctAnswer: 'A model answer that would earn full marks',
+      rubric: [
+        { criterion: 'What a good answer must include', points: 2 },
+        { criterion: 'Another criterion', points: 1 }
+      ],
+      explanation: 'What the question assesses'
+    },
+    rules: '"correctAnswer" is a model answer; "rubric" has 1-6 {"criterion", "points"} items with whole points from 1 to 10',
+    validate: (question) => {
+      const errors = [];
+      const { rubric } = question;
+
+      if (!isNonEmptyString(question.correctAnswer)) {
+        errors.push('"correctAnswer" must be a non-empty model answer');
+      }
+      if (!Array.isArray(rubric) || rubric.length < 1 || rubric.length > 6) {
+        errors.push('"rubric" must be an array of 1 to 6 {"criterion", "points"} objects');
+      } else if (!rubric.every(item => item && isNonEmptyString(item.criterion) &&
+          Number.isInteger(item.points) && item.points >= 1 && item.points <= 10)) {
+        errors.push('every "rubric" item must have a non-empty "criterion" and whole "points" from 1 to 10');
+      }
+
+      return errors;
+    },
+    // Paragraph questions have no choices, so the editor keeps the rubric in "options"
+    normalize: (question) => ({
+      options: question.rubric.map(item => ({ criterion: item.criterion.trim(), points: item.points })),
+      correctAnswer: question.correctAnswer.trim()
+    })
+  }
+};
+
+const MAX_QUOTE_LENGTH = 300;
+
+function normalizeForMatch(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Questions generated from a document must cite the passage they are based on
+function validateSource(question, passages) {
+  const { source } = question;
+  if (!source || typeof source !== 'object') {
+    return ['"source" must be an object with the "passage" id and a verbatim "quote" from it'];
+  }
+
+  const passage = passages.find(p => p.id === source.passage);
+  if (!passage) {
+    return [`"source.passage" must be one of the passage ids: ${passages.map(p => p.id).join(', ')}`];
+  }
+  if (!isNonEmptyString(source.quote) || source.quote.length > MAX_QUOTE_LENGTH) {
+    return [`"source.quote" must be a non-empty string of at most ${MAX_QUOTE_LENGTH} characters`];
+  }
+  if (!normalizeForMatch(passage.text).includes(normalizeForMatch(source.quote))) {
+    return [`"source.quote" must be copied word for word from passage ${passage.id}`];
+  }
+
+  return [];
+}
+
+// Question types the AI generator can produce
+const GENERATABLE_TYPES = Object.keys(QUESTION_SCHEMAS);
+
+/**
+ * Validate a generated question against the schema for its type
+ * @param {Object} question - Question object from the model
+ * @param {Array} allowedTypes - Types that were requested
+ * @param {Array} passages - Source passages the question must cite, if generated from a document
+ * @returns {Array} - Error messages, empty when the question is valid
+ */
+function validateQuestion(question, allowedTypes = GENERATABLE_TYPES, passages = null) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return ['each question must be a JSON object'];
+  }
+  if (!allowedTypes.includes(question.type)) {
+    return [`"type" must be one of: ${allowedTypes.join(', ')}`];
+  }
+
+  return [
+    ...validateCommon(question),
+    ...QUESTION_SCHEMAS[question.type].validate(question),
+    ...(passages ? validateSource(question, passages) : [])
+  ];
+}
+
+/**
+ * Reduce a valid question to the fields the editor uses
+ * @param {Object} question - A question that passed validateQuestion
+ * @param {Object} sourceMaterial - { name, passages } when generated from a document
+ * @returns {Object} - { type, text, options, correctAnswer, explanation, source }
+ */
+function normalizeQuestion(question, sourceMaterial = null) {
+  const normalized = {
+    type: question.type,
+    text: question.text.trim(),
+    options: question.options,
+    correctAnswer: question.correctAnswer,
+    explanation: (question.explanation || '').trim(),
+    ...QUESTION_SCHEMAS[question.type].normalize(question)
+  };
+
+  if (sourceMaterial) {
+    const passage = sourceMaterial.passages.find(p => p.id === question.source.passage);
+    normalized.source = {
+      document: sourceMaterial.name,
+      passage: passage.id,
+      page: passage.page,
+      quote: question.source.quote.trim()
+    };
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  QUESTION_SCHEMAS,
+  GENERATABLE_TYPES,
+  validateQuestion,
+  normalizeQuestion
+};
@@ -0,0 +1,226 @@
+const db = require('../../db/index');
+const ai = require('./index');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Estimated USD price per million input and output tokens. AI_MODEL_PRICES (JSON in the same
+// shape) adds models or overrides these; models without a price are recorded without a cost.
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+// AI limits per plan (null means unlimited). AI_PLAN_QUOTAS (JSON in the same shape) overrides
+// them or adds plans, and a user's `ai_quota` overrides single limits of their plan.
+const DEFAULT_PLAN_QUOTAS = {
+  free: { requestsPerHour: 20, requestsPerDay: 100, tokensPerMonth: 2000000 },
+  pro: { requestsPerHour: 100, requestsPerDay: 1000, tokensPerMonth: 20000000 },
+  unlimited: { requestsPerHour: null, requestsPerDay: null, tokensPerMonth: null }
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Quotas are enforced over rolling windows of the usage ledger
+const QUOTA_WINDOWS = {
+  requestsPerHour: { ms: HOUR_MS, measure: () => 1 },
+  requestsPerDay: { ms: DAY_MS, measure: () => 1 },
+  tokensPerMonth: { ms: 30 * DAY_MS, measure: entry => (entry.input_tokens || 0) + (entry.output_tokens || 0) }
+};
+
+const LONGEST_QUOTA_WINDOW_MS = Math.max(...Object.values(QUOTA_WINDOWS).map(window => window.ms));
+
+function readJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]) || {};
+  } catch (error) {
+    console.error(`Ignoring ${name}: not valid JSON (${error.message})`);
+    return {};
+  }
+}
+
+/**
+ * Estimate the cost of a request from the model's token prices
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} - Cost in USD, or null when the model has no price
+ */
+function estimateCost(model, { inputTokens, outputTokens }) {
+  const price = { ...DEFAULT_MODEL_PRICES, ...readJsonEnv('AI_MODEL_PRICES') }[model];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Resolve the AI limits that apply to a user
+ * @param {Object} user - User row ({ ai_plan, ai_quota })
+ * @returns {Object} - { plan, limits } with a limit (or null) per quota
+ */
+function getUserQuota(user) {
+  const plans = { ...DEFAULT_PLAN_QUOTAS, ...readJsonEnv('AI_PLAN_QUOTAS') };
+  let plan = (user && user.ai_plan) || DEFAULT_PLAN;
+  if (!plans[plan]) {
+    console.warn(`Unknown AI plan "${plan}", applying the ${DEFAULT_PLAN} plan`);
+    plan = DEFAULT_PLAN;
+  }
+
+  const overrides = (user && user.ai_quota) || {};
+  const limits = {};
+  Object.keys(QUOTA_WINDOWS).forEach(name => {
+    const limit = overrides[name] !== undefined ? overrides[name] : plans[plan][name];
+    limits[name] = typeof limit === 'number' ? limit : null;
+  });
+
+  return { plan, limits };
+}
+
+// When enough of the oldest entries have left the window for the usage to fall below the limit
+function findResetTime(entries, window, limit, used) {
+  let remaining = used;
+  for (const entry of entries) {
+    remaining -= window.measure(entry);
+    if (remaining < limit) {
+      return new Date(new Date(entry.created_at).getTime() + window.ms).toISOString();
+    }
+  }
+  return null;
+}
+
+/**
+ * Compare a user's ledger against their quotas
+ * @param {Object} user - User row ({ id, ai_plan, ai_quota })
+ * @returns {Promise<Object>} - { plan, quotas: [{ name, limit, used, exceeded, resetAt }] }
+ *   `resetAt` is when an exceeded quota frees up again
+ */
+async function getQuotaStatus(user) {
+  const { plan, limits } = getUserQuota(user);
+  const now = Date.now();
+  const entries = await db.getAiUsage(user.id, { since: new Date(now - LONGEST_QUOTA_WINDOW_MS) });
+
+  const quotas = Object.entries(QUOTA_WINDOWS).map(([name, window]) => {
+    const inWindow = entries.filter(entry => new Date(entry.created_at).getTime() > now - window.ms);
+    const used = inWindow.reduce((sum, entry) => sum + window.measure(entry), 0);
+    const limit = limits[name];
+    const exceeded = limit !== null && used >= limit;
+
+    return {
+      name,
+      limit,
+      used,
+      exceeded,
+      resetAt: exceeded ? findResetTime(inWindow, window, limit, used) : null
+    };
+  });
+
+  return { plan, quotas };
+}
+
+/**
+ * Start recording one AI request in the usage ledger. Pass `addUsage` as the generation's
+ * `onUsage` so the tokens of every model call (including retries and repairs) are counted.
+ * @param {Object} options - { userId, action, provider, model }
+ * @returns {Object} - { addUsage(usage), finish(outcome, { provider, model, error }) }
+ *   `finish` resolves once the entry is stored; ledger errors are logged, never thrown
+ */
+function createUsageTracker({ userId, action, provider, model }) {
+  const startedAt = Date.now();
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  return {
+    addUsage({ inputTokens = 0, outputTokens = 0 }) {
+      usage.inputTokens += inputTokens;
+      usage.outputTokens += outputTokens;
+    },
+
+    async finish(outcome, { provider: usedProvider, model: usedModel, error } = {}) {
+      const providerName = usedProvider || provider;
+      let modelName = usedModel || model;
+      if (!modelName) {
+        try {
+          modelName = ai.getProvider(providerName).defaultModel;
+        } catch (e) {
+          modelName = null;
+        }
+      }
+
+      try {
+        await db.recordAiUsage({
+          user_id: userId,
+          action,
+          provider: providerName,
+          model: modelName,
+          input_tokens: usage.inputTokens,
+          output_tokens: usage.outputTokens,
+          cost_usd: estimateCost(modelName, usage),
+          latency_ms: Date.now() - startedAt,
+          outcome,
+          error: error ? String(error.message || error).slice(0, 1000) : null
+        });
+      } catch (ledgerError) {
+        console.error('Failed to record AI usage:', ledgerError);
+      }
+    }
+  };
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.requests++;
+  totals.inputTokens += entry.input_tokens || 0;
+  totals.outputTokens += entry.output_tokens || 0;
+  totals.cost += Number(entry.cost_usd) || 0;
+}
+
+/**
+ * Aggregate ledger entries for the usage statistics
+ * @param {Array} entries - Ledger rows from getAiUsage
+ * @param {number} days - Number of days covered, ending today (UTC)
+ * @returns {Object} - { totals, outcomes, daily: [{ date, ...totals }], models: [{ provider, model, ...totals }] }
+ */
+function summarizeUsage(entries, days) {
+  const totals = emptyTotals();
+  const outcomes = {};
+  const daily = {};
+  const models = {};
+
+  const today = new Date();
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(today.getTime() - i * DAY_MS).toISOString().slice(0, 10);
+    daily[date] = { date, ...emptyTotals() };
+  }
+
+  entries.forEach(entry => {
+    addToTotals(totals, entry);
+    outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+
+    const date = new Date(entry.created_at).toISOString().slice(0, 10);
+    if (daily[date]) addToTotals(daily[date], entry);
+
+    const key = `${entry.provider}/${entry.model}`;
+    if (!models[key]) models[key] = { provider: entry.provider, model: entry.model, ...emptyTotals() };
+    addToTotals(models[key], entry);
+  });
+
+  return {
+    totals,
+    outcomes,
+    daily: Object.values(daily),
+    models: Object.values(models).sort((a, b) => b.requests - a.requests)
+  };
+}
+
+module.exports = {
+  DEFAULT_PLAN_QUOTAS,
+  estimateCost,
+  getUserQuota,
+  getQuotaStatus,
+  createUsageTracker,
+  summarizeUsage
+};
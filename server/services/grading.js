@@ -0,0 +1,372 @@
+// Question types that can be scored without a human grader
+const AUTO_GRADED_TYPES = ['multiple_choice', 'true_false', 'dropdown', 'select', 'matching', 'fill_in_blanks', 'fill_in_blank'];
+
+// Free-text question types a tutor grades against a rubric, starting from an AI proposal. Every
+// other type that is not auto-graded (file uploads, short answers) is graded by the tutor alone.
+const RUBRIC_GRADED_TYPES = ['paragraph', 'essay'];
+
+// Legacy essays and the other tutor-graded types have no rubric, so they are graded as a whole
+const DEFAULT_RUBRIC = [{ criterion: 'Answers the question accurately and completely', points: 10 }];
+
+const DEFAULT_PASS_MARK = 60;
+
+function gradingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a value that may be stored as a JSON string
+ * @param {any} value - Raw value from the database or request
+ * @param {any} fallback - Value to return when parsing fails
+ * @returns {any} - Parsed value
+ */
+function parseJson(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Convert an index-like value ("2", 2) to a number
+ * @param {any} value - Value to convert
+ * @returns {number|null} - The index or null if it is not numeric
+ */
+function toIndex(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return null;
+}
+
+/**
+ * Normalize free text for lenient comparison
+ * @param {any} value - Text to normalize
+ * @returns {string} - Lowercased, trimmed text with collapsed whitespace
+ */
+function normalizeText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') value = value.text || '';
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Get the stored correct answer of a question regardless of field naming
+ * @param {Object} question - Question row
+ * @returns {any} - Parsed correct answer
+ */
+function getCorrectAnswer(question) {
+  const raw = question.correct_answer !== undefined && question.correct_answer !== null
+    ? question.correct_answer
+    : question.correctAnswer;
+  return parseJson(raw, null);
+}
+
+/**
+ * Resolve the set of correct option indices for choice questions
+ * @param {Array} options - Question options
+ * @param {any} correctAnswer - Stored correct answer
+ * @returns {Array<number>} - Sorted correct indices
+ */
+function getCorrectIndices(options, correctAnswer) {
+  // Options edited in QuestionForm carry their own isCorrect flags
+  const flagged = options
+    .map((option, index) => (option && typeof option === 'object' && option.isCorrect ? index : null))
+    .filter(index => index !== null);
+  if (flagged.length > 0) return flagged;
+
+  const answers = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+  return answers
+    .map(answer => {
+      const index = toIndex(answer);
+      if (index !== null) return index;
+      // Fall back to matching the option text
+      const textIndex = options.findIndex(option => normalizeText(option) === normalizeText(answer));
+      return textIndex === -1 ? null : textIndex;
+    })
+    .filter(index => index !== null)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Resolve the option indices a learner selected
+ * @param {Array} options - Question options
+ * @param {any} answer - Learner answer (index, text or array of either)
+ * @returns {Array<number>} - Sorted selected indices
+ */
+function getSelectedIndices(options, answer) {
+  const answers = Array.isArray(answer) ? answer : [answer];
+  return answers
+    .map(value => {
+      const index = toIndex(value);
+      if (index !== null) return index;
+      const textIndex = options.findIndex(option => normalizeText(option) === normalizeText(value));
+      return textIndex === -1 ? null : textIndex;
+    })
+    .filter(index => index !== null)
+    .sort((a, b) => a - b);
+}
+
+function gradeChoice(question, answer) {
+  const options = parseJson(question.options, []) || [];
+  const correct = getCorrectIndices(options, getCorrectAnswer(question));
+  const selected = getSelectedIndices(options, answer);
+
+  const isCorrect = correct.length > 0 &&
+    correct.length === selected.length &&
+    correct.every((index, i) => index === selected[i]);
+
+  return { score: isCorrect ? 1 : 0, maxScore: 1 };
+}
+
+/**
+ * Map true/false representations to the option index used by TakeQuiz (0 = True, 1 = False)
+ * @param {any} value - Value to convert
+ * @returns {number|null} - 0, 1 or null when unrecognized
+ */
+function toTrueFalseIndex(value) {
+  if (value === true || value === 0 || value === '0') return 0;
+  if (value === false || value === 1 || value === '1') return 1;
+  const text = normalizeText(value);
+  if (text === 'true') return 0;
+  if (text === 'false') return 1;
+  return null;
+}
+
+function gradeTrueFalse(question, answer) {
+  const correct = toTrueFalseIndex(getCorrectAnswer(question));
+  const selected = toTrueFalseIndex(answer);
+  const isCorrect = correct !== null && correct === selected;
+
+  return { score: isCorrect ? 1 : 0, maxScore: 1 };
+}
+
+/**
+ * Convert a matching response into an array of right-item indices per left item.
+ * TakeQuiz sends `{ 'option-<rightIndex>': leftIndex }`; an array of right indices is also accepted.
+ * @param {any} answer - Learner answer
+ * @returns {Array<number|null>} - Selected right index for each left index
+ */
+function getMatchingSelection(answer) {
+  if (Array.isArray(answer)) return answer.map(toIndex);
+
+  const selection = [];
+  if (answer && typeof answer === 'object') {
+    Object.entries(answer).forEach(([key, leftIndex]) => {
+      const rightIndex = toIndex(key.replace(/^option-/, ''));
+      const left = toIndex(leftIndex);
+      if (rightIndex !== null && left !== null) {
+        selection[left] = rightIndex;
+      }
+    });
+  }
+  return selection;
+}
+
+function gradeMatching(question, answer) {
+  const options = parseJson(question.options, []) || [];
+  let correct = getCorrectAnswer(question);
+  if (!Array.isArray(correct) || correct.length === 0) {
+    // Pairs are stored in order, so each left item matches its own right item
+    correct = options.map((_, index) => index);
+  }
+
+  const selection = getMatchingSelection(answer);
+  const matched = correct.filter((rightIndex, leftIndex) => toIndex(rightIndex) === selection[leftIndex]).length;
+
+  // Partial credit: each correctly matched pair earns its share of the point
+  return {
+    score: correct.length > 0 ? Math.round((matched / correct.length) * 100) / 100 : 0,
+    maxScore: 1
+  };
+}
+
+function gradeFillInBlanks(question, answer) {
+  let expected = getCorrectAnswer(question);
+  if (!Array.isArray(expected) || expected.length === 0) {
+    expected = parseJson(question.options, []) || [];
+  }
+  if (!Array.isArray(expected)) expected = [expected];
+
+  // Alternative accepted answers for a blank can be separated with "|"
+  const given = Array.isArray(answer) ? answer : [answer];
+  const filled = expected.filter((value, index) => {
+    const accepted = String(typeof value === 'object' && value !== null ? value.text || '' : value)
+      .split('|')
+      .map(normalizeText)
+      .filter(Boolean);
+    return accepted.length > 0 && accepted.includes(normalizeText(given[index]));
+  }).length;
+
+  return {
+    score: expected.length > 0 ? Math.round((filled / expected.length) * 100) / 100 : 0,
+    maxScore: 1
+  };
+}
+
+/**
+ * Get the rubric a free-text question is graded against
+ * @param {Object} question - Question row; paragraph rubrics are kept in options
+ * @returns {Array} - [{ criterion, points }]
+ */
+function getRubric(question) {
+  const options = parseJson(question.options, []);
+  const rubric = (Array.isArray(options) ? options : [])
+    .filter(item => item && typeof item === 'object' && normalizeText(item.criterion) && Number(item.points) > 0)
+    .map(item => ({ criterion: String(item.criterion).trim(), points: Number(item.points) }));
+
+  return rubric.length > 0 ? rubric : DEFAULT_RUBRIC;
+}
+
+/**
+ * Score a free-text answer criterion by criterion
+ * @param {Object} question - Question row
+ * @param {Array} criteria - One { score, feedback } per rubric criterion, in rubric order
+ * @returns {Object} - { criteria: [{ criterion, points, score, feedback }], score, maxScore }
+ */
+function scoreRubric(question, criteria) {
+  const rubric = getRubric(question);
+  if (!Array.isArray(criteria) || criteria.length !== rubric.length) {
+    throw gradingError(`Expected a score for each of the ${rubric.length} rubric criteria`, 'GRADE_INVALID');
+  }
+
+  const scored = rubric.map((item, index) => {
+    const score = Number(criteria[index] && criteria[index].score);
+    if (criteria[index] === null || typeof criteria[index] !== 'object' ||
+        !Number.isFinite(score) || score < 0 || score > item.points) {
+      throw gradingError(`The score for "${item.criterion}" must be between 0 and ${item.points}`, 'GRADE_INVALID');
+    }
+    const feedback = criteria[index].feedback;
+    return {
+      ...item,
+      score: Math.round(score * 100) / 100,
+      feedback: typeof feedback === 'string' ? feedback.trim() : ''
+    };
+  });
+
+  return {
+    criteria: scored,
+    score: Math.round(scored.reduce((sum, item) => sum + item.score, 0) * 100) / 100,
+    maxScore: rubric.reduce((sum, item) => sum + item.points, 0)
+  };
+}
+
+/**
+ * Grade a single question
+ * @param {Object} question - Question row from db.getQuestions
+ * @param {any} answer - Learner answer, undefined when unanswered
+ * @returns {Object} - { score, maxScore, isCorrect, autoGraded }
+ */
+function gradeQuestion(question, answer) {
+  if (!AUTO_GRADED_TYPES.includes(question.type)) {
+    return { score: 0, maxScore: 0, isCorrect: null, autoGraded: false };
+  }
+
+  const answered = answer !== undefined && answer !== null && answer !== '';
+  let result = { score: 0, maxScore: 1 };
+
+  if (answered) {
+    switch (question.type) {
+      case 'multiple_choice':
+      case 'dropdown':
+      case 'select':
+        result = gradeChoice(question, answer);
+        break;
+      case 'true_false':
+        result = gradeTrueFalse(question, answer);
+        break;
+      case 'matching':
+        result = gradeMatching(question, answer);
+        break;
+      case 'fill_in_blanks':
+      case 'fill_in_blank':
+        result = gradeFillInBlanks(question, answer);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    ...result,
+    isCorrect: result.score >= result.maxScore,
+    autoGraded: true
+  };
+}
+
+/**
+ * Grade a learner's submission against the quiz questions
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Array} responses - Learner responses ({ questionId, answer }). Answers that are not
+ *   auto-graded carry the final `grade` ({ score, maxScore }) once a tutor has graded them and
+ *   await review until then.
+ * @param {Object} settings - Parsed quiz settings (passMark is a percentage)
+ * @returns {Object} - Overall result plus per-question results keyed by question ID
+ */
+function gradeSubmission(questions, responses, settings = {}) {
+  const answers = new Map();
+  (responses || []).forEach(response => {
+    const questionId = response.questionId !== undefined ? response.questionId : response.question_id;
+    answers.set(String(questionId), response);
+  });
+
+  const questionResults = {};
+  let score = 0;
+  let maxScore = 0;
+  let correctAnswers = 0;
+  let pendingReview = 0;
+
+  (questions || []).forEach(question => {
+    const response = answers.get(String(question.id)) || {};
+    const result = !AUTO_GRADED_TYPES.includes(question.type) && response.grade
+      ? {
+          score: response.grade.score,
+          maxScore: response.grade.maxScore,
+          isCorrect: response.grade.score >= response.grade.maxScore,
+          autoGraded: false,
+          reviewed: true
+        }
+      : gradeQuestion(question, response.answer);
+    questionResults[question.id] = result;
+
+    score += result.score;
+    maxScore += result.maxScore;
+    if (result.isCorrect) correctAnswers++;
+    if (!result.autoGraded && !result.reviewed) pendingReview++;
+  });
+
+  const passMark = Number(settings.passMark !== undefined ? settings.passMark : settings.passingScore);
+  const threshold = Number.isFinite(passMark) ? passMark : DEFAULT_PASS_MARK;
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    maxScore,
+    percentage,
+    passMark: threshold,
+    passed: percentage >= threshold,
+    correctAnswers,
+    totalQuestions: (questions || []).length,
+    pendingReview,
+    questions: questionResults
+  };
+}
+
+module.exports = {
+  AUTO_GRADED_TYPES,
+  RUBRIC_GRADED_TYPES,
+  getCorrectAnswer,
+  getCorrectIndices,
+  getSelectedIndices,
+  getMatchingSelection,
+  toTrueFalseIndex,
+  getRubric,
+  scoreRubric,
+  gradeQuestion,
+  gradeSubmission
+};
@@ -0,0 +1,116 @@
+const { describeQuestion, createReportEntry, skip } = require('./common');
+
+// Aiken only has single-answer multiple choice questions with up to 26 lettered options
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_PATTERN = /^ANSWER\s*:\s*([A-Z])\s*$/i;
+
+// Aiken items are single lines, so line breaks in the text are folded into spaces
+function toLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Write questions in the Aiken format
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows
+ * @returns {Object} - { body, skipped: [{ item, reason }] }
+ */
+function exportAiken(quiz, questions) {
+  const blocks = [];
+  const skipped = [];
+
+  questions.forEach((question, index) => {
+    const item = describeQuestion(question);
+    const reason = item.unsupported ||
+      (item.kind !== 'choice' ? 'Aiken only has multiple choice questions' : null) ||
+      (item.correct.length !== 1 ? 'Aiken questions need exactly one correct option' : null) ||
+      (item.choices.length > LETTERS.length ? `Aiken questions have at most ${LETTERS.length} options` : null);
+
+    if (reason) {
+      skipped.push({ item: index + 1, reason });
+      return;
+    }
+
+    blocks.push([
+      toLine(item.text),
+      ...item.choices.map((choice, i) => `${LETTERS[i]}. ${toLine(choice.text)}`),
+      `ANSWER: ${LETTERS[item.correct[0]]}`
+    ].join('\n'));
+  });
+
+  return { body: `${blocks.join('\n\n')}\n`, skipped };
+}
+
+/**
+ * Read questions from an Aiken file
+ * @param {string} content - File content
+ * @returns {Object} - { questions, report }
+ */
+function importAiken(content) {
+  const questions = [];
+  const report = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const entry = createReportEntry(report.length + 1, current.text.join(' '));
+    report.push(entry);
+
+    if (current.options.length < 2) {
+      skip(entry, 'The question has fewer than two options');
+    } else if (current.answer === null) {
+      skip(entry, 'The question has no ANSWER line');
+    } else {
+      const correct = current.options.findIndex(option => option.letter === current.answer);
+      if (correct === -1) {
+        skip(entry, `The answer ${current.answer} is not one of the options`);
+      } else {
+        const texts = current.options.map(option => option.text);
+        const trueFalse = texts.length === 2 && /^true$/i.test(texts[0]) && /^false$/i.test(texts[1]);
+        entry.type = trueFalse ? 'true_false' : 'multiple_choice';
+        questions.push({
+          type: entry.type,
+          text: current.text.join(' '),
+          options: trueFalse ? ['True', 'False'] : texts,
+          correctAnswer: correct,
+          explanation: ''
+        });
+      }
+    }
+    current = null;
+  };
+
+  String(content).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const answer = line.match(ANSWER_PATTERN);
+    const option = line.match(OPTION_PATTERN);
+
+    if (!current) {
+      current = { text: [line], options: [], answer: null };
+    } else if (answer) {
+      current.answer = answer[1].toUpperCase();
+      finish();
+    } else if (option) {
+      current.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (current.options.length === 0) {
+      // Some exporters wrap long questions over several lines
+      current.text.push(line);
+    } else {
+      // A question without an ANSWER line ends where the next one starts
+      finish();
+      current = { text: [line], options: [], answer: null };
+    }
+  });
+  finish();
+
+  return { questions, report };
+}
+
+module.exports = {
+  exportAiken,
+  importAiken
+};
@@ -0,0 +1,146 @@
+const { getCorrectAnswer, getCorrectIndices, toTrueFalseIndex } = require('../grading');
+
+// Accepted answers of a fill-in-the-blank blank are separated with "|"
+const ALTERNATIVE_SEPARATOR = '|';
+
+// TakeQuiz splits fill-in-the-blank text on "_"
+const BLANK_MARKER = '_';
+
+// Options a file upload question gets when imported (accepted extensions, max size in MB),
+// the same as a new one in CreateQuiz
+const DEFAULT_UPLOAD_OPTIONS = ['.pdf,.doc,.docx', '5'];
+
+function interchangeError(message, code = 'INTERCHANGE_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseOptions(question) {
+  if (typeof question.options !== 'string') return question.options || [];
+  try {
+    return JSON.parse(question.options) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function optionText(option) {
+  if (option && typeof option === 'object') return String(option.text || '');
+  return option === undefined || option === null ? '' : String(option);
+}
+
+/**
+ * Describe a stored question in a format-neutral way for the exporters
+ * @param {Object} question - Question row from db.getQuestions
+ * @returns {Object} - { kind, text, mediaUrl, explanation, ... } where `kind` is one of:
+ *   choice ({ choices: [{ text, mediaUrl }], correct: [index], inline }), matching ({ pairs: [{ left, right }],
+ *   correct: [rightIndex per left] }), blanks ({ parts: [text], blanks: [[accepted answer]] }), text
+ *   ({ modelAnswer }) and upload; or { unsupported: reason }
+ */
+function describeQuestion(question) {
+  const options = parseOptions(question);
+  const correctAnswer = getCorrectAnswer(question);
+  const base = {
+    type: question.type,
+    text: (question.text || question.content || '').trim(),
+    mediaUrl: question.media_url || question.mediaUrl || question.image_url || null,
+    explanation: question.explanation || ''
+  };
+
+  switch (question.type) {
+    case 'multiple_choice':
+    case 'dropdown':
+    case 'select': {
+      const choices = options.map(option => ({
+        text: optionText(option),
+        mediaUrl: option && typeof option === 'object' ? option.mediaUrl || null : null
+      }));
+      if (choices.length < 2) return { ...base, unsupported: 'it has fewer than two options' };
+      return { ...base, kind: 'choice', choices, correct: getCorrectIndices(options, correctAnswer), inline: question.type !== 'multiple_choice' };
+    }
+
+    case 'true_false': {
+      const correct = toTrueFalseIndex(correctAnswer);
+      return {
+        ...base,
+        kind: 'choice',
+        choices: [{ text: 'True' }, { text: 'False' }],
+        correct: correct === null ? [] : [correct],
+        trueFalse: true
+      };
+    }
+
+    case 'matching': {
+      const pairs = options.map(option => ({ left: optionText(option && option.left), right: optionText(option && option.right) }));
+      const correct = Array.isArray(correctAnswer) && correctAnswer.length === pairs.length
+        ? correctAnswer.map(Number)
+        : pairs.map((_, index) => index);
+      if (pairs.length < 2) return { ...base, unsupported: 'it has fewer than two pairs' };
+      return { ...base, kind: 'matching', pairs, correct };
+    }
+
+    case 'fill_in_blanks':
+    case 'fill_in_blank': {
+      const parts = base.text.split(/_+/);
+      const expected = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+      if (parts.length < 2) return { ...base, unsupported: 'its text has no blanks' };
+      const blanks = parts.slice(1).map((_, index) => String(expected[index] === undefined || expected[index] === null ? '' : optionText(expected[index]))
+        .split(ALTERNATIVE_SEPARATOR)
+        .map(answer => answer.trim())
+        .filter(Boolean));
+      return { ...base, kind: 'blanks', parts, blanks };
+    }
+
+    case 'paragraph':
+    case 'essay':
+      return { ...base, kind: 'text', modelAnswer: typeof correctAnswer === 'string' ? correctAnswer : '' };
+
+    case 'file_upload':
+      return { ...base, kind: 'upload' };
+
+    default:
+      return { ...base, unsupported: `"${question.type}" questions have no equivalent` };
+  }
+}
+
+/**
+ * Start the import report entry of one item
+ * @param {number} item - 1-based position of the item in the file
+ * @param {string} title - Item title or the start of its text
+ * @returns {Object} - { item, title, status, type, messages } where status is imported, partial or skipped
+ */
+function createReportEntry(item, title) {
+  const label = String(title || '').replace(/\s+/g, ' ').trim();
+  return {
+    item,
+    title: label.length > 80 ? `${label.slice(0, 77)}...` : label,
+    status: 'imported',
+    type: null,
+    messages: []
+  };
+}
+
+// Record something the import changed or dropped; the item is still imported
+function warn(entry, message) {
+  entry.status = 'partial';
+  entry.messages.push(message);
+}
+
+// Record why an item could not be imported
+function skip(entry, message) {
+  entry.status = 'skipped';
+  entry.messages.push(message);
+}
+
+module.exports = {
+  ALTERNATIVE_SEPARATOR,
+  BLANK_MARKER,
+  DEFAULT_UPLOAD_OPTIONS,
+  interchangeError,
+  optionText,
+  describeQuestion,
+  createReportEntry,
+  warn,
+  skip
+};
@@ -0,0 +1,357 @@
+const { describeQuestion, createReportEntry, warn, skip, ALTERNATIVE_SEPARATOR, BLANK_MARKER } = require('./common');
+
+// Characters with a meaning in GIFT; they are escaped with a backslash in text
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+// Shown in place of the answer of multiple choice "missing word" questions
+const MISSING_WORD = '_____';
+
+const TRUE_FALSE_PATTERN = /^(T|TRUE|F|FALSE)$/i;
+
+function escapeGift(text) {
+  // A blank line ends a GIFT question, so paragraphs are kept apart with single line breaks
+  return String(text).replace(SPECIAL_CHARACTERS, character => `\\${character}`).replace(/\n\s*\n/g, '\n');
+}
+
+function unescapeGift(text) {
+  return text.replace(/\\([~=#{}:\\n])/g, (match, character) => (character === 'n' ? '\n' : character));
+}
+
+// Index of `token` in `text` from `start`, skipping backslash-escaped characters
+function findUnescaped(text, token, start = 0) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Split `text` before every unescaped character in `markers`
+function splitUnescaped(text, markers) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      current += text.slice(i, i + 2);
+      i++;
+    } else if (markers.includes(text[i])) {
+      parts.push(current);
+      current = text[i];
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Format a GIFT answer weight: Moodle only accepts fractions such as 50, 33.33333 or 12.5
+function formatWeight(percent) {
+  return String(Number(percent.toFixed(5)));
+}
+
+function exportAnswers(item) {
+  switch (item.kind) {
+    case 'choice': {
+      if (item.correct.length === 0) return { reason: 'it has no correct option' };
+      if (item.trueFalse) return { answers: [item.correct[0] === 0 ? 'T' : 'F'] };
+      if (item.correct.length === 1) {
+        return { answers: item.choices.map((choice, i) => `${item.correct.includes(i) ? '=' : '~'}${escapeGift(choice.text)}`) };
+      }
+      // Several correct options share the full mark; choosing a wrong one loses it
+      const weight = formatWeight(100 / item.correct.length);
+      return {
+        answers: item.choices.map((choice, i) => `~%${item.correct.includes(i) ? weight : '-100'}%${escapeGift(choice.text)}`)
+      };
+    }
+
+    case 'matching':
+      return {
+        answers: item.pairs.map((pair, i) => `=${escapeGift(pair.left)} -> ${escapeGift(item.pairs[item.correct[i]] ? item.pairs[item.correct[i]].right : '')}`)
+      };
+
+    case 'blanks':
+      if (item.blanks.length > 1) return { reason: 'GIFT questions have at most one blank' };
+      if (item.blanks[0].length === 0) return { reason: 'the blank has no accepted answer' };
+      return { answers: item.blanks[0].map(answer => `=${escapeGift(answer)}`), after: item.parts[1] };
+
+    case 'text':
+      return { answers: [] };
+
+    default:
+      return { reason: 'GIFT has no file upload questions' };
+  }
+}
+
+/**
+ * Write questions in Moodle's GIFT format
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows
+ * @returns {Object} - { body, skipped: [{ item, reason }] }
+ */
+function exportGift(quiz, questions) {
+  const blocks = [`// ${String(quiz.title || 'Quiz').replace(/\s+/g, ' ')}`];
+  const skipped = [];
+
+  questions.forEach((question, index) => {
+    const item = describeQuestion(question);
+    const { answers, after, reason } = item.unsupported ? { reason: item.unsupported } : exportAnswers(item);
+
+    if (reason) {
+      skipped.push({ item: index + 1, reason });
+      blocks.push(`// Question ${index + 1} was not exported: ${reason}`);
+      return;
+    }
+
+    const lines = [`// Question ${index + 1}`];
+    if (item.mediaUrl) lines.push(`// Image: ${item.mediaUrl}`);
+
+    const text = escapeGift(item.kind === 'blanks' ? item.parts[0] : item.text);
+    const feedback = item.explanation ? `####${escapeGift(item.explanation)}` : '';
+
+    if (answers.length <= 1) {
+      lines.push(`::Q${index + 1}::${text}{${answers.join('')}${feedback}}${after ? escapeGift(after) : ''}`);
+    } else {
+      lines.push(`::Q${index + 1}::${text}{`, ...answers.map(answer => `\t${answer}`));
+      if (feedback) lines.push(`\t${feedback}`);
+      lines.push(`}${after ? escapeGift(after) : ''}`);
+    }
+    blocks.push(lines.join('\n'));
+  });
+
+  return { body: `${blocks.join('\n\n')}\n`, skipped };
+}
+
+// Plain text of a GIFT text field, dropping [html] markup
+function toPlainText(text, format, entry) {
+  let plain = unescapeGift(text);
+  if (format === 'html' && /<[^>]+>/.test(plain)) {
+    plain = plain
+      .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+    warn(entry, 'HTML formatting was removed');
+  }
+  return plain.replace(/[ \t]+/g, ' ').replace(/\n\s*/g, '\n').trim();
+}
+
+// Parse one answer ("=text#feedback", "~%50%text") of an answer block
+function parseAnswer(token) {
+  const mark = token[0];
+  let body = token.slice(1);
+  let weight = mark === '=' ? 100 : 0;
+
+  const weighted = body.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  if (weighted) {
+    weight = parseFloat(weighted[1]);
+    body = body.slice(weighted[0].length);
+  }
+
+  const feedbackAt = findUnescaped(body, '#');
+  return {
+    mark,
+    weight,
+    body: (feedbackAt === -1 ? body : body.slice(0, feedbackAt)).trim(),
+    hasFeedback: feedbackAt !== -1
+  };
+}
+
+function parseQuestion(block, entry) {
+  let rest = block;
+
+  if (rest.startsWith('::')) {
+    const end = findUnescaped(rest, '::', 2);
+    if (end !== -1) {
+      entry.title = unescapeGift(rest.slice(2, end)).trim() || entry.title;
+      rest = rest.slice(end + 2);
+    }
+  }
+
+  let format = 'moodle';
+  const formatTag = rest.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+  if (formatTag) {
+    format = formatTag[1].toLowerCase();
+    rest = rest.slice(formatTag[0].length);
+  }
+
+  const open = findUnescaped(rest, '{');
+  const close = open === -1 ? -1 : findUnescaped(rest, '}', open);
+  if (open === -1 || close === -1) {
+    skip(entry, 'The item has no answers (descriptions are not questions)');
+    return null;
+  }
+
+  const before = toPlainText(rest.slice(0, open), format, entry);
+  const after = toPlainText(rest.slice(close + 1), format, entry);
+  let answerBlock = rest.slice(open + 1, close);
+
+  let explanation = '';
+  const generalFeedbackAt = findUnescaped(answerBlock, '####');
+  if (generalFeedbackAt !== -1) {
+    explanation = toPlainText(answerBlock.slice(generalFeedbackAt + 4), format, entry);
+    answerBlock = answerBlock.slice(0, generalFeedbackAt);
+  }
+  answerBlock = answerBlock.trim();
+
+  // Multiple choice "missing word" questions show a gap where the answer block was
+  const withGap = gap => (after ? [before, gap, after].filter(Boolean).join(' ') : before);
+
+  if (!answerBlock) {
+    if (after) warn(entry, 'The text after the answer block was appended to the question');
+    return { type: 'paragraph', text: withGap(''), options: [], correctAnswer: '', explanation };
+  }
+
+  if (answerBlock.startsWith('#')) {
+    skip(entry, 'Numerical questions are not supported');
+    return null;
+  }
+
+  const trueFalse = answerBlock.split('#')[0].trim();
+  if (TRUE_FALSE_PATTERN.test(trueFalse)) {
+    if (answerBlock.includes('#')) warn(entry, 'Answer feedback was not imported');
+    return {
+      type: 'true_false',
+      text: withGap(MISSING_WORD),
+      options: ['True', 'False'],
+      correctAnswer: /^t/i.test(trueFalse) ? 0 : 1,
+      explanation
+    };
+  }
+
+  const answers = splitUnescaped(answerBlock, ['=', '~'])
+    .map(token => token.trim())
+    .filter(Boolean)
+    .filter(token => token[0] === '=' || token[0] === '~')
+    .map(parseAnswer);
+
+  if (answers.length === 0) {
+    skip(entry, 'The answer block could not be read');
+    return null;
+  }
+  if (answers.some(answer => answer.hasFeedback)) {
+    warn(entry, 'Answer feedback was not imported');
+  }
+
+  // Matching: every answer is "=left -> right"
+  if (answers.every(answer => answer.mark === '=' && findUnescaped(answer.body, '->') !== -1)) {
+    const pairs = answers.map(answer => {
+      const arrow = findUnescaped(answer.body, '->');
+      return {
+        left: toPlainText(answer.body.slice(0, arrow), format, entry),
+        right: toPlainText(answer.body.slice(arrow + 2), format, entry)
+      };
+    });
+    const unmatched = pairs.filter(pair => !pair.left).length;
+    if (unmatched > 0) {
+      warn(entry, `${unmatched} extra right-hand answer(s) without a match were dropped`);
+    }
+    const matched = pairs.filter(pair => pair.left);
+    if (matched.length < 2) {
+      skip(entry, 'Matching questions need at least two pairs');
+      return null;
+    }
+    return {
+      type: 'matching',
+      text: withGap(MISSING_WORD),
+      options: matched,
+      correctAnswer: matched.map((_, index) => index),
+      explanation
+    };
+  }
+
+  // Multiple choice: at least one "~" answer; positive weights mark the correct ones
+  if (answers.some(answer => answer.mark === '~')) {
+    const options = answers.map(answer => toPlainText(answer.body, format, entry));
+    const correct = answers
+      .map((answer, index) => (answer.weight > 0 ? index : null))
+      .filter(index => index !== null);
+    if (correct.length === 0) {
+      skip(entry, 'No option is marked as correct');
+      return null;
+    }
+    if (answers.some(answer => answer.weight > 0 && answer.weight < 100) && correct.length === 1) {
+      warn(entry, 'Partial credit was not imported; the option with a positive weight counts as correct');
+    }
+    return {
+      type: 'multiple_choice',
+      text: withGap(MISSING_WORD),
+      options,
+      correctAnswer: correct.length === 1 ? correct[0] : correct,
+      explanation
+    };
+  }
+
+  // Short answer: the accepted answers of a single blank
+  const accepted = answers.filter(answer => answer.weight >= 100).map(answer => toPlainText(answer.body, format, entry));
+  if (accepted.length < answers.length) {
+    warn(entry, 'Answers with partial credit were dropped');
+  }
+  if (accepted.length === 0) {
+    skip(entry, 'No answer gets full marks');
+    return null;
+  }
+  if (!after) {
+    warn(entry, 'Short answer question imported as fill in the blank');
+  }
+  const correctAnswer = [accepted.join(ALTERNATIVE_SEPARATOR)];
+  return {
+    type: 'fill_in_blanks',
+    text: `${before.replace(/_+/g, '-')} ${BLANK_MARKER} ${after.replace(/_+/g, '-')}`.trim(),
+    // The editor keeps the blank answers in both fields
+    options: correctAnswer,
+    correctAnswer,
+    explanation
+  };
+}
+
+/**
+ * Read questions from a GIFT file
+ * @param {string} content - File content
+ * @returns {Object} - { questions, report }
+ */
+function importGift(content) {
+  const questions = [];
+  const report = [];
+
+  // Questions are separated by blank lines; comment lines are dropped first
+  const blocks = [];
+  let lines = [];
+  String(content).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (/^\s*\/\//.test(line)) return;
+    if (line.trim()) {
+      lines.push(line);
+    } else if (lines.length > 0) {
+      blocks.push(lines.join('\n'));
+      lines = [];
+    }
+  });
+  if (lines.length > 0) blocks.push(lines.join('\n'));
+
+  blocks.forEach(block => {
+    const text = block.trim();
+    if (/^\$CATEGORY:/i.test(text)) return;
+
+    const entry = createReportEntry(report.length + 1, text.replace(/^::.*?::/, '').split('{')[0]);
+    report.push(entry);
+
+    const question = parseQuestion(text, entry);
+    if (question) {
+      entry.type = question.type;
+      questions.push(question);
+    }
+  });
+
+  return { questions, report };
+}
+
+module.exports = {
+  exportGift,
+  importGift
+};
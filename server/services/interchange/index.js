@@ -0,0 +1,114 @@
+const path = require('path');
+const { interchangeError } = require('./common');
+const { exportQti, importQti } = require('./qti');
+const { exportGift, importGift } = require('./gift');
+const { exportAiken, importAiken } = require('./aiken');
+
+// Formats quizzes are exchanged with other learning systems in
+const FORMATS = {
+  qti: {
+    label: 'IMS QTI 2.1',
+    extension: '.zip',
+    contentType: 'application/zip',
+    binary: true,
+    exportQuiz: exportQti,
+    importQuiz: importQti
+  },
+  gift: {
+    label: 'Moodle GIFT',
+    extension: '.gift.txt',
+    contentType: 'text/plain; charset=utf-8',
+    exportQuiz: exportGift,
+    importQuiz: importGift
+  },
+  aiken: {
+    label: 'Aiken',
+    extension: '.txt',
+    contentType: 'text/plain; charset=utf-8',
+    exportQuiz: exportAiken,
+    importQuiz: importAiken
+  }
+};
+
+function getFormat(format) {
+  const definition = FORMATS[String(format || '').toLowerCase()];
+  if (!definition) {
+    throw interchangeError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`, 'FORMAT_UNSUPPORTED');
+  }
+  return definition;
+}
+
+// File name for an exported quiz, from its title
+function getFileName(quiz, format) {
+  const base = String(quiz.title || 'quiz')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+    .slice(0, 60);
+  return `${base || 'quiz'}${FORMATS[format].extension}`;
+}
+
+/**
+ * Export a quiz with its questions
+ * @param {string} format - qti, gift or aiken
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows
+ * @returns {Promise<Object>} - { body, fileName, contentType, skipped: [{ item, reason }] } where
+ *   skipped lists the questions the format cannot represent
+ */
+async function exportQuiz(format, quiz, questions) {
+  const definition = getFormat(format);
+  const { body, skipped } = await definition.exportQuiz(quiz, questions);
+  return {
+    body,
+    fileName: getFileName(quiz, format.toLowerCase()),
+    contentType: definition.contentType,
+    skipped
+  };
+}
+
+/**
+ * Guess the format of an uploaded file: zip and XML files are QTI, text files are GIFT when
+ * they use GIFT answer braces and Aiken otherwise
+ * @param {string} fileName - Uploaded file name
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Format name
+ */
+function detectFormat(fileName, buffer) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.zip' || extension === '.xml' || buffer.slice(0, 2).toString() === 'PK') return 'qti';
+  if (extension === '.gift' || /\.gift\.txt$/i.test(fileName || '')) return 'gift';
+
+  const text = buffer.toString('utf8');
+  return /\{[^}]*\}/.test(text) && !/^\s*ANSWER\s*:/im.test(text) ? 'gift' : 'aiken';
+}
+
+/**
+ * Read questions from an uploaded file
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - { format, fileName }; the format is detected when omitted
+ * @returns {Promise<Object>} - { format, title, questions, report } where every question has
+ *   { type, text, options, correctAnswer, explanation, mediaUrl } and `report` has one entry
+ *   per item in the file
+ */
+async function importQuiz(buffer, { format, fileName } = {}) {
+  const name = format ? String(format).toLowerCase() : detectFormat(fileName, buffer);
+  const definition = getFormat(name);
+  const result = await definition.importQuiz(definition.binary ? buffer : buffer.toString('utf8'));
+
+  return {
+    format: name,
+    title: result.title || null,
+    questions: result.questions,
+    report: result.report
+  };
+}
+
+module.exports = {
+  FORMATS,
+  exportQuiz,
+  importQuiz,
+  detectFormat
+};
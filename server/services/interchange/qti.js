@@ -0,0 +1,738 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const {
+  ALTERNATIVE_SEPARATOR,
+  BLANK_MARKER,
+  DEFAULT_UPLOAD_OPTIONS,
+  interchangeError,
+  describeQuestion,
+  createReportEntry,
+  warn,
+  skip
+} = require('./common');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+// Images are stored with the other quiz images, limited to the types the image upload accepts
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const IMAGE_DIR = path.join(UPLOADS_DIR, 'quiz-images');
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+// Shown in place of an inline choice in the question text
+const MISSING_WORD = '_____';
+
+// Elements whose text is not part of the question
+// What an imported package may unpack to; the upload limit only bounds its compressed size
+const MAX_PACKAGE_ENTRIES = 2000;
+const MAX_PACKAGE_SIZE = 100 * 1024 * 1024;
+
+const IGNORED_ELEMENTS = ['feedbackInline', 'feedbackBlock', 'modalFeedback', 'rubricBlock', 'templateBlock', 'templateInline', 'stylesheet'];
+const BLOCK_ELEMENTS = ['p', 'div', 'li', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr', 'table'];
+
+function escapeXml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Question text as XHTML paragraphs
+function paragraphs(text) {
+  return String(text || '')
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => `<p>${escapeXml(line)}</p>`)
+    .join('\n    ');
+}
+
+/**
+ * Collect the images of the exported questions: uploaded images are packaged with the
+ * items, other URLs are referenced as they are
+ */
+class ImageCollector {
+  constructor() {
+    this.files = new Map();
+  }
+
+  // Returns the src to use in the items, or null when the image cannot be found
+  add(url) {
+    if (!url) return null;
+    if (/^https?:\/\//i.test(url)) return url;
+
+    const match = String(url).match(/^\/?uploads\/(.+)$/);
+    const file = match ? path.resolve(UPLOADS_DIR, match[1]) : null;
+    if (!file || !file.startsWith(UPLOADS_DIR + path.sep) || !IMAGE_TYPES[path.extname(file).toLowerCase()] || !fs.existsSync(file)) {
+      return null;
+    }
+
+    const href = `images/${path.basename(file)}`;
+    this.files.set(href, file);
+    return href;
+  }
+}
+
+function imageTag(src) {
+  return src ? `<p><img src="${escapeXml(src)}" alt=""/></p>` : '';
+}
+
+function choiceContent(choice, images) {
+  const src = images.add(choice.mediaUrl);
+  return `${escapeXml(choice.text)}${src ? `<img src="${escapeXml(src)}" alt=""/>` : ''}`;
+}
+
+function buildItemParts(item, images) {
+  const image = imageTag(images.add(item.mediaUrl));
+
+  switch (item.kind) {
+    case 'choice': {
+      if (item.correct.length === 0) return { reason: 'it has no correct option' };
+      const multiple = item.correct.length > 1;
+      const declaration = `<responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+      ${item.correct.map(index => `<value>choice-${index}</value>`).join('\n      ')}
+    </correctResponse>
+  </responseDeclaration>`;
+
+      // Dropdowns become inline choices; an inline choice can only hold text
+      if (item.inline && !multiple) {
+        return {
+          declarations: declaration,
+          body: `${paragraphs(item.text)}
+    ${image}
+    <p><inlineChoiceInteraction responseIdentifier="RESPONSE" shuffle="false">
+      ${item.choices.map((choice, i) => `<inlineChoice identifier="choice-${i}">${escapeXml(choice.text)}</inlineChoice>`).join('\n      ')}
+    </inlineChoiceInteraction></p>`,
+          processing: `<responseProcessing template="${MATCH_CORRECT}"/>`
+        };
+      }
+
+      return {
+        declarations: declaration,
+        body: `${paragraphs(item.text)}
+    ${image}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">
+      ${item.choices.map((choice, i) => `<simpleChoice identifier="choice-${i}">${choiceContent(choice, images)}</simpleChoice>`).join('\n      ')}
+    </choiceInteraction>`,
+        processing: `<responseProcessing template="${MATCH_CORRECT}"/>`
+      };
+    }
+
+    case 'matching':
+      return {
+        declarations: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+      ${item.correct.map((right, left) => `<value>left-${left} right-${right}</value>`).join('\n      ')}
+    </correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(item.text)}
+    ${image}
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${item.pairs.length}">
+      <simpleMatchSet>
+        ${item.pairs.map((pair, i) => `<simpleAssociableChoice identifier="left-${i}" matchMax="1">${escapeXml(pair.left)}</simpleAssociableChoice>`).join('\n        ')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+        ${item.pairs.map((pair, i) => `<simpleAssociableChoice identifier="right-${i}" matchMax="1">${escapeXml(pair.right)}</simpleAssociableChoice>`).join('\n        ')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: `<responseProcessing template="${MATCH_CORRECT}"/>`
+      };
+
+    case 'blanks': {
+      if (item.blanks.some(accepted => accepted.length === 0)) return { reason: 'a blank has no accepted answer' };
+      // Every blank is scored on its own; accepted answers are not case sensitive
+      const declarations = item.blanks.map((accepted, i) => `<responseDeclaration identifier="RESPONSE_${i + 1}" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${escapeXml(accepted[0])}</value>
+    </correctResponse>
+    <mapping defaultValue="0">
+      ${accepted.map(answer => `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('\n      ')}
+    </mapping>
+  </responseDeclaration>`).join('\n  ');
+      const body = item.parts
+        .map((part, i) => `${escapeXml(part)}${i < item.blanks.length ? `<textEntryInteraction responseIdentifier="RESPONSE_${i + 1}" expectedLength="15"/>` : ''}`)
+        .join('');
+      return {
+        declarations,
+        body: `<p>${body.replace(/\n+/g, ' ')}</p>
+    ${image}`,
+        processing: `<responseProcessing>
+    <setOutcomeValue identifier="SCORE">
+      <sum>
+        ${item.blanks.map((_, i) => `<mapResponse identifier="RESPONSE_${i + 1}"/>`).join('\n        ')}
+      </sum>
+    </setOutcomeValue>
+  </responseProcessing>`
+      };
+    }
+
+    case 'text':
+      return {
+        declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${item.modelAnswer ? `
+    <correctResponse>
+      <value>${escapeXml(item.modelAnswer)}</value>
+    </correctResponse>
+  ` : ''}</responseDeclaration>`,
+        body: `${paragraphs(item.text)}
+    ${image}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="8"/>`,
+        processing: ''
+      };
+
+    default:
+      return {
+        declarations: '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="file"/>',
+        body: `${paragraphs(item.text)}
+    ${image}
+    <uploadInteraction responseIdentifier="RESPONSE"/>`,
+        processing: ''
+      };
+  }
+}
+
+function itemXml(identifier, title, parts) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+  ${parts.declarations}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    ${parts.body}
+  </itemBody>
+  ${parts.processing}
+</assessmentItem>
+`;
+}
+
+function testXml(quiz, items) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="quiz-${escapeXml(quiz.id)}" title="${escapeXml(quiz.title || 'Quiz')}">
+  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section-1" title="${escapeXml(quiz.title || 'Quiz')}" visible="true">
+      ${items.map(item => `<assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n      ')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+function manifestXml(quiz, items) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="manifest-quiz-${escapeXml(quiz.id)}">
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+      ${items.map(item => `<dependency identifierref="${item.identifier}"/>`).join('\n      ')}
+    </resource>
+    ${items.map(item => `<resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+      ${item.images.map(href => `<file href="${escapeXml(href)}"/>`).join('\n      ')}
+    </resource>`).join('\n    ')}
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * Write a quiz as an IMS QTI 2.1 content package (zip): one item per question, an
+ * assessment test that lists them in order, the manifest and the uploaded images
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Question rows
+ * @returns {Promise<Object>} - { body: Buffer, skipped: [{ item, reason }] }
+ */
+async function exportQti(quiz, questions) {
+  const zip = new JSZip();
+  const images = new ImageCollector();
+  const items = [];
+  const skipped = [];
+
+  questions.forEach((question, index) => {
+    const item = describeQuestion(question);
+    const before = new Set(images.files.keys());
+    const parts = item.unsupported ? { reason: item.unsupported } : buildItemParts(item, images);
+
+    if (parts.reason) {
+      skipped.push({ item: index + 1, reason: parts.reason });
+      return;
+    }
+
+    const identifier = `item-${index + 1}`;
+    const href = `${identifier}.xml`;
+    zip.file(href, itemXml(identifier, item.text.split('\n')[0].slice(0, 80) || `Question ${index + 1}`, parts));
+    items.push({ identifier, href, images: [...images.files.keys()].filter(key => !before.has(key)) });
+  });
+
+  for (const [href, file] of images.files) {
+    zip.file(href, await fs.promises.readFile(file));
+  }
+  zip.file('assessment.xml', testXml(quiz, items));
+  zip.file('imsmanifest.xml', manifestXml(quiz, items));
+
+  return {
+    body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    skipped
+  };
+}
+
+// Element children (or all descendants) with the given local name, or all of them, ignoring namespaces
+function childElements(node, name) {
+  return Array.from(node.childNodes || []).filter(child => child.nodeType === 1 && (!name || child.localName === name));
+}
+
+function descendants(node, name) {
+  const found = [];
+  childElements(node).forEach(child => {
+    if (!name || child.localName === name) found.push(child);
+    found.push(...descendants(child, name));
+  });
+  return found;
+}
+
+function parseXml(content, file) {
+  const errors = [];
+  const document = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: message => errors.push(message),
+      fatalError: message => errors.push(message)
+    }
+  }).parseFromString(content, 'text/xml');
+
+  if (!document || !document.documentElement || errors.length > 0) {
+    throw interchangeError(`${file} is not valid XML`);
+  }
+  return document.documentElement;
+}
+
+function cleanText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Read the text of part of an item body. Blanks are marked for fill in the blank questions,
+ * image sources are collected and interactions only contribute their prompt.
+ */
+function readText(node, context) {
+  if (node.nodeType === 3 || node.nodeType === 4) return node.nodeValue.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+
+  const name = node.localName;
+  if (IGNORED_ELEMENTS.includes(name)) return '';
+  if (name === 'img') {
+    context.images.push(node.getAttribute('src'));
+    return '';
+  }
+  if (name === 'br') return '\n';
+  if (name === 'textEntryInteraction') return BLANK_MARKER;
+  if (name === 'inlineChoiceInteraction') return MISSING_WORD;
+  if (name.endsWith('Interaction')) {
+    return childElements(node, 'prompt').map(prompt => `\n${readContent(prompt, context)}\n`).join('');
+  }
+
+  const text = readContent(node, context);
+  return BLOCK_ELEMENTS.includes(name) ? `\n${text}\n` : text;
+}
+
+function readContent(node, context) {
+  return Array.from(node.childNodes || []).map(child => readText(child, context)).join('');
+}
+
+function readResponseDeclarations(root) {
+  const declarations = {};
+  childElements(root, 'responseDeclaration').forEach(declaration => {
+    const values = element => (element ? childElements(element, 'value').map(value => value.textContent.trim()) : []);
+    const mapping = childElements(declaration, 'mapping')[0];
+    declarations[declaration.getAttribute('identifier')] = {
+      cardinality: declaration.getAttribute('cardinality'),
+      correct: values(childElements(declaration, 'correctResponse')[0]),
+      mapping: mapping
+        ? childElements(mapping, 'mapEntry').map(entry => ({
+            key: entry.getAttribute('mapKey'),
+            value: parseFloat(entry.getAttribute('mappedValue'))
+          }))
+        : []
+    };
+  });
+  return declarations;
+}
+
+// Values a response declaration accepts as correct: its correct response, else positively mapped keys
+function acceptedValues(declaration) {
+  if (!declaration) return [];
+  if (declaration.correct.length > 0) return declaration.correct;
+  return declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key);
+}
+
+// Answers a text entry accepts: the correct response and every positively mapped alternative
+function acceptedAnswers(declaration) {
+  if (!declaration) return [];
+  const answers = [...declaration.correct, ...declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key)];
+  return [...new Set(answers.map(answer => answer.trim()).filter(Boolean))];
+}
+
+/**
+ * Check the sizes a zip declares for its entries before anything is unpacked
+ * @param {JSZip} zip - Loaded package
+ */
+function checkPackageSize(zip) {
+  const entries = Object.values(zip.files).filter(file => !file.dir);
+  if (entries.length > MAX_PACKAGE_ENTRIES) {
+    throw interchangeError(`The QTI package has more than ${MAX_PACKAGE_ENTRIES} files`);
+  }
+
+  const size = entries.reduce((total, file) => total + ((file._data && file._data.uncompressedSize) || 0), 0);
+  if (size > MAX_PACKAGE_SIZE) {
+    throw interchangeError(`The QTI package unpacks to more than ${MAX_PACKAGE_SIZE / 1024 / 1024} MB`);
+  }
+}
+
+/**
+ * Unpack a package entry, stopping as soon as it grows past the size its header declared so a
+ * forged header cannot get past checkPackageSize
+ * @param {Object} file - JSZip entry
+ * @param {string} type - 'string' or 'nodebuffer'
+ * @returns {Promise<string|Buffer>}
+ */
+function readEntry(file, type) {
+  const declared = file._data && file._data.uncompressedSize;
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (declared !== undefined && size > declared) {
+          stream.pause();
+          reject(interchangeError(`${file.name} is larger than the package says`));
+          return;
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', reject)
+      .on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        resolve(type === 'string' ? buffer.toString('utf8') : buffer);
+      })
+      .resume();
+  });
+}
+
+/**
+ * Resolve an image referenced by an item: images in the package are copied to the quiz
+ * image uploads, web images are kept as links
+ * @returns {Promise<string|null>} - Image URL
+ */
+async function importImage(zip, itemFile, src, entry) {
+  if (!src) return null;
+  if (/^https?:\/\//i.test(src)) return src;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(src);
+  } catch (error) {
+    warn(entry, `Image ${src} was not imported: its path is not a valid URL`);
+    return null;
+  }
+
+  const zipPath = path.posix.normalize(path.posix.join(path.posix.dirname(itemFile), decoded));
+  const file = zip.file(zipPath);
+  const extension = path.extname(zipPath).toLowerCase();
+  if (!file) {
+    warn(entry, `Image ${src} was not found in the package`);
+    return null;
+  }
+  if (!IMAGE_TYPES[extension]) {
+    warn(entry, `Image ${src} was not imported: only PNG, JPEG, GIF and SVG images are supported`);
+    return null;
+  }
+
+  await fs.promises.mkdir(IMAGE_DIR, { recursive: true });
+  const name = `image-import-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+  await fs.promises.writeFile(path.join(IMAGE_DIR, name), await readEntry(file, 'nodebuffer'));
+  return `/uploads/quiz-images/${name}`;
+}
+
+async function importChoice(interaction, declaration, context, entry) {
+  const choices = childElements(interaction, 'simpleChoice');
+  const correctIds = acceptedValues(declaration);
+  const options = [];
+
+  for (const choice of choices) {
+    const choiceContext = { images: [] };
+    const text = cleanText(readContent(choice, choiceContext)).replace(/\n/g, ' ');
+    const mediaUrl = await importImage(context.zip, context.file, choiceContext.images[0], entry);
+    options.push(mediaUrl ? { text, mediaUrl } : text);
+  }
+
+  const correct = choices
+    .map((choice, index) => (correctIds.includes(choice.getAttribute('identifier')) ? index : null))
+    .filter(index => index !== null);
+
+  if (options.length < 2) {
+    skip(entry, 'The question has fewer than two options');
+    return null;
+  }
+  if (correct.length === 0) {
+    warn(entry, 'No correct option was found; set one before publishing');
+  }
+
+  const texts = options.map(option => (typeof option === 'string' ? option : option.text));
+  if (texts.length === 2 && /^true$/i.test(texts[0]) && /^false$/i.test(texts[1]) && correct.length <= 1) {
+    return { type: 'true_false', options: ['True', 'False'], correctAnswer: correct.length === 1 ? correct[0] : null };
+  }
+
+  return {
+    type: 'multiple_choice',
+    options,
+    correctAnswer: correct.length === 1 ? correct[0] : correct
+  };
+}
+
+function importInlineChoice(interaction, declaration, entry) {
+  const choices = childElements(interaction, 'inlineChoice');
+  const correctIds = acceptedValues(declaration);
+  const correct = choices.findIndex(choice => correctIds.includes(choice.getAttribute('identifier')));
+
+  if (choices.length < 2) {
+    skip(entry, 'The question has fewer than two options');
+    return null;
+  }
+  if (correct === -1) {
+    warn(entry, 'No correct option was found; set one before publishing');
+  }
+  return {
+    type: 'dropdown',
+    options: choices.map(choice => cleanText(choice.textContent).replace(/\n/g, ' ')),
+    correctAnswer: correct === -1 ? null : correct
+  };
+}
+
+function importMatch(interaction, declaration, entry) {
+  const sets = childElements(interaction, 'simpleMatchSet');
+  if (sets.length !== 2) {
+    skip(entry, 'Matching questions need exactly two sets of choices');
+    return null;
+  }
+
+  const [lefts, rights] = sets.map(set => childElements(set, 'simpleAssociableChoice').map(choice => ({
+    id: choice.getAttribute('identifier'),
+    text: cleanText(choice.textContent).replace(/\n/g, ' ')
+  })));
+  if (lefts.length < 2 || lefts.length !== rights.length) {
+    skip(entry, 'Matching questions need the same number of items on both sides, at least two');
+    return null;
+  }
+
+  const pairs = acceptedValues(declaration).map(value => value.split(/\s+/));
+  const correctAnswer = lefts.map(left => {
+    const pair = pairs.find(([source]) => source === left.id);
+    return pair ? rights.findIndex(right => right.id === pair[1]) : -1;
+  });
+  if (correctAnswer.some(index => index === -1)) {
+    skip(entry, 'Every left-hand item needs exactly one correct match');
+    return null;
+  }
+
+  return {
+    type: 'matching',
+    options: lefts.map((left, i) => ({ left: left.text, right: rights[i].text })),
+    correctAnswer
+  };
+}
+
+async function importItem(zip, file, entry) {
+  const root = parseXml(await readEntry(zip.file(file), 'string'), file);
+  if (root.localName !== 'assessmentItem') {
+    skip(entry, `${file} is not an assessment item`);
+    return null;
+  }
+  entry.title = createReportEntry(entry.item, root.getAttribute('title') || entry.title).title;
+
+  const itemBody = childElements(root, 'itemBody')[0];
+  if (!itemBody) {
+    skip(entry, 'The item has no body');
+    return null;
+  }
+
+  const interactions = descendants(itemBody).filter(node => node.localName.endsWith('Interaction'));
+  const blanks = interactions.filter(node => node.localName === 'textEntryInteraction');
+  if (interactions.length === 0) {
+    skip(entry, 'The item has no interaction to answer');
+    return null;
+  }
+  if (interactions.length > 1 && blanks.length !== interactions.length) {
+    skip(entry, 'Items with several different interactions are not supported');
+    return null;
+  }
+
+  const context = { zip, file, images: [] };
+  // An inline choice on a line of its own (like the dropdowns this exports) is not part of the text
+  const text = cleanText(readContent(itemBody, context))
+    .split('\n')
+    .filter(line => line !== MISSING_WORD)
+    .join('\n');
+  const declarations = readResponseDeclarations(root);
+  const interaction = interactions[0];
+  const declaration = declarations[interaction.getAttribute('responseIdentifier')];
+  let question;
+
+  switch (interaction.localName) {
+    case 'choiceInteraction':
+      question = await importChoice(interaction, declaration, context, entry);
+      break;
+    case 'inlineChoiceInteraction':
+      question = importInlineChoice(interaction, declaration, entry);
+      break;
+    case 'matchInteraction':
+      question = importMatch(interaction, declaration, entry);
+      break;
+    case 'textEntryInteraction': {
+      const answers = blanks.map(blank => acceptedAnswers(declarations[blank.getAttribute('responseIdentifier')]));
+      if (answers.some(accepted => accepted.length === 0)) {
+        warn(entry, 'Some blanks have no accepted answer; add them before publishing');
+      }
+      const correctAnswer = answers.map(accepted => accepted.join(ALTERNATIVE_SEPARATOR));
+      // The editor keeps the blank answers in both fields
+      question = { type: 'fill_in_blanks', options: correctAnswer, correctAnswer };
+      break;
+    }
+    case 'extendedTextInteraction':
+      question = { type: 'paragraph', options: [], correctAnswer: declaration && declaration.correct[0] ? declaration.correct[0] : '' };
+      break;
+    case 'uploadInteraction':
+      question = { type: 'file_upload', options: DEFAULT_UPLOAD_OPTIONS, correctAnswer: '' };
+      break;
+    default:
+      skip(entry, `${interaction.localName} items are not supported`);
+      return null;
+  }
+  if (!question) return null;
+
+  if (!text) {
+    skip(entry, 'The item has no question text');
+    return null;
+  }
+  if (context.images.length > 1) {
+    warn(entry, `Only the first of ${context.images.length} images was imported`);
+  }
+  if (childElements(root, 'modalFeedback').length > 0 || descendants(itemBody, 'feedbackInline').length > 0) {
+    warn(entry, 'Feedback was not imported');
+  }
+
+  return {
+    ...question,
+    text,
+    explanation: '',
+    mediaUrl: await importImage(zip, file, context.images[0], entry)
+  };
+}
+
+// Item files in manifest order, falling back to every XML file holding an assessment item
+async function findItemFiles(zip) {
+  const manifest = zip.file('imsmanifest.xml');
+  if (manifest) {
+    const root = parseXml(await readEntry(manifest, 'string'), 'imsmanifest.xml');
+    const hrefs = descendants(root, 'resource')
+      .filter(resource => /^imsqti_item_xmlv2p\d/.test(resource.getAttribute('type') || ''))
+      .map(resource => resource.getAttribute('href'))
+      .filter(href => href && zip.file(href));
+    if (hrefs.length > 0) return hrefs;
+
+    if (descendants(root, 'resource').some(resource => /^imsqti_xmlv1p/.test(resource.getAttribute('type') || ''))) {
+      throw interchangeError('QTI 1.2 packages are not supported; export the quiz as QTI 2.1');
+    }
+  }
+
+  const files = zip.file(/\.xml$/i).filter(file => file.name !== 'imsmanifest.xml');
+  const items = [];
+  for (const file of files) {
+    const content = await readEntry(file, 'string');
+    if (/<(\w+:)?assessmentItem[\s>]/.test(content)) items.push(file.name);
+  }
+  return items.sort();
+}
+
+async function findTestTitle(zip) {
+  const test = zip.file(/\.xml$/i).find(file => !file.name.includes('/') && file.name !== 'imsmanifest.xml');
+  if (!test) return null;
+  const match = (await readEntry(test, 'string')).match(/<(?:\w+:)?assessmentTest[^>]*\stitle="([^"]*)"/);
+  return match ? match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"') : null;
+}
+
+/**
+ * Read questions from an IMS QTI 2.1 content package (zip) or a single item file
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} - { title, questions, report }
+ */
+async function importQti(buffer) {
+  let zip;
+  if (buffer.slice(0, 2).toString() === 'PK') {
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw interchangeError('The QTI package is not a valid zip file');
+    }
+    checkPackageSize(zip);
+  } else {
+    // A lone assessment item XML file
+    zip = new JSZip();
+    zip.file('item.xml', buffer);
+  }
+
+  const files = await findItemFiles(zip);
+  if (files.length === 0) {
+    throw interchangeError('No QTI 2.1 assessment items were found');
+  }
+
+  const questions = [];
+  const report = [];
+  for (const file of files) {
+    const entry = createReportEntry(report.length + 1, file);
+    report.push(entry);
+    try {
+      const question = await importItem(zip, file, entry);
+      if (question) {
+        entry.type = question.type;
+        questions.push(question);
+      }
+    } catch (error) {
+      if (error.code !== 'INTERCHANGE_INVALID') throw error;
+      skip(entry, error.message);
+    }
+  }
+
+  return { title: await findTestTitle(zip), questions, report };
+}
+
+module.exports = {
+  exportQti,
+  importQti
+};
@@ -0,0 +1,279 @@
+const {
+  getCorrectAnswer,
+  getCorrectIndices,
+  getSelectedIndices,
+  toTrueFalseIndex,
+  gradeQuestion
+} = require('./grading');
+const { getFormQuestions } = require('./quizForm');
+
+// Question types whose answers are a choice between listed options
+const CHOICE_TYPES = ['multiple_choice', 'dropdown', 'select', 'true_false'];
+
+// Fewer graded answers than this make the statistics too noisy to flag anything
+const MIN_RESPONSES = 5;
+
+// Share of learners at the top and bottom of the score range compared for each option
+const GROUP_FRACTION = 0.27;
+
+// Flag thresholds: p-values outside the range, item-rest correlations below the minimum
+// and distractors fewer learners than the minimum share pick
+const TOO_HARD_P_VALUE = 0.3;
+const TOO_EASY_P_VALUE = 0.9;
+const MIN_DISCRIMINATION = 0.2;
+const MIN_DISTRACTOR_SHARE = 0.05;
+
+function parseOptions(question) {
+  if (typeof question.options !== 'string') return question.options || [];
+  try {
+    return JSON.parse(question.options) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function optionText(option) {
+  if (option && typeof option === 'object') return String(option.text || '');
+  return option === undefined || option === null ? '' : String(option);
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation of paired values; with a 0/1 variable this is the point-biserial
+ * @returns {number|null} - Correlation, null when either variable does not vary
+ */
+function correlation(pairs) {
+  if (pairs.length < 2) return null;
+  const meanX = mean(pairs.map(pair => pair[0]));
+  const meanY = mean(pairs.map(pair => pair[1]));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+function isAnswered(answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  if (Array.isArray(answer)) return answer.some(isAnswered);
+  return true;
+}
+
+/**
+ * The options a learner picked, as stored option indices
+ * @returns {Array<number>}
+ */
+function getPickedOptions(question, options, answer) {
+  if (!isAnswered(answer)) return [];
+  if (question.type === 'true_false') {
+    const index = toTrueFalseIndex(answer);
+    return index === null ? [] : [index];
+  }
+  return getSelectedIndices(options, answer).filter(index => index >= 0 && index < options.length);
+}
+
+/**
+ * The result a submission recorded for a question. Scores are stored on the responses when a
+ * submission is graded, so editing the question later does not change past results; only
+ * questions left unanswered, and submissions from before scores were stored, are graded here.
+ * @returns {Object} - { graded, score, maxScore }
+ */
+function storedResult(question, response) {
+  if (response.grade) {
+    return { graded: true, score: response.grade.score, maxScore: response.grade.maxScore };
+  }
+  if (typeof response.score === 'number' && typeof response.maxScore === 'number') {
+    // Free-text answers only count once a tutor has graded them
+    return { graded: response.autoGraded !== false, score: response.score, maxScore: response.maxScore };
+  }
+  const result = gradeQuestion(question, response.answer);
+  return { graded: result.autoGraded, score: result.score, maxScore: result.maxScore };
+}
+
+/**
+ * Score every submission once: the total it earned and the share of each question it earned
+ * @returns {Array<Object>} - { total, maxTotal, items: { questionId: { graded, score, maxScore, answer } } }
+ *   where items only holds the questions the learner was asked
+ */
+function scoreSubmissions(questions, submissions) {
+  return submissions.map(submission => {
+    const responses = submission.responses || submission.answers || [];
+    const asked = getFormQuestions(questions, submission.form);
+
+    const items = {};
+    let total = 0;
+    let maxTotal = 0;
+    asked.forEach(question => {
+      const response = responses.find(item => String(item.questionId !== undefined ? item.questionId : item.question_id) === String(question.id)) || {};
+      const result = storedResult(question, response);
+      const graded = result.graded && result.maxScore > 0;
+      if (graded) {
+        total += result.score;
+        maxTotal += result.maxScore;
+      }
+      items[question.id] = {
+        graded,
+        score: result.score,
+        maxScore: result.maxScore,
+        answer: response.answer
+      };
+    });
+
+    return { total, maxTotal, items };
+  });
+}
+
+/**
+ * Analyze the listed options of a choice question: how often each was picked overall and by
+ * the highest and lowest scoring learners, and how picking it correlates with the rest score
+ */
+function analyzeOptions(question, attempts, groups) {
+  const options = question.type === 'true_false' ? ['True', 'False'] : parseOptions(question);
+  const correct = question.type === 'true_false'
+    ? [toTrueFalseIndex(getCorrectAnswer(question))]
+    : getCorrectIndices(options, getCorrectAnswer(question));
+  const answered = attempts.filter(attempt => attempt.picked.length > 0);
+  const share = (group, index) => (group.length > 0 ? group.filter(attempt => attempt.picked.includes(index)).length / group.length : null);
+  const upper = answered.filter(attempt => groups.upper.has(attempt.submission));
+  const lower = answered.filter(attempt => groups.lower.has(attempt.submission));
+
+  const analyzed = options.map((option, index) => {
+    const count = answered.filter(attempt => attempt.picked.includes(index)).length;
+    const isCorrect = correct.includes(index);
+    const discrimination = answered.length >= MIN_RESPONSES
+      ? correlation(answered.filter(attempt => attempt.rest !== null).map(attempt => [attempt.picked.includes(index) ? 1 : 0, attempt.rest]))
+      : null;
+
+    const flags = [];
+    if (!isCorrect && answered.length >= MIN_RESPONSES) {
+      if (count / answered.length < MIN_DISTRACTOR_SHARE) flags.push('non_functioning');
+      // Stronger learners pick it: it correlates with the rest score and the top group picks it more
+      if (discrimination !== null && discrimination > 0 && (upper.length === 0 || share(upper, index) > share(lower, index))) {
+        flags.push('attracts_high_scorers');
+      }
+    }
+
+    return {
+      index,
+      text: optionText(option),
+      isCorrect,
+      count,
+      share: answered.length > 0 ? round(count / answered.length) : null,
+      upperShare: round(share(upper, index)),
+      lowerShare: round(share(lower, index)),
+      discrimination: round(discrimination),
+      flags
+    };
+  });
+
+  return { options: analyzed, omitted: attempts.length - answered.length };
+}
+
+/**
+ * Item analysis of a quiz from its submissions. For every question: the p-value (mean share
+ * of the points earned, so higher is easier), the discrimination (correlation between the
+ * question score and the learner's score on the rest of the quiz, the point-biserial for
+ * questions scored right or wrong) and, for choice questions, how often each option was picked
+ * with flags for distractors that do not work
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Array} submissions - Submissions from db.getSubmissions
+ * @returns {Object} - { submissions, averageScore, minResponses, questions: [{ questionId, number, text,
+ *   type, asked, graded, pendingReview, pValue, discrimination, flags, options, omitted }] }
+ *   where shares and p-values are proportions from 0 to 1 and options is null for other types
+ */
+function analyzeItems(questions, submissions) {
+  const scored = scoreSubmissions(questions, submissions);
+
+  // Highest and lowest scoring learners, compared option by option
+  const ranked = scored
+    .map((entry, index) => ({ index, score: entry.maxTotal > 0 ? entry.total / entry.maxTotal : null }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score);
+  const groupSize = Math.max(1, Math.round(ranked.length * GROUP_FRACTION));
+  const groups = {
+    upper: new Set(ranked.length >= MIN_RESPONSES ? ranked.slice(0, groupSize).map(entry => entry.index) : []),
+    lower: new Set(ranked.length >= MIN_RESPONSES ? ranked.slice(-groupSize).map(entry => entry.index) : [])
+  };
+
+  const items = questions.map((question, number) => {
+    const options = parseOptions(question);
+    const attempts = [];
+    let asked = 0;
+
+    scored.forEach((entry, submission) => {
+      const item = entry.items[question.id];
+      if (!item) return;
+      asked++;
+      if (!item.graded) return;
+
+      const restMax = entry.maxTotal - item.maxScore;
+      attempts.push({
+        submission,
+        score: item.score / item.maxScore,
+        rest: restMax > 0 ? (entry.total - item.score) / restMax : null,
+        picked: CHOICE_TYPES.includes(question.type) ? getPickedOptions(question, options, item.answer) : []
+      });
+    });
+
+    const pValue = mean(attempts.map(attempt => attempt.score));
+    const discrimination = attempts.length >= MIN_RESPONSES
+      ? correlation(attempts.filter(attempt => attempt.rest !== null).map(attempt => [attempt.score, attempt.rest]))
+      : null;
+    const optionAnalysis = CHOICE_TYPES.includes(question.type) ? analyzeOptions(question, attempts, groups) : null;
+
+    const flags = [];
+    if (attempts.length < MIN_RESPONSES) {
+      flags.push('insufficient_data');
+    } else {
+      if (pValue < TOO_HARD_P_VALUE) flags.push('too_hard');
+      if (pValue > TOO_EASY_P_VALUE) flags.push('too_easy');
+      if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+      else if (discrimination !== null && discrimination < MIN_DISCRIMINATION) flags.push('low_discrimination');
+    }
+    if (optionAnalysis) {
+      const { options: analyzed } = optionAnalysis;
+      if (analyzed.some(option => option.flags.includes('non_functioning'))) flags.push('non_functioning_distractors');
+      // A distractor the strongest learners pick more often than the key suggests a wrong key
+      const keyShare = Math.max(...analyzed.filter(option => option.isCorrect).map(option => option.upperShare || 0), 0);
+      if (groups.upper.size > 0 && analyzed.some(option => !option.isCorrect && option.upperShare > keyShare)) flags.push('possible_miskey');
+    }
+
+    return {
+      questionId: question.id,
+      number: number + 1,
+      text: question.text || question.content || '',
+      type: question.type,
+      asked,
+      graded: attempts.length,
+      pendingReview: asked - attempts.length,
+      pValue: round(pValue),
+      discrimination: round(discrimination),
+      flags,
+      options: optionAnalysis ? optionAnalysis.options : null,
+      omitted: optionAnalysis ? optionAnalysis.omitted : null
+    };
+  });
+
+  return {
+    submissions: submissions.length,
+    averageScore: ranked.length > 0 ? Math.round(mean(ranked.map(entry => entry.score)) * 100) : null,
+    minResponses: MIN_RESPONSES,
+    questions: items
+  };
+}
+
+module.exports = {
+  MIN_RESPONSES,
+  analyzeItems
+};
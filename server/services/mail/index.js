@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', 'outbox');
+
+// Transport factories keyed by the MAIL_TRANSPORT name. Each returns an object with `send(message)`.
+const transportFactories = {
+  // Real delivery through any SMTP server (Mailpit/MailHog locally, a provider in production)
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  // Development outbox: each message is written as an .eml file that any mail client can open
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const recipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const filePath = path.join(outboxDir, `${Date.now()}-${recipient}.eml`);
+        await fs.promises.writeFile(filePath, info.message);
+
+        console.log(`Mail written to outbox: ${filePath}`);
+        return { messageId: info.messageId, path: filePath };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async `send(message)` method
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) {
+    activeTransport = null;
+  }
+}
+
+/**
+ * Get the configured transport (MAIL_TRANSPORT, otherwise SMTP when SMTP_HOST is set, otherwise the file outbox)
+ * @returns {Object} - The mail transport
+ */
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  activeTransport = { name, ...factory() };
+  console.log(`Using mail transport: ${name}`);
+  return activeTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result including messageId
+ */
+async function sendMail(message) {
+  const transport = getTransport();
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'TestCraft.ai <no-reply@testcraft.ai>',
+    ...message
+  });
+}
+
+// Local development links point at the Vite dev server
+const DEVELOPMENT_APP_URL = 'http://localhost:5173';
+
+/**
+ * Get the public frontend URL used in links sent by email. It only comes from APP_URL, never
+ * from the request, so a client cannot make a reset link point at another host.
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getAppUrl() {
+  const appUrl = process.env.APP_URL || (process.env.NODE_ENV === 'production' ? null : DEVELOPMENT_APP_URL);
+  if (!appUrl) {
+    const error = new Error('APP_URL must be set to the public frontend URL to send links by email');
+    error.code = 'APP_URL_MISSING';
+    throw error;
+  }
+  return appUrl.replace(/\/+$/, '');
+}
+
+module.exports = {
+  getAppUrl,
+  registerTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,122 @@
+/**
+ * Escape text for safe inclusion in HTML email bodies
+ * @param {any} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a due date for display, or null when there is none
+ * @param {string|Date} dueDate - Due date
+ * @returns {string|null} - Human readable date
+ */
+function formatDueDate(dueDate) {
+  if (!dueDate) return null;
+  const date = new Date(dueDate);
+  if (isNaN(date.getTime())) return null;
+  return date.toLocaleString('en-US', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  }) + ' UTC';
+}
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {string} title - Heading shown at the top
+ * @param {string} body - Inner HTML
+ * @returns {string} - Complete HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f8fafc;font-family:Arial,Helvetica,sans-serif;color:#0f172a;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border:1px solid #e2e8f0;border-radius:8px;padding:24px;">
+      <h1 style="font-size:20px;margin:0 0 16px;color:#06545E;">${escapeHtml(title)}</h1>
+      ${body}
+      <p style="font-size:12px;color:#94a3b8;margin-top:24px;">Sent by TestCraft.ai</p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Quiz invitation email
+ * @param {Object} params - { quizTitle, quizUrl, accessCode, dueDate, tutorName, message }
+ * @returns {Object} - { subject, text, html }
+ */
+function quizInvitation({ quizTitle, quizUrl, accessCode, dueDate, tutorName, message }) {
+  const due = formatDueDate(dueDate);
+  const inviter = tutorName || 'Your tutor';
+
+  const text = [
+    `${inviter} has invited you to take the quiz "${quizTitle}".`,
+    message ? `\n${message}\n` : '',
+    `Start the quiz: ${quizUrl}`,
+    accessCode ? `Access code: ${accessCode}` : '',
+    due ? `Due: ${due}` : ''
+  ].filter(Boolean).join('\n');
+
+  const html = layout(`You're invited to take "${quizTitle}"`, `
+      <p>${escapeHtml(inviter)} has invited you to take the quiz <strong>${escapeHtml(quizTitle)}</strong>.</p>
+      ${message ? `<p style="padding:12px;background:#f1f5f9;border-radius:6px;white-space:pre-line;">${escapeHtml(message)}</p>` : ''}
+      ${due ? `<p><strong>Due:</strong> ${escapeHtml(due)}</p>` : ''}
+      ${accessCode ? `<p><strong>Access code:</strong> <code>${escapeHtml(accessCode)}</code></p>` : ''}
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(quizUrl)}" style="background:#06545E;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;">Start quiz</a>
+      </p>
+      <p style="font-size:12px;color:#64748b;">If the button does not work, copy this link into your browser:<br>${escapeHtml(quizUrl)}</p>`);
+
+  return {
+    subject: `Invitation: ${quizTitle}${due ? ` (due ${due})` : ''}`,
+    text,
+    html
+  };
+}
+
+/**
+ * Password reset email
+ * @param {Object} params - { name, resetUrl, expiresInMinutes }
+ * @returns {Object} - { subject, text, html }
+ */
+function passwordReset({ name, resetUrl, expiresInMinutes }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+
+  const text = [
+    greeting,
+    '',
+    'We received a request to reset the password for your TestCraft.ai account.',
+    `Choose a new password here: ${resetUrl}`,
+    '',
+    `This link can be used once and expires in ${expiresInMinutes} minutes.`,
+    'If you did not request a password reset, you can ignore this email.'
+  ].join('\n');
+
+  const html = layout('Reset your password', `
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received a request to reset the password for your TestCraft.ai account.</p>
+      <p style="margin:24px 0;">
+        <a href="${escapeHtml(resetUrl)}" style="background:#06545E;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;">Choose a new password</a>
+      </p>
+      <p>This link can be used once and expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+      <p style="font-size:12px;color:#64748b;">If you did not request a password reset, you can ignore this email.</p>`);
+
+  return {
+    subject: 'Reset your TestCraft.ai password',
+    text,
+    html
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  quizInvitation,
+  passwordReset
+};
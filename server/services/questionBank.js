@@ -0,0 +1,179 @@
+const db = require('../db/index');
+
+// Same levels as the quiz complexity in CreateQuiz
+const BANK_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Question fields and the bank columns they are stored in
+const FIELD_COLUMNS = {
+  type: 'type',
+  text: 'text',
+  options: 'options',
+  correctAnswer: 'correct_answer',
+  explanation: 'explanation',
+  category: 'category',
+  difficulty: 'difficulty',
+  tags: 'tags'
+};
+
+function bankError(message, code = 'BANK_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize tags given as an array or a comma separated string
+ * @param {Array|string} tags - Tag names
+ * @returns {Array<string>} - Unique, trimmed, lowercase tags
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags || [];
+  if (!Array.isArray(list)) {
+    throw bankError('tags must be an array or a comma separated string');
+  }
+
+  const normalized = [...new Set(list
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean))];
+
+  if (normalized.length > MAX_TAGS) {
+    throw bankError(`A question can have at most ${MAX_TAGS} tags`);
+  }
+  const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw bankError(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate a question sent from the editor and map it to bank columns
+ * @param {Object} input - { type, content|text, options, correctAnswer, explanation, category, difficulty, tags }
+ * @param {Object} options - { partial } to only map the fields present, for updates
+ * @returns {Object} - Column values for the question_bank table
+ */
+function toBankColumns(input, { partial = false } = {}) {
+  const fields = {
+    ...input,
+    text: input.content !== undefined ? input.content : input.text,
+    correctAnswer: input.correctAnswer !== undefined ? input.correctAnswer : input.correct_answer
+  };
+
+  if (!partial || fields.type !== undefined) {
+    if (typeof fields.type !== 'string' || !fields.type.trim()) {
+      throw bankError('A question type is required');
+    }
+  }
+  if (!partial || fields.text !== undefined) {
+    if (typeof fields.text !== 'string' || !fields.text.trim()) {
+      throw bankError('The question text is required');
+    }
+  }
+  if (fields.difficulty !== undefined && fields.difficulty !== null && fields.difficulty !== '' &&
+      !BANK_DIFFICULTIES.includes(fields.difficulty)) {
+    throw bankError(`difficulty must be one of: ${BANK_DIFFICULTIES.join(', ')}`);
+  }
+
+  const columns = {};
+  Object.entries(FIELD_COLUMNS).forEach(([field, column]) => {
+    if (partial && fields[field] === undefined) return;
+
+    switch (field) {
+      case 'tags':
+        columns.tags = normalizeTags(fields.tags);
+        break;
+      case 'text':
+        columns.text = fields.text.trim();
+        break;
+      case 'options':
+        columns.options = fields.options === undefined ? [] : fields.options;
+        break;
+      case 'correctAnswer':
+        columns.correct_answer = fields.correctAnswer === undefined ? null : fields.correctAnswer;
+        break;
+      default:
+        columns[column] = typeof fields[field] === 'string' && fields[field].trim() ? fields[field].trim() : null;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Convert a bank question into the shape the quiz editor uses
+ * @param {Object} bankQuestion - question_bank row
+ * @returns {Object} - { id, type, content, options, correctAnswer, explanation, category, difficulty, tags, usageCount, lastUsedAt, createdAt }
+ */
+function toEditorQuestion(bankQuestion) {
+  return {
+    id: bankQuestion.id,
+    type: bankQuestion.type,
+    content: bankQuestion.text,
+    options: bankQuestion.options || [],
+    correctAnswer: bankQuestion.correct_answer,
+    explanation: bankQuestion.explanation || '',
+    category: bankQuestion.category,
+    difficulty: bankQuestion.difficulty,
+    tags: bankQuestion.tags || [],
+    usageCount: bankQuestion.usage_count || 0,
+    lastUsedAt: bankQuestion.last_used_at,
+    createdAt: bankQuestion.created_at
+  };
+}
+
+/**
+ * Summarize where a bank question is used and how learners answered it
+ * @param {number} bankQuestionId - Bank question ID
+ * @returns {Promise<Object>} - { quizzes: [{ quizId, title, status, questionId, linked }], attempts,
+ *   correct, correctRate, averageScore } where the rates are percentages (null without attempts)
+ */
+async function getBankQuestionUsage(bankQuestionId) {
+  const links = await db.getBankQuestionLinks(bankQuestionId);
+  let attempts = 0;
+  let correct = 0;
+  let score = 0;
+  let maxScore = 0;
+
+  for (const quizId of [...new Set(links.map(link => link.quiz_id))]) {
+    const questionIds = links.filter(link => link.quiz_id === quizId).map(link => String(link.id));
+    const submissions = await db.getSubmissions(quizId);
+
+    submissions.forEach(submission => {
+      (submission.responses || [])
+        .filter(response => questionIds.includes(String(response.questionId)))
+        .forEach(response => {
+          attempts++;
+          if (response.isCorrect === true) correct++;
+          if (typeof response.score === 'number' && response.maxScore > 0) {
+            score += response.score;
+            maxScore += response.maxScore;
+          }
+        });
+    });
+  }
+
+  return {
+    quizzes: links.map(link => ({
+      quizId: link.quiz_id,
+      title: link.quiz_title,
+      status: link.quiz_status,
+      questionId: link.id,
+      linked: !!link.bank_linked
+    })),
+    attempts,
+    correct,
+    correctRate: attempts > 0 ? Math.round((correct / attempts) * 100) : null,
+    averageScore: maxScore > 0 ? Math.round((score / maxScore) * 100) : null
+  };
+}
+
+module.exports = {
+  BANK_DIFFICULTIES,
+  normalizeTags,
+  toBankColumns,
+  toEditorQuestion,
+  getBankQuestionUsage
+};
@@ -0,0 +1,297 @@
+const { spreadsheetError } = require('./spreadsheet');
+
+// Question types of the question editor (QuestionForm) and the names tutors may use for them
+const TYPE_ALIASES = {
+  multiple_choice: ['multiplechoice', 'mc', 'mcq', 'choice'],
+  true_false: ['truefalse', 'tf'],
+  paragraph: ['paragraph', 'openended', 'longanswer'],
+  matching: ['matching', 'match'],
+  fill_in_blanks: ['fillinblanks', 'fillintheblanks', 'fillintheblank', 'fillinblank', 'blanks', 'cloze'],
+  file_upload: ['fileupload', 'upload'],
+  dropdown: ['dropdown', 'select']
+};
+
+// Template columns and the header names accepted for them
+const COLUMNS = {
+  type: ['type', 'questiontype'],
+  text: ['text', 'question', 'questiontext', 'content'],
+  options: ['options', 'choices'],
+  correctAnswer: ['correctanswer', 'answer', 'correct', 'answers'],
+  explanation: ['explanation', 'feedback'],
+  imageUrl: ['imageurl', 'image', 'mediaurl', 'imagelink']
+};
+
+const TEMPLATE_COLUMNS = ['type', 'text', 'options', 'correct_answer', 'explanation', 'image_url'];
+
+const MAX_ROWS = 500;
+const MAX_CHOICE_OPTIONS = 26;
+const MAX_RUBRIC_POINTS = 10;
+
+// Same defaults as a new file upload question in the editor: accepted extensions, max size in MB
+const DEFAULT_UPLOAD_OPTIONS = ['.pdf,.doc,.docx', '5'];
+
+// Lists in a cell are separated with "|" or line breaks; fill in the blank answers use ";" between
+// blanks because "|" separates the accepted alternatives of one blank
+const LIST_SEPARATOR = /\s*(?:\||\r?\n)\s*/;
+const BLANK_SEPARATOR = /\s*(?:;|\r?\n)\s*/;
+const PAIR_SEPARATOR = /\s*(?:=>|->)\s*/;
+const BLANK_PATTERN = /_+/g;
+
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function splitList(value, separator = LIST_SEPARATOR) {
+  return String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+function findType(value) {
+  const key = normalizeKey(value);
+  return Object.keys(TYPE_ALIASES).find(type => normalizeKey(type) === key || TYPE_ALIASES[type].includes(key)) || null;
+}
+
+/**
+ * Resolve the correct options of a choice question. Each answer can be the option text, its
+ * letter (A, B, ...) or its position counting from 1; several answers are separated with commas.
+ * @returns {Array<number>|null} - Option indices, or null when an answer matches no option
+ */
+function findCorrectOptions(options, value) {
+  const texts = options.map(option => option.toLowerCase());
+  const whole = texts.indexOf(String(value).trim().toLowerCase());
+  if (whole !== -1) return [whole];
+
+  const indices = splitList(value, /\s*[,;]\s*/).map(answer => {
+    const byText = texts.indexOf(answer.toLowerCase());
+    if (byText !== -1) return byText;
+    if (/^[a-z]$/i.test(answer)) return answer.toUpperCase().charCodeAt(0) - 65;
+    if (/^\d+$/.test(answer)) return parseInt(answer, 10) - 1;
+    return -1;
+  });
+
+  if (indices.length === 0 || indices.some(index => index < 0 || index >= options.length)) return null;
+  return [...new Set(indices)].sort((a, b) => a - b);
+}
+
+function buildChoice(values, type, errors) {
+  const options = splitList(values.options);
+  if (options.length < 2) {
+    errors.push('options must list at least two choices separated with "|"');
+  } else if (options.length > MAX_CHOICE_OPTIONS) {
+    errors.push(`options can have at most ${MAX_CHOICE_OPTIONS} choices`);
+  } else if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    errors.push('options must not contain the same choice twice');
+  }
+
+  if (!values.correctAnswer) {
+    errors.push('correct_answer is required: the text, letter or number of the correct choice');
+    return { options, correctAnswer: null };
+  }
+  const correct = options.length >= 2 ? findCorrectOptions(options, values.correctAnswer) : [];
+  if (!correct) {
+    errors.push(`correct_answer "${values.correctAnswer}" does not match any of the options`);
+    return { options, correctAnswer: null };
+  }
+  if (type === 'dropdown' && correct.length > 1) {
+    errors.push('dropdown questions have exactly one correct choice');
+  }
+  return { options, correctAnswer: correct.length === 1 ? correct[0] : correct };
+}
+
+function buildTrueFalse(values, errors) {
+  const answer = normalizeKey(values.correctAnswer);
+  const correctAnswer = ['true', 't', 'yes'].includes(answer) ? 0 : ['false', 'f', 'no'].includes(answer) ? 1 : null;
+  if (correctAnswer === null) {
+    errors.push('correct_answer must be True or False');
+  }
+  return { options: ['True', 'False'], correctAnswer };
+}
+
+function buildMatching(values, errors) {
+  const items = splitList(values.options);
+  const options = items.map(item => {
+    const [left, ...rest] = item.split(PAIR_SEPARATOR);
+    return { left: (left || '').trim(), right: rest.join(' ').trim() };
+  });
+
+  if (options.length < 2) {
+    errors.push('options must list at least two pairs like "left => right" separated with "|"');
+  } else if (options.some(pair => !pair.left || !pair.right)) {
+    errors.push('every matching pair needs a left and a right side, like "left => right"');
+  }
+  // Pairs are written together, so each left item matches its own right item
+  return { options, correctAnswer: options.map((_, index) => index) };
+}
+
+function buildFillInBlanks(values, text, errors) {
+  const blanks = (text.match(BLANK_PATTERN) || []).length;
+  const answers = splitList(values.correctAnswer, BLANK_SEPARATOR);
+
+  if (blanks === 0) {
+    errors.push('text must mark each blank with an underscore "_"');
+  } else if (answers.length !== blanks) {
+    errors.push(`correct_answer has ${answers.length} ${answers.length === 1 ? 'answer' : 'answers'} but text has ${blanks} ${blanks === 1 ? 'blank' : 'blanks'}; separate the answers with ";"`);
+  }
+  const correctAnswer = answers.map(answer => splitList(answer).join('|'));
+  // The editor keeps the blank answers in both fields
+  return { text: text.replace(BLANK_PATTERN, '_'), options: correctAnswer, correctAnswer };
+}
+
+function buildParagraph(values, errors) {
+  // Optional rubric: "criterion => points" items
+  const options = splitList(values.options).map(item => {
+    const [criterion, points] = item.split(PAIR_SEPARATOR);
+    return { criterion: (criterion || '').trim(), points: Number(points) };
+  });
+  if (options.some(item => !item.criterion || !Number.isInteger(item.points) || item.points < 1 || item.points > MAX_RUBRIC_POINTS)) {
+    errors.push(`rubric options must be "criterion => points" with whole points from 1 to ${MAX_RUBRIC_POINTS}`);
+  }
+  return { options, correctAnswer: values.correctAnswer || '' };
+}
+
+function buildFileUpload(values, errors) {
+  if (!values.options) return { options: DEFAULT_UPLOAD_OPTIONS, correctAnswer: '' };
+
+  const [extensions, size = DEFAULT_UPLOAD_OPTIONS[1]] = splitList(values.options);
+  const accepted = splitList(extensions, /\s*,\s*/);
+  if (accepted.length === 0 || accepted.some(extension => !/^\.[a-z0-9]+$/i.test(extension))) {
+    errors.push('options must list the accepted file extensions like ".pdf,.docx", optionally followed by "| max size in MB"');
+  }
+  if (!(Number(size) > 0)) {
+    errors.push('the maximum file size must be a positive number of MB');
+  }
+  return { options: [accepted.join(','), String(size)], correctAnswer: '' };
+}
+
+/**
+ * Validate one spreadsheet row and turn it into an editor question
+ * @param {Object} values - Cells keyed by template field (type, text, options, correctAnswer, explanation, imageUrl)
+ * @returns {Object} - { question, errors } where question is { type, text, options, correctAnswer, explanation, mediaUrl }
+ */
+function parseQuestionRow(values) {
+  const errors = [];
+  const type = findType(values.type);
+  const text = values.text || '';
+
+  if (!values.type) {
+    errors.push(`type is required: one of ${Object.keys(TYPE_ALIASES).join(', ')}`);
+  } else if (!type) {
+    errors.push(`type "${values.type}" is not one of ${Object.keys(TYPE_ALIASES).join(', ')}`);
+  }
+  if (!text) {
+    errors.push('text is required');
+  }
+
+  const imageUrl = values.imageUrl || '';
+  if (imageUrl && !/^https?:\/\/\S+$/i.test(imageUrl) && !/^\/uploads\/\S+$/.test(imageUrl)) {
+    errors.push('image_url must be a web address starting with http:// or https://');
+  }
+
+  let fields = { options: [], correctAnswer: null };
+  switch (type) {
+    case 'multiple_choice':
+    case 'dropdown':
+      fields = buildChoice(values, type, errors);
+      break;
+    case 'true_false':
+      fields = buildTrueFalse(values, errors);
+      break;
+    case 'matching':
+      fields = buildMatching(values, errors);
+      break;
+    case 'fill_in_blanks':
+      fields = buildFillInBlanks(values, text, errors);
+      break;
+    case 'paragraph':
+      fields = buildParagraph(values, errors);
+      break;
+    case 'file_upload':
+      fields = buildFileUpload(values, errors);
+      break;
+    default:
+      break;
+  }
+
+  return {
+    question: {
+      type,
+      text,
+      explanation: values.explanation || '',
+      mediaUrl: imageUrl || null,
+      ...fields
+    },
+    errors
+  };
+}
+
+/**
+ * Validate every row of a question spreadsheet
+ * @param {Object} sheet - { columns, rows } from readSpreadsheet
+ * @returns {Object} - { rows: [{ row, status, errors, question }], summary: { total, valid, invalid } }
+ *   where row is the spreadsheet row number and status is valid or invalid
+ */
+function previewQuestionImport(sheet) {
+  const columnNames = {};
+  sheet.columns.forEach(column => {
+    const field = Object.keys(COLUMNS).find(key => COLUMNS[key].includes(normalizeKey(column)));
+    if (field && !columnNames[field]) columnNames[field] = column;
+  });
+
+  const missing = ['type', 'text'].filter(field => !columnNames[field]);
+  if (missing.length > 0) {
+    throw spreadsheetError(`The spreadsheet needs these columns: ${missing.join(', ')}. Download the template to see the expected layout.`);
+  }
+  if (sheet.rows.length === 0) {
+    throw spreadsheetError('The spreadsheet has no question rows');
+  }
+  if (sheet.rows.length > MAX_ROWS) {
+    throw spreadsheetError(`A spreadsheet can hold at most ${MAX_ROWS} questions; split it into several files`);
+  }
+
+  const rows = sheet.rows.map(({ rowNumber, values }) => {
+    const fields = Object.keys(COLUMNS).reduce((result, field) => {
+      result[field] = columnNames[field] ? values[columnNames[field]] : '';
+      return result;
+    }, {});
+    const { question, errors } = parseQuestionRow(fields);
+    return {
+      row: rowNumber,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      question
+    };
+  });
+
+  const valid = rows.filter(row => row.status === 'valid').length;
+  return {
+    rows,
+    summary: { total: rows.length, valid, invalid: rows.length - valid }
+  };
+}
+
+/**
+ * The question import template: its columns and an example row for every question type
+ * @returns {Object} - { columns, rows }
+ */
+function getImportTemplate() {
+  return {
+    columns: TEMPLATE_COLUMNS,
+    rows: [
+      ['multiple_choice', 'What is the capital of France?', 'Paris | Rome | Madrid | Berlin', 'A', 'Paris has been the capital since 987.', ''],
+      ['multiple_choice', 'Which of these are prime numbers?', '2 | 4 | 5 | 9', 'A, C', '', ''],
+      ['true_false', 'The Earth orbits the Sun.', '', 'True', '', ''],
+      ['dropdown', 'At sea level, water boils at how many degrees Celsius?', '90 | 100 | 110', '100', '', ''],
+      ['matching', 'Match each country with its capital.', 'France => Paris | Italy => Rome | Spain => Madrid', '', '', ''],
+      ['fill_in_blanks', 'The _ is the largest planet and _ is closest to the Sun.', '', 'Jupiter; Mercury', '', ''],
+      ['paragraph', 'Explain why the sky is blue.', 'Mentions scattering => 2 | Clear explanation => 1', 'Sunlight is scattered by air molecules, blue light the most.', '', ''],
+      ['file_upload', 'Upload your lab report.', '.pdf,.docx | 10', '', '', 'https://example.com/lab.png']
+    ]
+  };
+}
+
+module.exports = {
+  QUESTION_IMPORT_TYPES: Object.keys(TYPE_ALIASES),
+  MAX_ROWS,
+  parseQuestionRow,
+  previewQuestionImport,
+  getImportTemplate
+};
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Question types whose options are presented in a random order when settings.shuffleOptions is on
+const SHUFFLED_OPTION_TYPES = ['multiple_choice', 'dropdown'];
+
+// A learner has this long between opening a quiz and submitting it
+const FORM_TOKEN_TTL = '24h';
+
+// Learners don't log in: the server gives each browser an ID, signed so it cannot be made up
+const LEARNER_TOKEN_TTL = '365d';
+
+// Question fields that give the answer away and never reach learners
+const ANSWER_FIELDS = ['correct_answer', 'correctAnswer', 'explanation', 'bank_question_id', 'bank_linked', 'source', 'pool'];
+
+const MAX_POOL_NAME_LENGTH = 60;
+
+function formError(message, code = 'FORM_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw formError('JWT_SECRET is not set, so quiz forms cannot be signed or verified', 'FORM_SECRET_MISSING');
+  }
+  return process.env.JWT_SECRET;
+}
+
+function shuffle(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function parseOptions(question) {
+  if (typeof question.options !== 'string') return question.options || [];
+  try {
+    return JSON.parse(question.options) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Normalize a question's pool name
+ * @param {any} pool - Pool name from the editor
+ * @returns {string|null} - Trimmed name, or null for questions every learner gets
+ */
+function normalizePoolName(pool) {
+  if (pool === undefined || pool === null) return null;
+  const name = String(pool).trim();
+  if (name.length > MAX_POOL_NAME_LENGTH) {
+    throw formError(`Pool name "${name}" is longer than ${MAX_POOL_NAME_LENGTH} characters`);
+  }
+  return name || null;
+}
+
+/**
+ * Validate the pools of a quiz's settings
+ * @param {Array} pools - settings.pools: [{ name, draw }] where `draw` is how many questions
+ *   each learner gets from the pool
+ * @param {Array} questions - Optional questions to check: each question's pool must be defined
+ * @returns {Array} - Normalized pools
+ */
+function normalizePools(pools, questions = []) {
+  if (pools === undefined || pools === null) return [];
+  if (!Array.isArray(pools)) {
+    throw formError('pools must be an array of { name, draw }');
+  }
+
+  const names = new Set();
+  const normalized = pools.map(pool => {
+    const name = normalizePoolName(pool && pool.name);
+    const draw = Number(pool && pool.draw);
+
+    if (!name) {
+      throw formError('Every pool needs a name');
+    }
+    if (names.has(name)) {
+      throw formError(`Pool "${name}" is defined more than once`);
+    }
+    if (!Number.isInteger(draw) || draw < 1) {
+      throw formError(`Pool "${name}" must draw at least one question`);
+    }
+
+    names.add(name);
+    return { name, draw };
+  });
+
+  questions.forEach(question => {
+    const pool = normalizePoolName(question.pool);
+    if (pool && !names.has(pool)) {
+      throw formError(`Pool "${pool}" is not defined in the quiz settings`);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Build the form served to one learner: the questions drawn from each pool, in stored or
+ * shuffled order, and the order their options are shown in. Matching pairs are stored in
+ * answer order, so their right items are always shuffled.
+ * @param {Array} questions - Questions from db.getQuestions, in stored order
+ * @param {Object} settings - Parsed quiz settings ({ pools, shuffle, shuffleOptions })
+ * @returns {Object} - { questions: [{ questionId, optionOrder, rightOrder }] } where `optionOrder[i]`
+ *   is the stored index of the option shown in position i (omitted when options keep their order)
+ *   and `rightOrder[i]` the stored index of the right item shown in position i of a matching question
+ */
+function buildQuizForm(questions, settings = {}) {
+  const pools = normalizePools(settings.pools);
+  const drawn = new Set();
+
+  // Questions outside the configured pools are always asked
+  questions
+    .filter(question => !pools.some(pool => pool.name === question.pool))
+    .forEach(question => drawn.add(question.id));
+  pools.forEach(pool => {
+    shuffle(questions.filter(question => question.pool === pool.name))
+      .slice(0, pool.draw)
+      .forEach(question => drawn.add(question.id));
+  });
+
+  const selected = questions.filter(question => drawn.has(question.id));
+  const ordered = settings.shuffle ? shuffle(selected) : selected;
+
+  return {
+    questions: ordered.map(question => {
+      const entry = { questionId: question.id };
+      const options = parseOptions(question);
+      if (settings.shuffleOptions && SHUFFLED_OPTION_TYPES.includes(question.type) && options.length > 1) {
+        entry.optionOrder = shuffle(options.map((_, index) => index));
+      }
+      if (question.type === 'matching' && options.length > 1) {
+        entry.rightOrder = shuffle(options.map((_, index) => index));
+      }
+      return entry;
+    })
+  };
+}
+
+/**
+ * Get the stored questions of a form, in the order the learner saw them. Without a form
+ * (submissions made before forms were recorded) every question is returned.
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Object|null} form - Form from buildQuizForm
+ * @returns {Array} - Questions
+ */
+function getFormQuestions(questions, form) {
+  if (!form || !Array.isArray(form.questions)) return questions;
+  return form.questions
+    .map(entry => questions.find(question => String(question.id) === String(entry.questionId)))
+    .filter(Boolean);
+}
+
+/**
+ * Present the questions of a form as the learner sees them, with options in form order
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Object} form - Form from buildQuizForm
+ * @returns {Array} - Questions in form order
+ */
+function applyQuizForm(questions, form) {
+  return getFormQuestions(questions, form).map(question => {
+    const entry = form.questions.find(item => String(item.questionId) === String(question.id));
+    const options = parseOptions(question);
+
+    if (entry.rightOrder) {
+      return {
+        ...question,
+        options: options.map((option, index) => ({
+          left: option && option.left,
+          right: options[entry.rightOrder[index]] && options[entry.rightOrder[index]].right
+        }))
+      };
+    }
+    if (!entry.optionOrder) return question;
+
+    return {
+      ...question,
+      options: entry.optionOrder.map(index => options[index])
+    };
+  });
+}
+
+/**
+ * Remove everything from a question that gives its answer away before it is sent to a learner:
+ * the answer key, explanation, bank and pool details and which options are correct. Blanks are
+ * stored as the options of fill-in-the-blank questions, so those are dropped too.
+ * @param {Object} question - Question as presented by applyQuizForm
+ * @returns {Object} - Question safe to show a learner
+ */
+function toLearnerQuestion(question) {
+  const learnerQuestion = { ...question };
+  ANSWER_FIELDS.forEach(field => delete learnerQuestion[field]);
+
+  const options = parseOptions(question);
+  if (question.type === 'fill_in_blanks' || question.type === 'fill_in_blank') {
+    learnerQuestion.options = [];
+  } else if (Array.isArray(options)) {
+    learnerQuestion.options = options.map(option => {
+      if (!option || typeof option !== 'object') return option;
+      const { isCorrect, correct, ...rest } = option;
+      return rest;
+    });
+  }
+  return learnerQuestion;
+}
+
+/**
+ * Map a matching answer given against the shown right items back to the stored ones. Answers
+ * are either { 'option-<right>': left } or an array of right indices per left item.
+ */
+function toStoredMatches(answer, rightOrder) {
+  const toStoredIndex = value => {
+    const index = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    return Number.isInteger(index) && rightOrder[index] !== undefined ? rightOrder[index] : value;
+  };
+
+  if (Array.isArray(answer)) return answer.map(toStoredIndex);
+  if (!answer || typeof answer !== 'object') return answer;
+
+  const stored = {};
+  Object.entries(answer).forEach(([key, left]) => {
+    const shown = key.replace(/^option-/, '');
+    stored[`option-${toStoredIndex(shown)}`] = left;
+  });
+  return stored;
+}
+
+/**
+ * Map learner answers given against a form's option order back to the stored option indices,
+ * so grading and statistics never need to know the form
+ * @param {Array} responses - Learner responses ({ questionId, answer })
+ * @param {Object} form - Form from buildQuizForm
+ * @returns {Array} - Responses with stored option indices
+ */
+function toStoredResponses(responses, form) {
+  return responses.map(response => {
+    const entry = form.questions.find(item => String(item.questionId) === String(response.questionId));
+    if (entry && entry.rightOrder) {
+      return { ...response, answer: toStoredMatches(response.answer, entry.rightOrder) };
+    }
+    if (!entry || !entry.optionOrder) return response;
+
+    const toStoredIndex = value => {
+      const index = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+      return Number.isInteger(index) && entry.optionOrder[index] !== undefined ? entry.optionOrder[index] : value;
+    };
+
+    return {
+      ...response,
+      answer: Array.isArray(response.answer) ? response.answer.map(toStoredIndex) : toStoredIndex(response.answer)
+    };
+  });
+}
+
+/**
+ * Sign the ID of an anonymous learner of a quiz; attempts are counted against it
+ * @param {number} quizId - Quiz ID
+ * @param {string} learnerId - Learner ID from createLearnerId
+ * @returns {string} - Learner token the browser keeps
+ */
+function signLearnerToken(quizId, learnerId) {
+  return jwt.sign({ quizId, learnerId }, getSecret(), { expiresIn: LEARNER_TOKEN_TTL });
+}
+
+/**
+ * Read the learner ID from a token the browser kept
+ * @param {number} quizId - Quiz ID
+ * @param {string} token - Token from signLearnerToken
+ * @returns {string|null} - Learner ID, or null when the token is missing, invalid or for another quiz
+ */
+function verifyLearnerToken(quizId, token) {
+  if (!token) return null;
+  const secret = getSecret();
+  try {
+    const payload = jwt.verify(token, secret);
+    return String(payload.quizId) === String(quizId) && payload.learnerId ? payload.learnerId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createLearnerId() {
+  return `learner_${crypto.randomUUID()}`;
+}
+
+/**
+ * Sign a form so the learner can hand it back with their submission
+ * @param {number} quizId - Quiz ID
+ * @param {Object} form - Form from buildQuizForm
+ * @param {string} learnerId - Learner the form was served to
+ * @returns {string} - Form token
+ */
+function signQuizForm(quizId, form, learnerId) {
+  return jwt.sign({ quizId, form, learnerId }, getSecret(), { expiresIn: FORM_TOKEN_TTL });
+}
+
+/**
+ * Read the form a learner was served, and who they are, from the token returned with their submission
+ * @param {number} quizId - Quiz ID the submission is for
+ * @param {string} token - Token from signQuizForm
+ * @returns {Object} - { form, learnerId }
+ */
+function verifyQuizForm(quizId, token) {
+  const secret = getSecret();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    throw formError(error.name === 'TokenExpiredError'
+      ? 'This quiz form has expired. Reload the quiz to start again.'
+      : 'This quiz form is not valid. Reload the quiz to start again.');
+  }
+
+  if (String(payload.quizId) !== String(quizId) || !payload.form || !Array.isArray(payload.form.questions)) {
+    throw formError('This quiz form belongs to another quiz. Reload the quiz to start again.');
+  }
+  // Forms signed before learners were identified by the server
+  if (!payload.learnerId) {
+    throw formError('This quiz form is not valid. Reload the quiz to start again.');
+  }
+  return { form: payload.form, learnerId: payload.learnerId };
+}
+
+module.exports = {
+  SHUFFLED_OPTION_TYPES,
+  normalizePoolName,
+  normalizePools,
+  buildQuizForm,
+  getFormQuestions,
+  applyQuizForm,
+  toLearnerQuestion,
+  toStoredResponses,
+  createLearnerId,
+  signLearnerToken,
+  verifyLearnerToken,
+  signQuizForm,
+  verifyQuizForm
+};
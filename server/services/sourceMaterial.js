@@ -0,0 +1,205 @@
+const path = require('path');
+
+// Uploaded documents the AI can generate questions from
+const SOURCE_FILE_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.txt': ['text/plain'],
+  '.md': ['text/markdown', 'text/x-markdown', 'text/plain']
+};
+
+const MAX_SOURCE_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Passages are cut at paragraph boundaries and kept small enough to cite precisely
+const MAX_PASSAGE_LENGTH = 1200;
+// Upper bound on the source text sent with a single generation request
+const MAX_PROMPT_SOURCE_LENGTH = 30000;
+
+function sourceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether an uploaded file is a supported source document
+ * @param {Object} file - Multer file ({ originalname, mimetype })
+ * @returns {boolean}
+ */
+function isSupportedSourceFile(file) {
+  const mimeTypes = SOURCE_FILE_TYPES[path.extname(file.originalname).toLowerCase()];
+  // Browsers report an empty or generic type for some text files
+  return !!mimeTypes && (mimeTypes.includes(file.mimetype) || file.mimetype === 'application/octet-stream');
+}
+
+async function extractPdf(buffer) {
+  const pdfParse = require('pdf-parse');
+  const pages = [];
+
+  // Render each page separately so passages can cite their page number
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      let text = '';
+      let lastY = null;
+      content.items.forEach(item => {
+        const y = item.transform[5];
+        text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      });
+      pages[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+
+  return pages.map((text, index) => ({ text: text || '', page: index + 1 }));
+}
+
+async function extractDocx(buffer) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return [{ text: result.value, page: null }];
+}
+
+/**
+ * Extract plain text from an uploaded document
+ * @param {Object} file - Multer file ({ originalname, buffer })
+ * @returns {Promise<Array>} - Sections of text: [{ text, page }] (page is null when unknown)
+ */
+async function extractText(file) {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  try {
+    switch (extension) {
+      case '.pdf':
+        return await extractPdf(file.buffer);
+      case '.docx':
+        return await extractDocx(file.buffer);
+      case '.txt':
+      case '.md':
+        return [{ text: file.buffer.toString('utf8'), page: null }];
+      default:
+        throw sourceError(`Unsupported file type: ${extension || 'unknown'}`, 'SOURCE_UNSUPPORTED');
+    }
+  } catch (error) {
+    if (error.code === 'SOURCE_UNSUPPORTED') throw error;
+    console.error(`Error extracting text from ${file.originalname}:`, error);
+    throw sourceError(`Could not read ${file.originalname}: ${error.message}`, 'SOURCE_UNREADABLE');
+  }
+}
+
+function splitLongParagraph(paragraph) {
+  const pieces = [];
+  let current = '';
+
+  // Prefer sentence boundaries, falling back to a hard cut for very long sentences
+  paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+    while (sentence.length > MAX_PASSAGE_LENGTH) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      pieces.push(sentence.slice(0, MAX_PASSAGE_LENGTH));
+      sentence = sentence.slice(MAX_PASSAGE_LENGTH);
+    }
+    if (current && current.length + sentence.length + 1 > MAX_PASSAGE_LENGTH) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  });
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split extracted text into numbered passages of whole paragraphs
+ * @param {Array} sections - [{ text, page }] from extractText
+ * @returns {Array} - [{ id, text, page }] with ids P1, P2, ...
+ */
+function chunkText(sections) {
+  const passages = [];
+
+  sections.forEach(({ text, page }) => {
+    const paragraphs = text
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(paragraph => (paragraph.length > MAX_PASSAGE_LENGTH ? splitLongParagraph(paragraph) : [paragraph]));
+
+    let current = '';
+    const flush = () => {
+      if (current) {
+        passages.push({ id: `P${passages.length + 1}`, text: current, page });
+        current = '';
+      }
+    };
+
+    paragraphs.forEach(paragraph => {
+      if (current && current.length + paragraph.length + 1 > MAX_PASSAGE_LENGTH) flush();
+      current = current ? `${current}\n${paragraph}` : paragraph;
+    });
+    flush();
+  });
+
+  return passages;
+}
+
+/**
+ * Pick the passages to send with a prompt. Long documents are sampled evenly so the
+ * questions cover the whole document rather than just its beginning.
+ * @param {Array} passages - Passages from chunkText
+ * @param {number} maxLength - Character budget
+ * @returns {Array} - Selected passages in document order
+ */
+function selectPassages(passages, maxLength = MAX_PROMPT_SOURCE_LENGTH) {
+  const totalLength = passages.reduce((sum, passage) => sum + passage.text.length, 0);
+  if (totalLength <= maxLength) return passages;
+
+  const averageLength = totalLength / passages.length;
+  const count = Math.max(1, Math.floor(maxLength / averageLength));
+  const step = passages.length / count;
+
+  const selected = [];
+  let length = 0;
+  for (let i = 0; i < count; i++) {
+    const passage = passages[Math.floor(i * step)];
+    if (length + passage.text.length > maxLength && selected.length > 0) break;
+    selected.push(passage);
+    length += passage.text.length;
+  }
+  return selected;
+}
+
+/**
+ * Extract, chunk and select the passages of an uploaded source document
+ * @param {Object} file - Multer file ({ originalname, buffer })
+ * @returns {Promise<Object>} - { name, passages, totalPassages }
+ */
+async function prepareSourceMaterial(file) {
+  const passages = chunkText(await extractText(file));
+  if (passages.length === 0) {
+    throw sourceError(`No text could be found in ${file.originalname}`, 'SOURCE_EMPTY');
+  }
+
+  const selected = selectPassages(passages);
+  console.log(`Source ${file.originalname}: ${passages.length} passages, ${selected.length} sent to the model`);
+
+  return {
+    name: file.originalname,
+    passages: selected,
+    totalPassages: passages.length
+  };
+}
+
+module.exports = {
+  SOURCE_FILE_TYPES,
+  MAX_SOURCE_FILE_SIZE,
+  isSupportedSourceFile,
+  extractText,
+  chunkText,
+  selectPassages,
+  prepareSourceMaterial
+};
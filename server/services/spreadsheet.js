@@ -0,0 +1,183 @@
+const ExcelJS = require('exceljs');
+
+const CSV_CONTENT_TYPE = 'text/csv; charset=utf-8';
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel only detects UTF-8 in a CSV file that starts with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Zip archives (and so XLSX files) start with "PK"
+const ZIP_SIGNATURE = 'PK';
+
+function spreadsheetError(message, code = 'SPREADSHEET_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toCsvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  // Learner answers are untrusted, so text that would run as a formula is kept as text
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a table as CSV
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array>} rows - Cell values (strings, numbers, booleans, dates or null)
+ * @returns {Buffer} - UTF-8 CSV with a byte order mark
+ */
+function toCsv(columns, rows) {
+  const lines = [columns, ...rows].map(row => row.map(toCsvCell).join(','));
+  return Buffer.from(`${UTF8_BOM}${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Write a table as an Excel workbook with one sheet
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array>} rows - Cell values (strings, numbers, booleans, dates or null)
+ * @returns {Promise<Buffer>} - XLSX file
+ */
+async function toXlsx(sheetName, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  // Worksheet names are limited to 31 characters and cannot contain []:*?/\
+  const sheet = workbook.addWorksheet(String(sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.addRow(columns).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row.map(value => (value === undefined ? null : value))));
+  sheet.columns.forEach((column, index) => {
+    const width = Math.max(...[columns[index], ...rows.map(row => row[index])]
+      .map(value => (value instanceof Date ? 20 : String(value === undefined || value === null ? '' : value).length)));
+    column.width = Math.min(Math.max(width + 2, 10), 60);
+    if (rows.some(row => row[index] instanceof Date)) column.numFmt = 'yyyy-mm-dd hh:mm:ss';
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Excel saves CSV with semicolons in locales that use a decimal comma
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+  return counts.sort((a, b) => b[1] - a[1])[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold delimiters, quotes and line breaks)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw spreadsheetError('The CSV file has an unclosed quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw spreadsheetError('The file is not a valid XLSX workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = cell.text;
+    });
+    rows[rowNumber - 1] = Array.from(cells, value => (value === undefined ? '' : value));
+  });
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file as records keyed by the header row
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - File name, used to tell CSV from XLSX
+ * @returns {Promise<Object>} - { columns: [header], rows: [{ rowNumber, values: { header: text } }] }
+ *   where rowNumber is the spreadsheet row (the header is row 1) and blank rows are left out
+ */
+async function readSpreadsheet(buffer, fileName = '') {
+  const isXlsx = /\.xlsx$/i.test(fileName) || buffer.slice(0, 2).toString() === ZIP_SIGNATURE;
+  const table = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+
+  const [header = [], ...body] = table;
+  const columns = header.map(value => String(value).trim());
+  if (!columns.some(Boolean)) {
+    throw spreadsheetError('The first row must hold the column names');
+  }
+
+  const rows = body
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      values: columns.reduce((values, column, columnIndex) => {
+        if (column) values[column] = String(cells[columnIndex] === undefined ? '' : cells[columnIndex]).trim();
+        return values;
+      }, {})
+    }))
+    .filter(row => Object.values(row.values).some(Boolean));
+
+  return { columns, rows };
+}
+
+module.exports = {
+  CSV_CONTENT_TYPE,
+  XLSX_CONTENT_TYPE,
+  spreadsheetError,
+  toCsv,
+  toXlsx,
+  readSpreadsheet
+};
@@ -0,0 +1,197 @@
+const {
+  getSelectedIndices,
+  getMatchingSelection,
+  toTrueFalseIndex,
+  gradeSubmission
+} = require('./grading');
+const { getFormQuestions } = require('./quizForm');
+const { CSV_CONTENT_TYPE, XLSX_CONTENT_TYPE, toCsv, toXlsx } = require('./spreadsheet');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Question text is shortened in the column headers
+const MAX_HEADER_TEXT_LENGTH = 40;
+
+function parseOptions(question) {
+  if (typeof question.options !== 'string') return question.options || [];
+  try {
+    return JSON.parse(question.options) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function optionText(option) {
+  if (option && typeof option === 'object') return String(option.text || option.right || '');
+  return option === undefined || option === null ? '' : String(option);
+}
+
+function isAnswered(answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  if (Array.isArray(answer)) return answer.some(isAnswered);
+  if (typeof answer === 'object') return Object.keys(answer).length > 0;
+  return true;
+}
+
+/**
+ * Describe a learner answer the way they saw it: option texts rather than indices
+ * @param {Object} question - Question row
+ * @param {any} answer - Stored answer (option indices are the stored ones, not the form's)
+ * @returns {string} - Readable answer, empty when unanswered
+ */
+function formatAnswer(question, answer) {
+  if (!isAnswered(answer)) return '';
+  const options = parseOptions(question);
+
+  switch (question.type) {
+    case 'multiple_choice':
+    case 'dropdown':
+    case 'select':
+      return getSelectedIndices(options, answer).map(index => optionText(options[index])).join('; ');
+
+    case 'true_false': {
+      const index = toTrueFalseIndex(answer);
+      return index === null ? String(answer) : ['True', 'False'][index];
+    }
+
+    case 'matching':
+      return getMatchingSelection(answer)
+        .map((rightIndex, leftIndex) => (rightIndex === null || rightIndex === undefined
+          ? null
+          : `${optionText(options[leftIndex] && options[leftIndex].left)} -> ${optionText(options[rightIndex] && options[rightIndex].right)}`))
+        .filter(Boolean)
+        .join('; ');
+
+    case 'fill_in_blanks':
+    case 'fill_in_blank':
+      return (Array.isArray(answer) ? answer : [answer]).map(value => (value === undefined || value === null ? '' : String(value))).join('; ');
+
+    case 'file_upload':
+      return typeof answer === 'object' ? String(answer.name || answer.fileName || answer.url || 'File uploaded') : String(answer);
+
+    default:
+      return typeof answer === 'object' ? JSON.stringify(answer) : String(answer);
+  }
+}
+
+function formatResult(result, answered) {
+  if (!result.autoGraded && !result.reviewed) return answered ? 'Awaiting review' : 'Not answered';
+  if (!answered && !result.reviewed) return 'Not answered';
+  if (result.isCorrect) return 'Correct';
+  if (result.score > 0) return `Partially correct (${result.score}/${result.maxScore})`;
+  return 'Incorrect';
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Lay out a quiz's submissions as a table: one row per submission with the learner,
+ * timestamps, time spent, total score and pass/fail, then an answer and a result column
+ * per question
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Array} submissions - Submissions from db.getSubmissions
+ * @returns {Object} - { columns: [header], rows: [[value]] }
+ */
+function buildSubmissionTable(quiz, questions, submissions) {
+  const settings = typeof quiz.settings === 'string' ? JSON.parse(quiz.settings || '{}') : quiz.settings || {};
+
+  const columns = [
+    'Submission ID',
+    'Learner',
+    'Started at',
+    'Submitted at',
+    'Time spent (seconds)',
+    'Score',
+    'Max score',
+    'Percentage',
+    'Result',
+    'Status'
+  ];
+  questions.forEach((question, index) => {
+    const text = String(question.text || question.content || '').replace(/\s+/g, ' ').trim();
+    const label = `Q${index + 1}${text ? `: ${text.length > MAX_HEADER_TEXT_LENGTH ? `${text.slice(0, MAX_HEADER_TEXT_LENGTH - 3)}...` : text}` : ''}`;
+    columns.push(`${label} (answer)`, `Q${index + 1} (result)`);
+  });
+
+  const rows = submissions.map(submission => {
+    const responses = submission.responses || submission.answers || [];
+    const metadata = submission.metadata || {};
+    // Questions drawn from pools are only asked in some forms
+    const asked = getFormQuestions(questions, submission.form);
+    const grading = gradeSubmission(asked, responses, settings);
+
+    const submittedAt = toDate(submission.submitted_at || submission.created_at);
+    const timeSpent = Number.isFinite(Number(metadata.timeSpent)) && metadata.timeSpent !== null ? Number(metadata.timeSpent) : null;
+    const startedAt = toDate(metadata.startedAt) ||
+      (submittedAt && timeSpent !== null ? new Date(submittedAt.getTime() - timeSpent * 1000) : null);
+
+    // The recorded result is what the learner was shown and the tutor graded
+    const score = metadata.points !== undefined ? metadata.points : grading.score;
+    const maxScore = metadata.maxPoints !== undefined ? metadata.maxPoints : grading.maxScore;
+    const percentage = metadata.score !== undefined ? metadata.score : grading.percentage;
+    const passed = metadata.passed !== undefined ? metadata.passed : grading.passed;
+
+    const row = [
+      submission.id,
+      submission.learner_id || 'Anonymous User',
+      startedAt,
+      submittedAt,
+      timeSpent,
+      score,
+      maxScore,
+      percentage,
+      passed ? 'Pass' : 'Fail',
+      submission.status || 'submitted'
+    ];
+
+    questions.forEach(question => {
+      if (!asked.includes(question)) {
+        row.push('', 'Not asked');
+        return;
+      }
+      const response = responses.find(item => String(item.questionId !== undefined ? item.questionId : item.question_id) === String(question.id)) || {};
+      row.push(formatAnswer(question, response.answer), formatResult(grading.questions[question.id], isAnswered(response.answer)));
+    });
+
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Export a quiz's submissions as a spreadsheet
+ * @param {string} format - csv or xlsx
+ * @param {Object} quiz - Quiz row
+ * @param {Array} questions - Questions from db.getQuestions
+ * @param {Array} submissions - Submissions from db.getSubmissions
+ * @returns {Promise<Object>} - { body, contentType, fileName }
+ */
+async function exportSubmissions(format, quiz, questions, submissions) {
+  const { columns, rows } = buildSubmissionTable(quiz, questions, submissions);
+  const base = String(quiz.title || 'quiz').replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').toLowerCase().slice(0, 60) || 'quiz';
+
+  if (format === 'xlsx') {
+    return {
+      body: await toXlsx('Submissions', columns, rows),
+      contentType: XLSX_CONTENT_TYPE,
+      fileName: `${base}-submissions.xlsx`
+    };
+  }
+  return {
+    body: toCsv(columns, rows),
+    contentType: CSV_CONTENT_TYPE,
+    fileName: `${base}-submissions.csv`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatAnswer,
+  buildSubmissionTable,
+  exportSubmissions
+};
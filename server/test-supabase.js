@@ -1,5 +1,6 @@
 require('dotenv').config();
-const db = require('./db/index');
+const supabase = require('./db/supabase');
+const db = require('./db/adapters/supabase');
 
 // Test basic database functions
 async function testSupabaseConnection() {
@@ -7,7 +8,7 @@ async function testSupabaseConnection() {
   
   try {
     // Check basic connection
-    const { data, error } = await db.supabase.from('users').select('count');
+    const { data, error } = await supabase.from('users').select('count');
     
     if (error) {
       console.error('❌ Supabase connection error:', error);
@@ -21,12 +22,11 @@ async function testSupabaseConnection() {
     
     // Create test user
     console.log('Creating test user...');
-    const user = await db.insert('users', {
-      name: 'Test User',
-      email: `test-${Date.now()}@example.com`,
-      password: 'Test123!',
-      role: 'student'
-    });
+    const user = await db.createUser(
+      `test-${Date.now()}@example.com`,
+      'Test User',
+      'Test123!'
+    );
     console.log('✅ Created test user:', user.id);
     
     // Handle content/text field compatibility (based on known frontend/backend mismatch)
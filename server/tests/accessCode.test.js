@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+const {
+  ACCESS_CODE_ALPHABET,
+  getAccessCodeLength,
+  generateAccessCode,
+  generateUniqueAccessCode
+} = require('../services/accessCode');
+
+useTestDatabase();
+const db = require('../db/index');
+
+test('access codes use the configured length within the supported range', t => {
+  const configured = process.env.ACCESS_CODE_LENGTH;
+  t.after(() => {
+    if (configured === undefined) delete process.env.ACCESS_CODE_LENGTH;
+    else process.env.ACCESS_CODE_LENGTH = configured;
+  });
+
+  for (const [value, length] of [[undefined, 6], ['8', 8], ['2', 4], ['40', 16], ['long', 6]]) {
+    if (value === undefined) delete process.env.ACCESS_CODE_LENGTH;
+    else process.env.ACCESS_CODE_LENGTH = value;
+    assert.strictEqual(getAccessCodeLength(), length, `ACCESS_CODE_LENGTH=${value}`);
+  }
+
+  const code = generateAccessCode(12);
+  assert.strictEqual(code.length, 12);
+  assert.ok([...code].every(character => ACCESS_CODE_ALPHABET.includes(character)));
+});
+
+test('codes that are taken are generated again, up to a limit', async () => {
+  let checks = 0;
+  const code = await generateUniqueAccessCode(async () => ++checks < 3);
+  assert.strictEqual(checks, 3);
+  assert.strictEqual(code.length, getAccessCodeLength());
+
+  await assert.rejects(generateUniqueAccessCode(async () => true, { maxAttempts: 2 }), /after 2 attempts/);
+});
+
+test('rotating an access code retires the old one', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const other = await db.createUser('other@example.com', 'Other', 'x');
+  const quiz = await db.createQuiz(user.id, 'Rotated', '', { accessCode: 'OLD234' });
+  await db.updateQuizStatus(quiz.id, 'published');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+
+  try {
+    const denied = await server.request('POST', `/api/quizzes/${quiz.id}/access-code/rotate`, { userId: other.id });
+    assert.strictEqual(denied.status, 404);
+
+    const { status, body } = await server.request('POST', `/api/quizzes/${quiz.id}/access-code/rotate`, { userId: user.id });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.previousAccessCode, 'OLD234');
+    assert.notStrictEqual(body.accessCode, 'OLD234');
+    assert.strictEqual(await db.getQuizByAccessCode('OLD234'), null);
+    assert.strictEqual((await db.getQuizByAccessCode(body.accessCode)).id, quiz.id);
+  } finally {
+    await server.close();
+  }
+});
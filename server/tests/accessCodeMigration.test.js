@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { useTestDatabase, startServer } = require('./helpers');
+
+const databaseFile = useTestDatabase();
+const { loadMigrations } = require('../db/sqlite/migrator');
+
+const ACCESS_CODE_MIGRATION = '20261019120000';
+
+function exec(handle, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    handle.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function query(handle, sql) {
+  return new Promise((resolve, reject) => {
+    handle.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Bring a database up to just before the access_code column, with quizzes sharing a code
+async function seedLegacyDatabase() {
+  const handle = new sqlite3.Database(databaseFile);
+  await exec(handle, 'CREATE TABLE schema_migrations (version TEXT PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  for (const migration of loadMigrations().filter(item => item.version < ACCESS_CODE_MIGRATION)) {
+    await new Promise((resolve, reject) => handle.exec(migration.up, err => (err ? reject(err) : resolve())));
+    await exec(handle, 'INSERT INTO schema_migrations VALUES (?, ?, ?)', [migration.version, migration.name, new Date().toISOString()]);
+  }
+
+  await exec(handle, "INSERT INTO users (id, name, email, password) VALUES (1, 'Tutor', 'tutor@example.com', 'x')");
+  const settings = JSON.stringify({ accessCode: 'SHARED' });
+  await exec(handle, "INSERT INTO quizzes (id, creator_id, title, status, settings) VALUES (1, 1, 'Oldest', 'published', ?)", [settings]);
+  await exec(handle, "INSERT INTO quizzes (id, creator_id, title, status, settings) VALUES (2, 1, 'Copy', 'published', ?)", [settings.replace('SHARED', 'shared')]);
+  await exec(handle, "INSERT INTO questions (quiz_id, type, text, options, correct_answer) VALUES (2, 'true_false', 'Q', '[\"True\",\"False\"]', '0')");
+  await new Promise(resolve => handle.close(resolve));
+}
+
+test('quizzes sharing an access code keep it only for the oldest and can be published again', async () => {
+  await seedLegacyDatabase();
+
+  // Opening the database applies the remaining migrations
+  const db = require('../db/index');
+  const oldest = await db.getQuiz(1, 1);
+  const copy = await db.getQuiz(2, 1);
+  assert.strictEqual(oldest.access_code, 'SHARED');
+  assert.strictEqual(oldest.settings.accessCode, 'SHARED');
+  assert.strictEqual(copy.access_code, null);
+  assert.strictEqual(copy.settings.accessCode, undefined);
+
+  const rows = await query(await require('../db/sqlite/connection').getConnection(), 'SELECT id, access_code FROM quizzes ORDER BY id');
+  assert.deepStrictEqual(rows.map(row => row.access_code), ['SHARED', null]);
+
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  try {
+    const { status, body } = await server.request('PUT', '/api/quizzes/2/publish', { body: { settings: {} }, userId: 1 });
+    assert.strictEqual(status, 200);
+
+    const published = await db.getQuiz(2, 1);
+    assert.ok(published.access_code);
+    assert.notStrictEqual(published.access_code, 'SHARED');
+    assert.strictEqual(published.settings.accessCode, published.access_code);
+    assert.ok(JSON.stringify(body).includes(published.access_code));
+  } finally {
+    await server.close();
+  }
+});
+
+test('publishing a quiz that kept a shared code in its settings generates a new one', async () => {
+  // Databases migrated before the backfill cleared the settings still hold the shared code there
+  const connection = await require('../db/sqlite/connection').getConnection();
+  await exec(connection, "UPDATE quizzes SET access_code = NULL, settings = json_set(settings, '$.accessCode', 'SHARED') WHERE id = 2");
+
+  const db = require('../db/index');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  try {
+    const { status } = await server.request('PUT', '/api/quizzes/2/publish', { body: { settings: {} }, userId: 1 });
+    assert.strictEqual(status, 200);
+
+    const published = await db.getQuiz(2, 1);
+    assert.ok(published.access_code);
+    assert.notStrictEqual(published.access_code, 'SHARED');
+    assert.strictEqual(published.settings.accessCode, published.access_code);
+  } finally {
+    await server.close();
+  }
+});
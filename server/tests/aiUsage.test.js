@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+const { estimateCost, getUserQuota } = require('../services/ai/usage');
+
+function withEnv(t, name, value) {
+  const previous = process.env[name];
+  process.env[name] = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env[name];
+    else process.env[name] = previous;
+  });
+}
+
+test('costs are estimated from the model prices, which the environment can override', t => {
+  assert.strictEqual(estimateCost('gpt-4o-mini', { inputTokens: 1000000, outputTokens: 1000000 }), 0.75);
+  assert.strictEqual(estimateCost('unpriced-model', { inputTokens: 10, outputTokens: 10 }), null);
+
+  withEnv(t, 'AI_MODEL_PRICES', JSON.stringify({ 'unpriced-model': { input: 1, output: 2 } }));
+  assert.strictEqual(estimateCost('unpriced-model', { inputTokens: 1000000, outputTokens: 500000 }), 2);
+});
+
+test('user limits come from their plan and their own overrides', t => {
+  assert.deepStrictEqual(getUserQuota({}), { plan: 'free', limits: { requestsPerHour: 20, requestsPerDay: 100, tokensPerMonth: 2000000 } });
+  assert.strictEqual(getUserQuota({ ai_plan: 'no-such-plan' }).plan, 'free');
+  assert.deepStrictEqual(getUserQuota({ ai_plan: 'unlimited', ai_quota: { requestsPerDay: 5 } }).limits,
+    { requestsPerHour: null, requestsPerDay: 5, tokensPerMonth: null });
+
+  withEnv(t, 'AI_PLAN_QUOTAS', JSON.stringify({ school: { requestsPerHour: 50, requestsPerDay: 200, tokensPerMonth: null } }));
+  assert.deepStrictEqual(getUserQuota({ ai_plan: 'school' }).limits, { requestsPerHour: 50, requestsPerDay: 200, tokensPerMonth: null });
+});
+
+test('AI requests are recorded and refused once a quota is reached', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  await db.updateUser(user.id, { ai_quota: { requestsPerHour: 1 } });
+  const server = await startServer([
+    ['/api/quizzes', require('../routes/quizzes')],
+    ['/api/statistics', require('../routes/statistics')]
+  ]);
+  const generate = () => server.request('POST', '/api/quizzes/generate', {
+    body: { topic: 'Comets', complexity: 'beginner', category: 'Science', numberOfQuestions: 2, provider: 'mock', forceFresh: true },
+    userId: user.id
+  });
+
+  try {
+    assert.strictEqual((await generate()).status, 200);
+
+    const refused = await generate();
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.quota, 'requestsPerHour');
+    assert.ok(refused.body.resetTime);
+
+    const { body } = await server.request('GET', '/api/statistics/ai-usage?days=7', { userId: user.id });
+    assert.strictEqual(body.usage.totals.requests, 1);
+    assert.ok(body.usage.totals.inputTokens > 0 && body.usage.totals.outputTokens > 0);
+    assert.deepStrictEqual(body.usage.outcomes, { success: 1 });
+    assert.strictEqual(body.quota.quotas.find(quota => quota.name === 'requestsPerHour').exceeded, true);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const ACCESS_CODE = 'ONCE01';
+
+let server;
+let quizId;
+let questionId;
+
+test.before(async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'One attempt', '', { accessCode: ACCESS_CODE, attemptsAllowed: 1 });
+  const question = await db.createQuestion(quiz.id, 'true_false', 'The sky is blue', ['True', 'False'], '0');
+  await db.updateQuizStatus(quiz.id, 'published');
+  quizId = quiz.id;
+  questionId = question.id;
+
+  server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+});
+
+test.after(() => server.close());
+
+async function openQuiz(learnerToken) {
+  const query = learnerToken ? `?learner=${encodeURIComponent(learnerToken)}` : '';
+  const { body } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}${query}`);
+  return body;
+}
+
+function submit(formToken, extra = {}) {
+  return server.request('POST', `/api/quizzes/submit/${ACCESS_CODE}`, {
+    body: { formToken, responses: [{ questionId, answer: 0 }], ...extra }
+  });
+}
+
+test('submissions without a form token are rejected', async () => {
+  const { status, body } = await server.request('POST', `/api/quizzes/submit/${ACCESS_CODE}`, {
+    body: { learnerId: 'learner_made_up', responses: [{ questionId, answer: 0 }] }
+  });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'FORM_INVALID');
+  assert.strictEqual(await db.countSubmissions(quizId, 'learner_made_up'), 0);
+});
+
+test('attempts are counted against the learner the server identified', async () => {
+  const opened = await openQuiz();
+  assert.ok(opened.learnerToken);
+
+  // A learner ID sent by the client is ignored
+  const first = await submit(opened.formToken, { learnerId: 'someone_else' });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.result.attemptNumber, 1);
+  assert.strictEqual(await db.countSubmissions(quizId, 'someone_else'), 0);
+
+  const reopened = await openQuiz(opened.learnerToken);
+  const second = await submit(reopened.formToken);
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual(second.body.code, 'ATTEMPTS_EXHAUSTED');
+
+  const { body } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}/attempts?learner=${encodeURIComponent(opened.learnerToken)}`);
+  assert.deepStrictEqual(body.attempts, { attemptsAllowed: 1, attemptsUsed: 1, attemptsRemaining: 0 });
+
+  // Other learners keep their own attempts
+  const other = await openQuiz();
+  assert.strictEqual((await submit(other.formToken)).status, 200);
+});
+
+test('concurrent submissions cannot go past the attempt limit', async () => {
+  const opened = await openQuiz();
+  const reopened = await openQuiz(opened.learnerToken);
+
+  const results = await Promise.all([submit(opened.formToken), submit(reopened.formToken)]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 409]);
+});
+
+test('invited learners keep their attempts when they open the link in another browser', async () => {
+  await db.createInvitation({ quiz_id: quizId, email: 'learner@example.com', token: 'invite-token-1' });
+  const openInvited = async () => {
+    const { body } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}?invite=invite-token-1`);
+    return body;
+  };
+
+  assert.strictEqual((await submit((await openInvited()).formToken)).status, 200);
+  const second = await submit((await openInvited()).formToken);
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual(second.body.code, 'ATTEMPTS_EXHAUSTED');
+});
+
+test('forged learner tokens get a new learner ID', async () => {
+  const opened = await openQuiz('not-a-token');
+  const { status } = await submit(opened.formToken);
+  assert.strictEqual(status, 200);
+});
+
+test('submissions graded in full notify the quiz creator of the result', async () => {
+  const opened = await openQuiz();
+  const { status, body } = await submit(opened.formToken);
+  assert.strictEqual(status, 200);
+
+  const [notification] = await db.getNotifications(1);
+  assert.strictEqual(notification.type, 'quiz_result');
+  assert.strictEqual(String(notification.data.submissionId), String(body.submissionId));
+  assert.match(notification.message, /scored 100% and passed/);
+});
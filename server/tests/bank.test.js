@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+test('bank edits update linked questions only in quizzes without submissions', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const server = await startServer([['/api/bank', require('../routes/bank')]]);
+
+  try {
+    const { body: created } = await server.request('POST', '/api/bank', {
+      body: { type: 'true_false', content: 'Water boils at 100 degrees', options: ['True', 'False'], correctAnswer: '0' },
+      userId: user.id
+    });
+    const bankQuestionId = created.question.id;
+
+    const addLinkedQuestion = async title => {
+      const quiz = await db.createQuiz(user.id, title, '', {});
+      const question = await db.createQuestion(quiz.id, 'true_false', 'Water boils at 100 degrees', ['True', 'False'], '0', {
+        bankQuestionId,
+        bankLinked: true
+      });
+      return { quiz, question };
+    };
+    const taken = await addLinkedQuestion('Already taken');
+    const fresh = await addLinkedQuestion('Not taken yet');
+    await db.insertSubmission({
+      quiz_id: taken.quiz.id,
+      learner_id: 'learner_1',
+      responses: [{ questionId: taken.question.id, answer: 0, score: 1, maxScore: 1, isCorrect: true }],
+      metadata: { score: 100 }
+    });
+
+    const { status, body } = await server.request('PUT', `/api/bank/${bankQuestionId}`, {
+      body: { content: 'Water boils at 100 degrees at sea level', correctAnswer: '1' },
+      userId: user.id
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.syncedQuestions, 1);
+    assert.strictEqual(body.unlinkedQuestions, 1);
+
+    const [kept] = await db.getQuestions(taken.quiz.id);
+    assert.strictEqual(kept.text, 'Water boils at 100 degrees');
+    assert.strictEqual(String(kept.correct_answer), '0');
+    assert.strictEqual(kept.bank_linked, false);
+
+    const [synced] = await db.getQuestions(fresh.quiz.id);
+    assert.strictEqual(synced.text, 'Water boils at 100 degrees at sea level');
+    assert.strictEqual(String(synced.correct_answer), '1');
+    assert.strictEqual(synced.bank_linked, true);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { TEST_JWT_SECRET, useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+test('generate requests are limited to a bounded number of questions', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  const generate = numberOfQuestions => server.request('POST', '/api/quizzes/generate', {
+    body: { topic: 'Volcanoes', complexity: 'beginner', category: 'Science', numberOfQuestions, provider: 'mock', forceFresh: true },
+    userId: user.id
+  });
+
+  try {
+    for (const count of [0, 51, 1000000, 'many']) {
+      const { status, body } = await generate(count);
+      assert.strictEqual(status, 400, `${count} questions`);
+      assert.strictEqual(body.error, 'Invalid number of questions');
+    }
+
+    const { status, body } = await generate('3');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.questions.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('streamed generations send each question as an event, then a summary', async () => {
+  const user = await db.getUserByEmail('tutor@example.com');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+
+  try {
+    const response = await fetch(`${server.url}/api/quizzes/generate/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${jwt.sign({ id: user.id }, TEST_JWT_SECRET)}` },
+      body: JSON.stringify({ topic: 'Glaciers', complexity: 'beginner', category: 'Science', numberOfQuestions: 3, provider: 'mock', forceFresh: true })
+    });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = (await response.text()).trim().split('\n\n').map(block => {
+      const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+      return { event, data: JSON.parse(data) };
+    });
+    assert.deepStrictEqual(events.map(item => item.event), ['question', 'question', 'question', 'done']);
+    assert.deepStrictEqual(events.slice(0, 3).map(item => item.data.index), [0, 1, 2]);
+    assert.deepStrictEqual({ count: events[3].data.count, partial: events[3].data.partial }, { count: 3, partial: false });
+  } finally {
+    await server.close();
+  }
+});
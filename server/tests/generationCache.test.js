@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateQuestionsCached } = require('../services/ai/generationCache');
+
+function createTracker() {
+  const tracker = {
+    inputTokens: 0,
+    outputTokens: 0,
+    outcome: null,
+    addUsage({ inputTokens = 0, outputTokens = 0 }) {
+      tracker.inputTokens += inputTokens;
+      tracker.outputTokens += outputTokens;
+    },
+    async finish(outcome) {
+      tracker.outcome = outcome;
+    }
+  };
+  return tracker;
+}
+
+test('a generation is charged to its initiator even after they cancel while others follow it', async () => {
+  const options = { topic: 'Volcanoes', questionTypes: ['multiple_choice'], numberOfQuestions: 3, provider: 'mock' };
+  const initiator = createTracker();
+  const controller = new AbortController();
+
+  const started = generateQuestionsCached(options, { forceFresh: true, signal: controller.signal, onQuestion: () => {}, usage: initiator });
+  const follower = createTracker();
+  const followed = generateQuestionsCached(options, { onQuestion: () => {}, usage: follower });
+
+  controller.abort();
+  await assert.rejects(started, { code: 'AI_ABORTED' });
+
+  const result = await followed;
+  assert.strictEqual(result.cache, 'coalesced');
+  assert.strictEqual(result.questions.length, 3);
+  assert.strictEqual(initiator.outcome, 'success');
+  assert.ok(initiator.inputTokens > 0 && initiator.outputTokens > 0);
+  assert.strictEqual(follower.outcome, null);
+});
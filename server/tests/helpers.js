@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const TEST_JWT_SECRET = 'test-secret';
+
+/**
+ * Point the server at a fresh SQLite file. Call before requiring the db or any route.
+ * @returns {string} - Path of the database file, removed when the process exits
+ */
+function useTestDatabase() {
+  const file = path.join(os.tmpdir(), `testcraft-test-${process.pid}-${Date.now()}.sqlite`);
+  process.env.DB_CLIENT = 'sqlite';
+  process.env.SQLITE_PATH = file;
+  process.env.JWT_SECRET = TEST_JWT_SECRET;
+  process.env.APP_URL = 'http://localhost:5173';
+  process.on('exit', () => fs.rmSync(file, { force: true }));
+  return file;
+}
+
+/**
+ * Serve routers on a random port
+ * @param {Array} routes - [[mountPath, router]]
+ * @returns {Promise<Object>} - { url, request(method, url, { body, userId }), close() }
+ */
+function startServer(routes) {
+  const app = express();
+  app.use(express.json());
+  routes.forEach(([mountPath, router]) => app.use(mountPath, router));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const base = `http://localhost:${server.address().port}`;
+      resolve({
+        url: base,
+        request: async (method, url, { body, userId } = {}) => {
+          const headers = { 'Content-Type': 'application/json' };
+          if (userId) headers.Authorization = `Bearer ${jwt.sign({ id: userId }, TEST_JWT_SECRET)}`;
+          const response = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+          return { status: response.status, body: await response.json() };
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  TEST_JWT_SECRET,
+  useTestDatabase,
+  startServer
+};
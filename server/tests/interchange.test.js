@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportQuiz, importQuiz, detectFormat } = require('../services/interchange');
+
+const QUIZ = { id: 1, title: 'Capitals of Europe' };
+
+function question(id, type, text, options, correctAnswer) {
+  return { id, type, text, options: JSON.stringify(options), correct_answer: JSON.stringify(correctAnswer), explanation: '' };
+}
+
+const QUESTIONS = [
+  question(1, 'multiple_choice', 'Capital of France?', [{ text: 'Paris', isCorrect: true }, { text: 'Rome', isCorrect: false }, { text: 'Madrid', isCorrect: false }], 0),
+  question(2, 'true_false', 'Lisbon is the capital of Portugal', ['True', 'False'], 0),
+  question(3, 'matching', 'Match the capitals', [{ left: 'France', right: 'Paris' }, { left: 'Italy', right: 'Rome' }], [0, 1]),
+  question(4, 'fill_in_blanks', 'The capital of Italy is _', ['Rome|Roma'], ['Rome|Roma']),
+  question(5, 'dropdown', 'The capital of Spain is', ['Barcelona', 'Madrid'], 1),
+  question(6, 'paragraph', 'Describe Lisbon', [], 'A city by the sea'),
+  question(7, 'file_upload', 'Upload a map of Europe', ['.pdf,.doc,.docx', '5'], '')
+];
+
+// What the editor gets back for each question the format can hold
+const IMPORTED = {
+  1: { type: 'multiple_choice', text: 'Capital of France?', options: ['Paris', 'Rome', 'Madrid'], correctAnswer: 0 },
+  2: { type: 'true_false', text: 'Lisbon is the capital of Portugal', options: ['True', 'False'], correctAnswer: 0 },
+  3: { type: 'matching', text: 'Match the capitals', options: [{ left: 'France', right: 'Paris' }, { left: 'Italy', right: 'Rome' }], correctAnswer: [0, 1] },
+  4: { type: 'fill_in_blanks', text: 'The capital of Italy is _', options: ['Rome|Roma'], correctAnswer: ['Rome|Roma'] },
+  5: { type: 'dropdown', text: 'The capital of Spain is', options: ['Barcelona', 'Madrid'], correctAnswer: 1 },
+  6: { type: 'paragraph', text: 'Describe Lisbon', options: [], correctAnswer: 'A city by the sea' },
+  7: { type: 'file_upload', text: 'Upload a map of Europe', options: ['.pdf,.doc,.docx', '5'], correctAnswer: '' }
+};
+
+async function roundTrip(format) {
+  const exported = await exportQuiz(format, QUIZ, QUESTIONS);
+  const body = Buffer.isBuffer(exported.body) ? exported.body : Buffer.from(exported.body);
+  assert.strictEqual(detectFormat(exported.fileName, body), format);
+
+  const imported = await importQuiz(body, { fileName: exported.fileName });
+  return {
+    skipped: exported.skipped.map(item => item.item),
+    questions: imported.questions.map(({ type, text, options, correctAnswer }) => ({ type, text, options, correctAnswer }))
+  };
+}
+
+test('QTI packages keep every question type', async () => {
+  const { skipped, questions } = await roundTrip('qti');
+  assert.deepStrictEqual(skipped, []);
+  assert.deepStrictEqual(questions, Object.values(IMPORTED));
+});
+
+test('GIFT files keep every question type but file uploads', async () => {
+  const { skipped, questions } = await roundTrip('gift');
+  assert.deepStrictEqual(skipped, [7]);
+  assert.deepStrictEqual(questions, [
+    IMPORTED[1],
+    IMPORTED[2],
+    IMPORTED[3],
+    IMPORTED[4],
+    // GIFT has no dropdowns, and essays no model answer
+    { ...IMPORTED[5], type: 'multiple_choice' },
+    { ...IMPORTED[6], correctAnswer: '' }
+  ]);
+});
+
+test('Aiken files keep the choice questions', async () => {
+  const { skipped, questions } = await roundTrip('aiken');
+  assert.deepStrictEqual(skipped, [3, 4, 6, 7]);
+  assert.deepStrictEqual(questions, [IMPORTED[1], IMPORTED[2], { ...IMPORTED[5], type: 'multiple_choice' }]);
+});
+
+test('GIFT and Aiken items that cannot be read are reported, not imported', async () => {
+  const gift = await importQuiz(Buffer.from('::Q1:: Capital of France? {=Paris ~Rome}\n\n::Q2:: Capital of Spain? {~Barcelona ~Porto}\n'), { format: 'gift' });
+  assert.strictEqual(gift.questions.length, 1);
+  assert.deepStrictEqual(gift.report.map(entry => entry.status), ['imported', 'skipped']);
+
+  const aiken = await importQuiz(Buffer.from('Capital of France?\nA. Paris\nB. Rome\nANSWER: A\n\nCapital of Spain?\nA. Madrid\nB. Porto\nANSWER: C\n'), { format: 'aiken' });
+  assert.strictEqual(aiken.questions.length, 1);
+  assert.deepStrictEqual(aiken.report.map(entry => entry.status), ['imported', 'skipped']);
+});
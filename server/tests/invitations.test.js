@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+const { registerTransport } = require('../services/mail');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const sent = [];
+process.env.MAIL_TRANSPORT = 'test';
+registerTransport('test', () => ({
+  send: async message => {
+    if (message.to === 'bounce@example.com') throw new Error('Mailbox unavailable');
+    sent.push(message);
+    return { messageId: `test-${sent.length}` };
+  }
+}));
+
+test('invitations are emailed with a tracked link to the quiz', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Invited', '', { accessCode: 'INVITE' });
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  const invite = emails => server.request('POST', `/api/quizzes/${quiz.id}/invite`, { body: { emails }, userId: user.id });
+
+  try {
+    assert.strictEqual((await invite(['learner@example.com'])).status, 400);
+    await db.updateQuizStatus(quiz.id, 'published');
+
+    const invalid = await invite(['learner@example.com', 'not-an-address']);
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, ['not-an-address']);
+
+    const { status, body } = await invite([' Learner@Example.com', 'learner@example.com', 'bounce@example.com']);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.sent, 1);
+    assert.strictEqual(body.failed, 1);
+    assert.ok(body.invitations.every(invitation => invitation.token === undefined));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, 'learner@example.com');
+    const [link, token] = sent[0].text.match(/http:\/\/localhost:5173\/quiz\/INVITE\?invite=(\w+)/);
+    assert.ok(sent[0].html.includes(link));
+
+    await server.request('GET', `/api/quizzes/code/INVITE?invite=${token}`);
+    const { body: listed } = await server.request('GET', `/api/quizzes/${quiz.id}/invitations`, { userId: user.id });
+    const byEmail = Object.fromEntries(listed.invitations.map(invitation => [invitation.email, invitation]));
+    assert.strictEqual(byEmail['learner@example.com'].status, 'sent');
+    assert.ok(byEmail['learner@example.com'].opened_at);
+    assert.strictEqual(byEmail['bounce@example.com'].status, 'failed');
+    assert.strictEqual(byEmail['bounce@example.com'].error, 'Mailbox unavailable');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+test('item analysis uses the grades stored on submissions', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Facts', '', {});
+  const question = await db.createQuestion(quiz.id, 'true_false', 'The sky is blue', ['True', 'False'], '0');
+  for (const answer of [0, 0, 1]) {
+    await db.insertSubmission({
+      quiz_id: quiz.id,
+      learner_id: `learner_${answer}_${Math.random()}`,
+      responses: [{ questionId: question.id, answer, score: answer === 0 ? 1 : 0, maxScore: 1, isCorrect: answer === 0, autoGraded: true }],
+      metadata: {}
+    });
+  }
+  const server = await startServer([['/api/statistics', require('../routes/statistics')]]);
+
+  try {
+    const report = async () => {
+      const { status, body } = await server.request('GET', `/api/statistics/quiz/${quiz.id}`, { userId: user.id });
+      assert.strictEqual(status, 200);
+      return body.report;
+    };
+    const scores = ({ averageScore, questions: [item] }) => ({ averageScore, pValue: item.pValue, graded: item.graded });
+    const before = scores(await report());
+    assert.deepStrictEqual(before, { averageScore: 67, pValue: 0.67, graded: 3 });
+
+    // Editing the key and corrupting the settings changes neither past results nor the report
+    await db.updateQuestion(question.id, { correct_answer: '1' });
+    await db.updateQuiz(quiz.id, { settings: '{not json' });
+    assert.deepStrictEqual(scores(await report()), before);
+  } finally {
+    await server.close();
+  }
+});
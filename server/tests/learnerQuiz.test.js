@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const ACCESS_CODE = 'LEARN1';
+const PAIRS = [
+  { left: 'France', right: 'Paris' },
+  { left: 'Italy', right: 'Rome' },
+  { left: 'Spain', right: 'Madrid' },
+  { left: 'Portugal', right: 'Lisbon' }
+];
+
+let server;
+
+test.before(async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Capitals', '', { accessCode: ACCESS_CODE, passingScore: 50 });
+  await db.createQuestion(quiz.id, 'multiple_choice', 'Capital of France?', [
+    { text: 'Paris', isCorrect: true },
+    { text: 'Rome', isCorrect: false }
+  ], '0', { explanation: 'Paris is the capital of France' });
+  await db.createQuestion(quiz.id, 'matching', 'Match the capitals', PAIRS, null);
+  await db.createQuestion(quiz.id, 'fill_in_blanks', 'The capital of Italy is _', ['Rome'], ['Rome']);
+  await db.createQuestion(quiz.id, 'paragraph', 'Describe Lisbon', [], 'A city by the sea');
+  await db.updateQuizStatus(quiz.id, 'published');
+
+  server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+});
+
+test.after(() => server.close());
+
+function assertNoAnswers(questions) {
+  questions.forEach(question => {
+    assert.strictEqual(question.correct_answer, undefined, `${question.type} leaks correct_answer`);
+    assert.strictEqual(question.correctAnswer, undefined, `${question.type} leaks correctAnswer`);
+    assert.strictEqual(question.explanation, undefined, `${question.type} leaks its explanation`);
+    (question.options || []).forEach(option => {
+      if (option && typeof option === 'object') assert.strictEqual(option.isCorrect, undefined);
+    });
+  });
+  assert.deepStrictEqual(questions.find(question => question.type === 'fill_in_blanks').options, []);
+}
+
+test('quizzes opened with an access code do not contain the answer key', async () => {
+  for (const path of ['/code', '/share', '/view']) {
+    const { status, body } = await server.request('GET', `/api/quizzes${path}/${ACCESS_CODE}`);
+    assert.strictEqual(status, 200);
+    assertNoAnswers(body.quiz.questions);
+  }
+});
+
+test('matching answers given against the shuffled right items are graded against the stored pairs', async () => {
+  const { body: opened } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}`);
+  const matching = opened.quiz.questions.find(question => question.type === 'matching');
+  assert.deepStrictEqual(matching.options.map(option => option.left), PAIRS.map(pair => pair.left));
+  assert.deepStrictEqual(matching.options.map(option => option.right).sort(), PAIRS.map(pair => pair.right).sort());
+
+  // Drop each shown right item on the left item it belongs to
+  const answer = {};
+  matching.options.forEach((option, shownIndex) => {
+    answer[`option-${shownIndex}`] = PAIRS.findIndex(pair => pair.right === option.right);
+  });
+
+  const { status, body } = await server.request('POST', `/api/quizzes/submit/${ACCESS_CODE}`, {
+    body: {
+      formToken: opened.formToken,
+      responses: [{ questionId: matching.id, answer }]
+    }
+  });
+  assert.strictEqual(status, 200);
+
+  const submission = (await db.getSubmissions(opened.quiz.id))[0];
+  const graded = submission.responses.find(response => String(response.questionId) === String(matching.id));
+  assert.strictEqual(graded.score, graded.maxScore);
+  assert.ok(body.result.score >= 1);
+});
+
+test('the pass or fail result is provisional while answers wait for review', async () => {
+  const { body: opened } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}`);
+  const question = type => opened.quiz.questions.find(item => item.type === type);
+
+  const { status, body } = await server.request('POST', `/api/quizzes/submit/${ACCESS_CODE}`, {
+    body: {
+      formToken: opened.formToken,
+      responses: [
+        { questionId: question('multiple_choice').id, answer: 0 },
+        { questionId: question('paragraph').id, answer: 'A city on the coast' }
+      ]
+    }
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.result.pendingReview, 1);
+  assert.strictEqual(body.result.provisional, true);
+  assert.strictEqual(body.result.passed, null);
+
+  const [notification] = await db.getNotifications(1);
+  assert.match(notification.message, /before the result is final/);
+  assert.doesNotMatch(notification.message, /passed/);
+
+  // The result is reported once the tutor has graded the answer, and again when a grade changes it
+  const grade = score => server.request('PUT', `/api/quizzes/${opened.quiz.id}/submissions/${body.submissionId}/grades`, {
+    body: { grades: [{ questionId: question('paragraph').id, criteria: [{ score }] }] },
+    userId: 1
+  });
+  assert.strictEqual((await grade(10)).status, 200);
+  let [result] = await db.getNotifications(1);
+  assert.strictEqual(result.type, 'quiz_result');
+  assert.match(result.message, /and passed/);
+
+  assert.strictEqual((await grade(9)).status, 200);
+  assert.strictEqual((await db.getNotifications(1))[0].id, result.id);
+
+  assert.strictEqual((await grade(0)).status, 200);
+  [result] = await db.getNotifications(1);
+  assert.match(result.message, /did not pass/);
+});
+
+test('invalid question pools are rejected when the quiz is saved and not served to learners', async () => {
+  const { status, body } = await server.request('POST', '/api/quizzes', {
+    body: { title: 'Pools', questions: [{ type: 'true_false', text: 'Q', options: ['True', 'False'], correctAnswer: '0', pool: 'x'.repeat(61) }] },
+    userId: 1
+  });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'Invalid question pools');
+
+  // Quizzes stored before pools were validated
+  const quiz = await db.getQuizByAccessCode(ACCESS_CODE);
+  await db.updateQuiz(quiz.id, { settings: { ...quiz.settings, pools: 'all of them' } });
+  try {
+    const opened = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}`);
+    assert.strictEqual(opened.status, 400);
+    assert.strictEqual(opened.body.code, 'FORM_INVALID');
+  } finally {
+    await db.updateQuiz(quiz.id, { settings: quiz.settings });
+  }
+});
+
+test('a quiz is not saved when one of its questions cannot be stored', async t => {
+  const createQuestion = db.createQuestion;
+  t.after(() => { db.createQuestion = createQuestion; });
+  db.createQuestion = async (quizId, type, ...rest) => {
+    if (type === 'paragraph') throw new Error('invalid input syntax for type integer');
+    return createQuestion(quizId, type, ...rest);
+  };
+
+  const { status, body } = await server.request('POST', '/api/quizzes', {
+    body: {
+      title: 'Half saved',
+      questions: [
+        { type: 'true_false', text: 'Q1', options: ['True', 'False'], correctAnswer: '0' },
+        { type: 'paragraph', text: 'Q2', options: [], correctAnswer: 'A model answer' }
+      ]
+    },
+    userId: 1
+  });
+  assert.strictEqual(status, 500);
+  assert.match(body.details, /^Question 2 could not be saved/);
+  assert.ok(!(await db.getQuizzes(1)).some(quiz => quiz.title === 'Half saved'));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { useTestDatabase, startServer } = require('./helpers');
+const { registerTransport } = require('../services/mail');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const sent = [];
+process.env.MAIL_TRANSPORT = 'test';
+registerTransport('test', () => ({
+  send: async message => {
+    sent.push(message);
+    return { messageId: `test-${sent.length}` };
+  }
+}));
+
+test('a password is reset once with the link sent to its account', async () => {
+  await db.createUser('learner@example.com', 'Learner', await bcrypt.hash('Old-password1', 4));
+  const server = await startServer([['/api/auth', require('../routes/auth')]]);
+  const requestReset = email => server.request('POST', '/api/auth/reset-password-request', { body: { email } });
+
+  try {
+    // Unknown accounts get the same answer and no email
+    const unknown = await requestReset('nobody@example.com');
+    const known = await requestReset('learner@example.com');
+    assert.strictEqual(unknown.status, 200);
+    assert.deepStrictEqual(unknown.body, known.body);
+    assert.strictEqual(sent.length, 1);
+
+    const [, token] = sent[0].text.match(/http:\/\/localhost:5173\/reset-password\/(\w+)/);
+    assert.strictEqual((await server.request('GET', `/api/auth/reset-password/${token}`)).body.valid, true);
+
+    const reset = newPassword => server.request('POST', '/api/auth/reset-password', { body: { token, newPassword } });
+    assert.strictEqual((await reset('weak')).status, 400);
+    assert.strictEqual((await reset('New-password1!')).status, 200);
+
+    const login = await server.request('POST', '/api/auth/login', { body: { email: 'learner@example.com', password: 'New-password1!' } });
+    assert.strictEqual(login.status, 200);
+
+    // The link only works once
+    assert.strictEqual((await reset('Another-password1!')).status, 400);
+    assert.strictEqual((await server.request('GET', `/api/auth/reset-password/${token}`)).body.valid, false);
+
+    // Every request can send an email, so they are rate limited
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await requestReset('learner@example.com')).status);
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { importQti } = require('../services/interchange/qti');
+
+function choiceItem(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="q1" title="Q1" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>A</value></correctResponse>
+  </responseDeclaration>
+  <itemBody>
+    ${body}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <simpleChoice identifier="A">Yes</simpleChoice>
+      <simpleChoice identifier="B">No</simpleChoice>
+    </choiceInteraction>
+  </itemBody>
+</assessmentItem>`;
+}
+
+test('an image with a malformed path is left out with a warning', async () => {
+  const { questions, report } = await importQti(Buffer.from(choiceItem('<p>Is this a bird? <img src="%E0%A4%A.png" alt=""/></p>')));
+  assert.strictEqual(questions.length, 1);
+  assert.strictEqual(report[0].status, 'partial');
+  assert.match(report[0].messages[0], /not a valid URL/);
+});
+
+test('packages with too many files are rejected before they are unpacked', async () => {
+  const zip = new JSZip();
+  for (let i = 0; i <= 2000; i++) zip.file(`file-${i}.txt`, '');
+  const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+  await assert.rejects(importQti(buffer), { code: 'INTERCHANGE_INVALID', message: /more than 2000 files/ });
+});
+
+test('entries cannot unpack to more than their header declares', async () => {
+  const zip = new JSZip();
+  zip.file('item.xml', choiceItem(`<p>${'Is this a bird? '.repeat(10000)}</p>`));
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+  // Forge the uncompressed size in the local header and the central directory
+  const forged = Buffer.from(buffer);
+  forged.writeUInt32LE(100, 22);
+  forged.writeUInt32LE(100, forged.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+  await assert.rejects(importQti(forged), { code: 'INTERCHANGE_INVALID', message: /larger than the package says/ });
+});
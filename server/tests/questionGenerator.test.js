@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ai = require('../services/ai');
+const { validateQuestion } = require('../services/ai/questionSchema');
+const { MAX_REPAIR_ROUNDS, parseQuestionsResponse, generateQuestions } = require('../services/ai/questionGenerator');
+
+// Provider answering with the given replies in turn; the prompts it was sent are kept
+function useScriptedProvider(replies) {
+  const prompts = [];
+  ai.registerProvider('scripted', () => ({
+    defaultModel: 'scripted-1',
+    isConfigured: () => true,
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      return { text: replies[Math.min(prompts.length, replies.length) - 1], usage: { inputTokens: 1, outputTokens: 1 } };
+    }
+  }));
+  return prompts;
+}
+
+function choice(text, options, correctAnswer) {
+  return { type: 'multiple_choice', text, options, correctAnswer, explanation: '' };
+}
+
+const options = { topic: 'Volcanoes', category: 'Science', complexity: 'beginner', numberOfQuestions: 2, questionTypes: ['multiple_choice'], provider: 'scripted' };
+
+test('questions are checked against the schema of their type', () => {
+  assert.deepStrictEqual(validateQuestion(choice('Largest volcano?', ['Mauna Loa', 'Etna'], 0)), []);
+  assert.match(validateQuestion(choice('Largest volcano?', ['Mauna Loa', 'Etna'], 2)).join(), /"correctAnswer" must be an integer index between 0 and 1/);
+  assert.match(validateQuestion(choice('Largest volcano?', ['Etna', 'etna'], 0)).join(), /duplicates/);
+  assert.match(validateQuestion({ ...choice('', ['A', 'B'], 0) }).join(), /"text" must be a non-empty string/);
+  assert.match(validateQuestion(choice('Q?', ['A', 'B'], 0), ['true_false']).join(), /"type" must be one of: true_false/);
+  assert.deepStrictEqual(validateQuestion('A question'), ['each question must be a JSON object']);
+});
+
+test('replies must be a JSON object with a questions array, optionally fenced', () => {
+  const questions = [choice('Q?', ['A', 'B'], 0)];
+  assert.deepStrictEqual(parseQuestionsResponse('```json\n' + JSON.stringify({ questions }) + '\n```'), questions);
+  assert.throws(() => parseQuestionsResponse('Here are your questions: {"questions": []}'), /not valid JSON/);
+  assert.throws(() => parseQuestionsResponse('[]'), /"questions" array/);
+});
+
+test('only the invalid questions are asked for again', async () => {
+  const prompts = useScriptedProvider([
+    JSON.stringify({ questions: [choice('Largest volcano?', ['Mauna Loa', 'Etna'], 0), choice('Hottest lava?', ['Basalt', 'Rhyolite'], 5)] }),
+    JSON.stringify({ questions: [choice('Hottest lava?', ['Basalt', 'Rhyolite'], 0)] })
+  ]);
+
+  const result = await generateQuestions(options);
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[1], /"correctAnswer" must be an integer index between 0 and 1/);
+  assert.strictEqual(result.complete, true);
+  assert.deepStrictEqual(result.questions.map(question => question.text), ['Largest volcano?', 'Hottest lava?']);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('questions that never validate are reported missing instead of filled in', async () => {
+  const prompts = useScriptedProvider([
+    JSON.stringify({ questions: [choice('Largest volcano?', ['Mauna Loa', 'Etna'], 0)] }),
+    'Sorry, I cannot help with that.'
+  ]);
+
+  const result = await generateQuestions(options);
+  assert.strictEqual(prompts.length, MAX_REPAIR_ROUNDS + 1);
+  assert.strictEqual(result.complete, false);
+  assert.strictEqual(result.questions.length, 1);
+  assert.deepStrictEqual(result.missing, { multiple_choice: 1 });
+  assert.match(result.errors.join('\n'), /not valid JSON/);
+  assert.match(result.errors.join('\n'), /1 multiple_choice question was not returned in a valid form/);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { useTestDatabase, startServer, TEST_JWT_SECRET } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+const { previewQuestionImport, getImportTemplate, MAX_ROWS } = require('../services/questionImport');
+const { toCsv, toXlsx, readSpreadsheet } = require('../services/spreadsheet');
+
+// What the editor gets for each example row of the template
+const TEMPLATE_QUESTIONS = [
+  { type: 'multiple_choice', options: ['Paris', 'Rome', 'Madrid', 'Berlin'], correctAnswer: 0 },
+  { type: 'multiple_choice', options: ['2', '4', '5', '9'], correctAnswer: [0, 2] },
+  { type: 'true_false', options: ['True', 'False'], correctAnswer: 0 },
+  { type: 'dropdown', options: ['90', '100', '110'], correctAnswer: 1 },
+  { type: 'matching', options: [{ left: 'France', right: 'Paris' }, { left: 'Italy', right: 'Rome' }, { left: 'Spain', right: 'Madrid' }], correctAnswer: [0, 1, 2] },
+  { type: 'fill_in_blanks', options: ['Jupiter', 'Mercury'], correctAnswer: ['Jupiter', 'Mercury'] },
+  { type: 'paragraph', options: [{ criterion: 'Mentions scattering', points: 2 }, { criterion: 'Clear explanation', points: 1 }], correctAnswer: 'Sunlight is scattered by air molecules, blue light the most.' },
+  { type: 'file_upload', options: ['.pdf,.docx', '10'], correctAnswer: '' }
+];
+
+function sheetOf(columns, rows) {
+  return {
+    columns,
+    rows: rows.map((cells, index) => ({
+      rowNumber: index + 2,
+      values: columns.reduce((values, column, columnIndex) => ({ ...values, [column]: cells[columnIndex] || '' }), {})
+    }))
+  };
+}
+
+async function previewTemplate(format) {
+  const { columns, rows } = getImportTemplate();
+  const body = format === 'xlsx' ? await toXlsx('Questions', columns, rows) : toCsv(columns, rows);
+  return previewQuestionImport(await readSpreadsheet(body, `questions.${format}`));
+}
+
+for (const format of ['csv', 'xlsx']) {
+  test(`every example row of the ${format.toUpperCase()} template imports as a valid question`, async () => {
+    const { rows, summary } = await previewTemplate(format);
+    assert.deepStrictEqual(summary, { total: 8, valid: 8, invalid: 0 });
+    assert.deepStrictEqual(rows.map(row => row.row), [2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepStrictEqual(rows.map(({ question: { type, options, correctAnswer } }) => ({ type, options, correctAnswer })), TEMPLATE_QUESTIONS);
+
+    const [first, , , , , blanks, , upload] = rows.map(row => row.question);
+    assert.strictEqual(first.explanation, 'Paris has been the capital since 987.');
+    assert.strictEqual(blanks.text, 'The _ is the largest planet and _ is closest to the Sun.');
+    assert.strictEqual(upload.mediaUrl, 'https://example.com/lab.png');
+  });
+}
+
+test('a CSV saved with semicolons and other header names is read the same way', async () => {
+  const csv = Buffer.from('Question Type;Question;Choices;Answer\r\nMCQ;"Pick one; the first";Yes | No;a\r\n\r\ntf;Water is wet;;yes\r\n');
+  const { rows, summary } = previewQuestionImport(await readSpreadsheet(csv, 'questions.csv'));
+  assert.deepStrictEqual(summary, { total: 2, valid: 2, invalid: 0 });
+  assert.deepStrictEqual(rows.map(row => row.row), [2, 4]);
+  assert.strictEqual(rows[0].question.text, 'Pick one; the first');
+  assert.strictEqual(rows[0].question.correctAnswer, 0);
+  assert.strictEqual(rows[1].question.type, 'true_false');
+});
+
+test('invalid rows are reported with the reason and the rest stay valid', () => {
+  const columns = ['type', 'text', 'options', 'correct_answer', 'explanation', 'image_url'];
+  const { rows, summary } = previewQuestionImport(sheetOf(columns, [
+    ['essay', 'Tell us about yourself'],
+    ['multiple_choice', 'Capital of France?', 'Paris | Rome', 'Madrid'],
+    ['dropdown', 'Pick two', 'A | B | C', 'A, B'],
+    ['fill_in_blanks', 'The _ is _', '', 'sky'],
+    ['true_false', '', '', 'maybe'],
+    ['paragraph', 'Explain', 'Depth => 20'],
+    ['multiple_choice', 'Pictured?', 'Yes | No', 'Yes', '', 'javascript:alert(1)'],
+    ['true_false', 'Water is wet', '', 'True']
+  ]));
+
+  assert.deepStrictEqual(summary, { total: 8, valid: 1, invalid: 7 });
+  assert.match(rows[0].errors[0], /type "essay" is not one of/);
+  assert.match(rows[1].errors[0], /"Madrid" does not match any of the options/);
+  assert.match(rows[2].errors[0], /exactly one correct choice/);
+  assert.match(rows[3].errors[0], /1 answer but text has 2 blanks/);
+  assert.deepStrictEqual(rows[4].errors, ['text is required', 'correct_answer must be True or False']);
+  assert.match(rows[5].errors[0], /whole points from 1 to 10/);
+  assert.match(rows[6].errors[0], /image_url must be a web address/);
+  assert.strictEqual(rows[7].status, 'valid');
+});
+
+test('spreadsheets without the required columns or rows are refused', () => {
+  assert.throws(() => previewQuestionImport(sheetOf(['question', 'answer'], [['Why?', 'Because']])), {
+    code: 'SPREADSHEET_INVALID',
+    message: /needs these columns: type/
+  });
+  assert.throws(() => previewQuestionImport(sheetOf(['type', 'text'], [])), { message: /no question rows/ });
+  const tooMany = Array.from({ length: MAX_ROWS + 1 }, () => ['true_false', 'Water is wet', '', 'True']);
+  assert.throws(() => previewQuestionImport(sheetOf(['type', 'text', 'options', 'correct_answer'], tooMany)), { message: /at most 500 questions/ });
+});
+
+test('importing a spreadsheet previews the rows first and only saves them on commit', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const other = await db.createUser('other@example.com', 'Other tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Capitals', '', {});
+  const server = await startServer([['/api/quizzes', require('../routes/interchange')]]);
+  const csv = toCsv(['type', 'text', 'options', 'correct_answer'], [
+    ['multiple_choice', 'Capital of France?', 'Paris | Rome', 'Paris'],
+    ['true_false', 'Water is wet', '', 'maybe'],
+    ['true_false', 'The Earth orbits the Sun', '', 'True']
+  ]);
+  const upload = async (userId, fields = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'questions.csv');
+    const response = await fetch(`${server.url}/api/quizzes/${quiz.id}/import`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${jwt.sign({ id: userId }, TEST_JWT_SECRET)}` },
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    assert.strictEqual((await upload(other.id)).status, 404);
+
+    const preview = await upload(user.id);
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.dryRun, true);
+    assert.deepStrictEqual(preview.body.summary, { total: 3, valid: 2, invalid: 1 });
+    assert.strictEqual((await db.getQuestions(quiz.id)).length, 0);
+
+    const refused = await upload(user.id, { commit: 'true' });
+    assert.strictEqual(refused.status, 400);
+    assert.strictEqual((await db.getQuestions(quiz.id)).length, 0);
+
+    const { status, body } = await upload(user.id, { commit: 'true', skipInvalid: 'true' });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.imported, 2);
+    assert.strictEqual(body.skipped, 1);
+    assert.deepStrictEqual(body.rows.map(row => row.status), ['imported', 'invalid', 'imported']);
+    const questions = await db.getQuestions(quiz.id);
+    assert.deepStrictEqual(questions.map(question => question.type), ['multiple_choice', 'true_false']);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GENERATABLE_TYPES, validateQuestion } = require('../services/ai/questionSchema');
+const { generateQuestions } = require('../services/ai/questionGenerator');
+const { gradeQuestion } = require('../services/grading');
+
+test('every question type the editor offers can be generated in the shape it edits', async () => {
+  const result = await generateQuestions({
+    topic: 'Planets',
+    numberOfQuestions: GENERATABLE_TYPES.length,
+    questionTypes: GENERATABLE_TYPES,
+    provider: 'mock'
+  });
+  assert.strictEqual(result.complete, true);
+  assert.deepStrictEqual(result.questions.map(question => question.type), GENERATABLE_TYPES);
+
+  const byType = Object.fromEntries(result.questions.map(question => [question.type, question]));
+  assert.deepStrictEqual(byType.dropdown.options, ['Choice A', 'Choice B', 'Choice C']);
+  assert.deepStrictEqual(byType.fill_in_blanks.options, byType.fill_in_blanks.correctAnswer);
+  assert.deepStrictEqual(byType.paragraph.options, [
+    { criterion: 'Defines sample concept 6', points: 2 },
+    { criterion: 'Gives an example', points: 1 }
+  ]);
+
+  // Accepted alternatives of a blank are all graded as correct
+  const blanks = { ...byType.fill_in_blanks, correct_answer: JSON.stringify(byType.fill_in_blanks.correctAnswer) };
+  assert.strictEqual(gradeQuestion(blanks, ['1st 5', 'Second 5']).isCorrect, true);
+});
+
+test('fill-in-the-blank and paragraph questions are checked against their own rules', () => {
+  const blanks = { type: 'fill_in_blanks', text: 'The _ is the largest planet, and _ is closest to the Sun.', correctAnswer: ['Jupiter'] };
+  assert.match(validateQuestion(blanks).join(), /has 1 answers but "text" has 2 blanks/);
+  assert.match(validateQuestion({ ...blanks, text: 'No blanks here' }).join(), /must contain 1 to 10 blanks/);
+
+  const paragraph = { type: 'paragraph', text: 'Explain gravity', correctAnswer: 'Mass attracts mass', rubric: [{ criterion: 'Mentions mass', points: 2 }] };
+  assert.deepStrictEqual(validateQuestion(paragraph), []);
+  assert.match(validateQuestion({ ...paragraph, rubric: [{ criterion: 'Mentions mass', points: 11 }] }).join(), /whole "points" from 1 to 10/);
+  assert.match(validateQuestion({ ...paragraph, correctAnswer: '' }).join(), /non-empty model answer/);
+});
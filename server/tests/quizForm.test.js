@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildQuizForm, signQuizForm, verifyQuizForm } = require('../services/quizForm');
+
+test('quiz forms are not signed or verified without JWT_SECRET', () => {
+  const secret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'test-secret';
+  const token = signQuizForm(1, buildQuizForm([{ id: 1, type: 'true_false' }]), 'learner_1');
+
+  delete process.env.JWT_SECRET;
+  try {
+    assert.throws(() => signQuizForm(1, { questions: [] }, 'learner_1'), { code: 'FORM_SECRET_MISSING' });
+    assert.throws(() => verifyQuizForm(1, token), { code: 'FORM_SECRET_MISSING' });
+  } finally {
+    if (secret !== undefined) process.env.JWT_SECRET = secret;
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+const ai = require('../services/ai');
+const { refineQuestion } = require('../services/ai/questionRefiner');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const QUESTION = {
+  type: 'multiple_choice',
+  content: 'Which planet is the largest?',
+  options: [{ text: 'Jupiter', isCorrect: true }, { text: 'Mars', isCorrect: false }, { text: 'Venus', isCorrect: false }],
+  correctAnswer: 0,
+  explanation: 'Jupiter is the largest planet'
+};
+
+test('refined questions come back with the fields that changed, and the request is recorded', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  const refine = body => server.request('POST', '/api/quizzes/refine', { body: { provider: 'mock', ...body }, userId: user.id });
+
+  try {
+    const { status, body } = await refine({ question: QUESTION, action: 'rewrite_distractors' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.question.options, ['Jupiter', 'Mars (revised)', 'Venus (revised)']);
+    assert.deepStrictEqual(body.changes.map(change => change.field), ['options']);
+
+    assert.strictEqual((await refine({ question: QUESTION, action: 'translate' })).status, 400);
+    assert.strictEqual((await refine({ question: { ...QUESTION, type: 'true_false', options: ['True', 'False'] }, action: 'rewrite_distractors' })).status, 400);
+
+    // Requests rejected before reaching the model are not recorded
+    const usage = await db.getAiUsage(user.id);
+    assert.deepStrictEqual(usage.map(entry => [entry.action, entry.outcome]), [['refine', 'success']]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rewritten distractors must keep the question and its correct option', async () => {
+  let calls = 0;
+  ai.registerProvider('scripted', () => ({
+    defaultModel: 'scripted-1',
+    isConfigured: () => true,
+    generate: async () => {
+      calls++;
+      const question = { type: 'multiple_choice', text: 'Which planet is the largest?', options: ['Saturn', 'Mars', 'Venus'], correctAnswer: 0 };
+      return { text: JSON.stringify({ question }) };
+    }
+  }));
+
+  await assert.rejects(
+    refineQuestion({ question: QUESTION, action: 'rewrite_distractors', provider: 'scripted' }),
+    { code: 'REFINE_INVALID_OUTPUT', message: /correct option must stay exactly the same/ }
+  );
+  assert.strictEqual(calls, 2);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { TEST_JWT_SECRET, useTestDatabase, startServer } = require('./helpers');
+const { isSupportedSourceFile, prepareSourceMaterial } = require('../services/sourceMaterial');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const textFile = (text, originalname = 'notes.txt') => ({ originalname, mimetype: 'text/plain', buffer: Buffer.from(text) });
+
+test('documents are split into numbered passages of whole paragraphs', async () => {
+  const material = await prepareSourceMaterial(textFile('Volcanoes form at plate boundaries.\n\nMagma that reaches the surface is called lava.'));
+  assert.strictEqual(material.name, 'notes.txt');
+  assert.deepStrictEqual(material.passages, [{
+    id: 'P1',
+    text: 'Volcanoes form at plate boundaries.\nMagma that reaches the surface is called lava.',
+    page: null
+  }]);
+
+  // Long documents are sampled across their whole length
+  const paragraphs = Array.from({ length: 100 }, (_, i) => `Paragraph ${i + 1}. ${'Lava flows downhill. '.repeat(50)}`);
+  const long = await prepareSourceMaterial(textFile(paragraphs.join('\n\n')));
+  assert.strictEqual(long.totalPassages, 100);
+  assert.ok(long.passages.length < 100);
+  assert.ok(long.passages[long.passages.length - 1].text.startsWith('Paragraph 9'));
+});
+
+test('unsupported and empty documents are rejected', async () => {
+  assert.strictEqual(isSupportedSourceFile({ originalname: 'notes.md', mimetype: 'application/octet-stream' }), true);
+  assert.strictEqual(isSupportedSourceFile({ originalname: 'slides.pptx', mimetype: 'application/octet-stream' }), false);
+
+  await assert.rejects(prepareSourceMaterial(textFile(' \n\n ')), { code: 'SOURCE_EMPTY' });
+  await assert.rejects(prepareSourceMaterial(textFile('text', 'slides.pptx')), { code: 'SOURCE_UNSUPPORTED' });
+});
+
+test('questions generated from a document cite the passage they are based on', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+
+  try {
+    const form = new FormData();
+    Object.entries({ topic: 'Volcanoes', complexity: 'beginner', category: 'Science', numberOfQuestions: '2', provider: 'mock', forceFresh: 'true' })
+      .forEach(([name, value]) => form.append(name, value));
+    form.append('source', new Blob(['Volcanoes form at plate boundaries where magma rises.'], { type: 'text/plain' }), 'volcanoes.txt');
+
+    const response = await fetch(`${server.url}/api/quizzes/generate`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${jwt.sign({ id: user.id }, TEST_JWT_SECRET)}` },
+      body: form
+    });
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.questions.length, 2);
+    body.questions.forEach(question => {
+      assert.deepStrictEqual(question.source, { document: 'volcanoes.txt', passage: 'P1', page: null, quote: 'Volcanoes form at plate boundaries where magma rises.' });
+    });
+  } finally {
+    await server.close();
+  }
+});
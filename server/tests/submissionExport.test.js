@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { useTestDatabase, startServer, TEST_JWT_SECRET } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+const { exportSubmissions } = require('../services/submissionExport');
+const { readSpreadsheet } = require('../services/spreadsheet');
+
+const QUIZ = { id: 1, title: 'Capitals of Europe!', settings: JSON.stringify({ passingScore: 50 }) };
+
+const QUESTIONS = [
+  { id: 1, type: 'multiple_choice', text: 'Capital of France?', options: JSON.stringify([{ text: 'Paris', isCorrect: true }, { text: 'Rome', isCorrect: false }]), correct_answer: '0' },
+  { id: 2, type: 'true_false', text: 'Lisbon is the capital of Portugal', options: JSON.stringify(['True', 'False']), correct_answer: '0' },
+  { id: 3, type: 'paragraph', text: 'Describe Lisbon', options: '[]', correct_answer: null }
+];
+
+const SUBMISSIONS = [
+  {
+    id: 10,
+    learner_id: 'ada@example.com',
+    submitted_at: '2026-10-01T10:05:00.000Z',
+    metadata: { timeSpent: 300 },
+    responses: [
+      { questionId: 1, answer: 0 },
+      { questionId: 2, answer: 1 },
+      { questionId: 3, answer: '=HYPERLINK("x") by the sea, "old"' }
+    ]
+  },
+  {
+    id: 11,
+    learner_id: null,
+    submitted_at: '2026-10-02T08:00:00.000Z',
+    metadata: {},
+    responses: [{ questionId: 1, answer: 1 }]
+  }
+];
+
+test('a CSV export has a row per submission and an answer and a result column per question', async () => {
+  const file = await exportSubmissions('csv', QUIZ, QUESTIONS, SUBMISSIONS);
+  assert.strictEqual(file.fileName, 'capitals-of-europe-submissions.csv');
+  assert.match(file.contentType, /^text\/csv/);
+
+  const sheet = await readSpreadsheet(file.body, file.fileName);
+  assert.deepStrictEqual(sheet.columns.slice(10), [
+    'Q1: Capital of France? (answer)', 'Q1 (result)',
+    'Q2: Lisbon is the capital of Portugal (answer)', 'Q2 (result)',
+    'Q3: Describe Lisbon (answer)', 'Q3 (result)'
+  ]);
+
+  const [first, second] = sheet.rows.map(row => row.values);
+  assert.strictEqual(first.Learner, 'ada@example.com');
+  assert.strictEqual(first['Started at'], '2026-10-01T10:00:00.000Z');
+  assert.strictEqual(first['Time spent (seconds)'], '300');
+  assert.strictEqual(first['Q1: Capital of France? (answer)'], 'Paris');
+  assert.strictEqual(first['Q1 (result)'], 'Correct');
+  assert.strictEqual(first['Q2: Lisbon is the capital of Portugal (answer)'], 'False');
+  assert.strictEqual(first['Q2 (result)'], 'Incorrect');
+  // Learner text that a spreadsheet app would run as a formula is kept as text
+  assert.strictEqual(first['Q3: Describe Lisbon (answer)'], '\'=HYPERLINK("x") by the sea, "old"');
+  assert.strictEqual(first['Q3 (result)'], 'Awaiting review');
+
+  assert.strictEqual(second.Learner, 'Anonymous User');
+  assert.strictEqual(second['Q1 (result)'], 'Incorrect');
+  assert.strictEqual(second['Q2 (result)'], 'Not answered');
+  assert.strictEqual(second.Result, 'Fail');
+});
+
+test('an XLSX export holds the same table as the CSV export', async () => {
+  const csv = await exportSubmissions('csv', QUIZ, QUESTIONS, SUBMISSIONS);
+  const xlsx = await exportSubmissions('xlsx', QUIZ, QUESTIONS, SUBMISSIONS);
+  assert.strictEqual(xlsx.fileName, 'capitals-of-europe-submissions.xlsx');
+
+  const fromCsv = await readSpreadsheet(csv.body, csv.fileName);
+  const fromXlsx = await readSpreadsheet(xlsx.body, xlsx.fileName);
+  assert.deepStrictEqual(fromXlsx.columns, fromCsv.columns);
+  assert.strictEqual(fromXlsx.rows.length, 2);
+
+  // Dates and numbers are typed cells in the workbook, so compare the text columns
+  const textColumns = fromCsv.columns.filter(column => /^(Learner|Result|Status|Q\d)/.test(column));
+  fromXlsx.rows.forEach((row, index) => {
+    textColumns
+      .filter(column => !column.startsWith('Q3: '))
+      .forEach(column => assert.strictEqual(row.values[column], fromCsv.rows[index].values[column], column));
+  });
+  assert.strictEqual(fromXlsx.rows[0].values['Q3: Describe Lisbon (answer)'], '=HYPERLINK("x") by the sea, "old"');
+});
+
+test('only the quiz creator can export its submissions', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const other = await db.createUser('other@example.com', 'Other tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Capitals', '', {});
+  await db.createQuestion(quiz.id, 'true_false', 'Lisbon is the capital of Portugal', ['True', 'False'], '0');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+  const download = (userId, format) => fetch(`${server.url}/api/quizzes/${quiz.id}/submissions/export?format=${format}`, {
+    headers: { Authorization: `Bearer ${jwt.sign({ id: userId }, TEST_JWT_SECRET)}` }
+  });
+
+  try {
+    assert.strictEqual((await download(other.id, 'csv')).status, 404);
+    assert.strictEqual((await download(user.id, 'pdf')).status, 400);
+
+    const response = await download(user.id, 'xlsx');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /capitals-submissions\.xlsx/);
+    const sheet = await readSpreadsheet(Buffer.from(await response.arrayBuffer()), 'export.xlsx');
+    assert.ok(sheet.columns.includes('Q1 (result)'));
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTestDatabase, startServer } = require('./helpers');
+
+useTestDatabase();
+const db = require('../db/index');
+
+const ACCESS_CODE = 'UPLOAD';
+
+test('answers of every type that is not auto-graded can be graded by the tutor', async () => {
+  const user = await db.createUser('tutor@example.com', 'Tutor', 'x');
+  const quiz = await db.createQuiz(user.id, 'Projects', '', { accessCode: ACCESS_CODE, passingScore: 50 });
+  const choice = await db.createQuestion(quiz.id, 'true_false', 'The sky is blue', ['True', 'False'], '0');
+  const upload = await db.createQuestion(quiz.id, 'file_upload', 'Upload your project', [], null);
+  await db.updateQuizStatus(quiz.id, 'published');
+  const server = await startServer([['/api/quizzes', require('../routes/quizzes')]]);
+
+  try {
+    const { body: opened } = await server.request('GET', `/api/quizzes/code/${ACCESS_CODE}`);
+    const { body: submitted } = await server.request('POST', `/api/quizzes/submit/${ACCESS_CODE}`, {
+      body: {
+        formToken: opened.formToken,
+        responses: [{ questionId: choice.id, answer: 1 }, { questionId: upload.id, answer: 'project.pdf' }]
+      }
+    });
+    assert.strictEqual(submitted.result.pendingReview, 1);
+    assert.strictEqual(submitted.result.passed, null);
+
+    // Only the quiz creator can see the submissions and their grading
+    const other = await db.createUser('other@example.com', 'Other tutor', 'x');
+    const hidden = await server.request('GET', `/api/quizzes/${quiz.id}/submissions`, { userId: other.id });
+    assert.strictEqual(hidden.status, 404);
+
+    const { body: listed } = await server.request('GET', `/api/quizzes/${quiz.id}/submissions`, { userId: user.id });
+    const { rubric } = listed.data.questions.find(question => String(question.id) === String(upload.id));
+    assert.strictEqual(rubric.length, 1);
+
+    const { status, body } = await server.request('PUT', `/api/quizzes/${quiz.id}/submissions/${submitted.submissionId}/grades`, {
+      body: { grades: [{ questionId: upload.id, criteria: [{ score: rubric[0].points }] }] },
+      userId: user.id
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.submission.status, 'graded');
+
+    const [notification] = await db.getNotifications(user.id);
+    assert.strictEqual(notification.type, 'quiz_result');
+    assert.match(notification.message, /and passed/);
+
+    // Auto-graded answers keep their score
+    const rejected = await server.request('PUT', `/api/quizzes/${quiz.id}/submissions/${submitted.submissionId}/grades`, {
+      body: { grades: [{ questionId: choice.id, criteria: [{ score: 10 }] }] },
+      userId: user.id
+    });
+    assert.strictEqual(rejected.status, 400);
+  } finally {
+    await server.close();
+  }
+});